@@ -278,7 +278,8 @@ const ArmSpec = {
         throw new Error('gridSize not available on canvas context');
       }
 
-      const spec = ComponentRegistry.get('arm');
+      // Own spec, so arm variants (baseType "arm") can draw their own details
+      const spec = ComponentRegistry.get(component.type);
 
       // Get pivot center (offset toward sack)
       const pivotCenter = spec.getPivotCenter(component);
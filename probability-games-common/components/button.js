@@ -47,7 +47,7 @@ const ButtonSpec = {
     // First, check for directly adjacent arms
     for (const adjPos of adjacentPositions) {
       const arm = simulation.components.find(c =>
-        c.type === 'arm' &&
+        ComponentRegistry.baseType(c.type) === 'arm' &&
         c.position.x === adjPos.x &&
         c.position.y === adjPos.y
       );
@@ -74,7 +74,7 @@ const ButtonSpec = {
 
         for (const sackAdjPos of sackAdjacentPositions) {
           const arm = simulation.components.find(c =>
-            c.type === 'arm' &&
+            ComponentRegistry.baseType(c.type) === 'arm' &&
             c.position.x === sackAdjPos.x &&
             c.position.y === sackAdjPos.y
           );
@@ -182,6 +182,13 @@ const ConveyorTurnSpec = {
     }
   },
 
+  /**
+   * Queuing: one ball per turn cell, like a straight conveyor
+   */
+  canAccept(component, ball, simulation) {
+    return !simulation.balls.some(b => b.componentId === component.id);
+  },
+
   // For Bayesian inference
   inference: {
     /**
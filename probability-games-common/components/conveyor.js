@@ -97,6 +97,14 @@ const ConveyorSpec = {
     }
   },
 
+  /**
+   * Queuing (level.simulation.queuing): a belt cell holds one ball at a
+   * time. A ball waiting at the exit still holds it, so lines back up.
+   */
+  canAccept(component, ball, simulation) {
+    return !simulation.balls.some(b => b.componentId === component.id);
+  },
+
   // For Bayesian inference
   inference: {
     /**
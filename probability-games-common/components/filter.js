@@ -237,6 +237,12 @@ const FilterSpec = {
         ball.inputDirection = dy > 0 ? 'up' : 'down';
       }
 
+      // Queuing: wait at the exit while the next component is full
+      if (simulation.queuing && !simulation.canAccept(nextComponent, ball)) {
+        simulation.queueBall(ball, nextComponent);
+        return;
+      }
+
       // Transfer to next component
       const nextSpec = ComponentRegistry.get(nextComponent.type);
       if (nextSpec.transitions.onArrival) {
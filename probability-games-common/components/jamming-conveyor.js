@@ -0,0 +1,325 @@
+/**
+ * Jamming Conveyor Component - Conveyor with Random Breakdowns
+ *
+ * A straight conveyor that sometimes jams. Each ball that reaches the
+ * middle of a running belt may jam it: with probability jamProbability the
+ * belt stops for one of jamDurations (ms, chosen uniformly). Balls that
+ * reach the middle while the belt is stopped wait there until it restarts.
+ *
+ * Jams delay balls without changing their colors, so levels with two
+ * routes of equal length can race balls against each other and ask which
+ * one arrives first.
+ *
+ * Follows the layout and wiring rules of "conveyor" (baseType). Load after
+ * conveyor.js: geometry and rendering are shared with ConveyorSpec.
+ */
+
+const JammingConveyorSpec = {
+  type: "jamming-conveyor",
+  baseType: "conveyor",
+  displayName: "Jamming Conveyor",
+
+  // Observable by default (no plex glass)
+  isObservable: true,
+
+  defaultParams: {
+    direction: "right",
+    speed: 1.0,
+    jamProbability: 0.3,  // Chance that a ball reaching the middle jams the belt
+    jamDurations: [2000], // ms; one is chosen uniformly when the belt jams
+    plex: false
+  },
+
+  ports: {
+    inputs: [
+      {id: "input", direction: null, offset: {x: 0, y: 0.5}, required: false}
+    ],
+    outputs: [
+      {id: "output", direction: null, offset: {x: 1, y: 0.5}, required: false}
+    ]
+  },
+
+  /**
+   * Middle of the belt, where jams happen
+   */
+  getJamPoint(component) {
+    return {x: component.position.x + 0.5, y: component.position.y + 0.5};
+  },
+
+  /**
+   * Half-belt segment from the entry to the jam point, or from the jam
+   * point to the exit
+   */
+  getHalfTrajectory(component, fromEntry) {
+    const direction = component.params.direction;
+    const traveling = ConveyorSpec.states.traveling;
+    const mid = this.getJamPoint(component);
+    const waypoints = fromEntry
+      ? [traveling.getEntryPosition(component, direction), mid]
+      : [mid, traveling.getExitPosition(component, direction)];
+
+    const speed = component.params.speed || 1.0;  // tiles/sec
+    return {
+      path: createPiecewiseLinearTrajectory(waypoints),
+      duration: computeTrajectoryDuration(waypoints, speed),
+      waypoints
+    };
+  },
+
+  /**
+   * Switch a ball to one of the states below. The trajectory is set BEFORE
+   * the state changes, so the renderer never sees a ball without one.
+   */
+  enterState(ball, component, time, state) {
+    const trajectory = this.states[state].getTrajectory(ball, component, time);
+    ball.trajectory = trajectory.path;
+    ball.trajectoryStartTime = time;
+    ball.trajectoryDuration = trajectory.duration;
+    ball.trajectoryWaypoints = trajectory.waypoints;
+    ball.componentState = state;
+  },
+
+  states: {
+    entering: {
+      /**
+       * Ball traveling from the entry to the middle of the belt
+       */
+      getTrajectory(ball, component, startTime) {
+        return JammingConveyorSpec.getHalfTrajectory(component, true);
+      },
+
+      visual: {
+        opacity: 1.0,
+        scale: 1.0,
+        rotation: 0
+      }
+    },
+
+    jammed: {
+      /**
+       * Ball stopped at the jam point until ball.releaseTime
+       */
+      getTrajectory(ball, component, startTime) {
+        const mid = JammingConveyorSpec.getJamPoint(component);
+        return {
+          path: () => ({...mid}),
+          duration: Math.max(0, ball.releaseTime - startTime),
+          waypoints: [mid, mid]
+        };
+      },
+
+      visual: {
+        opacity: 1.0,
+        scale: 1.0,
+        rotation: 0
+      }
+    },
+
+    leaving: {
+      /**
+       * Ball traveling from the middle of the belt to the exit
+       */
+      getTrajectory(ball, component, startTime) {
+        return JammingConveyorSpec.getHalfTrajectory(component, false);
+      },
+
+      visual: {
+        opacity: 1.0,
+        scale: 1.0,
+        rotation: 0
+      }
+    }
+  },
+
+  behavior: {
+    /**
+     * Possible stop durations with their weights (0 = no jam)
+     *
+     * @param {Object} params - Conveyor params (jamProbability, jamDurations)
+     * @returns {Array<{duration: number, weight: number}>} Outcomes with non-zero weight
+     */
+    getJamOutcomes(params) {
+      const p = params.jamProbability ?? JammingConveyorSpec.defaultParams.jamProbability;
+      const durations = params.jamDurations ?? JammingConveyorSpec.defaultParams.jamDurations;
+      if (typeof p !== 'number' || !(p >= 0 && p <= 1)) {
+        throw new Error(`Jamming conveyor jamProbability must be between 0 and 1, got ${p}`);
+      }
+      if (!Array.isArray(durations) || durations.length === 0) {
+        throw new Error('Jamming conveyor needs at least one jam duration');
+      }
+      for (const d of durations) {
+        if (typeof d !== 'number' || !isFinite(d) || d <= 0) {
+          throw new Error(`Jam durations must be positive numbers (ms), got ${d}`);
+        }
+      }
+      if (new Set(durations).size !== durations.length) {
+        throw new Error(`Jam durations must be distinct, got ${JSON.stringify(durations)}`);
+      }
+
+      const outcomes = [{duration: 0, weight: 1 - p}];
+      for (const d of durations) {
+        outcomes.push({duration: d, weight: p / durations.length});
+      }
+      return outcomes.filter(o => o.weight > 0);
+    },
+
+    /**
+     * Choose how long the belt stops (0 = keeps running)
+     * Draws from the conveyor's own RNG substream (keyed by component id).
+     */
+    chooseJamDuration(component) {
+      const outcomes = this.getJamOutcomes(component.params);
+      if (outcomes.length === 1) {
+        return outcomes[0].duration;
+      }
+
+      const simRng = component.simulation?.rng;
+      if (!simRng) {
+        throw new Error('Jamming conveyor requires simulation RNG but component.simulation.rng is not available');
+      }
+      return simRng.stream(component.id).weightedChoice(
+        outcomes.map(o => o.duration),
+        outcomes.map(o => o.weight)
+      );
+    }
+  },
+
+  /**
+   * Queuing: one ball per cell, like a plain conveyor. A jammed ball holds
+   * the belt, so a jam backs up the line behind it.
+   */
+  canAccept(component, ball, simulation) {
+    return ConveyorSpec.canAccept(component, ball, simulation);
+  },
+
+  /**
+   * Earliest time a ball on this belt may decide a jam (for branching).
+   * Returns Infinity if the belt can never jam.
+   */
+  nextDecisionTime(component, simulation) {
+    if (this.behavior.getJamOutcomes(component.params).length < 2) return Infinity;
+    let earliest = Infinity;
+    for (const ball of simulation.balls) {
+      if (ball.componentId === component.id && ball.componentState === 'entering') {
+        earliest = Math.min(earliest, ball.trajectoryStartTime + ball.trajectoryDuration);
+      }
+    }
+    return earliest;
+  },
+
+  transitions: {
+    /**
+     * Ball arrives at conveyor - start traveling to the jam point
+     */
+    onArrival(ball, component, time, spec) {
+      ball.componentId = component.id;
+      spec.enterState(ball, component, time, "entering");
+
+      // Observe ball upon entry if conveyor is observable (no plex glass)
+      if (!component.params.plex && component.simulation && component.simulation.bayesianTracker) {
+        component.simulation.bayesianTracker.onObservation(ball.id, ball.color);
+      }
+    },
+
+    /**
+     * Jam point reached, jam over, or end of belt reached
+     */
+    onTrajectoryComplete(ball, component, time, spec) {
+      if (ball.componentState === "entering") {
+        let jamUntil = component.jamUntil ?? 0;
+
+        if (jamUntil <= time) {
+          // Belt running: this ball may jam it
+          let duration = spec.behavior.chooseJamDuration(component);
+          const replay = component.simulation?.replay;
+          if (replay) {
+            duration = replay.onChoice(component.id, ball.id, duration, time);
+          }
+          jamUntil = duration > 0 ? time + duration : 0;
+          component.jamUntil = duration > 0 ? jamUntil : null;
+        }
+
+        if (jamUntil > time) {
+          ball.releaseTime = jamUntil;
+          spec.enterState(ball, component, time, "jammed");
+        } else {
+          spec.enterState(ball, component, time, "leaving");
+        }
+      } else if (ball.componentState === "jammed") {
+        ball.releaseTime = null;
+        if (component.jamUntil != null && component.jamUntil <= time) {
+          component.jamUntil = null;
+        }
+        spec.enterState(ball, component, time, "leaving");
+      } else if (ball.componentState === "leaving") {
+        ball.trajectory = null;
+        component.simulation.transferBall(ball, component);
+      }
+    }
+  },
+
+  // For Bayesian inference
+  inference: {
+    /**
+     * Jams only delay balls: identity on colors
+     */
+    getPossibleInputs(output, params) {
+      return [{inputs: output, probability: 1.0}];
+    }
+  },
+
+  // Visual rendering
+  visual: {
+    size: {width: 64, height: 64},
+
+    render(ctx, component, time) {
+      ConveyorSpec.visual.render(ctx, component);
+
+      const gridSize = ctx.canvas._gridSize;
+      const direction = component.params.direction || "right";
+      const horizontal = direction === "right" || direction === "left";
+      const px = component.position.x * gridSize;
+      const py = component.position.y * gridSize;
+
+      // Hazard marks at both belt edges, red while jammed
+      const currentTime = time !== undefined ? time : (component.simulation ? component.simulation.time : 0);
+      const jammed = component.jamUntil != null && component.jamUntil > currentTime;
+      const markColor = jammed ? '#d32f2f' : '#f2c200';
+      const markLength = gridSize * 0.2;
+      const markWidth = gridSize * 0.09;
+
+      ctx.save();
+      ctx.fillStyle = markColor;
+      ctx.strokeStyle = "#000";
+      ctx.lineWidth = 2;
+      for (const edge of [0.3125, 0.6875]) {
+        if (horizontal) {
+          const y = py + gridSize * edge - markWidth / 2;
+          for (const x of [px + gridSize * 0.1, px + gridSize * 0.9 - markLength]) {
+            ctx.fillRect(x, y, markLength, markWidth);
+            ctx.strokeRect(x, y, markLength, markWidth);
+          }
+        } else {
+          const x = px + gridSize * edge - markWidth / 2;
+          for (const y of [py + gridSize * 0.1, py + gridSize * 0.9 - markLength]) {
+            ctx.fillRect(x, y, markWidth, markLength);
+            ctx.strokeRect(x, y, markWidth, markLength);
+          }
+        }
+      }
+      ctx.restore();
+    }
+  },
+
+  // Level editor metadata
+  editor: {
+    icon: "⚠",
+    category: "Transport"
+    // defaultParams inherited from component spec (single source of truth)
+  }
+};
+
+// Register component
+if (typeof ComponentRegistry !== 'undefined') {
+  ComponentRegistry.register(JammingConveyorSpec);
+}
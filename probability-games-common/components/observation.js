@@ -183,6 +183,10 @@ const ObservationSpec = {
           index: ball.arrivalIndex
         });
 
+        if (component.simulation && component.simulation.replay) {
+          component.simulation.replay.onObservation(component.id, component.observations[component.observations.length - 1]);
+        }
+
         // Notify Bayesian tracker of observation BEFORE collecting
         if (component.simulation && component.simulation.bayesianTracker) {
           // Record observation (updates posteriors)
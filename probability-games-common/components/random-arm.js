@@ -0,0 +1,195 @@
+/**
+ * Random-Interval Arm Component
+ *
+ * A mechanical arm that hesitates before each draw. When the sampling
+ * schedule asks for a ball, the ball is drawn at once (so colors follow the
+ * schedule exactly like a normal arm), but the arm holds it at the sack for
+ * one of params.delays (ms) before swinging it onto the conveyor. Delays are
+ * chosen with params.delayWeights, uniformly if no weights are given.
+ *
+ * Random delays make the order in which balls from different arms reach the
+ * belt uncertain, even when the schedule itself is fixed.
+ *
+ * Follows the layout, wiring and scheduling rules of "arm" (baseType).
+ * Load after arm.js: geometry, trajectories and rendering come from ArmSpec.
+ */
+
+const RandomArmSpec = {
+  ...ArmSpec,
+
+  type: "random-arm",
+  baseType: "arm",
+  displayName: "Random-Interval Arm",
+
+  defaultParams: {
+    delays: [0, 1000, 2000],  // ms to hold the ball before the swing
+    delayWeights: null,       // Same length as delays; null = uniform
+    plex: false
+  },
+
+  states: {
+    ...ArmSpec.states,
+
+    waiting: {
+      /**
+       * Ball held in the grabber at the sack until ball.releaseTime
+       */
+      getTrajectory(ball, component, startTime) {
+        const grab = ArmSpec.states.traveling.getTrajectory(ball, component, startTime).path(0);
+        return {
+          path: () => ({...grab}),
+          duration: Math.max(0, ball.releaseTime - startTime),
+          waypoints: [grab, grab]
+        };
+      },
+
+      visual: {
+        opacity: 1.0,
+        scale: 1.0,
+        rotation: 0
+      }
+    }
+  },
+
+  behavior: {
+    /**
+     * Possible delays with their weights
+     *
+     * @param {Object} params - Arm params (delays, delayWeights)
+     * @returns {Array<{delay: number, weight: number}>} Outcomes with non-zero weight
+     */
+    getDelayOutcomes(params) {
+      const delays = params.delays ?? RandomArmSpec.defaultParams.delays;
+      const weights = params.delayWeights ?? delays.map(() => 1);
+      if (!Array.isArray(delays) || delays.length === 0) {
+        throw new Error('Random-interval arm needs at least one delay');
+      }
+      if (!Array.isArray(weights) || weights.length !== delays.length) {
+        throw new Error(`Random-interval arm delayWeights must have one weight per delay (${delays.length}), got ${JSON.stringify(weights)}`);
+      }
+      if (new Set(delays).size !== delays.length) {
+        throw new Error(`Random-interval arm delays must be distinct, got ${JSON.stringify(delays)}`);
+      }
+
+      const outcomes = [];
+      delays.forEach((delay, i) => {
+        if (typeof delay !== 'number' || !isFinite(delay) || delay < 0) {
+          throw new Error(`Random-interval arm delays must be non-negative numbers (ms), got ${delay}`);
+        }
+        const weight = weights[i];
+        if (typeof weight !== 'number' || !isFinite(weight) || weight < 0) {
+          throw new Error(`Random-interval arm delay weight must be a non-negative number, got ${weight}`);
+        }
+        if (weight > 0) {
+          outcomes.push({delay, weight});
+        }
+      });
+      if (outcomes.length === 0) {
+        throw new Error('Random-interval arm delay weights are all zero');
+      }
+      return outcomes;
+    },
+
+    /**
+     * Does a draw through this arm involve a random decision?
+     */
+    hasRandomDelay(params) {
+      return this.getDelayOutcomes(params).length > 1;
+    },
+
+    /**
+     * Choose how long to hold the next ball
+     * Draws from the arm's own RNG substream (keyed by component id).
+     */
+    chooseDelay(component) {
+      const outcomes = this.getDelayOutcomes(component.params);
+      if (outcomes.length === 1) {
+        return outcomes[0].delay;
+      }
+
+      const simRng = component.simulation?.rng;
+      if (!simRng) {
+        throw new Error('Random-interval arm requires simulation RNG but component.simulation.rng is not available');
+      }
+      const delays = outcomes.map(o => o.delay);
+      if (outcomes.every(o => o.weight === outcomes[0].weight)) {
+        return simRng.stream(component.id).choice(delays);
+      }
+      return simRng.stream(component.id).weightedChoice(delays, outcomes.map(o => o.weight));
+    }
+  },
+
+  transitions: {
+    /**
+     * Ball drawn from sack - hold it for a random delay, then swing
+     */
+    onPickup(ball, component, time, spec) {
+      let delay = spec.behavior.chooseDelay(component);
+      const replay = component.simulation?.replay;
+      if (replay) {
+        delay = replay.onChoice(component.id, ball.id, delay, time);
+      }
+
+      if (delay <= 0) {
+        ArmSpec.transitions.onPickup(ball, component, time, spec);
+        return;
+      }
+
+      ball.componentId = component.id;
+      ball.releaseTime = time + delay;
+
+      // Arm stays pointed at the sack until the swing starts
+      component.armAnimationStart = ball.releaseTime;
+      component.armAnimationDuration = 2000;
+
+      // Set trajectory BEFORE changing state
+      const trajectory = spec.states.waiting.getTrajectory(ball, component, time);
+      ball.trajectory = trajectory.path;
+      ball.trajectoryStartTime = time;
+      ball.trajectoryDuration = trajectory.duration;
+      ball.trajectoryWaypoints = trajectory.waypoints;
+
+      ball.componentState = "waiting";
+    },
+
+    /**
+     * Hold over - swing as a normal arm; swing over - transfer to conveyor
+     */
+    onTrajectoryComplete(ball, component, time, spec) {
+      if (ball.componentState === "waiting") {
+        ball.releaseTime = null;
+        ArmSpec.transitions.onPickup(ball, component, time, spec);
+        return;
+      }
+      ArmSpec.transitions.onTrajectoryComplete(ball, component, time, spec);
+    }
+  },
+
+  /**
+   * Render the arm with a dashed ring around the pivot (irregular timing)
+   */
+  renderAtPosition(ctx, centerX, centerY, armAngle, scale, drawCount) {
+    ArmSpec.renderAtPosition.call(this, ctx, centerX, centerY, armAngle, scale, drawCount);
+
+    ctx.save();
+    ctx.strokeStyle = "#000";
+    ctx.lineWidth = scale * 0.03;
+    ctx.setLineDash([scale * 0.06, scale * 0.05]);
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, (this.pivotRadius + 0.08) * scale, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.restore();
+  },
+
+  // Level editor metadata
+  editor: {
+    icon: "⏱",
+    category: "Transport"
+    // defaultParams inherited from component spec (single source of truth)
+  }
+};
+
+// Register component
+if (typeof ComponentRegistry !== 'undefined') {
+  ComponentRegistry.register(RandomArmSpec);
+}
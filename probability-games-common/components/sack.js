@@ -26,21 +26,31 @@ const SackSpec = {
   behavior: {
     /**
      * Draw one ball from sack
+     * @param {Object} remaining - For finite sacks (params.finite): the counts
+     *   still in the sack; the drawn ball is taken out of it. Omitted, the
+     *   ball is put back (the sack never runs out).
      */
-    draw(rng, params) {
+    draw(rng, params, remaining = null) {
       if (!params.contents) {
         throw new Error("Sack contents not set! Must assign sack contents from hypothesis before producing balls. This typically happens in sampleAndAssignHypothesis().");
       }
 
-      const contents = params.contents;  // {red: 7, blue: 3}
+      const contents = remaining || params.contents;  // {red: 7, blue: 3}
       const colors = Object.keys(contents);
       const weights = colors.map(c => contents[c]);
 
       if (weights.length === 0) {
         throw new Error("Sack has no contents (empty distribution)");
       }
+      if (remaining && weights.every(w => w <= 0)) {
+        throw new Error(`Finite sack ran out of balls: the schedule draws more than the ${JSON.stringify(params.contents)} it holds`);
+      }
 
-      return rng.weightedChoice(colors, weights);
+      const color = rng.weightedChoice(colors, weights);
+      if (remaining) {
+        remaining[color]--;
+      }
+      return color;
     }
   },
 
@@ -21,6 +21,7 @@ const ShufflerSpec = {
     minBufferSize: 2,         // Threshold to trigger shuffle
     outputDelay: 800,         // ms between ball outputs
     idleTimeout: 4000,        // ms before inactive shuffler freezes balls
+    capacity: null,           // Max balls inside when queuing is on (null = unlimited)
     plex: false
   },
 
@@ -589,16 +590,23 @@ const ShufflerSpec = {
         tracker.onShuffleMultiple(ballIds);
       }
 
-      // Get RNG from simulation (seeded for deterministic replay)
-      const rng = component.simulation?.rng;
-      if (!rng) {
+      // Get RNG from simulation (seeded for deterministic replay).
+      // Each shuffler draws from its own substream keyed by component id.
+      const simRng = component.simulation?.rng;
+      if (!simRng) {
         throw new Error('Shuffler requires simulation.rng for deterministic shuffling');
       }
+      const rng = simRng.stream(component.id);
 
       // Use RNG's built-in shuffle method
       // This is the ACTUAL shuffle that determines ball order
       // The visual bouncing animation is independent and doesn't reveal this order
       rng.shuffle(balls);
+
+      // Replay: record the permutation, or restore the recorded one
+      if (component.simulation.replay) {
+        component.simulation.replay.onShuffle(component.id, balls, time);
+      }
     },
 
     /**
@@ -810,6 +818,23 @@ const ShufflerSpec = {
     }
   },
 
+  /**
+   * Queuing (level.simulation.queuing): a shuffler with a capacity fills up
+   * and blocks its inputs. Balls entering and in the buffer (retained and
+   * fading ones too) count; balls on their way out do not.
+   */
+  canAccept(component, ball, simulation) {
+    const capacity = component.params.capacity;
+    if (!capacity) return true;
+    if (capacity < component.params.minBufferSize) {
+      throw new Error(`Shuffler ${component.id} capacity ${capacity} is below minBufferSize ${component.params.minBufferSize}; it could never fill up to shuffle`);
+    }
+    const inside = simulation.balls.filter(b =>
+      b.componentId === component.id && b.componentState !== 'exiting'
+    ).length;
+    return inside < capacity;
+  },
+
   // For Bayesian inference
   inference: {
     /**
@@ -2,8 +2,12 @@
  * Splitter Component - Random Output
  *
  * Takes a single ball as input, bounces it briefly, then outputs to a
- * uniformly random output channel. Auto-detects input/output channels
- * from adjacent conveyor belts.
+ * random output channel. Auto-detects input/output channels from adjacent
+ * conveyor belts.
+ *
+ * Output probabilities come from params.weights, keyed by side
+ * (e.g. {left: 7, right: 3} for a 70/30 split). Sides without a weight
+ * default to 1, so a splitter with no weights is uniform.
  */
 
 const SplitterSpec = {
@@ -20,6 +24,7 @@ const SplitterSpec = {
       down: {type: 'none'},
       left: {type: 'none'}
     },
+    weights: {},          // Per-side output weights, missing sides default to 1
     bounceDuration: 600,  // ms to bounce before outputting
     plex: false
   },
@@ -266,23 +271,73 @@ const SplitterSpec = {
       return inputs;
     },
 
+    /**
+     * Get output sides with their weights
+     * Sides with zero weight are dropped (they can never be chosen).
+     *
+     * @param {Object} params - Splitter params (sides, weights)
+     * @returns {Array<{side: string, weight: number}>}
+     */
+    getOutputWeights(params) {
+      const sides = params.sides || {};
+      const weights = params.weights || {};
+      const result = [];
+      for (const side in sides) {
+        if (sides[side].type !== 'output') continue;
+        const weight = weights[side] ?? 1;
+        if (typeof weight !== 'number' || !isFinite(weight) || weight < 0) {
+          throw new Error(`Splitter weight for side '${side}' must be a non-negative number, got ${weight}`);
+        }
+        if (weight > 0) {
+          result.push({side, weight});
+        }
+      }
+      return result;
+    },
+
+    /**
+     * Get output probabilities, normalized from weights
+     *
+     * @param {Object} params - Splitter params (sides, weights)
+     * @returns {Array<{side: string, probability: number}>}
+     */
+    getOutputProbabilities(params) {
+      const weighted = this.getOutputWeights(params);
+      const total = weighted.reduce((sum, w) => sum + w.weight, 0);
+      return weighted.map(w => ({side: w.side, probability: w.weight / total}));
+    },
+
+    /**
+     * Check whether all outputs are equally likely
+     */
+    isUniform(params) {
+      const weighted = this.getOutputWeights(params);
+      return weighted.every(w => w.weight === weighted[0].weight);
+    },
+
     /**
      * Choose random output side
+     * Draws from the splitter's own RNG substream (keyed by component id).
      */
     chooseRandomOutput(component) {
-      const outputs = this.getOutputSides(component);
-      if (outputs.length === 0) {
+      const weighted = this.getOutputWeights(component.params);
+      if (weighted.length === 0) {
         throw new Error('Splitter has no output channels configured');
       }
-      if (outputs.length === 1) {
-        return outputs[0];
+      if (weighted.length === 1) {
+        return weighted[0].side;
       }
 
-      const rng = component.simulation?.rng;
-      if (!rng) {
+      const simRng = component.simulation?.rng;
+      if (!simRng) {
         throw new Error('Splitter requires simulation RNG but component.simulation.rng is not available');
       }
-      return rng.choice(outputs);
+      const rng = simRng.stream(component.id);
+      const outputs = weighted.map(w => w.side);
+      if (this.isUniform(component.params)) {
+        return rng.choice(outputs);
+      }
+      return rng.weightedChoice(outputs, weighted.map(w => w.weight));
     },
 
     /**
@@ -318,7 +373,7 @@ const SplitterSpec = {
 
         const oppositeSide = opposites[side];
 
-        if (neighbor.type === 'conveyor') {
+        if (ComponentRegistry.baseType(neighbor.type) === 'conveyor') {
           const neighborDir = neighbor.params?.direction;
           if (neighborDir === oppositeSide) {
             sides[side] = {type: 'input'};
@@ -367,8 +422,13 @@ const SplitterSpec = {
       if (time >= pending.exitTime) {
         const ball = pending.ball;
 
-        // Choose random output
-        ball.outputSide = spec.behavior.chooseRandomOutput(component);
+        // Choose random output (replay playback substitutes the recorded side)
+        let side = spec.behavior.chooseRandomOutput(component);
+        const replay = component.simulation?.replay;
+        if (replay) {
+          side = replay.onSplit(component.id, ball.id, side, time);
+        }
+        ball.outputSide = side;
 
         // Set exit trajectory
         const trajectory = spec.states.exiting.getTrajectory(ball, component, time);
@@ -390,21 +450,13 @@ const SplitterSpec = {
   // For Bayesian inference
   inference: {
     /**
-     * Splitter outputs uniformly at random
+     * Splitter outputs at random according to its side weights
      */
     getPossibleOutputs(inputs, params) {
-      const sides = params.sides || {};
-      const outputs = [];
-      for (const side in sides) {
-        if (sides[side].type === 'output') {
-          outputs.push(side);
-        }
-      }
-
-      if (outputs.length === 0) return [{output: 'down', probability: 1.0}];
+      const probs = SplitterSpec.behavior.getOutputProbabilities(params);
+      if (probs.length === 0) return [{output: 'down', probability: 1.0}];
 
-      const prob = 1.0 / outputs.length;
-      return outputs.map(side => ({output: side, probability: prob}));
+      return probs.map(p => ({output: p.side, probability: p.probability}));
     }
   },
 
@@ -564,12 +616,31 @@ const SplitterSpec = {
       drawBoxSide('right');
 
       // Draw probability indicator in center (e.g., "1/2" for 2 outputs)
-      if (isValid && outputCount >= 2) {
+      // Weighted splitters instead label each output channel with its percentage
+      const behavior = SplitterSpec.behavior;
+      const weightedOutputs = isValid ? behavior.getOutputWeights(component.params) : [];
+      if (weightedOutputs.length >= 2 && behavior.isUniform(component.params)) {
         ctx.fillStyle = "#000";
         ctx.font = `bold ${gridSize * 0.25}px sans-serif`;
         ctx.textAlign = "center";
         ctx.textBaseline = "middle";
-        ctx.fillText(`1/${outputCount}`, px + gridSize * 0.5, py + gridSize * 0.5);
+        ctx.fillText(`1/${weightedOutputs.length}`, px + gridSize * 0.5, py + gridSize * 0.5);
+      } else if (weightedOutputs.length >= 2) {
+        const labelOffsets = {
+          up: {x: 0, y: -0.22},
+          down: {x: 0, y: 0.22},
+          left: {x: -0.2, y: 0},
+          right: {x: 0.2, y: 0}
+        };
+        ctx.fillStyle = "#000";
+        ctx.font = `bold ${gridSize * 0.16}px sans-serif`;
+        ctx.textAlign = "center";
+        ctx.textBaseline = "middle";
+        for (const {side, probability} of behavior.getOutputProbabilities(component.params)) {
+          const offset = labelOffsets[side];
+          ctx.fillText(`${Math.round(probability * 100)}%`,
+            px + gridSize * (0.5 + offset.x), py + gridSize * (0.5 + offset.y));
+        }
       }
     }
   },
@@ -578,7 +649,54 @@ const SplitterSpec = {
   editor: {
     icon: "⑂",
     category: "Processing",
-    hotkey: "t"  // Same as old splitter
+    hotkey: "t",  // Same as old splitter
+
+    /**
+     * Properties panel rows: one weight input per output side, with the
+     * side's share of the total
+     *
+     * @param {Object} params - Splitter params (sides, weights)
+     * @param {string} onChange - Global handler called as onChange(side, text)
+     *   when an input changes (e.g. 'editor.updateSplitterWeight')
+     * @returns {string} HTML
+     */
+    renderWeightRows(params, onChange) {
+      const sides = params.sides || {};
+      const weights = params.weights || {};
+      const outputs = ['up', 'down', 'left', 'right'].filter(s => sides[s]?.type === 'output');
+      if (outputs.length === 0) {
+        return `<div style="padding: 8px; background: #2a2a2a; border-radius: 4px; font-size: 11px; color: #aaa;">no outputs</div>`;
+      }
+
+      const total = outputs.reduce((sum, s) => sum + (weights[s] ?? 1), 0);
+      return outputs.map(side => {
+        const weight = weights[side] ?? 1;
+        const percent = total > 0 ? Math.round(weight / total * 100) : 0;
+        return `<div style="display: flex; gap: 6px; align-items: center; margin-bottom: 4px;">
+          <span style="width: 40px; font-size: 11px;">${side}</span>
+          <input type="number" min="0" step="any" value="${weight}" style="flex: 1;"
+                 onchange="${onChange}('${side}', this.value)">
+          <span style="width: 36px; font-size: 11px; color: #aaa;">${percent}%</span>
+        </div>`;
+      }).join('');
+    },
+
+    /**
+     * Weights with one side's weight replaced by an entered value
+     *
+     * @param {Object} params - Splitter params (sides, weights)
+     * @param {string} side - Output side
+     * @param {string|number} text - Entered weight
+     * @returns {Object} New weights object (params are not modified)
+     * @throws {Error} If the value is not a non-negative number
+     */
+    parseWeight(params, side, text) {
+      const value = typeof text === 'number' ? text : parseFloat(text);
+      if (!isFinite(value) || value < 0) {
+        throw new Error('Splitter weight must be a non-negative number');
+      }
+      return {...(params.weights || {}), [side]: value};
+    }
   }
 };
 
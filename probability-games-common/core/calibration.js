@@ -0,0 +1,196 @@
+/**
+ * Calibration (shared)
+ *
+ * Collects the final betting submission of each round of the three factory
+ * games and measures how well the stated probabilities agree with the true
+ * ones:
+ *   - record() is called by BettingInterface.showResults (mid-run updates
+ *     of a sequential bet are left out, so each round counts once)
+ *   - computeBins() groups stated probabilities into a reliability diagram
+ *   - summarize() tells whether the player is over- or underconfident
+ *
+ * Each column of a submission is one (stated, outcome) pair, where the
+ * outcome is the column's true probability (exact outcome distribution or
+ * Bayesian posterior), not the realized 0/1 result. This is agreement with
+ * the true probability rather than calibration in the forecasting sense:
+ * simulointi and päättely rounds have no single realized result, and a
+ * player whose answers match the true probabilities scores perfectly even
+ * if the outcomes happen to go the other way. "Calibration" below always
+ * means this agreement.
+ *
+ * Storage (localStorage, shared by all games on the same site):
+ *   "probability-games.calibration" → {
+ *     version: 1,
+ *     submissions: [{game, levelId, timestamp, rule, stated: [...], truth: [...]}]
+ *   }
+ */
+
+const CALIBRATION_STORAGE_KEY = 'probability-games.calibration';
+const CALIBRATION_VERSION = 1;
+const MAX_SUBMISSIONS = 5000;  // Oldest are dropped first
+
+// |confidence bias| below this counts as well calibrated (probability units)
+const CALIBRATED_TOLERANCE = 0.02;
+
+function roundProbability(p) {
+  return Math.round(p * 10000) / 10000;
+}
+
+const Calibration = {
+  STORAGE_KEY: CALIBRATION_STORAGE_KEY,
+  CALIBRATED_TOLERANCE,
+
+  /**
+   * All stored submissions (oldest first). Unreadable storage counts as empty.
+   */
+  load() {
+    try {
+      const raw = localStorage.getItem(CALIBRATION_STORAGE_KEY);
+      if (!raw) return [];
+      const data = JSON.parse(raw);
+      return Array.isArray(data.submissions) ? data.submissions : [];
+    } catch (e) {
+      console.warn('[Calibration] stored data unreadable, starting empty:', e);
+      return [];
+    }
+  },
+
+  _save(submissions) {
+    localStorage.setItem(CALIBRATION_STORAGE_KEY, JSON.stringify({
+      version: CALIBRATION_VERSION,
+      submissions
+    }));
+  },
+
+  /**
+   * Store one betting submission
+   *
+   * @param {Object} submission
+   * @param {string} submission.game - e.g. 'tehdas-simulointi'
+   * @param {string|null} submission.levelId
+   * @param {string} submission.rule - Scoring rule id used for the stars
+   * @param {number[]} submission.stated - Player probability per outcome (sums to 1)
+   * @param {number[]} submission.truth - True probability per outcome (not
+   *   the realized 0/1 result)
+   */
+  record({game, levelId = null, rule = null, stated, truth}) {
+    if (!game) {
+      throw new Error('Calibration.record: game is required');
+    }
+    if (!Array.isArray(stated) || !Array.isArray(truth) || stated.length !== truth.length) {
+      throw new Error('Calibration.record: stated and truth must be arrays of equal length');
+    }
+
+    const submissions = this.load();
+    submissions.push({
+      game,
+      levelId,
+      timestamp: new Date().toISOString(),
+      rule,
+      stated: stated.map(roundProbability),
+      truth: truth.map(roundProbability)
+    });
+    this._save(submissions.slice(-MAX_SUBMISSIONS));
+  },
+
+  /**
+   * Remove stored submissions (all, or one game's)
+   */
+  clear(game = null) {
+    if (!game) {
+      localStorage.removeItem(CALIBRATION_STORAGE_KEY);
+      return;
+    }
+    this._save(this.load().filter(s => s.game !== game));
+  },
+
+  /**
+   * Reliability diagram bins
+   *
+   * Stated probabilities are binned into numBins equal-width bins; each bin
+   * reports the mean stated probability and the mean outcome (true
+   * probability) of its pairs. A calibrated player's bins lie on the diagonal.
+   *
+   * @param {Array} submissions - From load(), optionally filtered
+   * @param {number} numBins - Default 10 (matches the 10-row betting grid)
+   * @returns {Array<{lo, hi, count, meanStated, meanOutcome}>} meanStated and
+   *   meanOutcome are null for empty bins
+   */
+  computeBins(submissions, numBins = 10) {
+    const bins = [];
+    for (let i = 0; i < numBins; i++) {
+      bins.push({lo: i / numBins, hi: (i + 1) / numBins, count: 0, sumStated: 0, sumOutcome: 0});
+    }
+    for (const s of submissions) {
+      s.stated.forEach((p, i) => {
+        const bin = bins[Math.min(numBins - 1, Math.floor(p * numBins))];
+        bin.count++;
+        bin.sumStated += p;
+        bin.sumOutcome += s.truth[i];
+      });
+    }
+    return bins.map(({lo, hi, count, sumStated, sumOutcome}) => ({
+      lo,
+      hi,
+      count,
+      meanStated: count ? sumStated / count : null,
+      meanOutcome: count ? sumOutcome / count : null
+    }));
+  },
+
+  /**
+   * Calibration summary
+   *
+   * calibrationError: mean |stated − outcome| over bins, weighted by count
+   *   (expected calibration error)
+   * confidenceBias: mean over pairs of (stated − outcome), signed towards
+   *   confidence. A probability counts as confident when it is further from
+   *   the submission's uniform answer (1/K for K outcomes) than the truth
+   *   supports. Positive = overconfident (too extreme), negative =
+   *   underconfident (too close to uniform). Pairs stated exactly at 1/K
+   *   are left out.
+   *
+   * @returns {{submissions, pairs, calibrationError, confidenceBias, verdict}}
+   *   verdict: 'none' | 'calibrated' | 'overconfident' | 'underconfident'
+   */
+  summarize(submissions, numBins = 10) {
+    const bins = this.computeBins(submissions, numBins);
+    const pairs = bins.reduce((sum, b) => sum + b.count, 0);
+    if (pairs === 0) {
+      return {submissions: 0, pairs: 0, calibrationError: null, confidenceBias: null, verdict: 'none'};
+    }
+
+    const calibrationError = bins.reduce(
+      (sum, b) => b.count ? sum + b.count * Math.abs(b.meanStated - b.meanOutcome) : sum, 0
+    ) / pairs;
+
+    let biasSum = 0;
+    let biasCount = 0;
+    for (const s of submissions) {
+      const uniform = 1 / s.stated.length;
+      s.stated.forEach((p, i) => {
+        const direction = Math.sign(p - uniform);
+        if (direction === 0) return;
+        biasSum += direction * (p - s.truth[i]);
+        biasCount++;
+      });
+    }
+    const confidenceBias = biasCount ? biasSum / biasCount : 0;
+
+    let verdict = 'calibrated';
+    if (confidenceBias > CALIBRATED_TOLERANCE) verdict = 'overconfident';
+    else if (confidenceBias < -CALIBRATED_TOLERANCE) verdict = 'underconfident';
+
+    return {submissions: submissions.length, pairs, calibrationError, confidenceBias, verdict};
+  }
+};
+
+// Export for browser
+if (typeof window !== 'undefined') {
+  window.Calibration = Calibration;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Calibration;
+}
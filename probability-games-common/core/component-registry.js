@@ -46,6 +46,17 @@ class ComponentRegistry {
     return this.specs.has(type);
   }
 
+  /**
+   * Type whose layout and wiring rules a component follows
+   *
+   * Variants such as "jamming-conveyor" declare baseType: "conveyor" in
+   * their spec, so code that places, connects and schedules components can
+   * treat them like the base type. Returns the type itself otherwise.
+   */
+  static baseType(type) {
+    return this.specs.get(type)?.baseType || type;
+  }
+
   /**
    * Get all registered component types
    */
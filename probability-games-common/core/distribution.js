@@ -1,10 +1,109 @@
 /**
- * Distribution class for probabilistic DSL
+ * Distribution class for probabilistic DSL (shared)
  *
  * Represents a probability mass function (PMF) over discrete values.
  * Supports arithmetic operations, convolution, and statistical functions.
  */
 
+/**
+ * Exact rational number (BigInt numerator and denominator, always reduced,
+ * denominator positive). Distributions carry these next to their float
+ * probabilities when every probability they were computed from was
+ * rational (see Distribution.fractions).
+ */
+class Fraction {
+  constructor(numerator, denominator = 1n) {
+    if (denominator === 0n) {
+      throw new Error('Fraction with zero denominator');
+    }
+    if (denominator < 0n) {
+      numerator = -numerator;
+      denominator = -denominator;
+    }
+    const divisor = Fraction._gcd(numerator < 0n ? -numerator : numerator, denominator);
+    this.num = numerator / divisor;
+    this.den = denominator / divisor;
+  }
+
+  static _gcd(a, b) {
+    while (b !== 0n) {
+      [a, b] = [b, a % b];
+    }
+    return a === 0n ? 1n : a;
+  }
+
+  /**
+   * The fraction a float stands for: the simplest one within float rounding (by
+   * continued fractions), so 0.3 is 3/10 and 1 / 3 is 1/3.
+   *
+   * @param {number} x
+   * @param {number} maxDenominator - Give up above this denominator
+   * @returns {Fraction|null} null when x isn't close to a simple fraction
+   */
+  static fromNumber(x, maxDenominator = 1000000) {
+    if (typeof x !== 'number' || !isFinite(x)) return null;
+    if (Number.isInteger(x)) return new Fraction(BigInt(x));
+
+    // Convergents h/k of the continued fraction of x
+    let [h0, h1, k0, k1] = [0, 1, 1, 0];
+    let rest = x;
+    for (let i = 0; i < 64; i++) {
+      const a = Math.floor(rest);
+      const h2 = a * h1 + h0;
+      const k2 = a * k1 + k0;
+      if (k2 > maxDenominator) return null;
+      [h0, h1, k0, k1] = [h1, h2, k1, k2];
+      if (Math.abs(x - h1 / k1) <= 1e-14 * Math.max(1, Math.abs(x))) {
+        return new Fraction(BigInt(h1), BigInt(k1));
+      }
+      if (rest === a) return null;
+      rest = 1 / (rest - a);
+    }
+    return null;
+  }
+
+  add(other) {
+    return new Fraction(this.num * other.den + other.num * this.den, this.den * other.den);
+  }
+
+  sub(other) {
+    return new Fraction(this.num * other.den - other.num * this.den, this.den * other.den);
+  }
+
+  mul(other) {
+    return new Fraction(this.num * other.num, this.den * other.den);
+  }
+
+  div(other) {
+    return new Fraction(this.num * other.den, this.den * other.num);
+  }
+
+  equals(other) {
+    return this.num === other.num && this.den === other.den;
+  }
+
+  isZero() {
+    return this.num === 0n;
+  }
+
+  toNumber() {
+    // Shift huge operands into float range first; the ratio is unchanged
+    const bits = this.den.toString(16).length * 4;
+    const shift = BigInt(Math.max(0, bits - 1000));
+    return Number(this.num >> shift) / Number(this.den >> shift);
+  }
+
+  /**
+   * "1/8", or "3" for whole numbers
+   */
+  toString() {
+    return this.den === 1n ? `${this.num}` : `${this.num}/${this.den}`;
+  }
+}
+
+Fraction.ZERO = new Fraction(0n);
+Fraction.ONE = new Fraction(1n);
+
 class Distribution {
   /**
    * @param {Object|Map} pmf - Probability mass function as {value: probability}
@@ -56,7 +155,7 @@ class Distribution {
     // Use Map directly to preserve non-primitive values like arrays
     const pmf = new Map();
     pmf.set(value, 1.0);
-    return new Distribution(pmf);
+    return new Distribution(pmf).setFractions(new Map([[value, Fraction.ONE]]));
   }
 
   /**
@@ -268,6 +367,35 @@ class Distribution {
     return this.pmf.get(value) || 0;
   }
 
+  // ========== Exact (Rational) Probabilities ==========
+
+  /**
+   * Attach exact probabilities (value -> Fraction, same values as the pmf).
+   * The float probabilities are replaced by the fractions' values, so
+   * 0.12499999 becomes 0.125.
+   *
+   * @param {Map} fractions
+   * @returns {Distribution} this
+   */
+  setFractions(fractions) {
+    this.fractions = fractions;
+    for (const [value, fraction] of fractions) {
+      if (this.pmf.has(value)) {
+        this.pmf.set(value, fraction.toNumber());
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Exact probability of a value, or null when the distribution has no
+   * exact probabilities (some input was irrational or sampled)
+   */
+  fraction(value) {
+    if (!this.fractions) return null;
+    return this.fractions.get(value) || Fraction.ZERO;
+  }
+
   // ========== Utility Methods ==========
 
   /**
@@ -377,5 +505,5 @@ class Distribution {
 
 // Export for use in browser and Node.js
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { Distribution };
+  module.exports = { Distribution, Fraction };
 }
@@ -1,15 +1,38 @@
 /**
- * Probabilistic DSL Evaluator
+ * Probabilistic DSL Evaluator (shared)
+ *
+ * Used by the DSL editors of tehdas-simulointi and tehdas-paattely, so a
+ * level's model gives the same distribution in both games.
  *
  * Evaluates DSL programs probabilistically by tracking random sources
  * and their dependencies. Variables are probability distributions, and
  * correlations between variables are preserved through shared sources.
  *
  * Key concepts:
- * - RandomSource: A source of randomness (e.g., a split() call)
+ * - RandomSource: A source of randomness (a split() call, or a bernoulli(),
+ *   categorical(), binomial(), uniform_int() or draw() call; see
+ *   randomPrimitiveOutcomes)
  * - ProbabilisticValue: A value that depends on random sources
  * - The interpreter uses BFS over source assignments, exploring
  *   high-probability branches first and discovering dependencies lazily
+ * - When the BFS budget runs out, variable elimination over the dependency
+ *   graph of values and sources still gives exact marginals for wide models
+ *   (VariableElimination); only what it can't solve is sampled
+ * - Computed distributions carry `diagnostics` (exact or approximate,
+ *   covered mass, sample count, confidence margins; see
+ *   approximationDiagnostics) and execute() reports `approximate`
+ * - observe(cond) / condition(cond) conditions the program on evidence:
+ *   runs where cond is false are dropped and every distribution is
+ *   renormalized over the rest (exactly when enumerated, by rejection when
+ *   sampled)
+ * - execute(statements, {exact: true}): when every probability a
+ *   distribution was enumerated from is rational, it also carries exact
+ *   `fractions` (see Fraction in distribution.js). Off by default: the
+ *   BigInt arithmetic costs several times the float work it shadows.
+ *   {exactTimeLimit: ms} stops tracking them after that long and finishes
+ *   the evaluation with floats only
+ * - execute(statements, {trace: true}) also records every executed
+ *   statement and loop iteration for the editor's step debugger
  */
 
 // Import Distribution for Node.js; in browser, it's already loaded via script tag
@@ -18,11 +41,19 @@ if (typeof module !== 'undefined' && typeof require !== 'undefined') {
     if (typeof Distribution === 'undefined') {
       Distribution = require('./distribution.js').Distribution;
     }
+    if (typeof Fraction === 'undefined') {
+      Fraction = require('./distribution.js').Fraction;
+    }
   } catch (e) {
     // Will be set by browser script loading
   }
 }
 
+// Joint states a while loop carries from one round to the next (see
+// collapseJointState). Per-round cost grows with it, so live evaluation in
+// the editor keeps it small; offline tools can afford more.
+const DEFAULT_MAX_JOINT_OUTCOMES = 200;
+
 /**
  * Global BFS budget tracker.
  * Shared across all toDistributionBFS calls within a single execution.
@@ -32,12 +63,180 @@ const globalBFSBudget = {
   remaining: 1000,   // Total BFS iterations allowed
   mcSamples: 1000,   // MC samples for fallback
   lastProcessedMass: 0, // Track raw mass coverage from last computation
+  exactRemaining: 500000, // Factor entries exact inference may build (VariableElimination)
+  elimination: null,      // VariableElimination shared by this execution's queries
+  approximate: false,     // Set when some distribution was sampled or truncated
+  truncated: false,       // Set when a probabilistic while loop was cut short:
+                          // enumerated fractions then describe the cut model
+  exact: false,           // Track exact fractions (execute option)
+  exactDeadline: null,    // Time (Date.now()) after which fractions are dropped
+  exactChecks: 0,         // Calls since the deadline was last checked
+  maxJointOutcomes: DEFAULT_MAX_JOINT_OUTCOMES,  // See collapseJointState (execute option)
   reset() {
     this.remaining = 1000;
     this.lastProcessedMass = 0;
+    this.exactRemaining = 500000;
+    this.elimination = null;
+    this.approximate = false;
+    this.truncated = false;
+    this.exact = false;
+    this.exactDeadline = null;
+    this.exactChecks = 0;
+    this.maxJointOutcomes = DEFAULT_MAX_JOINT_OUTCOMES;
   }
 };
 
+// Longest step trace execute() records (see DSLInterpreter.recordStep);
+// the debugger is for small teaching programs, not for 10000-round loops
+const MAX_TRACE_STEPS = 5000;
+
+/**
+ * Limits for exact inference. A model that needs a larger factor is too
+ * entangled to solve exactly and falls back to Monte Carlo sampling.
+ */
+const EXACT_INFERENCE_LIMITS = {
+  maxFactorEntries: 50000
+};
+
+// How many times a node's correlated parents are inlined (see
+// VariableElimination._buildValueNode); each round looks one level deeper
+const MAX_INLINE_ROUNDS = 3;
+
+// Uncovered mass that still counts as exact: BFS stops at epsilon and
+// float sums drift a little below 1
+const EXACT_MASS_TOLERANCE = 1e-9;
+
+/**
+ * Approximation diagnostics of a computed Distribution, attached as
+ * `distribution.diagnostics` and shown by the DSL editor:
+ *   exact       - nothing was sampled and no mass was dropped
+ *   coveredMass - probability mass enumerated exactly or sampled; the rest
+ *                 (BFS branches below epsilon, strata that drew no sample)
+ *                 is left out and the result renormalized
+ *   sampleCount - Monte Carlo samples drawn (0 when nothing was sampled)
+ *   margins     - Map value -> half-width of a 95% confidence interval for
+ *                 its probability (empty when nothing was sampled)
+ *
+ * The margins treat the samples as one simple random sample of the sampled
+ * mass. Spreading them over the BFS strata in proportion to probability
+ * only lowers the variance, so the intervals are conservative.
+ *
+ * @param {Map} results - value -> unnormalized probability (as in the pmf)
+ * @param {number} exactMass - Mass accumulated by enumeration
+ * @param {Map} sampledWeights - value -> part of `results` that came from samples
+ * @param {number} sampledMass - Mass of the strata that were sampled
+ * @param {number} sampleCount - Samples drawn
+ */
+function approximationDiagnostics(results, exactMass, sampledWeights, sampledMass, sampleCount) {
+  let total = 0;
+  for (const prob of results.values()) total += prob;
+
+  const margins = new Map();
+  if (sampleCount > 0 && sampledMass > 0 && total > 0) {
+    for (const [value, weight] of sampledWeights) {
+      const q = Math.min(1, weight / sampledMass);
+      margins.set(value, 1.96 * sampledMass * Math.sqrt(q * (1 - q) / sampleCount) / total);
+    }
+  }
+
+  const coveredMass = exactMass + sampledMass;
+  return {
+    exact: sampleCount === 0 && coveredMass >= 1 - EXACT_MASS_TOLERANCE,
+    coveredMass,
+    sampleCount,
+    margins
+  };
+}
+
+/**
+ * Diagnostics of a distribution computed from independent inputs: exact
+ * only if both inputs were. Margins don't carry over.
+ */
+function combineDiagnostics(distA, distB) {
+  const a = distA.diagnostics;
+  const b = distB.diagnostics;
+  if ((!a || a.exact) && (!b || b.exact)) return null;
+  return {
+    exact: false,
+    coveredMass: (a ? a.coveredMass : 1) * (b ? b.coveredMass : 1),
+    sampleCount: Math.max(a ? a.sampleCount : 0, b ? b.sampleCount : 0),
+    margins: new Map()
+  };
+}
+
+/**
+ * Exact versions of a source's outcome probabilities, renormalized to sum
+ * to exactly 1, or null if some probability isn't a simple fraction or
+ * this execution doesn't track fractions
+ */
+function exactFractions(probs) {
+  if (!tracksFractions()) return null;
+  const fractions = probs.map(p => Fraction.fromNumber(p));
+  if (fractions.some(f => f === null)) return null;
+  const total = fractions.reduce((sum, f) => sum.add(f), Fraction.ZERO);
+  if (total.isZero()) return null;
+  return total.equals(Fraction.ONE) ? fractions : fractions.map(f => f.div(total));
+}
+
+/**
+ * Enumerations stop tracking exact fractions beyond this denominator: the BigInt work then
+ * outweighs the use, as no one reads a fraction over 2^64.
+ */
+const MAX_EXACT_DENOMINATOR = 1n << 64n;
+
+/**
+ * Whether this execution still tracks fractions. Past the exact pass's
+ * deadline it stops for good, and a result enumerated across the deadline
+ * gets no fractions rather than fractions for part of its mass.
+ */
+function tracksFractions() {
+  const budget = globalBFSBudget;
+  if (budget.exact && budget.exactDeadline !== null && ++budget.exactChecks >= 256) {
+    budget.exactChecks = 0;
+    if (Date.now() > budget.exactDeadline) budget.exact = false;
+  }
+  return budget.exact;
+}
+
+/**
+ * Probability an enumeration starts from: Fraction.ONE when this execution
+ * tracks fractions, null (floats only) otherwise
+ */
+function fractionRoot() {
+  return tracksFractions() ? Fraction.ONE : null;
+}
+
+/**
+ * Exact probability of a branch extended by one outcome, or null once it has
+ * none, its denominator passes MAX_EXACT_DENOMINATOR or the execution
+ * stopped tracking fractions
+ */
+function extendFraction(fraction, outcome) {
+  if (!fraction || !outcome.fraction || !tracksFractions()) return null;
+  const extended = fraction.mul(outcome.fraction);
+  return extended.den <= MAX_EXACT_DENOMINATOR ? extended : null;
+}
+
+function largestDenominator(dist) {
+  let largest = 1n;
+  for (const fraction of dist.fractions.values()) {
+    if (fraction.den > largest) largest = fraction.den;
+  }
+  return largest;
+}
+
+/**
+ * Outcomes of a RandomSource that draws from a distribution, with exact
+ * probabilities when the distribution has them
+ */
+function outcomesOf(dist) {
+  return [...dist.pmf.entries()].map(([value, probability]) => ({
+    value,
+    probability,
+    fraction: dist.fractions ? dist.fractions.get(value) : undefined
+  }));
+}
+
 /**
  * Combine two independent distributions using a binary operation.
  * This is O(|A| * |B|) where |A| and |B| are support sizes.
@@ -48,6 +247,8 @@ const globalBFSBudget = {
  */
 function combineIndependentDistributions(distA, distB, op) {
   const result = new Map();
+  let exact = distA.fractions && distB.fractions && tracksFractions() &&
+    largestDenominator(distA) * largestDenominator(distB) <= MAX_EXACT_DENOMINATOR ? new Map() : null;
 
   for (const [valA, probA] of distA.pmf) {
     for (const [valB, probB] of distB.pmf) {
@@ -60,11 +261,17 @@ function combineIndependentDistributions(distA, distB, op) {
         : combinedVal;
 
       result.set(key, (result.get(key) || 0) + combinedProb);
+      if (exact && !tracksFractions()) exact = null;
+      if (exact) {
+        const fraction = distA.fraction(valA).mul(distB.fraction(valB));
+        exact.set(key, exact.has(key) ? exact.get(key).add(fraction) : fraction);
+      }
     }
   }
 
   // Convert back from string keys if needed
   const finalPmf = new Map();
+  const finalFractions = exact ? new Map() : null;
   for (const [key, prob] of result) {
     let actualKey = key;
     if (typeof key === 'string' && (key.startsWith('[') || key.startsWith('{'))) {
@@ -75,9 +282,18 @@ function combineIndependentDistributions(distA, distB, op) {
       }
     }
     finalPmf.set(actualKey, prob);
+    if (exact) finalFractions.set(actualKey, exact.get(key));
   }
 
-  return new Distribution(finalPmf);
+  const combined = new Distribution(finalPmf);
+  if (finalFractions) {
+    combined.setFractions(finalFractions);
+  }
+  const diagnostics = combineDiagnostics(distA, distB);
+  if (diagnostics) {
+    combined.diagnostics = diagnostics;
+  }
+  return combined;
 }
 
 /**
@@ -161,7 +377,8 @@ class RandomSource {
   static nextId = 0;
 
   /**
-   * @param {Array<{value: any, probability: number}>} outcomes
+   * @param {Array<{value: any, probability: number, fraction?: Fraction}>} outcomes
+   *   fraction: the exact probability, when it is rational
    * @param {string} description - Human-readable description (for debugging)
    */
   constructor(outcomes, description = '') {
@@ -174,19 +391,29 @@ class RandomSource {
    * Create a binary source (Bernoulli)
    */
   static binary(p, description = '') {
-    if (p <= 0) return new RandomSource([{ value: false, probability: 1.0 }], description);
-    if (p >= 1) return new RandomSource([{ value: true, probability: 1.0 }], description);
+    if (p <= 0) return new RandomSource([{ value: false, probability: 1.0, fraction: Fraction.ONE }], description);
+    if (p >= 1) return new RandomSource([{ value: true, probability: 1.0, fraction: Fraction.ONE }], description);
+    const fractions = exactFractions([p, 1 - p]);
     return new RandomSource([
-      { value: true, probability: p },
-      { value: false, probability: 1 - p }
+      { value: true, probability: p, fraction: fractions ? fractions[0] : undefined },
+      { value: false, probability: 1 - p, fraction: fractions ? fractions[1] : undefined }
     ], description);
   }
 
   /**
    * Create a multi-outcome source (for multi-way splits)
+   *
+   * @param {number[]} probs
+   * @param {string} description
+   * @param {Fraction[]|null} fractions - Exact probabilities; by default
+   *   recovered from probs when they are simple fractions
    */
-  static categorical(probs, description = '') {
-    const outcomes = probs.map((p, i) => ({ value: i, probability: p }));
+  static categorical(probs, description = '', fractions = exactFractions(probs)) {
+    const outcomes = probs.map((p, i) => ({
+      value: i,
+      probability: p,
+      fraction: fractions ? fractions[i] : undefined
+    }));
     return new RandomSource(outcomes, description);
   }
 
@@ -291,7 +518,8 @@ class ProbabilisticValue {
 
   /**
    * Convert to Distribution by enumerating all source combinations
-   * Falls back to Monte Carlo sampling if too many sources
+   * Falls back to variable elimination, then Monte Carlo sampling,
+   * if too many sources
    */
   toDistribution() {
     // If we have a cached marginal, use it
@@ -443,8 +671,12 @@ class ProbabilisticValue {
     const results = new Map();
     let processedMass = 0;
 
+    // Exact probabilities, while every branch has one (see Fraction)
+    let exactResults = new Map();
+    let exactTotal = Fraction.ZERO;
+
     // Start with empty assignment
-    heap.push({ assignment: {}, probability: 1.0 });
+    heap.push({ assignment: {}, probability: 1.0, fraction: fractionRoot() });
 
     // Track total probability remaining in queue for early termination
     let queueMass = 1.0;
@@ -454,7 +686,7 @@ class ProbabilisticValue {
       globalBFSBudget.remaining--;
 
       // Pop highest probability item
-      const { assignment, probability } = heap.pop();
+      const { assignment, probability, fraction } = heap.pop();
       queueMass -= probability;
 
       // Skip if this branch has negligible probability
@@ -468,6 +700,12 @@ class ProbabilisticValue {
         const value = result.value;
         results.set(value, (results.get(value) || 0) + probability);
         processedMass += probability;
+        if (exactResults && fraction) {
+          exactResults.set(value, exactResults.has(value) ? exactResults.get(value).add(fraction) : fraction);
+          exactTotal = exactTotal.add(fraction);
+        } else {
+          exactResults = null;
+        }
       } else {
         // Need more source info - branch on the needed source
         const source = sourceRegistry.get(result.neededSourceId);
@@ -480,14 +718,28 @@ class ProbabilisticValue {
           const newAssignment = { ...assignment, [source.id]: outcome.value };
           const newProbability = probability * outcome.probability;
           if (newProbability > epsilon * 0.001) {  // Skip negligible branches
-            heap.push({ assignment: newAssignment, probability: newProbability });
+            const newFraction = extendFraction(fraction, outcome);
+            heap.push({ assignment: newAssignment, probability: newProbability, fraction: newFraction });
             queueMass += newProbability;
           }
         }
       }
     }
 
+    // Budget ran out: exact inference over the dependency structure
+    // handles wide models that BFS can't enumerate
+    if (heap.size > 0 && queueMass > epsilon) {
+      const exact = VariableElimination.shared().marginal(this);
+      if (exact) {
+        return exact;
+      }
+    }
+
     // Phase 2: Stratified MC for remaining branches
+    const exactMass = processedMass;
+    const sampledWeights = new Map();
+    let sampledMass = 0;
+    let sampleCount = 0;
     if (heap.size > 0) {
       // Collect remaining items from heap
       const remainingItems = [];
@@ -515,6 +767,8 @@ class ProbabilisticValue {
             // and accept slightly less than 100% coverage
             continue;
           }
+          sampledMass += item.probability;
+          sampleCount += numSamples;
 
           for (let s = 0; s < numSamples; s++) {
             // Complete partial assignment by sampling all unassigned sources
@@ -544,6 +798,7 @@ class ProbabilisticValue {
             // Weight: probability of this stratum / number of samples in stratum
             const weight = item.probability / numSamples;
             results.set(value, (results.get(value) || 0) + weight);
+            sampledWeights.set(value, (sampledWeights.get(value) || 0) + weight);
           }
         }
 
@@ -559,7 +814,19 @@ class ProbabilisticValue {
       }
     }
 
-    return new Distribution(results);
+    const diagnostics = approximationDiagnostics(results, exactMass, sampledWeights, sampledMass, sampleCount);
+    const dist = new Distribution(results);
+    dist.diagnostics = diagnostics;
+    if (exactResults && sampleCount === 0 && exactTotal.equals(Fraction.ONE)) {
+      dist.setFractions(exactResults);
+    }
+    if (!diagnostics.exact) {
+      globalBFSBudget.approximate = true;
+    }
+    if (sampleCount > 0) {
+      dist._sampleCount = sampleCount;
+    }
+    return dist;
   }
 }
 
@@ -588,9 +855,478 @@ function parseMapKey(key) {
   return key;
 }
 
+/**
+ * Thrown while building a node's factor when its evaluator reads a parent
+ * (ProbabilisticValue or RandomSource) that the current row hasn't fixed.
+ */
+class NeedParentError extends Error {
+  constructor(parent) {
+    super('Need parent value');
+    this.parent = parent;
+    this.name = 'NeedParentError';
+  }
+}
+
+/**
+ * Thrown when exact inference would exceed its limits (see
+ * EXACT_INFERENCE_LIMITS and globalBFSBudget.exactRemaining).
+ */
+class InferenceLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InferenceLimitError';
+  }
+}
+
+/**
+ * Thrown when a node's evaluator fails on one combination of its parents'
+ * values. Domains over-approximate the reachable values, so the combination
+ * may be one the program never runs (an index out of range, say); the
+ * sampling fallback only evaluates reachable ones.
+ */
+class UnreachableRowError extends Error {
+  constructor(cause) {
+    super(cause.message);
+    this.cause = cause;
+    this.name = 'UnreachableRowError';
+  }
+}
+
+function countDistinctValues(rows) {
+  return new Set(rows.map(([, value]) => makeMapKey(value))).size;
+}
+
+function splitFactorKey(key) {
+  return key === '' ? [] : key.split(',');
+}
+
+/**
+ * Exact inference by variable elimination.
+ *
+ * The values of a program form a DAG: every ProbabilisticValue reads other
+ * values (its parents) and RandomSources. Each node becomes a variable with
+ * a finite domain; each source contributes its prior and each value a
+ * deterministic factor "node = f(parents)". Summing the variables out one
+ * at a time, smallest intermediate factor first, gives exact marginals in
+ * time exponential in the width of the dependency structure rather than in
+ * the number of sources: thirty independent splits cost thirty small steps
+ * instead of 2^30 assignments.
+ *
+ * Parents are discovered, not declared. A node's evaluator runs with a memo
+ * that answers for the parents fixed so far and throws NeedParentError for
+ * the rest, so every evaluator works unchanged and the enumeration only
+ * branches on what is actually read (like tryEvaluate does for sources).
+ *
+ * One instance caches the factors it builds, so all marginals computed
+ * during an execution (shared()) build each factor once.
+ */
+class VariableElimination {
+  constructor(limits = EXACT_INFERENCE_LIMITS) {
+    this.limits = limits;
+    this.nodes = new Map();        // ProbabilisticValue | RandomSource -> node
+    this.nodeList = [];            // node id -> node
+    this.constants = new Map();    // constant ProbabilisticValue -> value
+  }
+
+  /**
+   * The instance of the current execution (dropped by globalBFSBudget.reset())
+   */
+  static shared() {
+    if (!globalBFSBudget.elimination) {
+      globalBFSBudget.elimination = new VariableElimination();
+    }
+    return globalBFSBudget.elimination;
+  }
+
+  /**
+   * Exact marginal distribution of a value.
+   *
+   * @param {ProbabilisticValue} pv
+   * @returns {Distribution|null} null when the model exceeds the limits, or an
+   *   evaluator fails on a parent combination (see UnreachableRowError)
+   */
+  marginal(pv) {
+    if (pv.isConstant()) {
+      return Distribution.constant(pv.getConstantValue());
+    }
+    try {
+      const target = this._ensureNode(pv);
+      if (!target.marginal) {
+        target.marginal = this._eliminateAllBut(target);
+      }
+      return target.marginal;
+    } catch (e) {
+      if (e instanceof InferenceLimitError || e instanceof UnreachableRowError) return null;
+      throw e;
+    }
+  }
+
+  /**
+   * Build the node for a value and all its ancestors (iteratively: unrolled
+   * loops produce chains far deeper than the call stack).
+   */
+  _ensureNode(root) {
+    const stack = [root];
+    while (stack.length > 0) {
+      const key = stack[stack.length - 1];
+      if (this.nodes.has(key)) {
+        stack.pop();
+        continue;
+      }
+      const missing = key instanceof RandomSource ? this._addSourceNode(key) : this._buildValueNode(key);
+      if (missing) {
+        stack.push(missing);
+      } else {
+        stack.pop();
+      }
+    }
+    return this.nodes.get(root);
+  }
+
+  _addNode(key, domain, parents, table) {
+    const node = { id: this.nodeList.length, key, domain, parents, factor: null, marginal: null };
+    node.factor = { scope: [...parents, node.id], table };
+    this.nodes.set(key, node);
+    this.nodeList.push(node);
+    return node;
+  }
+
+  _addSourceNode(source) {
+    const domain = [];
+    const table = new Map();
+    for (const outcome of source.outcomes) {
+      if (outcome.probability <= 0) continue;
+      table.set(String(domain.length), outcome.probability);
+      domain.push(outcome.value);
+    }
+    this._addNode(source, domain, [], table);
+    return null;
+  }
+
+  /**
+   * Enumerate a value's evaluator over the parents it reads and store the
+   * result as a deterministic factor. Returns a parent that has no node yet
+   * (the caller builds it and calls again), or null when done.
+   *
+   * Domains are the values a node takes over all combinations of its
+   * parents' domains, which overshoots when the parents are correlated:
+   * for `ball = L + R` after `L, R = split(ball)` it would be {0, 1, 2}
+   * and keep growing around a loop. Parents that share a parent are
+   * therefore evaluated through (inlined), so the enumeration sees the
+   * common parent instead and the domain stays {1}.
+   */
+  _buildValueNode(pv) {
+    const sources = new Map();  // source id -> RandomSource
+    for (const source of pv.sources) {
+      sources.set(source.id, source);
+    }
+
+    // Inlining only pays off when it shrinks the domain; otherwise it just
+    // makes the factor wider, so the previous round is kept
+    let enumeration = this._enumerate(pv, new Set(), sources);
+    if (enumeration.missing) return enumeration.missing;
+    const inlined = new Set();
+    for (let round = 0; round < MAX_INLINE_ROUNDS; round++) {
+      const correlated = this._correlatedParents(enumeration.parents);
+      if (correlated.length === 0) break;
+      for (const id of correlated) inlined.add(this.nodeList[id].key);
+      const deeper = this._enumerate(pv, inlined, sources);
+      if (deeper.missing) return deeper.missing;
+      if (countDistinctValues(deeper.rows) >= countDistinctValues(enumeration.rows)) break;
+      enumeration = deeper;
+    }
+    const { parents, rows } = enumeration;
+
+    // Rows that never read some parent hold for all of its values
+    const domain = [];
+    const domainIndex = new Map();
+    const table = new Map();
+    for (const [fixed, value] of rows) {
+      const valueKey = makeMapKey(value);
+      if (!domainIndex.has(valueKey)) {
+        domainIndex.set(valueKey, domain.length);
+        domain.push(value);
+      }
+      const valueIdx = domainIndex.get(valueKey);
+      let keys = [''];
+      for (const parentId of parents) {
+        const choices = fixed.has(parentId)
+          ? [fixed.get(parentId)]
+          : this.nodeList[parentId].domain.map((_, i) => i);
+        const next = [];
+        for (const prefix of keys) {
+          for (const i of choices) {
+            next.push(prefix === '' ? String(i) : `${prefix},${i}`);
+          }
+        }
+        keys = next;
+      }
+      this._charge(keys.length);
+      for (const prefix of keys) {
+        table.set(prefix === '' ? String(valueIdx) : `${prefix},${valueIdx}`, 1);
+      }
+      this._checkFactorSize(table.size);
+    }
+
+    this._addNode(pv, domain, parents, table);
+    return null;
+  }
+
+  /**
+   * Run `pv`'s evaluator for every combination of the parents it reads,
+   * evaluating the values in `inlined` instead of treating them as parents.
+   *
+   * @returns {{missing}|{parents, rows}} missing: a parent without a node;
+   *   rows: [fixed parent values (node id -> domain index), value]
+   */
+  _enumerate(pv, inlined, sources) {
+    const parents = [];  // Parent node ids in discovery order
+    const rows = [];
+    const pending = [new Map()];
+    while (pending.length > 0) {
+      const fixed = pending.pop();
+      let value;
+      try {
+        value = pv.evaluator(this._assignmentFor(pv, fixed, inlined, sources));
+      } catch (e) {
+        // The program's own errors are plain Errors; anything else is a bug
+        if (!(e instanceof NeedParentError)) {
+          throw Object.getPrototypeOf(e) === Error.prototype ? new UnreachableRowError(e) : e;
+        }
+        const parent = this.nodes.get(e.parent);
+        if (!parent) return { missing: e.parent };
+        if (!parents.includes(parent.id)) parents.push(parent.id);
+        this._charge(parent.domain.length);
+        for (let i = 0; i < parent.domain.length; i++) {
+          pending.push(new Map(fixed).set(parent.id, i));
+        }
+        continue;
+      }
+      rows.push([fixed, value]);
+    }
+    return { parents, rows };
+  }
+
+  /**
+   * Value parents whose own parents are shared with another parent (or are
+   * another parent): their joint values are correlated.
+   */
+  _correlatedParents(parentIds) {
+    const correlated = [];
+    for (const id of parentIds) {
+      const node = this.nodeList[id];
+      if (node.key instanceof RandomSource) continue;
+      const others = new Set();
+      for (const otherId of parentIds) {
+        if (otherId === id) continue;
+        others.add(otherId);
+        for (const q of this.nodeList[otherId].parents) others.add(q);
+      }
+      if (node.parents.some(q => others.has(q))) {
+        correlated.push(id);
+      }
+    }
+    return correlated;
+  }
+
+  /**
+   * Assignment for evaluating `pv` with the parents in `fixed`: its memo
+   * returns fixed parent values instead of evaluating them (except for
+   * `inlined` values) and throws NeedParentError for parents (values or
+   * sources) not fixed yet. Source ids are resolved through `pv`'s own
+   * sources, which include those of everything it reads.
+   */
+  _assignmentFor(pv, fixed, inlined, sources) {
+    const valueOf = (key) => {
+      const node = this.nodes.get(key);
+      if (!node || !fixed.has(node.id)) {
+        throw new NeedParentError(key);
+      }
+      return node.domain[fixed.get(node.id)];
+    };
+
+    const memo = {
+      has: (value) => {
+        if (value === pv || inlined.has(value)) return false;
+        if (!value.isConstant()) valueOf(value);
+        return true;
+      },
+      get: (value) => {
+        if (!value.isConstant()) return valueOf(value);
+        if (!this.constants.has(value)) {
+          this.constants.set(value, value.getConstantValue());
+        }
+        return this.constants.get(value);
+      },
+      set: () => {}
+    };
+
+    return new Proxy({}, {
+      get: (target, prop) => {
+        if (prop === '_memo') return memo;
+        if (typeof prop === 'symbol') return undefined;
+        const source = sources.get(prop);
+        if (!source) {
+          throw new ReferenceError(`Unknown source: ${prop}`);
+        }
+        return valueOf(source);
+      },
+      has: (target, prop) => prop === '_memo' || sources.has(prop)
+    });
+  }
+
+  /**
+   * Sum out every ancestor of `target`, leaving its marginal.
+   * Descendants of the target are never built, so they need no summing.
+   */
+  _eliminateAllBut(target) {
+    const relevant = new Set();
+    const stack = [target.id];
+    while (stack.length > 0) {
+      const id = stack.pop();
+      if (relevant.has(id)) continue;
+      relevant.add(id);
+      stack.push(...this.nodeList[id].parents);
+    }
+
+    const factorsOf = new Map();  // node id -> Set of factors mentioning it
+    for (const id of relevant) {
+      factorsOf.set(id, new Set());
+    }
+    const addFactor = (factor) => {
+      for (const id of factor.scope) factorsOf.get(id).add(factor);
+    };
+    for (const id of relevant) {
+      addFactor(this.nodeList[id].factor);
+    }
+
+    // Greedy min-size order: always eliminate the variable whose combined
+    // factor would be smallest. Costs change only for the neighbours of an
+    // eliminated variable, so only those are recomputed.
+    const costOf = (id) => {
+      const scope = new Set();
+      for (const factor of factorsOf.get(id)) {
+        for (const v of factor.scope) scope.add(v);
+      }
+      let size = 1;
+      for (const v of scope) size *= this.nodeList[v].domain.length;
+      return size;
+    };
+    const costs = new Map();
+    for (const id of relevant) {
+      if (id !== target.id) costs.set(id, costOf(id));
+    }
+
+    while (costs.size > 0) {
+      let best = null;
+      let bestCost = Infinity;
+      for (const [id, cost] of costs) {
+        if (best === null || cost < bestCost) {
+          best = id;
+          bestCost = cost;
+        }
+      }
+      costs.delete(best);
+
+      const factors = [...factorsOf.get(best)].sort((a, b) => a.table.size - b.table.size);
+      for (const factor of factors) {
+        for (const id of factor.scope) factorsOf.get(id).delete(factor);
+      }
+      factorsOf.delete(best);
+
+      let product = factors[0];
+      for (let i = 1; i < factors.length; i++) {
+        product = this._multiply(product, factors[i]);
+      }
+      const reduced = this._sumOut(product, best);
+      addFactor(reduced);
+
+      for (const id of reduced.scope) {
+        if (costs.has(id)) costs.set(id, costOf(id));
+      }
+    }
+
+    // Only factors over the target itself are left
+    const pmf = new Map();
+    for (let i = 0; i < target.domain.length; i++) {
+      let prob = 1;
+      for (const factor of factorsOf.get(target.id)) {
+        prob *= factor.table.get(String(i)) || 0;
+      }
+      if (prob > 0) {
+        const value = target.domain[i];
+        pmf.set(value, (pmf.get(value) || 0) + prob);
+      }
+    }
+    const dist = new Distribution(pmf);
+    dist.diagnostics = { exact: true, coveredMass: 1, sampleCount: 0, margins: new Map() };
+    return dist;
+  }
+
+  _multiply(f, g) {
+    const shared = g.scope.filter(v => f.scope.includes(v));
+    const fShared = shared.map(v => f.scope.indexOf(v));
+    const gShared = shared.map(v => g.scope.indexOf(v));
+    const gRest = [];
+    g.scope.forEach((v, i) => {
+      if (!f.scope.includes(v)) gRest.push(i);
+    });
+
+    const index = new Map();  // shared key -> [[g row indices, prob]]
+    for (const [key, prob] of g.table) {
+      const idx = splitFactorKey(key);
+      const sharedKey = gShared.map(i => idx[i]).join(',');
+      if (!index.has(sharedKey)) index.set(sharedKey, []);
+      index.get(sharedKey).push([idx, prob]);
+    }
+
+    const table = new Map();
+    for (const [key, prob] of f.table) {
+      const idx = splitFactorKey(key);
+      const matches = index.get(fShared.map(i => idx[i]).join(','));
+      if (!matches) continue;
+      this._charge(matches.length);
+      for (const [gIdx, gProb] of matches) {
+        const rowKey = idx.concat(gRest.map(i => gIdx[i])).join(',');
+        table.set(rowKey, (table.get(rowKey) || 0) + prob * gProb);
+      }
+      this._checkFactorSize(table.size);
+    }
+
+    return { scope: f.scope.concat(gRest.map(i => g.scope[i])), table };
+  }
+
+  _sumOut(f, variable) {
+    const pos = f.scope.indexOf(variable);
+    const table = new Map();
+    for (const [key, prob] of f.table) {
+      const idx = splitFactorKey(key);
+      idx.splice(pos, 1);
+      const rowKey = idx.join(',');
+      table.set(rowKey, (table.get(rowKey) || 0) + prob);
+    }
+    return { scope: f.scope.filter(v => v !== variable), table };
+  }
+
+  _charge(entries) {
+    globalBFSBudget.exactRemaining -= entries;
+    if (globalBFSBudget.exactRemaining < 0) {
+      throw new InferenceLimitError('exact inference budget exhausted');
+    }
+  }
+
+  _checkFactorSize(size) {
+    if (size > this.limits.maxFactorEntries) {
+      throw new InferenceLimitError(`factor larger than ${this.limits.maxFactorEntries} entries`);
+    }
+  }
+}
+
 /**
  * Compute distributions for ALL variables in a single BFS pass.
  * Much more efficient than computing each variable separately.
+ * If the BFS budget runs out, variables are solved exactly by variable
+ * elimination where possible and only the rest are sampled.
  *
  * @param {Object} variables - Map of variable name -> ProbabilisticValue
  * @param {number} epsilon - Stop when remaining mass < epsilon
@@ -650,15 +1386,22 @@ function computeAllDistributions(variables, epsilon = 1e-10) {
   }
   let processedMass = 0;
 
+  // Exact probabilities per variable, while every branch has one
+  let exactResults = {};
+  for (const name of Object.keys(probVars)) {
+    exactResults[name] = new Map();
+  }
+  let exactTotal = Fraction.ZERO;
+
   // Start with empty assignment
-  heap.push({ assignment: {}, probability: 1.0 });
+  heap.push({ assignment: {}, probability: 1.0, fraction: fractionRoot() });
   let queueMass = 1.0;
 
   // Phase 1: BFS for high-probability branches
   while (heap.size > 0 && globalBFSBudget.remaining > 0 && queueMass > epsilon) {
     globalBFSBudget.remaining--;
 
-    const { assignment, probability } = heap.pop();
+    const { assignment, probability, fraction } = heap.pop();
     queueMass -= probability;
 
     if (probability < epsilon * 0.01) continue;
@@ -689,6 +1432,16 @@ function computeAllDistributions(variables, epsilon = 1e-10) {
         varResults.set(key, (varResults.get(key) || 0) + probability);
       }
       processedMass += probability;
+      if (exactResults && fraction) {
+        for (const [name, value] of Object.entries(varValues)) {
+          const varExact = exactResults[name];
+          const key = makeMapKey(value);
+          varExact.set(key, varExact.has(key) ? varExact.get(key).add(fraction) : fraction);
+        }
+        exactTotal = exactTotal.add(fraction);
+      } else {
+        exactResults = null;
+      }
 
       // Early termination: if we've covered ~all mass, stop BFS
       if (processedMass > 1 - epsilon) {
@@ -707,14 +1460,40 @@ function computeAllDistributions(variables, epsilon = 1e-10) {
         const newAssignment = { ...assignment, [source.id]: outcome.value };
         const newProbability = probability * outcome.probability;
         if (newProbability > epsilon * 0.001) {
-          heap.push({ assignment: newAssignment, probability: newProbability });
+          const newFraction = extendFraction(fraction, outcome);
+          heap.push({ assignment: newAssignment, probability: newProbability, fraction: newFraction });
           queueMass += newProbability;
         }
       }
     }
   }
 
+  // Budget ran out: solve what variable elimination can exactly
+  if (heap.size > 0 && processedMass < 1 - epsilon) {
+    const exact = VariableElimination.shared();
+    for (const [name, pv] of Object.entries(probVars)) {
+      const marginal = exact.marginal(pv);
+      if (marginal) {
+        precomputed[name] = marginal;
+        pv._cachedMarginal = marginal;
+        delete probVars[name];
+        delete results[name];
+      }
+    }
+    if (Object.keys(probVars).length === 0) {
+      while (heap.size > 0) heap.pop();
+      processedMass = 1;
+    }
+  }
+
   // Phase 2: Stratified MC for remaining branches (only if needed)
+  const exactMass = processedMass;
+  const sampledResults = {};  // Per variable: the part of results that came from samples
+  for (const name of Object.keys(probVars)) {
+    sampledResults[name] = new Map();
+  }
+  let sampledMass = 0;
+  let sampleCount = 0;
   if (heap.size > 0 && processedMass < 1 - epsilon) {
     const remainingItems = [];
     let totalRemaining = 0;
@@ -727,7 +1506,6 @@ function computeAllDistributions(variables, epsilon = 1e-10) {
     }
 
     if (totalRemaining > epsilon && remainingItems.length > 0 && globalBFSBudget.mcSamples > 0) {
-      let sampledMass = 0;
       for (const item of remainingItems) {
         const expectedSamples = globalBFSBudget.mcSamples * item.probability / totalRemaining;
         const floorSamples = Math.floor(expectedSamples);
@@ -737,6 +1515,7 @@ function computeAllDistributions(variables, epsilon = 1e-10) {
         if (numSamples === 0) continue;
 
         sampledMass += item.probability;
+        sampleCount += numSamples;
 
         for (let s = 0; s < numSamples; s++) {
           // Complete partial assignment by sampling unassigned sources
@@ -765,6 +1544,7 @@ function computeAllDistributions(variables, epsilon = 1e-10) {
             const varResults = results[name];
             const key = makeMapKey(value);
             varResults.set(key, (varResults.get(key) || 0) + weight);
+            sampledResults[name].set(key, (sampledResults[name].get(key) || 0) + weight);
           }
         }
       }
@@ -779,16 +1559,38 @@ function computeAllDistributions(variables, epsilon = 1e-10) {
   // Start with precomputed distributions (from eager convolution optimization)
   const distributions = { ...precomputed };
   const normFactor = (processedMass < 1 - epsilon && processedMass > 0) ? 1.0 / processedMass : 1.0;
+  const fractionsExact = exactResults && sampleCount === 0 && exactTotal.equals(Fraction.ONE);
 
   for (const [name, varResults] of Object.entries(results)) {
     // Parse stringified keys back to original values and normalize
+    const rawResults = new Map();
     const parsedResults = new Map();
+    const sampledWeights = new Map();
     for (const [key, prob] of varResults) {
       const value = parseMapKey(key);
       const normalizedProb = normFactor !== 1.0 ? prob * normFactor : prob;
+      rawResults.set(value, prob);
       parsedResults.set(value, normalizedProb);
+      if (sampledResults[name].has(key)) {
+        sampledWeights.set(value, sampledResults[name].get(key));
+      }
     }
+    const diagnostics = approximationDiagnostics(rawResults, exactMass, sampledWeights, sampledMass, sampleCount);
     distributions[name] = new Distribution(parsedResults);
+    distributions[name].diagnostics = diagnostics;
+    if (fractionsExact) {
+      const fractions = new Map();
+      for (const [value] of parsedResults) {
+        fractions.set(value, exactResults[name].get(makeMapKey(value)));
+      }
+      distributions[name].setFractions(fractions);
+    }
+    if (!diagnostics.exact) {
+      globalBFSBudget.approximate = true;
+    }
+    if (sampleCount > 0) {
+      distributions[name]._sampleCount = sampleCount;
+    }
     // Also cache in the ProbabilisticValue for getMarginal()
     probVars[name]._cachedMarginal = distributions[name];
   }
@@ -807,6 +1609,259 @@ function computeAllDistributions(variables, epsilon = 1e-10) {
   return distributions;
 }
 
+/**
+ * Value of a conditioned variable on runs that observe() ruled out. A
+ * Symbol never equals a program value, and as a Map key it survives BFS,
+ * variable elimination and sampling unchanged.
+ */
+const REJECTED = Symbol('rejected');
+
+/**
+ * The value of `pv` on runs where the evidence holds, REJECTED elsewhere.
+ * The evidence is read first, so runs it rules out don't need the sources
+ * of `pv`.
+ *
+ * @param {ProbabilisticValue} pv
+ * @param {ProbabilisticValue} evidence - false on rejected runs
+ * @returns {ProbabilisticValue}
+ */
+function conditionOn(pv, evidence) {
+  return new ProbabilisticValue(
+    (assignment) => evidence.eval(assignment) === false ? REJECTED : pv.eval(assignment),
+    new Set([...evidence.sources, ...pv.sources])
+  );
+}
+
+/**
+ * Drop the REJECTED mass of a conditioned distribution and renormalize.
+ * This is exact renormalization for enumerated mass and rejection sampling
+ * for sampled mass: margins grow as fewer samples are kept.
+ *
+ * @param {Distribution} dist - Distribution of a conditionOn() value
+ * @returns {Distribution|null} null when every run was rejected
+ */
+function discardRejected(dist) {
+  const accepted = 1 - (dist.pmf.get(REJECTED) || 0);
+  const pmf = new Map(dist.pmf);
+  pmf.delete(REJECTED);
+  if (pmf.size === 0 || accepted <= 0) return null;
+
+  const posterior = new Distribution(pmf);
+  if (dist.fractions) {
+    const acceptedFraction = Fraction.ONE.sub(dist.fraction(REJECTED));
+    const fractions = new Map();
+    for (const [value, fraction] of dist.fractions) {
+      if (value !== REJECTED) fractions.set(value, fraction.div(acceptedFraction));
+    }
+    posterior.setFractions(fractions);
+  }
+  const diagnostics = dist.diagnostics;
+  if (diagnostics) {
+    const margins = new Map();
+    for (const [value, margin] of diagnostics.margins) {
+      if (value !== REJECTED) margins.set(value, margin / accepted);
+    }
+    posterior.diagnostics = { ...diagnostics, margins };
+  }
+  if (dist._sampleCount) {
+    posterior._sampleCount = dist._sampleCount;
+  }
+  return posterior;
+}
+
+// Largest number of outcomes one random primitive may have (see
+// randomPrimitiveOutcomes); beyond it exact enumeration is hopeless anyway
+const MAX_PRIMITIVE_OUTCOMES = 10000;
+
+function requireInteger(name, what, value) {
+  if (typeof value !== 'number' || !Number.isInteger(value)) {
+    throw new Error(`${name}() ${what} must be an integer, got ${value}`);
+  }
+}
+
+function requireProbability(name, p) {
+  if (typeof p !== 'number' || !(p >= 0 && p <= 1)) {
+    throw new Error(`${name}() probability must be a number between 0 and 1, got ${p}`);
+  }
+}
+
+/**
+ * Restore a dictionary key to the type it was written with (evalDict
+ * stores non-string keys as JSON).
+ */
+function dictKey(dict, keyStr) {
+  if (!dict['__key_type_' + keyStr]) return keyStr;
+  try {
+    return JSON.parse(keyStr);
+  } catch (e) {
+    return keyStr;
+  }
+}
+
+/**
+ * Outcomes of a random primitive call, with constant arguments:
+ *   bernoulli(p)         1 with probability p, else 0
+ *   categorical(weights) a key of a {value: weight} dict, or an index of a
+ *                        weight list; weights are relative, like in split()
+ *   binomial(n, p)       number of successes in n bernoulli(p) trials
+ *   uniform_int(a, b)    integer from a to b, both included
+ *   draw(sack, k)        list of k items drawn in order without replacement
+ *                        from a list of items or an {item: count} dict
+ *
+ * @returns {{values: Array, probs: number[], fractions: Fraction[]|null}}
+ *   Distinct values and their probabilities (sum 1); fractions are the exact
+ *   probabilities when the arguments are simple fractions
+ */
+function randomPrimitiveOutcomes(name, args) {
+  switch (name) {
+    case 'bernoulli': {
+      if (args.length !== 1) throw new Error('bernoulli() requires exactly 1 argument');
+      requireProbability(name, args[0]);
+      const p = globalBFSBudget.exact ? Fraction.fromNumber(args[0]) : null;
+      return {
+        values: [0, 1],
+        probs: [1 - args[0], args[0]],
+        fractions: p ? [Fraction.ONE.sub(p), p] : null
+      };
+    }
+
+    case 'categorical': {
+      if (args.length !== 1) throw new Error('categorical() requires exactly 1 argument');
+      const weights = args[0];
+      let values;
+      let probs;
+      if (Array.isArray(weights)) {
+        values = weights.map((_, i) => i);
+        probs = [...weights];
+      } else if (weights && typeof weights === 'object' && weights.__isDict__) {
+        const keys = Object.keys(weights).filter(k => !k.startsWith('__'));
+        values = keys.map(k => dictKey(weights, k));
+        probs = keys.map(k => weights[k]);
+      } else {
+        throw new Error('categorical() argument must be a {value: weight} dict or a list of weights');
+      }
+      for (const w of probs) {
+        if (typeof w !== 'number' || !isFinite(w) || w < 0) {
+          throw new Error(`categorical() weights must be non-negative numbers, got ${w}`);
+        }
+      }
+      const total = probs.reduce((a, b) => a + b, 0);
+      if (total <= 0) throw new Error('categorical() weights must not all be zero');
+      return { values, probs: probs.map(w => w / total), fractions: exactFractions(probs) };
+    }
+
+    case 'binomial': {
+      if (args.length !== 2) throw new Error('binomial() requires exactly 2 arguments');
+      const [n, p] = args;
+      requireInteger(name, 'n', n);
+      if (n < 0 || n + 1 > MAX_PRIMITIVE_OUTCOMES) {
+        throw new Error(`binomial() n must be between 0 and ${MAX_PRIMITIVE_OUTCOMES - 1}, got ${n}`);
+      }
+      requireProbability(name, p);
+      if (p === 0 || p === 1) return { values: [p * n], probs: [1], fractions: globalBFSBudget.exact ? [Fraction.ONE] : null };
+      // In log space: C(n, k) p^k (1-p)^(n-k) underflows for large n
+      const values = [];
+      const probs = [];
+      let logCoefficient = 0;  // log C(n, k)
+      for (let k = 0; k <= n; k++) {
+        values.push(k);
+        probs.push(Math.exp(logCoefficient + k * Math.log(p) + (n - k) * Math.log(1 - p)));
+        logCoefficient += Math.log(n - k) - Math.log(k + 1);
+      }
+
+      // Exactly C(n, k) a^k (d-a)^(n-k) / d^n for p = a/d, unless d^n is
+      // too large to be worth carrying through the enumeration
+      const exactP = globalBFSBudget.exact ? Fraction.fromNumber(p) : null;
+      let fractions = null;
+      if (exactP && n * Math.log2(Number(exactP.den)) <= 1024) {
+        const a = exactP.num;
+        const b = exactP.den - exactP.num;
+        const denominator = exactP.den ** BigInt(n);
+        fractions = [];
+        let coefficient = 1n;  // C(n, k)
+        for (let k = 0; k <= n; k++) {
+          fractions.push(new Fraction(coefficient * a ** BigInt(k) * b ** BigInt(n - k), denominator));
+          coefficient = coefficient * BigInt(n - k) / BigInt(k + 1);
+        }
+      }
+      return { values, probs, fractions };
+    }
+
+    case 'uniform_int': {
+      if (args.length !== 2) throw new Error('uniform_int() requires exactly 2 arguments');
+      const [a, b] = args;
+      requireInteger(name, 'bounds', a);
+      requireInteger(name, 'bounds', b);
+      if (b < a) throw new Error(`uniform_int() needs a <= b, got ${a} and ${b}`);
+      if (b - a + 1 > MAX_PRIMITIVE_OUTCOMES) {
+        throw new Error(`uniform_int() range has more than ${MAX_PRIMITIVE_OUTCOMES} values`);
+      }
+      const values = [];
+      for (let v = a; v <= b; v++) values.push(v);
+      const share = globalBFSBudget.exact ? new Fraction(1n, BigInt(values.length)) : null;
+      return { values, probs: values.map(() => 1 / values.length), fractions: share ? values.map(() => share) : null };
+    }
+
+    case 'draw': {
+      if (args.length < 1 || args.length > 2) throw new Error('draw() requires 1 or 2 arguments: draw(sack, k)');
+      const [sack, k = 1] = args;
+      // Group identical items: [item, count]
+      const counts = [];
+      if (Array.isArray(sack)) {
+        for (const item of sack) {
+          const key = JSON.stringify(item);
+          const entry = counts.find(([other]) => JSON.stringify(other) === key);
+          if (entry) entry[1]++;
+          else counts.push([item, 1]);
+        }
+      } else if (sack && typeof sack === 'object' && sack.__isDict__) {
+        for (const keyStr of Object.keys(sack).filter(key => !key.startsWith('__'))) {
+          const count = sack[keyStr];
+          requireInteger(name, 'item counts', count);
+          if (count < 0) throw new Error(`draw() item counts must not be negative, got ${count}`);
+          if (count > 0) counts.push([dictKey(sack, keyStr), count]);
+        }
+      } else {
+        throw new Error('draw() sack must be a list of items or an {item: count} dict');
+      }
+      const size = counts.reduce((sum, [, count]) => sum + count, 0);
+      requireInteger(name, 'k', k);
+      if (k < 0 || k > size) {
+        throw new Error(`draw() cannot draw ${k} items from a sack of ${size}`);
+      }
+
+      // Enumerate ordered draws; items of the same kind are interchangeable
+      const values = [];
+      const probs = [];
+      const fractions = globalBFSBudget.exact ? [] : null;
+      const extend = (drawn, prob, fraction, remaining) => {
+        if (drawn.length === k) {
+          if (values.length >= MAX_PRIMITIVE_OUTCOMES) {
+            throw new Error(`draw() has more than ${MAX_PRIMITIVE_OUTCOMES} possible outcomes`);
+          }
+          values.push(drawn);
+          probs.push(prob);
+          if (fractions) fractions.push(fraction);
+          return;
+        }
+        const left = size - drawn.length;
+        for (let i = 0; i < counts.length; i++) {
+          if (remaining[i] === 0) continue;
+          const next = [...remaining];
+          next[i]--;
+          const step = fraction && new Fraction(BigInt(remaining[i]), BigInt(left));
+          extend([...drawn, counts[i][0]], prob * remaining[i] / left, fraction && fraction.mul(step), next);
+        }
+      };
+      extend([], 1, fractionRoot(), counts.map(([, count]) => count));
+      return { values, probs, fractions };
+    }
+
+    default:
+      throw new Error(`Unknown random primitive: ${name}`);
+  }
+}
+
 /**
  * DSL Interpreter
  *
@@ -835,7 +1890,15 @@ class DSLInterpreter {
     this.returnValue = null;
     this.returnPv = null;  // ProbabilisticValue for return statement
     this.distributions = {};  // Pre-computed distributions for all variables
+    this.evidence = null;  // observe() evidence (see computePosteriors)
+    this.truncated = false;  // A probabilistic while loop was cut short
+    this.branchFrames = [];  // Values held by enclosing probabilistic ifs, see collapseJointState
     this.lineSnapshots = [];  // [{ line, variables }] — variables map after each statement
+    this.tracing = false;  // Record a step trace (execute option)
+    this.trace = [];  // Debugger steps, see recordStep
+    this.traceFrames = [];  // Enclosing loops and function calls while tracing
+    this.traceFrameCount = 0;  // Frame ids: one per loop run or function call
+    this.traceTruncated = false;  // Stopped recording at MAX_TRACE_STEPS
     this.errors = [];
     RandomSource.resetIdCounter();
     // Re-add math constants
@@ -847,10 +1910,23 @@ class DSLInterpreter {
 
   /**
    * Execute a parsed program (array of statements)
+   *
+   * @param {Object[]} statements
+   * @param {Object} options - {trace}: record a step trace for the debugger
+   *   (every loop round is a step; see traceLoop);
+   *   {exact}: give distributions exact fractions where they are rational;
+   *   {exactTimeLimit}: ms after which {exact} stops tracking fractions;
+   *   {maxJointOutcomes}: joint states kept between while-loop rounds
+   *   (default 200; beyond it the likeliest are kept and the result is
+   *   approximate)
    */
-  execute(statements) {
+  execute(statements, options = {}) {
     this.reset();
     globalBFSBudget.reset();  // Reset global BFS budget for this execution
+    globalBFSBudget.exact = !!options.exact;
+    if (options.exactTimeLimit != null) globalBFSBudget.exactDeadline = Date.now() + options.exactTimeLimit;
+    if (options.maxJointOutcomes) globalBFSBudget.maxJointOutcomes = options.maxJointOutcomes;
+    this.tracing = !!options.trace;
 
     try {
       for (const stmt of statements) {
@@ -870,9 +1946,23 @@ class DSLInterpreter {
       });
     }
 
+    // Evidence from observe() (see evalObserve)
+    this.evidence = this.variables['__observed__'] || null;
+    delete this.variables['__observed__'];
+
     // Compute distributions for ALL variables at once (more efficient)
     // This also caches them in each ProbabilisticValue for getMarginal()
-    this.distributions = computeAllDistributions(this.variables);
+    if (this.evidence) {
+      this.distributions = this.computePosteriors();
+    } else {
+      this.distributions = computeAllDistributions(this.variables);
+    }
+
+    // Fractions enumerated through a cut-short loop aren't the program's
+    this.truncated = globalBFSBudget.truncated;
+    for (const dist of Object.values(this.distributions)) {
+      this.withoutStaleFractions(dist);
+    }
 
     // Get return value from computed distributions (if there was a return statement)
     if (this.distributions['__return__']) {
@@ -888,10 +1978,135 @@ class DSLInterpreter {
       distributions: this.distributions,  // Pre-computed distributions for all variables
       lineSnapshots: this.lineSnapshots,
       sources: this.sources,
-      errors: this.errors
+      errors: this.errors,
+      approximate: globalBFSBudget.approximate,  // Some distribution was sampled, not exact
+      truncated: this.truncated,  // Some while loop was cut short: no exact fractions
+      trace: this.tracing ? this.trace : null,
+      traceTruncated: this.traceTruncated
     };
   }
 
+  // ========== Step Trace (debugger) ==========
+  //
+  // While tracing, every executed statement adds a step after it ran, and
+  // every loop iteration and function call adds one at the loop / function
+  // header before its body runs:
+  //
+  //   { index, line, event: 'statement' | 'iteration' | 'call', depth,
+  //     frames: [{ id, kind: 'for' | 'while' | 'function', label, line, iteration }],
+  //     variables }
+  //
+  // depth is the number of enclosing loops and function calls (frames), so
+  // "step over" is the next step at the same or a lower depth. variables is
+  // the scope's variables map at that moment; getStepDistribution() turns
+  // its values into distributions on demand.
+
+  /**
+   * Add a step to the trace (no-op when not tracing)
+   */
+  recordStep(line, event = 'statement') {
+    if (!this.tracing || line == null) return;
+    if (this.trace.length >= MAX_TRACE_STEPS) {
+      this.traceTruncated = true;
+      return;
+    }
+    this.trace.push({
+      index: this.trace.length,
+      line,
+      event,
+      depth: this.traceFrames.length,
+      frames: this.traceFrames.map(frame => ({ ...frame })),
+      variables: { ...this.variables }
+    });
+  }
+
+  /**
+   * Enter a loop or function call body. A call adds its 'call' step here;
+   * loops add an 'iteration' step per round (traceIteration).
+   *
+   * @returns {Object|null} The frame, for traceLeave; null when not tracing
+   */
+  traceEnter(kind, label, line) {
+    if (!this.tracing) return null;
+    const frame = { id: this.traceFrameCount++, kind, label, line, iteration: 0 };
+    this.traceFrames.push(frame);
+    if (kind === 'function') this.recordStep(line, 'call');
+    return frame;
+  }
+
+  /**
+   * Start the next round of the innermost loop
+   */
+  traceIteration() {
+    if (!this.tracing || this.traceFrames.length === 0) return;
+    const frame = this.traceFrames[this.traceFrames.length - 1];
+    frame.iteration++;
+    this.recordStep(frame.line, 'iteration');
+  }
+
+  traceLeave(frame) {
+    if (frame) this.traceFrames.splice(this.traceFrames.indexOf(frame), 1);
+  }
+
+  /**
+   * Run a loop while tracing. The trace shows every round, but the variables
+   * after the loop come from the loop's fast path when it applies, as in a
+   * live evaluation: unrolled rounds can end in a slightly different
+   * distribution (a while loop cut off at another depth, say).
+   *
+   * @param {Function} tryFastPath - The loop's fast path; false if it doesn't apply
+   * @param {Function} runRounds - Runs and traces the loop round by round
+   */
+  traceLoop(tryFastPath, runRounds) {
+    const before = { ...this.variables };
+    this.tracing = false;  // The fast path's probes aren't program steps
+    let handled;
+    try {
+      handled = tryFastPath();
+    } finally {
+      this.tracing = true;
+    }
+    if (!handled) return runRounds();
+
+    // Replay the rounds from the pre-loop state for the trace only
+    const after = this.variables;
+    const budget = { ...globalBFSBudget };
+    this.variables = before;
+    try {
+      runRounds();
+    } finally {
+      this.variables = after;
+      Object.assign(globalBFSBudget, budget);
+    }
+  }
+
+  /**
+   * Distribution of a variable at a trace step, given all of the program's
+   * observe() evidence (like getVariableDistributionAtLine)
+   */
+  getStepDistribution(step, name) {
+    const pv = step.variables[name];
+    if (!pv) return null;
+    if (this.evidence && !pv.isConstant()) {
+      return this.withoutStaleFractions(discardRejected(conditionOn(pv, this.evidence).toDistribution()));
+    }
+    return this.withoutStaleFractions(pv.getMarginal());
+  }
+
+  /**
+   * Drop a distribution's exact fractions when the program had a while loop
+   * that was cut short (see evalProbabilisticWhileLoop).
+   *
+   * @param {Distribution|null} dist
+   * @returns {Distribution|null} dist
+   */
+  withoutStaleFractions(dist) {
+    if (dist && this.truncated) {
+      delete dist.fractions;
+    }
+    return dist;
+  }
+
   /**
    * Get the ProbabilisticValue for a variable as of a given line (after that line executed).
    * If the line doesn't correspond to a statement, uses the nearest preceding snapshot.
@@ -912,18 +2127,73 @@ class DSLInterpreter {
   }
 
   /**
-   * Get the distribution for a variable as of a given line.
+   * Get the distribution for a variable as of a given line, given all of the
+   * program's observe() evidence.
    */
   getVariableDistributionAtLine(name, line) {
     const pv = this.getVariableAtLine(name, line);
     if (!pv) return null;
-    return pv.getMarginal();
+    if (this.evidence && !pv.isConstant()) {
+      return this.withoutStaleFractions(discardRejected(conditionOn(pv, this.evidence).toDistribution()));
+    }
+    return this.withoutStaleFractions(pv.getMarginal());
+  }
+
+  /**
+   * Distributions of all variables given the observe() evidence: computed
+   * jointly like computeAllDistributions, with rejected runs dropped and the
+   * rest renormalized. The evidence itself is queried too, so impossible
+   * evidence is reported even when every variable is constant.
+   */
+  computePosteriors() {
+    if (this.evidence.isConstant()) {
+      if (this.evidence.getConstantValue() !== false) {
+        this.evidence = null;
+        return computeAllDistributions(this.variables);
+      }
+      this.errors.push({ message: 'observe(): the observed condition is never true', line: null });
+      return {};
+    }
+
+    const conditioned = { __observed__: this.evidence };
+    for (const [name, pv] of Object.entries(this.variables)) {
+      conditioned[name] = pv && pv.sources && pv.sources.size > 0 ? conditionOn(pv, this.evidence) : pv;
+    }
+    const distributions = computeAllDistributions(conditioned);
+
+    const evidenceDist = distributions['__observed__'];
+    delete distributions['__observed__'];
+    if (evidenceDist && evidenceDist.prob(false) >= 1 - 1e-12) {
+      this.errors.push({ message: 'observe(): the observed condition is never true', line: null });
+      return {};
+    }
+
+    for (const name of Object.keys(distributions)) {
+      if (conditioned[name] === this.variables[name]) continue;
+      const posterior = discardRejected(distributions[name]);
+      if (!posterior) {
+        // Possible evidence, but no sample satisfied it
+        this.errors.push({ message: 'observe(): the observed condition is too unlikely to estimate by sampling', line: null });
+        return {};
+      }
+      distributions[name] = posterior;
+    }
+    return distributions;
   }
 
   /**
    * Evaluate a statement
    */
   evalStatement(stmt) {
+    if (!this.tracing) return this.dispatchStatement(stmt);
+    try {
+      return this.dispatchStatement(stmt);
+    } finally {
+      this.recordStep(stmt.line);
+    }
+  }
+
+  dispatchStatement(stmt) {
     switch (stmt.type) {
       case 'assignment':
         return this.evalAssignment(stmt);
@@ -1030,6 +2300,8 @@ class DSLInterpreter {
 
   /**
    * Evaluate split assignment: B, C = split(A, p)
+   * p is a probability for a binary split, or an array of per-target
+   * probabilities or relative weights: B, C = split(A, [7, 3])
    */
   evalSplitAssignment(stmt) {
     const call = stmt.value;
@@ -1071,7 +2343,17 @@ class DSLInterpreter {
       throw new Error(`split() got ${probs.length} probabilities but ${numTargets} targets`);
     }
 
+    // Probabilities may be given as relative weights, e.g. split(A, [7, 3])
+    // mirrors a splitter with weights {left: 7, right: 3}
+    for (const p of probs) {
+      if (typeof p !== 'number' || !isFinite(p) || p < 0) {
+        throw new Error(`split() weights must be non-negative numbers, got ${p}`);
+      }
+    }
     const probSum = probs.reduce((a, b) => a + b, 0);
+    if (probSum <= 0) {
+      throw new Error('split() weights must not all be zero');
+    }
     if (Math.abs(probSum - 1.0) > 1e-6) {
       // Normalize
       probs = probs.map(p => p / probSum);
@@ -1363,8 +2645,17 @@ class DSLInterpreter {
   evalForLoop(stmt) {
     // Fast path: iteration-independent for-loops (see _tryIndependentForLoop).
     // Falls back to unroll if not applicable.
+    if (this.tracing) {
+      return this.traceLoop(() => this._tryIndependentForLoop(stmt), () => this.evalForLoopRounds(stmt));
+    }
     if (this._tryIndependentForLoop(stmt)) return;
+    this.evalForLoopRounds(stmt);
+  }
 
+  /**
+   * Run a for loop's rounds one by one
+   */
+  evalForLoopRounds(stmt) {
     // Evaluate range expression
     const rangeExpr = stmt.range;
     let iterable;
@@ -1429,20 +2720,26 @@ class DSLInterpreter {
     }
 
     // Execute loop
-    for (const item of iterable) {
-      // Set loop variable
-      this.variables[stmt.variable] = ProbabilisticValue.constant(item);
+    const frame = this.traceEnter('for', stmt.variable, stmt.line);
+    try {
+      for (const item of iterable) {
+        // Set loop variable
+        this.variables[stmt.variable] = ProbabilisticValue.constant(item);
+        this.traceIteration();
 
-      // Execute body
-      try {
-        for (const bodyStmt of stmt.body) {
-          this.evalStatement(bodyStmt);
+        // Execute body
+        try {
+          for (const bodyStmt of stmt.body) {
+            this.evalStatement(bodyStmt);
+          }
+        } catch (e) {
+          if (e && e.type === 'break') break;
+          if (e && e.type === 'continue') continue;
+          throw e;
         }
-      } catch (e) {
-        if (e && e.type === 'break') break;
-        if (e && e.type === 'continue') continue;
-        throw e;
       }
+    } finally {
+      this.traceLeave(frame);
     }
   }
 
@@ -1536,6 +2833,9 @@ class DSLInterpreter {
           // iterations and cannot be summarized as an iteration-independent
           // delta kernel. Bail out.
           if (s.expression && s.expression.type === 'method_call') return false;
+          // observe() adds evidence on every iteration
+          if (s.expression && s.expression.type === 'call' &&
+              (s.expression.name === 'observe' || s.expression.name === 'condition')) return false;
           visitExpr(s.expression); return true;
         case 'ifStatement':
           // Bail out — conditionals complicate iteration-independence analysis
@@ -1632,14 +2932,18 @@ class DSLInterpreter {
         const shifted = new Map();
         for (const [val, p] of sumDist.pmf) shifted.set(val + preVal, p);
         const newDist = new Distribution(shifted);
+        if (sumDist.fractions) {
+          const fractions = new Map();
+          for (const [val, f] of sumDist.fractions) fractions.set(val + preVal, f);
+          newDist.setFractions(fractions);
+        }
         const newPv = ProbabilisticValue.constant(0);  // placeholder sources
         newPv.setMarginal(newDist);
         // Hack: give it a unique source so it's treated probabilistic.
         // Actually we want the PV's marginal to be newDist AND for
         // downstream BFS to treat it as a source. Simpler: create a
         // fresh RandomSource whose outcomes are the distribution values.
-        const outcomes = [...newDist.pmf.entries()].map(([val, p]) => ({ value: val, probability: p }));
-        const src = new RandomSource(outcomes, `forloop-${v}`);
+        const src = new RandomSource(outcomesOf(newDist), `forloop-${v}`);
         this.sources.push(src);
         const pv = new ProbabilisticValue(
           (assignment) => assignment[src.id],
@@ -1655,8 +2959,7 @@ class DSLInterpreter {
           return false;
         }
         const convolved = this._convolveDistributions(preDist, sumDist);
-        const outcomes = [...convolved.pmf.entries()].map(([val, p]) => ({ value: val, probability: p }));
-        const src = new RandomSource(outcomes, `forloop-${v}`);
+        const src = new RandomSource(outcomesOf(convolved), `forloop-${v}`);
         this.sources.push(src);
         const pv = new ProbabilisticValue(
           (assignment) => assignment[src.id],
@@ -1703,20 +3006,13 @@ class DSLInterpreter {
 
   /** Discrete convolution of two Distributions (assumes numeric values). */
   _convolveDistributions(A, B) {
-    const out = new Map();
-    for (const [a, pa] of A.pmf) {
-      for (const [b, pb] of B.pmf) {
-        const v = a + b;
-        out.set(v, (out.get(v) || 0) + pa * pb);
-      }
-    }
-    return new Distribution(out);
+    return combineIndependentDistributions(A, B, (a, b) => a + b);
   }
 
   /** N-fold self-convolution of a Distribution via binary exponentiation. */
   _selfConvolveN(D, N) {
     // Identity (delta at 0)
-    let result = new Distribution(new Map([[0, 1]]));
+    let result = Distribution.constant(0);
     let base = D;
     let remaining = N;
     while (remaining > 0) {
@@ -1737,8 +3033,26 @@ class DSLInterpreter {
     // their pre-loop form (typically constants). Fast path is much cheaper
     // per iter, so we can afford a larger unroll depth and get a smaller
     // residual tail.
-    if (this._tryTranslationInvariantWhileLoop(stmt, 300, 1e-10)) return;
+    const tryFastPath = () => this._tryTranslationInvariantWhileLoop(stmt, 300, 1e-10);
+    if (this.tracing) {
+      return this.traceLoop(tryFastPath, () => {
+        const frame = this.traceEnter('while', null, stmt.line);
+        try {
+          this.evalWhileLoopRounds(stmt);
+        } finally {
+          this.traceLeave(frame);
+        }
+      });
+    }
+    if (tryFastPath()) return;
+    this.evalWhileLoopRounds(stmt);
+  }
 
+  /**
+   * Run a while loop's rounds: one by one while the condition is
+   * deterministic, then unrolled (evalProbabilisticWhileLoop)
+   */
+  evalWhileLoopRounds(stmt) {
     const MAX_ITERATIONS = 10000;
     let iterations = 0;
 
@@ -1753,6 +3067,7 @@ class DSLInterpreter {
         // Deterministic condition - but body may still have probabilistic control flow
         const condValue = condPv.getConstantValue();
         if (!condValue) break;
+        this.traceIteration();
 
         // Execute body with continue checking (handles probabilistic continue)
         try {
@@ -1797,6 +3112,7 @@ class DSLInterpreter {
     // Track remaining probability mass - estimated by decay per iteration
     let remainingMass = 1.0;
     let unrollDepth = 0;
+    let exited = false;  // every run left the loop (condition false or break)
 
     // Clear any existing __continue__ flag at start
     delete this.variables['__continue__'];
@@ -1808,13 +3124,20 @@ class DSLInterpreter {
 
       if (condPv.isConstant()) {
         // Condition became deterministic
-        if (!condPv.getConstantValue()) break;
+        if (!condPv.getConstantValue()) {
+          exited = true;
+          break;
+        }
         // If still true, continue but this might loop forever
         // Execute body with continue checking
+        this.traceIteration();
         try {
           this.executeBodyWithContinueCheck(stmt.body);
         } catch (e) {
-          if (e && e.type === 'break') break;
+          if (e && e.type === 'break') {
+            exited = true;
+            break;
+          }
           throw e;
         }
         // Reset __continue__ for next iteration
@@ -1847,10 +3170,14 @@ class DSLInterpreter {
         elseBody: null
       };
 
+      this.traceIteration();
       try {
         this.evalIfStatement(syntheticIf);
       } catch (e) {
-        if (e && e.type === 'break') break;
+        if (e && e.type === 'break') {
+          exited = true;
+          break;
+        }
         throw e;
       }
 
@@ -1870,6 +3197,12 @@ class DSLInterpreter {
     // Clean up __continue__ flag
     delete this.variables['__continue__'];
 
+    // Runs still looping were cut off, so enumerated probabilities are only
+    // approximately those of the program
+    if (!exited && remainingMass > 0) {
+      globalBFSBudget.truncated = true;
+    }
+
     // If we bailed out with residual mass still looping, mark that mass as
     // "???" for each variable modified in the loop body. This is more honest
     // than continuing to report their "stale" (partly-accurate but biased)
@@ -2011,6 +3344,23 @@ class DSLInterpreter {
     const stateVars = this._collectWhileStateVars(stmt.body, stmt.condition);
     if (!stateVars || stateVars.length === 0) return false;
 
+    // The fast loop carries only the state vars' own joint distribution:
+    // a variable outside the loop that is correlated with them (shares a
+    // random source) would lose that correlation
+    const stateSources = new Set();
+    for (const name of stateVars) {
+      const pv = this.variables[name];
+      if (pv && pv.sources) for (const s of pv.sources) stateSources.add(s);
+    }
+    if (stateSources.size > 0) {
+      for (const [name, pv] of Object.entries(this.variables)) {
+        if (stateVars.includes(name) || !pv || !pv.sources) continue;
+        for (const s of pv.sources) {
+          if (stateSources.has(s)) return false;
+        }
+      }
+    }
+
     // Extract the current joint distribution of state vars (handles both
     // constant and probabilistic pre-states).
     const preJoint = this._extractJointOfVars(stateVars);
@@ -2176,7 +3526,13 @@ class DSLInterpreter {
           return;
         }
         case 'expression':
-          // Expression as statement — no effect on taint.
+          // observe() adds evidence on every iteration, which the kernel
+          // can't carry
+          if (stmt.expression && stmt.expression.type === 'call' &&
+              (stmt.expression.name === 'observe' || stmt.expression.name === 'condition')) {
+            ok = false; return;
+          }
+          // Other expression statements — no effect on taint.
           return;
         case 'ifStatement': {
           // Conservative branch merge. If any branch condition reads a state
@@ -2283,7 +3639,8 @@ class DSLInterpreter {
 
     const joint = new Map();
     const assignment = {};
-    const enumerate = (idx, prob) => {
+    let pruned = false;  // some branch was skipped: fractions don't sum to 1
+    const enumerate = (idx, prob, fraction) => {
       if (idx >= sources.length) {
         // Evaluate each var
         const tuple = new Array(varNames.length);
@@ -2300,17 +3657,24 @@ class DSLInterpreter {
         }
         const key = tuple.join(',');
         const existing = joint.get(key);
-        if (existing) existing.prob += prob;
-        else joint.set(key, { tuple, prob });
+        if (existing) {
+          existing.prob += prob;
+          existing.fraction = existing.fraction && fraction ? existing.fraction.add(fraction) : null;
+        } else {
+          joint.set(key, { tuple, prob, fraction });
+        }
         return;
       }
       const s = sources[idx];
       const sid = s.id;
       for (const o of s.outcomes) {
         const np = prob * o.probability;
-        if (np < 1e-14) continue;
+        if (np < 1e-14) {
+          pruned = true;
+          continue;
+        }
         assignment[sid] = o.value;
-        enumerate(idx + 1, np);
+        enumerate(idx + 1, np, fraction && o.fraction ? fraction.mul(o.fraction) : null);
       }
       delete assignment[sid];
     };
@@ -2324,9 +3688,12 @@ class DSLInterpreter {
         if (typeof v !== 'number') return null;
         tuple[i] = v;
       }
-      joint.set(tuple.join(','), { tuple, prob: 1.0 });
+      joint.set(tuple.join(','), { tuple, prob: 1.0, fraction: fractionRoot() });
     } else {
-      enumerate(0, 1.0);
+      enumerate(0, 1.0, fractionRoot());
+      if (pruned) {
+        for (const entry of joint.values()) entry.fraction = null;
+      }
     }
     return joint;
   }
@@ -2392,8 +3759,9 @@ class DSLInterpreter {
     const deltaMap = new Map();
     const assignment = {};
     const varsToEval = stateVars.map(name => ({ name, pv: this.variables[name] }));
+    let pruned = false;  // some branch was skipped: fractions don't sum to 1
 
-    const enumerate = (idx, prob) => {
+    const enumerate = (idx, prob, fraction) => {
       if (idx >= bodySources.length) {
         // Compute delta tuple
         const delta = {};
@@ -2409,17 +3777,24 @@ class DSLInterpreter {
         }
         const key = stateVars.map(v => delta[v]).join(',');
         const existing = deltaMap.get(key);
-        if (existing) existing.prob += prob;
-        else deltaMap.set(key, { delta: { ...delta }, prob });
+        if (existing) {
+          existing.prob += prob;
+          existing.fraction = existing.fraction && fraction ? existing.fraction.add(fraction) : null;
+        } else {
+          deltaMap.set(key, { delta: { ...delta }, prob, fraction });
+        }
         return;
       }
       const s = bodySources[idx];
       const sid = s.id;
       for (const o of s.outcomes) {
         const np = prob * o.probability;
-        if (np < 1e-14) continue;
+        if (np < 1e-14) {
+          pruned = true;
+          continue;
+        }
         assignment[sid] = o.value;
-        enumerate(idx + 1, np);
+        enumerate(idx + 1, np, fraction && o.fraction ? fraction.mul(o.fraction) : null);
       }
       delete assignment[sid];
     };
@@ -2431,9 +3806,12 @@ class DSLInterpreter {
         delta[name] = pv.getConstantValue() - preValues[name];
       }
       const key = stateVars.map(v => delta[v]).join(',');
-      deltaMap.set(key, { delta, prob: 1.0 });
+      deltaMap.set(key, { delta, prob: 1.0, fraction: fractionRoot() });
     } else {
-      enumerate(0, 1.0);
+      enumerate(0, 1.0, fractionRoot());
+      if (pruned) {
+        for (const entry of deltaMap.values()) entry.fraction = null;
+      }
     }
     return deltaMap;
   }
@@ -2468,32 +3846,44 @@ class DSLInterpreter {
     for (const [, dEntry] of deltaKernel) {
       const d = new Array(stateVars.length);
       for (let i = 0; i < stateVars.length; i++) d[i] = dEntry.delta[stateVars[i]];
-      deltas.push({ d, prob: dEntry.prob });
+      deltas.push({ d, prob: dEntry.prob, fraction: dEntry.fraction });
     }
 
+    // Exact probabilities ride along in parallel arrays while every input
+    // has one and the denominators stay small; otherwise exact turns false
+    // for good and the fraction arrays are ignored.
+    let exact = deltas.every(d => d.fraction) && [...preJoint.values()].every(e => e.fraction);
+
     const nVars = stateVars.length;
     // Pack tuple into a single number (safe for small ints). Use per-var range shift.
+    // Past four vars the packed number would exceed 2^53 and distinct tuples
+    // would collide, so wider states key on a joined string instead.
     const SHIFT = 10000;  // allows var values ∈ [-5000, 5000]
     const HALF = SHIFT / 2;
-    const packKey = (arr) => {
-      let k = 0;
-      for (let i = 0; i < nVars; i++) k = k * SHIFT + (arr[i] + HALF);
-      return k;
-    };
+    const packKey = Math.pow(SHIFT, nVars) <= Number.MAX_SAFE_INTEGER
+      ? (arr) => {
+        let k = 0;
+        for (let i = 0; i < nVars; i++) k = k * SHIFT + (arr[i] + HALF);
+        return k;
+      }
+      : (arr) => arr.join(',');
 
     // Initial active distribution = pre-loop joint of state vars.
     let activeKeys = new Map();
     let activeTuples = [];
     let activeProbs = [];
+    let activeFracs = [];
     for (const [, entry] of preJoint) {
       activeKeys.set(packKey(entry.tuple), activeTuples.length);
       activeTuples.push(entry.tuple.slice());
       activeProbs.push(entry.prob);
+      activeFracs.push(entry.fraction);
     }
 
     const absorbedKeys = new Map();
     const absorbedTuples = [];
     const absorbedProbs = [];
+    const absorbedFracs = [];
 
     const MAX_STATES = 500;  // aggressive cap — drop low-prob tail states
 
@@ -2503,6 +3893,7 @@ class DSLInterpreter {
       const nextStillKeys = new Map();
       const nextStillTuples = [];
       const nextStillProbs = [];
+      const nextStillFracs = [];
       let activeMass = 0;
       for (let i = 0; i < activeTuples.length; i++) {
         const t = activeTuples[i];
@@ -2512,6 +3903,7 @@ class DSLInterpreter {
           nextStillKeys.set(k, nextStillTuples.length);
           nextStillTuples.push(t);
           nextStillProbs.push(p);
+          nextStillFracs.push(activeFracs[i]);
           activeMass += p;
         } else {
           // absorbed
@@ -2519,10 +3911,12 @@ class DSLInterpreter {
           const existing = absorbedKeys.get(k);
           if (existing !== undefined) {
             absorbedProbs[existing] += p;
+            if (exact) absorbedFracs[existing] = absorbedFracs[existing].add(activeFracs[i]);
           } else {
             absorbedKeys.set(k, absorbedTuples.length);
             absorbedTuples.push(t);
             absorbedProbs.push(p);
+            absorbedFracs.push(activeFracs[i]);
           }
         }
       }
@@ -2530,6 +3924,7 @@ class DSLInterpreter {
         activeKeys = nextStillKeys;
         activeTuples = nextStillTuples;
         activeProbs = nextStillProbs;
+        activeFracs = nextStillFracs;
         break;
       }
 
@@ -2537,9 +3932,11 @@ class DSLInterpreter {
       const nextKeys = new Map();
       const nextTuples = [];
       const nextProbs = [];
+      const nextFracs = [];
       for (let i = 0; i < nextStillTuples.length; i++) {
         const t = nextStillTuples[i];
         const p = nextStillProbs[i];
+        const f = nextStillFracs[i];
         for (let d = 0; d < deltas.length; d++) {
           const dv = deltas[d].d;
           const newTuple = new Array(nVars);
@@ -2551,13 +3948,17 @@ class DSLInterpreter {
           }
           const k = packKey(newTuple);
           const np = p * deltas[d].prob;
+          const nf = exact ? f.mul(deltas[d].fraction) : null;
+          if (exact && (nf.den > MAX_EXACT_DENOMINATOR || !tracksFractions())) exact = false;
           const existingIdx = nextKeys.get(k);
           if (existingIdx !== undefined) {
             nextProbs[existingIdx] += np;
+            if (exact) nextFracs[existingIdx] = nextFracs[existingIdx].add(nf);
           } else {
             nextKeys.set(k, nextTuples.length);
             nextTuples.push(newTuple);
             nextProbs.push(np);
+            nextFracs.push(nf);
           }
         }
       }
@@ -2569,6 +3970,7 @@ class DSLInterpreter {
         const kept = indices.slice(0, MAX_STATES);
         const newTuples = kept.map(i => nextTuples[i]);
         const newProbs = kept.map(i => nextProbs[i]);
+        exact = false;
         let total = 0;
         for (const p of newProbs) total += p;
         if (total > 0) {
@@ -2583,6 +3985,7 @@ class DSLInterpreter {
         activeKeys = nextKeys;
         activeTuples = nextTuples;
         activeProbs = nextProbs;
+        activeFracs = nextFracs;
       }
       iters++;
     }
@@ -2590,6 +3993,11 @@ class DSLInterpreter {
     // Residual & marginals
     let residual = 0;
     for (let i = 0; i < activeProbs.length; i++) residual += activeProbs[i];
+    if (residual > 0) {
+      // Runs still looping were cut off (see evalProbabilisticWhileLoop)
+      globalBFSBudget.truncated = true;
+      exact = false;
+    }
 
     const marginals = {};
     for (const v of stateVars) marginals[v] = new Map();
@@ -2649,7 +4057,12 @@ class DSLInterpreter {
     if (jointTuples.length === 0) return true;  // empty result — unusual
 
     // Build one RandomSource whose outcomes index into the joint tuple list
-    const outcomes = jointTuples.map((_, i) => ({ value: i, probability: jointProbs[i] }));
+    // With no residual, jointTuples are exactly the absorbed tuples
+    const outcomes = jointTuples.map((_, i) => ({
+      value: i,
+      probability: jointProbs[i],
+      fraction: exact ? absorbedFracs[i] : undefined
+    }));
     const jointSrc = new RandomSource(outcomes, 'while-fast-joint');
     this.sources.push(jointSrc);
 
@@ -2671,11 +4084,16 @@ class DSLInterpreter {
         );
         // Cache marginal
         const marginalPmf = new Map();
+        const marginalFractions = new Map();
         for (let i = 0; i < table.length; i++) {
           const k = table[i];
           marginalPmf.set(k, (marginalPmf.get(k) || 0) + jointProbs[i]);
+          if (exact) {
+            marginalFractions.set(k, marginalFractions.has(k) ? marginalFractions.get(k).add(outcomes[i].fraction) : outcomes[i].fraction);
+          }
         }
         pv._cachedMarginal = new Distribution(marginalPmf);
+        if (exact) pv._cachedMarginal.setFractions(marginalFractions);
         this.variables[v] = pv;
       }
     }
@@ -2838,21 +4256,39 @@ class DSLInterpreter {
    * By collapsing at iteration boundaries, source count is bounded at ~1/iter.
    *
    * Preserves correlations between variables (enumerates joint, not marginals).
+   * Values held by enclosing probabilistic ifs (branchFrames) are collapsed
+   * with the variables: they read the same sources.
    * Falls back to no-op if the joint state space is too large.
    */
   collapseJointState() {
-    // Find probabilistic variables to collapse.
-    // Skip math constants + special internal vars.
+    // Find probabilistic values to collapse, each once, with every place
+    // that holds it. Skip math constants + special internal vars.
     const SKIP = new Set(['pi', 'PI', 'e', 'E', '__continue__', '__return__', '__break__']);
-    const varEntries = [];
+    const entriesByPv = new Map();
     const allSources = new Set();
+    const hold = (pv, replace) => {
+      if (!pv || !pv.sources) return;
+      if (pv.sources.size === 0) return;  // already constant — no sources
+      if (!entriesByPv.has(pv)) {
+        entriesByPv.set(pv, { name: `#${entriesByPv.size}`, pv, replacers: [] });
+        for (const s of pv.sources) allSources.add(s);
+      }
+      entriesByPv.get(pv).replacers.push(replace);
+    };
     for (const [name, pv] of Object.entries(this.variables)) {
       if (SKIP.has(name)) continue;
-      if (!pv || !pv.sources) continue;
-      if (pv.sources.size === 0) continue;  // already constant — no sources
-      varEntries.push({ name, pv });
-      for (const s of pv.sources) allSources.add(s);
+      hold(pv, newPv => { this.variables[name] = newPv; });
+    }
+    for (const frame of this.branchFrames) {
+      frame.conditions.forEach((pv, i) => hold(pv, newPv => { frame.conditions[i] = newPv; }));
+      for (const vars of [frame.originalVars, ...frame.branchResults]) {
+        for (const [name, pv] of Object.entries(vars)) {
+          if (SKIP.has(name)) continue;
+          hold(pv, newPv => { vars[name] = newPv; });
+        }
+      }
     }
+    const varEntries = [...entriesByPv.values()];
 
     if (varEntries.length === 0 || allSources.size === 0) return;
 
@@ -2875,9 +4311,10 @@ class DSLInterpreter {
     // the joint state space is small enough to fully enumerate.
     const outcomes = new Map();
     let coveredMass = 0;
+    let exact = globalBFSBudget.exact;  // every branch enumerated with an exact probability
     const assignment = {};
 
-    const enumerate = (idx, probSoFar) => {
+    const enumerate = (idx, probSoFar, fractionSoFar) => {
       if (idx >= sourcesArray.length) {
         // Complete assignment: evaluate each var
         const values = {};
@@ -2892,8 +4329,9 @@ class DSLInterpreter {
         const existing = outcomes.get(key);
         if (existing) {
           existing.probability += probSoFar;
+          if (exact) existing.fraction = existing.fraction.add(fractionSoFar);
         } else {
-          outcomes.set(key, { values: { ...values }, probability: probSoFar });
+          outcomes.set(key, { values: { ...values }, probability: probSoFar, fraction: fractionSoFar });
         }
         coveredMass += probSoFar;
         return;
@@ -2902,13 +4340,18 @@ class DSLInterpreter {
       const sid = s.id;
       for (const o of s.outcomes) {
         const np = probSoFar * o.probability;
-        if (np < EPSILON) continue;
+        if (np < EPSILON) {
+          exact = false;
+          continue;
+        }
+        const nf = exact ? extendFraction(fractionSoFar, o) : null;
+        if (!nf) exact = false;
         assignment[sid] = o.value;
-        enumerate(idx + 1, np);
+        enumerate(idx + 1, np, nf);
       }
       delete assignment[sid];
     };
-    enumerate(0, 1.0);
+    enumerate(0, 1.0, fractionRoot());
 
     // If enumeration didn't cover full mass (all branches skipped due to
     // EPSILON), bail out of collapse.
@@ -2917,12 +4360,14 @@ class DSLInterpreter {
     // Cap the number of joint-state outcomes. Per-iteration cost in a while
     // loop grows with outcomes.size × (#new-splits-per-iter). Without a cap,
     // long loops blow up to thousands of tuples and freeze the browser.
-    // Keep the top MAX_JOINT_OUTCOMES by probability and renormalize.
-    const MAX_JOINT_OUTCOMES = 200;
+    // Keep the top maxJointOutcomes by probability and renormalize.
+    const maxJointOutcomes = globalBFSBudget.maxJointOutcomes;
     let orderedOutcomes = [...outcomes.entries()];
-    if (orderedOutcomes.length > MAX_JOINT_OUTCOMES) {
+    if (orderedOutcomes.length > maxJointOutcomes) {
       orderedOutcomes.sort((a, b) => b[1].probability - a[1].probability);
-      orderedOutcomes = orderedOutcomes.slice(0, MAX_JOINT_OUTCOMES);
+      orderedOutcomes = orderedOutcomes.slice(0, maxJointOutcomes);
+      exact = false;
+      globalBFSBudget.approximate = true;
       // Renormalize remaining probabilities to sum to 1
       let keptMass = 0;
       for (const [, entry] of orderedOutcomes) keptMass += entry.probability;
@@ -2937,7 +4382,11 @@ class DSLInterpreter {
     const tupleOutcomes = [];
     let idx = 0;
     for (const [, entry] of orderedOutcomes) {
-      tupleOutcomes.push({ value: idx, probability: entry.probability });
+      tupleOutcomes.push({
+        value: idx,
+        probability: entry.probability,
+        fraction: exact ? entry.fraction : undefined
+      });
       idx++;
     }
     const newSource = new RandomSource(tupleOutcomes, `joint-collapse depth=${this._collapseDepth || 0}`);
@@ -2957,7 +4406,7 @@ class DSLInterpreter {
 
     // Replace each variable with a fresh PV backed by newSource + projection.
     const newSet = new Set([newSource]);
-    for (const { name } of varEntries) {
+    for (const { name, replacers } of varEntries) {
       const table = varLookups[name];
       const pv = new ProbabilisticValue(
         (assignment) => {
@@ -2968,14 +4417,20 @@ class DSLInterpreter {
       );
       // Also cache the marginal
       const marginalPmf = new Map();
+      const marginalFractions = exact ? new Map() : null;
       for (let i = 0; i < table.length; i++) {
         const p = tupleOutcomes[i].probability;
         const v = table[i];
-        const k = makeMapKey(v);
-        marginalPmf.set(parseMapKey(k), (marginalPmf.get(parseMapKey(k)) || 0) + p);
+        const k = parseMapKey(makeMapKey(v));
+        marginalPmf.set(k, (marginalPmf.get(k) || 0) + p);
+        if (exact) {
+          const f = tupleOutcomes[i].fraction;
+          marginalFractions.set(k, marginalFractions.has(k) ? marginalFractions.get(k).add(f) : f);
+        }
       }
       pv._cachedMarginal = new Distribution(marginalPmf);
-      this.variables[name] = pv;
+      if (exact) pv._cachedMarginal.setFractions(marginalFractions);
+      for (const replace of replacers) replace(pv);
     }
   }
 
@@ -3071,6 +4526,11 @@ class DSLInterpreter {
     // Track control flow PER BRANCH - each branch can hit continue/break independently
     const branchControlFlows = [];
 
+    // A loop inside a branch may collapse the joint state: these values
+    // must be collapsed with it (conditions is updated in place)
+    const frameDepth = this.branchFrames.length;
+    this.branchFrames.push({ conditions, originalVars, branchResults });
+
     for (let i = 0; i < stmt.branches.length; i++) {
       // Restore original state before executing this branch
       for (const varName of Object.keys(originalVars)) {
@@ -3138,6 +4598,7 @@ class DSLInterpreter {
         elseResult[varName] = this.variables[varName];
       }
     }
+    this.branchFrames.length = frameDepth;
 
     // Collect all variable names that might have been modified
     const allVarNames = new Set(Object.keys(originalVars));
@@ -3280,6 +4741,8 @@ class DSLInterpreter {
     // Store the function definition in variables
     this.variables[stmt.name] = ProbabilisticValue.constant({
       type: 'function',
+      name: stmt.name,
+      line: stmt.line,
       params: stmt.params,
       defaults: stmt.defaults,
       body: stmt.body,
@@ -3891,6 +5354,17 @@ class DSLInterpreter {
         // split() should only appear in tuple assignment context
         throw new Error('split() must be used with tuple assignment: B, C = split(A, p)');
 
+      case 'observe':
+      case 'condition':
+        return this.evalObserve(name, args);
+
+      case 'bernoulli':
+      case 'categorical':
+      case 'binomial':
+      case 'uniform_int':
+      case 'draw':
+        return this.evalRandomPrimitive(name, args, expr.line);
+
       case 'range': {
         // range(stop), range(start, stop), or range(start, stop, step)
         const evalArgs = args.map(a => {
@@ -4305,6 +5779,12 @@ class DSLInterpreter {
     // Save current scope and set up function scope
     const savedVars = { ...this.variables };
     this.variables = { ...func.closure };
+    // observe() in the body adds to the caller's evidence
+    if (savedVars['__observed__']) {
+      this.variables['__observed__'] = savedVars['__observed__'];
+    } else {
+      delete this.variables['__observed__'];
+    }
 
     // Bind arguments to parameters
     for (let i = 0; i < params.length; i++) {
@@ -4319,6 +5799,7 @@ class DSLInterpreter {
       returnValue = this.evalExpr(func.body);
     } else {
       // Regular function executes statements
+      const frame = this.traceEnter('function', func.name, func.line);
       try {
         for (const stmt of func.body) {
           this.evalStatement(stmt);
@@ -4345,11 +5826,17 @@ class DSLInterpreter {
         } else {
           throw e;
         }
+      } finally {
+        this.traceLeave(frame);
       }
     }
 
-    // Restore scope
+    // Restore scope, keeping the evidence
+    const observed = this.variables['__observed__'];
     this.variables = savedVars;
+    if (observed) {
+      this.variables['__observed__'] = observed;
+    }
 
     return returnValue;
   }
@@ -4388,6 +5875,65 @@ class DSLInterpreter {
     throw new Error('Not a callable');
   }
 
+  /**
+   * Evaluate a random primitive (see randomPrimitiveOutcomes). Each call is
+   * one RandomSource over the possible results, so enumeration, variable
+   * elimination and correlation tracking handle it like a split() choice:
+   * everything computed from the result shares the source.
+   */
+  evalRandomPrimitive(name, args, line) {
+    const argValues = args.map(a => {
+      const pv = this.evalExpr(a);
+      if (!pv.isConstant()) throw new Error(`${name}() arguments must be constants`);
+      return pv.getConstantValue();
+    });
+    const outcomes = randomPrimitiveOutcomes(name, argValues);
+    const values = outcomes.values.filter((_, i) => outcomes.probs[i] > 0);
+    const probs = outcomes.probs.filter(p => p > 0);
+    const fractions = outcomes.fractions && outcomes.fractions.filter((_, i) => outcomes.probs[i] > 0);
+    if (values.length === 1) {
+      return ProbabilisticValue.constant(values[0]);
+    }
+
+    const source = RandomSource.categorical(probs, `${name} at line ${line || '?'}`, fractions);
+    this.sources.push(source);
+    return new ProbabilisticValue(
+      (assignment) => values[assignment[source.id]],
+      new Set([source])
+    );
+  }
+
+  /**
+   * Evaluate observe(cond) / condition(cond): keep only the runs where cond
+   * holds. The evidence is the synthetic variable __observed__ (false on
+   * rejected runs). Probabilistic ifs merge it like any other variable, so
+   * an observe() inside a branch only applies where the branch is taken;
+   * execute() conditions every distribution on it (computePosteriors).
+   */
+  evalObserve(name, args) {
+    if (args.length !== 1) throw new Error(`${name}() requires exactly 1 argument`);
+    const cond = this.evalExpr(args[0]);
+    const previous = this.variables['__observed__'];
+
+    if (cond.isConstant() && cond.getConstantValue()) {
+      return ProbabilisticValue.constant(null);
+    }
+    if (cond.isConstant() || (previous && previous.isConstant() && previous.getConstantValue() === false)) {
+      this.variables['__observed__'] = ProbabilisticValue.constant(false);
+      return ProbabilisticValue.constant(null);
+    }
+
+    const sources = new Set(cond.sources);
+    if (previous) {
+      for (const s of previous.sources) sources.add(s);
+    }
+    this.variables['__observed__'] = new ProbabilisticValue(
+      (assignment) => (!previous || previous.eval(assignment) !== false) && Boolean(cond.eval(assignment)),
+      sources
+    );
+    return ProbabilisticValue.constant(null);
+  }
+
   /**
    * Evaluate max() function
    * Uses eager distribution combination when operands are independent.
@@ -4501,7 +6047,10 @@ class DSLInterpreter {
     // Fallback: compute on demand (will be slow if budget was used up)
     const pv = this.variables[name];
     if (!pv) return null;
-    return pv.getMarginal();
+    if (this.evidence && !pv.isConstant()) {
+      return this.withoutStaleFractions(discardRejected(conditionOn(pv, this.evidence).toDistribution()));
+    }
+    return this.withoutStaleFractions(pv.getMarginal());
   }
 
   /**
@@ -4651,9 +6200,8 @@ class DSLInterpreter {
     const method = expr.method;
     const args = expr.args.map(a => this.evalExpr(a));
 
-    // For now, we only support methods on constant arrays
     if (!obj.isConstant()) {
-      throw new Error(`Method calls only supported on constant values, got probabilistic value`);
+      return this.evalProbabilisticMethodCall(obj, method, args);
     }
 
     const objValue = obj.getConstantValue();
@@ -4710,6 +6258,47 @@ class DSLInterpreter {
     }
   }
 
+  /**
+   * Read-only list methods on a probabilistic list (e.g. the result of
+   * draw()), applied to each outcome
+   */
+  evalProbabilisticMethodCall(obj, method, args) {
+    const methods = {
+      count: (arr, val) => arr.filter(x => x === val).length,
+      index: (arr, val) => {
+        const idx = arr.indexOf(val);
+        if (idx === -1) throw new Error(`${val} is not in list`);
+        return idx;
+      },
+      sum: (arr) => arr.reduce((a, b) => a + b, 0),
+      len: (arr) => arr.length,
+      length: (arr) => arr.length
+    };
+    const apply = methods[method];
+    if (!apply) {
+      throw new Error(`Method '${method}' is not supported on probabilistic values`);
+    }
+    const expectedArgs = method === 'count' || method === 'index' ? 1 : 0;
+    if (args.length !== expectedArgs) {
+      throw new Error(`${method}() requires exactly ${expectedArgs} argument${expectedArgs === 1 ? '' : 's'}`);
+    }
+    if (args.some(a => !a.isConstant())) {
+      throw new Error(`${method}() argument must be constant`);
+    }
+    const argValues = args.map(a => a.getConstantValue());
+
+    return new ProbabilisticValue(
+      (assignment) => {
+        const arr = obj.eval(assignment);
+        if (!Array.isArray(arr)) {
+          throw new Error(`Method '${method}' called on non-array value`);
+        }
+        return apply(arr, ...argValues);
+      },
+      obj.sources
+    );
+  }
+
   /**
    * Normalize index (handle negative indexing like Python)
    */
@@ -4797,7 +6386,18 @@ class DSLInterpreter {
       );
     }
 
-    throw new Error('Subscript with probabilistic array not supported');
+    // Probabilistic array (e.g. the result of draw()): index each outcome
+    const combinedSources = new Set([...obj.sources, ...index.sources]);
+    return new ProbabilisticValue(
+      (assignment) => {
+        const arr = obj.eval(assignment);
+        if (!Array.isArray(arr)) {
+          throw new Error('Subscript on non-array value');
+        }
+        return arr[this.normalizeIndex(index.eval(assignment), arr.length)];
+      },
+      combinedSources
+    );
   }
 
   /**
@@ -4937,5 +6537,5 @@ class DSLInterpreter {
 
 // Export for use in browser and Node.js
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { RandomSource, ProbabilisticValue, DSLInterpreter, globalBFSBudget, computeAllDistributions };
+  module.exports = { RandomSource, ProbabilisticValue, DSLInterpreter, VariableElimination, globalBFSBudget, computeAllDistributions };
 }
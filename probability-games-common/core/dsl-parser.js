@@ -1,5 +1,5 @@
 /**
- * DSL Parser for Probabilistic Prediction Language
+ * DSL Parser for Probabilistic Prediction Language (shared)
  *
  * Parses a Python-like syntax into an AST for the probabilistic interpreter.
  *
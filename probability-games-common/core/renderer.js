@@ -58,14 +58,14 @@ class Renderer {
     // Draw regular non-arm components first (sacks, conveyors, etc.)
     simulation.components.forEach(comp => {
       const spec = ComponentRegistry.get(comp.type);
-      if ((!spec || !spec.isOverlay) && comp.type !== 'arm') {
+      if ((!spec || !spec.isOverlay) && ComponentRegistry.baseType(comp.type) !== 'arm') {
         this.drawComponent(comp);
       }
     });
 
     // Draw arms on top of sacks/conveyors
     simulation.components.forEach(comp => {
-      if (comp.type === 'arm') {
+      if (ComponentRegistry.baseType(comp.type) === 'arm') {
         this.drawComponent(comp);
       }
     });
@@ -0,0 +1,338 @@
+/**
+ * Replay - deterministic recording and playback of a single factory run
+ *
+ * A replay captures everything needed to show the same run again:
+ *   - the simulation seed and the sampling schedule
+ *   - a hash of the level, so playback can warn if the level has changed
+ *   - game-specific setup (DGP seed, sampled hypothesis, ...)
+ *   - the event log: ball spawns, splitter choices, shuffler permutations,
+ *     other component choices (jam lengths, arm delays) and observations
+ *   - optionally the intro animation recording of AnimationPlayer
+ *
+ * The seed alone is not enough for an exact replay: splitters and shufflers
+ * fire on tick boundaries, and tick lengths depend on the frame rate. During
+ * playback the recorded decisions are forced instead, so the run looks the
+ * same on any machine and at any speed.
+ *
+ * Replay document (plain JSON, see Replay.create):
+ *   {
+ *     format: "tehdas-replay", version: 1, game, recordedAt,
+ *     level: {id, taso, hash},
+ *     seed, schedule, setup,
+ *     events: [
+ *       {t, type: "spawn",   ball, sack, arm, color},
+ *       {t, type: "split",   component, ball, side},
+ *       {t, type: "shuffle", component, order: [ballId, ...]},
+ *       {t, type: "choice",  component, ball, value},
+ *       {t, type: "observe", component, ball, color, visible}
+ *     ],
+ *     animation: {permutations: [...]} | null
+ *   }
+ */
+
+const REPLAY_FORMAT = 'tehdas-replay';
+const REPLAY_VERSION = 1;
+
+/**
+ * JSON with sorted object keys, skipping runtime-only fields
+ * (underscore-prefixed keys, functions)
+ */
+function stableStringify(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value) ?? 'null';
+  }
+  if (Array.isArray(value)) {
+    return '[' + value.map(stableStringify).join(',') + ']';
+  }
+  const keys = Object.keys(value)
+    .filter(k => !k.startsWith('_') && typeof value[k] !== 'function' && value[k] !== undefined)
+    .sort();
+  return '{' + keys.map(k => JSON.stringify(k) + ':' + stableStringify(value[k])).join(',') + '}';
+}
+
+/**
+ * Hash the parts of a level that affect a run (components, connections,
+ * sampling schedule). Returns 8 hex digits (FNV-1a).
+ */
+function hashLevel(level) {
+  const str = stableStringify({
+    components: (level.components || []).map(c => ({
+      id: c.id,
+      type: c.type,
+      position: c.position,
+      params: c.params
+    })),
+    connections: level.connections || [],
+    samplingSchedule: level.samplingSchedule || []
+  });
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Records the events of one Simulation run
+ *
+ * Attach with simulation.replay = new ReplayRecorder(simulation). The
+ * simulation and components call the on* hooks; in recording mode every
+ * hook returns the live value unchanged.
+ */
+class ReplayRecorder {
+  constructor(simulation) {
+    this.simulation = simulation;
+    // Hash now: runtime fields added to the level during the run must not count
+    this.levelHash = hashLevel(simulation.level);
+    this.events = [];
+  }
+
+  onSpawn(ballId, sackId, armId, color, time) {
+    this.events.push({t: Math.round(time), type: 'spawn', ball: ballId, sack: sackId, arm: armId, color});
+    return color;
+  }
+
+  onSplit(componentId, ballId, side, time) {
+    this.events.push({t: Math.round(time), type: 'split', component: componentId, ball: ballId, side});
+    return side;
+  }
+
+  onChoice(componentId, ballId, value, time) {
+    this.events.push({t: Math.round(time), type: 'choice', component: componentId, ball: ballId, value});
+    return value;
+  }
+
+  onShuffle(componentId, balls, time) {
+    this.events.push({t: Math.round(time), type: 'shuffle', component: componentId, order: balls.map(b => b.id)});
+  }
+
+  onObservation(componentId, observation) {
+    this.events.push({
+      t: Math.round(observation.time),
+      type: 'observe',
+      component: componentId,
+      ball: observation.ballId,
+      color: observation.color,
+      visible: observation.colorVisible
+    });
+  }
+
+  /**
+   * Build the replay document for the recorded run
+   *
+   * @param {Object} info - {game, levelId, taso, setup, animation}
+   */
+  finish(info = {}) {
+    return Replay.create({
+      ...info,
+      level: this.simulation.level,
+      levelHash: this.levelHash,
+      seed: this.simulation.config.seed,
+      events: this.events
+    });
+  }
+}
+
+/**
+ * Forces the recorded decisions of a replay onto a new Simulation
+ *
+ * Create the simulation with the replay's seed, then attach with
+ * simulation.replay = new ReplayPlayback(replay). Decisions that are missing
+ * from the log (or no longer fit, e.g. after a level edit) fall back to the
+ * live RNG and are counted in `divergences`.
+ */
+class ReplayPlayback {
+  constructor(replay) {
+    this.replay = replay;
+    this.divergences = 0;
+
+    this.spawnColors = new Map();   // ballId -> color
+    this.splits = new Map();        // "component|ball" -> [side, ...] (balls may pass a splitter twice)
+    this.choices = new Map();       // "component|ball" -> [value, ...]
+    this.shuffles = new Map();      // componentId -> [order, ...]
+    this.observations = new Map();  // ballId -> {component, color}
+
+    for (const e of replay.events) {
+      if (e.type === 'spawn') {
+        this.spawnColors.set(e.ball, e.color);
+      } else if (e.type === 'split') {
+        const key = `${e.component}|${e.ball}`;
+        if (!this.splits.has(key)) this.splits.set(key, []);
+        this.splits.get(key).push(e.side);
+      } else if (e.type === 'choice') {
+        const key = `${e.component}|${e.ball}`;
+        if (!this.choices.has(key)) this.choices.set(key, []);
+        this.choices.get(key).push(e.value);
+      } else if (e.type === 'shuffle') {
+        if (!this.shuffles.has(e.component)) this.shuffles.set(e.component, []);
+        this.shuffles.get(e.component).push(e.order);
+      } else if (e.type === 'observe') {
+        this.observations.set(e.ball, {component: e.component, color: e.color});
+      }
+    }
+  }
+
+  onSpawn(ballId, sackId, armId, color) {
+    if (!this.spawnColors.has(ballId)) {
+      this.divergences++;
+      return color;
+    }
+    return this.spawnColors.get(ballId);
+  }
+
+  onSplit(componentId, ballId, side) {
+    const queue = this.splits.get(`${componentId}|${ballId}`);
+    if (!queue || queue.length === 0) {
+      this.divergences++;
+      return side;
+    }
+    return queue.shift();
+  }
+
+  onChoice(componentId, ballId, value) {
+    const queue = this.choices.get(`${componentId}|${ballId}`);
+    if (!queue || queue.length === 0) {
+      this.divergences++;
+      return value;
+    }
+    return queue.shift();
+  }
+
+  /**
+   * Reorder the shuffled balls in place to the recorded permutation
+   */
+  onShuffle(componentId, balls) {
+    const queue = this.shuffles.get(componentId);
+    const order = queue && queue.shift();
+    const byId = new Map(balls.map(b => [b.id, b]));
+    if (!order || order.length !== balls.length || !order.every(id => byId.has(id))) {
+      this.divergences++;
+      return;
+    }
+    order.forEach((id, i) => { balls[i] = byId.get(id); });
+  }
+
+  onObservation(componentId, observation) {
+    const expected = this.observations.get(observation.ballId);
+    if (!expected || expected.component !== componentId || expected.color !== observation.color) {
+      this.divergences++;
+    }
+  }
+}
+
+const Replay = {
+  FORMAT: REPLAY_FORMAT,
+  VERSION: REPLAY_VERSION,
+
+  hashLevel,
+
+  /**
+   * Build a replay document
+   *
+   * @param {Object} data - {game, level, levelHash, levelId, taso, seed, setup, events, animation}
+   */
+  create(data) {
+    const level = data.level;
+    return {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      game: data.game || null,
+      recordedAt: new Date().toISOString(),
+      level: {
+        id: data.levelId ?? level.id ?? level.meta?.id ?? null,
+        taso: data.taso || null,
+        hash: data.levelHash || hashLevel(level)
+      },
+      seed: data.seed,
+      schedule: (level.samplingSchedule || []).map(e => ({...e})),
+      setup: data.setup || {},
+      events: data.events.map(e => ({...e})),
+      animation: data.animation || null
+    };
+  },
+
+  /**
+   * Check a parsed replay document; throws on anything unusable
+   */
+  validate(replay, game) {
+    if (!replay || replay.format !== REPLAY_FORMAT) {
+      throw new Error('Not a factory replay file');
+    }
+    if (replay.version > REPLAY_VERSION) {
+      throw new Error(`Replay version ${replay.version} is newer than supported version ${REPLAY_VERSION}`);
+    }
+    if (game && replay.game && replay.game !== game) {
+      throw new Error(`Replay was recorded in ${replay.game}, not ${game}`);
+    }
+    if (typeof replay.seed !== 'number' || !Array.isArray(replay.events)) {
+      throw new Error('Replay is missing its seed or event log');
+    }
+    return replay;
+  },
+
+  /**
+   * Does the replay belong to this (already set up) level?
+   */
+  matchesLevel(replay, level) {
+    return replay.level?.hash === hashLevel(level);
+  },
+
+  /**
+   * Parse and validate replay JSON text
+   */
+  parse(text, game) {
+    let replay;
+    try {
+      replay = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Replay is not valid JSON: ${e.message}`);
+    }
+    return this.validate(replay, game);
+  },
+
+  /**
+   * Encode a replay for a URL parameter (base64url of the UTF-8 JSON)
+   */
+  encode(replay) {
+    const bytes = new TextEncoder().encode(JSON.stringify(replay));
+    let binary = '';
+    for (const b of bytes) binary += String.fromCharCode(b);
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  },
+
+  /**
+   * Decode a URL parameter produced by encode()
+   */
+  decode(encoded, game) {
+    const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    const bytes = Uint8Array.from(binary, ch => ch.charCodeAt(0));
+    return this.parse(new TextDecoder().decode(bytes), game);
+  },
+
+  /**
+   * Shareable link: the given page URL with ?replay=... added
+   * (other parameters such as taso are kept)
+   */
+  buildLink(replay, pageUrl) {
+    const url = new URL(pageUrl);
+    url.searchParams.set('replay', this.encode(replay));
+    return url.toString();
+  },
+
+  ReplayRecorder,
+  ReplayPlayback
+};
+
+// Export for browser
+if (typeof window !== 'undefined') {
+  window.Replay = Replay;
+  window.ReplayRecorder = ReplayRecorder;
+  window.ReplayPlayback = ReplayPlayback;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Replay;
+}
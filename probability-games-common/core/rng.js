@@ -1,29 +1,138 @@
 /**
  * Random Number Generator
  *
- * Deterministic RNG for reproducible simulations
+ * Deterministic RNG for reproducible simulations.
+ *
+ * Uses xoshiro128** (128-bit state, 32-bit output), seeded through
+ * splitmix32 so that nearby seeds (0, 1, 2...) give unrelated sequences.
+ *
+ * Named substreams: rng.stream("comp3") returns a child generator whose
+ * sequence depends only on the root seed and the name, never on how many
+ * numbers other streams have drawn. Components draw from a stream named
+ * after their id, so adding or editing one component leaves the random
+ * choices of every other component unchanged.
+ */
+
+/**
+ * splitmix32 step: returns [nextState, output]
+ */
+function splitmix32(state) {
+  state = (state + 0x9e3779b9) >>> 0;
+  let z = state;
+  z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+  z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+  z = (z ^ (z >>> 16)) >>> 0;
+  return [state, z];
+}
+
+/**
+ * Hash a stream name into 32 bits (FNV-1a followed by a final avalanche)
  */
+function hashStreamName(name) {
+  const str = String(name);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return splitmix32(h >>> 0)[1];
+}
 
 class RNG {
   constructor(seed) {
-    // Scramble the seed to avoid correlations between similar seeds.
-    // LCGs have poor low-order bits, so seeds differing only in low bits
-    // (e.g., 0, 2, 4 vs 1, 3, 5) can produce correlated sequences.
-    // This uses a simple mixing function to spread entropy across all bits.
-    let s = (seed || 12345) >>> 0;
-    s = Math.imul(s ^ (s >>> 16), 0x85ebca6b);
-    s = Math.imul(s ^ (s >>> 13), 0xc2b2ae35);
-    s = (s ^ (s >>> 16)) >>> 0;
-    this.state = s || 1;  // Ensure non-zero state
+    this.reseed(seed);
+  }
+
+  /**
+   * Reset the generator (and forget all substreams) for a new seed
+   */
+  reseed(seed) {
+    this.key = (seed ?? 12345) >>> 0;
+    this.streams = new Map();
+
+    // Fill the 128-bit state from splitmix32; xoshiro must not start at all zeros
+    let sm = this.key;
+    const s = new Array(4);
+    for (let i = 0; i < 4; i++) {
+      [sm, s[i]] = splitmix32(sm);
+    }
+    if ((s[0] | s[1] | s[2] | s[3]) === 0) s[0] = 1;
+    this.s = s;
+  }
+
+  /**
+   * Named substream, created on first use and cached
+   *
+   * @param {string} name - Stream name (usually a component id)
+   * @returns {RNG} Child generator
+   */
+  stream(name) {
+    const key = String(name);
+    let child = this.streams.get(key);
+    if (!child) {
+      const childSeed = splitmix32((this.key ^ hashStreamName(key)) >>> 0)[1];
+      child = new RNG(childSeed || 1);
+      this.streams.set(key, child);
+    }
+    return child;
+  }
+
+  /**
+   * Serializable snapshot of this generator and all of its substreams.
+   * Assigning a number instead reseeds the generator.
+   */
+  get state() {
+    const streams = {};
+    for (const [name, child] of this.streams) {
+      streams[name] = child.state;
+    }
+    return {key: this.key, s: [...this.s], streams};
+  }
+
+  set state(value) {
+    if (typeof value === 'number') {
+      this.reseed(value);
+      return;
+    }
+    this.key = value.key >>> 0;
+    this.s = [...value.s];
+
+    // Streams created after the snapshot are dropped so they restart from their seed
+    const saved = value.streams || {};
+    for (const name of Array.from(this.streams.keys())) {
+      if (!(name in saved)) this.streams.delete(name);
+    }
+    for (const [name, childState] of Object.entries(saved)) {
+      if (!this.streams.has(name)) {
+        this.streams.set(name, new RNG(childState.key));
+      }
+      this.streams.get(name).state = childState;
+    }
+  }
+
+  /**
+   * Next raw 32-bit output (xoshiro128**)
+   */
+  nextUint32() {
+    const s = this.s;
+    const result = Math.imul(rotl(Math.imul(s[1], 5), 7), 9) >>> 0;
+    const t = s[1] << 9;
+
+    s[2] ^= s[0];
+    s[3] ^= s[1];
+    s[1] ^= s[2];
+    s[0] ^= s[3];
+    s[2] ^= t;
+    s[3] = rotl(s[3], 11);
+
+    return result;
   }
 
   /**
    * Generate next random number [0, 1)
    */
   next() {
-    // Simple LCG (Linear Congruential Generator)
-    this.state = (this.state * 1664525 + 1013904223) % 4294967296;
-    return this.state / 4294967296;
+    return this.nextUint32() / 4294967296;
   }
 
   /**
@@ -61,12 +170,15 @@ class RNG {
 
     for (let i = 0; i < items.length; i++) {
       random -= weights[i];
-      if (random <= 0) {
+      if (random < 0) {
         return items[i];
       }
     }
 
-    // Fallback (shouldn't happen)
+    // Floating-point leftovers: last item with non-zero weight
+    for (let i = items.length - 1; i >= 0; i--) {
+      if (weights[i] > 0) return items[i];
+    }
     return items[items.length - 1];
   }
 
@@ -81,3 +193,12 @@ class RNG {
     return array;
   }
 }
+
+function rotl(x, k) {
+  return (x << k) | (x >>> (32 - k));
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { RNG };
+}
@@ -0,0 +1,211 @@
+/**
+ * Scoring Rules (shared)
+ *
+ * Scores a submitted probability per column against the true probabilities
+ * (exact outcome distribution or Bayesian posterior). Used by
+ * BettingInterface.showResults in all three games.
+ *
+ * The truth is a whole distribution, not a single outcome, so every proper
+ * rule is scored as its expected regret: how much worse the player's
+ * forecast does on average than forecasting the truth itself. All rules
+ * are 0 for a perfect answer and grow with the error (lower is better).
+ *
+ *   maxError — largest per-column |p − t|. Not a proper rule: it only looks
+ *              at the worst column, so spreading probability evenly ("hedging")
+ *              is often rewarded. Kept as the default for existing levels.
+ *   log      — KL(t ‖ p) in bits: expected log-score regret. Putting almost
+ *              no probability on something that can happen is very costly.
+ *   brier    — Σ (p − t)²: expected Brier-score regret.
+ *   rps      — ranked probability score regret for ordered columns (counts,
+ *              numeric buckets): Σ (P_k − T_k)² / (K − 1) over cumulative sums.
+ *              A forecast one bucket off costs less than one far off.
+ *
+ * Levels choose a rule in their meta:
+ *   meta.bettingConfig.scoringRule   — 'maxError' | 'log' | 'brier' | 'rps'
+ *   meta.bettingConfig.starThresholds — optional [3★, 2★, 1★] override;
+ *                                       each rule has its own defaults
+ */
+
+// Smallest forecast the log rule takes seriously. A zero on a possible
+// outcome would cost infinitely many bits; capped, one slip costs ~10 bits.
+const LOG_SCORE_FLOOR = 0.001;
+
+/**
+ * Player probabilities as a distribution (sum 1). The grid is normalized
+ * before submit, but rounding and the 1-2 column auto-fill can leave it
+ * slightly off.
+ */
+function normalizeForecast(probs) {
+  const sum = probs.reduce((a, b) => a + b, 0);
+  if (sum <= 0) return probs.map(() => 1 / probs.length);
+  return probs.map(p => p / sum);
+}
+
+function formatNumber(x, decimals) {
+  return x.toFixed(decimals).replace('.', ',');
+}
+
+const SCORING_RULES = {
+  maxError: {
+    id: 'maxError',
+    name: 'Suurin virhe',
+    proper: false,
+    starThresholds: [0.06, 0.11, 0.21],
+
+    score(forecast, truth) {
+      let maxError = 0;
+      for (let i = 0; i < truth.length; i++) {
+        maxError = Math.max(maxError, Math.abs(forecast[i] - truth[i]));
+      }
+      return maxError;
+    },
+
+    format(score) {
+      return `${formatNumber(score * 100, 1)} prosenttiyksikköä`;
+    },
+
+    explain(score) {
+      return `Suurin virhe: ${this.format(score)}. ` +
+        'Luku on suurin ero arvauksesi ja oikean todennäköisyyden välillä yhdessä sarakkeessa. 0 on täydellinen.';
+    }
+  },
+
+  log: {
+    id: 'log',
+    name: 'Logaritminen pistemäärä',
+    proper: true,
+    starThresholds: [0.02, 0.07, 0.25],
+
+    score(forecast, truth) {
+      const p = normalizeForecast(forecast);
+      let kl = 0;
+      for (let i = 0; i < truth.length; i++) {
+        if (truth[i] <= 0) continue;
+        kl += truth[i] * Math.log2(truth[i] / Math.max(p[i], LOG_SCORE_FLOOR));
+      }
+      return Math.max(0, kl);
+    },
+
+    format(score) {
+      return `${formatNumber(score, 3)} bittiä`;
+    },
+
+    explain(score) {
+      return `Logaritminen pistemäärä: menetit ${this.format(score)} oikeaan jakaumaan verrattuna. ` +
+        'Lähes nollan todennäköisyys tapahtumalle, joka voi sattua, maksaa paljon. 0 on täydellinen.';
+    }
+  },
+
+  brier: {
+    id: 'brier',
+    name: 'Brier-pistemäärä',
+    proper: true,
+    starThresholds: [0.01, 0.03, 0.09],
+
+    score(forecast, truth) {
+      const p = normalizeForecast(forecast);
+      let sum = 0;
+      for (let i = 0; i < truth.length; i++) {
+        sum += (p[i] - truth[i]) ** 2;
+      }
+      return sum;
+    },
+
+    format(score) {
+      return formatNumber(score, 3);
+    },
+
+    explain(score) {
+      return `Brier-pistemäärä: ${this.format(score)}. ` +
+        'Luku on sarakkeiden virheiden neliöiden summa, joten monta pientä virhettä ja yksi iso virhe lasketaan molemmat. 0 on täydellinen.';
+    }
+  },
+
+  rps: {
+    id: 'rps',
+    name: 'Järjestetty pistemäärä (RPS)',
+    proper: true,
+    starThresholds: [0.005, 0.015, 0.05],
+
+    score(forecast, truth) {
+      const p = normalizeForecast(forecast);
+      if (truth.length < 2) return 0;
+      let cumP = 0;
+      let cumT = 0;
+      let sum = 0;
+      for (let k = 0; k < truth.length - 1; k++) {
+        cumP += p[k];
+        cumT += truth[k];
+        sum += (cumP - cumT) ** 2;
+      }
+      return sum / (truth.length - 1);
+    },
+
+    format(score) {
+      return formatNumber(score, 4);
+    },
+
+    explain(score) {
+      return `Järjestetty pistemäärä (RPS): ${this.format(score)}. ` +
+        'Luku vertaa kertymiä vasemmalta oikealle, joten lähelle osunut arvaus on parempi kuin kauas osunut. 0 on täydellinen.';
+    }
+  }
+};
+
+const ScoringRules = {
+  LOG_SCORE_FLOOR,
+
+  /**
+   * Get a scoring rule by id; throws on unknown ids
+   */
+  get(id) {
+    const rule = SCORING_RULES[id];
+    if (!rule) {
+      throw new Error(`Unknown scoring rule: ${id} (expected one of ${Object.keys(SCORING_RULES).join(', ')})`);
+    }
+    return rule;
+  },
+
+  /**
+   * All rule ids
+   */
+  getAllIds() {
+    return Object.keys(SCORING_RULES);
+  },
+
+  /**
+   * Score a forecast against the truth
+   *
+   * @param {string} id - Rule id
+   * @param {number[]} forecast - Player probability per column
+   * @param {number[]} truth - True probability per column
+   * @returns {number} Expected regret (0 = perfect, lower is better)
+   */
+  score(id, forecast, truth) {
+    if (forecast.length !== truth.length) {
+      throw new Error(`Scoring: forecast has ${forecast.length} columns, truth has ${truth.length}`);
+    }
+    return this.get(id).score(forecast, truth);
+  },
+
+  /**
+   * Star rating (0-3) for a score, given [3★, 2★, 1★] thresholds
+   */
+  getStars(score, thresholds) {
+    if (score === Infinity || isNaN(score)) return 0;
+    if (score <= thresholds[0]) return 3;
+    if (score <= thresholds[1]) return 2;
+    if (score <= thresholds[2]) return 1;
+    return 0;
+  }
+};
+
+// Export for browser
+if (typeof window !== 'undefined') {
+  window.ScoringRules = ScoringRules;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ScoringRules;
+}
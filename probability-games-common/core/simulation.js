@@ -39,15 +39,21 @@ class Simulation {
     this.balls = [];
     this.nextBallId = 0;
 
+    // Physical queuing (opt-in per level: level.simulation.queuing). When on,
+    // a ball waits at the exit of its component while the next one is full
+    // (see canAccept) instead of overlapping the balls already there.
+    this.queuing = this.config.queuing ?? level.simulation?.queuing ?? false;
+    this.queuedBalls = [];  // Waiting balls, in the order they started waiting
+
     // RNG
     this.rng = new RNG(this.config.seed);
 
     // Pre-computed ball colors for deterministic replay
-    // (separated from main RNG so splitter/shuffler RNG calls don't affect ball colors)
+    // (each sack draws from its own substream, so splitter/shuffler draws don't affect ball colors)
     this._ballColors = null; // Computed after components are initialized
 
     // Find arms for ball production
-    this.arms = this.components.filter(c => c.type === "arm");
+    this.arms = this.components.filter(c => ComponentRegistry.baseType(c.type) === "arm");
 
     // Sampling schedule (if specified)
     this.samplingSchedule = level.samplingSchedule || null;
@@ -70,14 +76,18 @@ class Simulation {
     this.bayesianTracker = this.initializeBayesianTracker(level);
 
     // Pre-compute ball colors for deterministic replay
+    this._sackRemaining = new Map();
     this._ballColors = this._precomputeBallColors();
 
     // Callbacks
     this.onObservation = null;
+
+    // Replay recorder or playback (see core/replay.js); null for normal runs
+    this.replay = null;
   }
 
   /**
-   * Pre-compute all ball colors using a separate RNG stream.
+   * Pre-compute all ball colors using per-sack RNG substreams.
    * This ensures ball colors are deterministic regardless of splitter/shuffler
    * RNG interleaving, which depends on frame timing.
    */
@@ -87,20 +97,21 @@ class Simulation {
     const sackSpec = ComponentRegistry.get("sack");
     if (!sackSpec) return [];
     const colors = [];
+    const remaining = new Map();
     for (const entry of this.samplingSchedule) {
       const armId = entry.sackId || entry.armId;
       const inputConn = this.level.connections.find(c => c.to === armId);
       if (inputConn) {
         const sack = this.componentsById.get(inputConn.from);
         if (sack && sack.type === 'sack') {
-          colors.push(sackSpec.behavior.draw(rng, sack.params));
+          colors.push(sackSpec.behavior.draw(rng.stream(sack.id), sack.params, this._finiteSackContents(sack, remaining)));
           continue;
         }
       }
       // Fallback: armId might be a sack directly
       const directSack = this.componentsById.get(armId);
       if (directSack && directSack.type === 'sack') {
-        colors.push(sackSpec.behavior.draw(rng, directSack.params));
+        colors.push(sackSpec.behavior.draw(rng.stream(directSack.id), directSack.params, this._finiteSackContents(directSack, remaining)));
       } else {
         colors.push(null); // Unknown — will fall back to main RNG
       }
@@ -108,6 +119,19 @@ class Simulation {
     return colors;
   }
 
+  /**
+   * Counts left in a finite sack, or null for a sack drawn with replacement
+   * @param {Object} sack - Sack component
+   * @param {Map} remainingBySack - sackId -> counts left, filled on first draw
+   */
+  _finiteSackContents(sack, remainingBySack) {
+    if (!sack.params.finite) return null;
+    if (!remainingBySack.has(sack.id)) {
+      remainingBySack.set(sack.id, {...sack.params.contents});
+    }
+    return remainingBySack.get(sack.id);
+  }
+
   /**
    * Initialize components from level definition
    */
@@ -166,7 +190,7 @@ class Simulation {
    */
   initializeMultiArmSupport() {
     // Find all arm components and register them with their input sacks
-    const arms = this.components.filter(c => c.type === 'arm');
+    const arms = this.components.filter(c => ComponentRegistry.baseType(c.type) === 'arm');
 
     for (const arm of arms) {
       // Find input connection (sack → arm)
@@ -263,7 +287,8 @@ class Simulation {
 
       return {
         id: h.id,
-        sackAssignments: sackAssignments
+        sackAssignments: sackAssignments,
+        prior: h.probability ?? (h.logProbability != null ? Math.exp(h.logProbability) : undefined)
       };
     });
 
@@ -273,7 +298,9 @@ class Simulation {
       return null;
     }
 
-    return new BayesianTracker(hypotheses, Array.from(colors));
+    // Finite sacks are drawn without replacement; the clock stamps timeline events
+    const finiteSacks = sacks.filter(s => s.params.finite).map(s => String(s.id));
+    return new BayesianTracker(hypotheses, Array.from(colors), {finiteSacks, clock: () => this.time});
   }
 
   /**
@@ -318,9 +345,13 @@ class Simulation {
    *
    * Decision sources in this codebase:
    *   (a) Sack draws — occur at samplingSchedule/dynamicSchedule times, and
-   *       only count as "random" if the sack has >1 color.
+   *       only count as "random" if the sack has >1 color or the arm has a
+   *       random pickup delay (random-arm).
    *   (b) Splitters — fire when time >= pending.exitTime for a ball in the
-   *       splitter, and only count as random if the splitter has >1 output.
+   *       splitter, and only count as random if the splitter has >1 output
+   *       with non-zero weight.
+   *   (c) Components whose spec defines nextDecisionTime(component,
+   *       simulation), e.g. jamming conveyors.
    *
    * Used by branching simulators to skip per-frame state serialization
    * unless a decision is imminent.
@@ -329,28 +360,15 @@ class Simulation {
     let earliest = Infinity;
     const TIME_UNIT = 2000;
 
-    // (a) Upcoming scheduled sack draws with multi-color sacks
+    // (a) Upcoming scheduled draws that involve a random decision
     if (this.samplingSchedule) {
       for (let i = this.scheduleIndex; i < this.samplingSchedule.length; i++) {
         const entry = this.samplingSchedule[i];
-        const armId = entry.sackId || entry.armId;
         const sackTime = entry.time * TIME_UNIT;
         if (sackTime >= earliest) break;  // schedule is sorted
-        // Find the sack this arm draws from
-        const armComp = this.componentsById.get(armId);
-        let sack = null;
-        if (armComp && armComp.type === 'sack') {
-          sack = armComp;
-        } else if (armComp && armComp.type === 'arm') {
-          const conn = this.level.connections.find(c => c.to === armId);
-          if (conn) sack = this.componentsById.get(conn.from);
-        }
-        if (sack && sack.params && sack.params.contents) {
-          const colorsWithMass = Object.values(sack.params.contents).filter(w => w > 0);
-          if (colorsWithMass.length > 1) {
-            earliest = Math.min(earliest, sackTime);
-            break;  // any later entries will be >= this time
-          }
+        if (this.isRandomDraw(entry.sackId || entry.armId)) {
+          earliest = Math.min(earliest, sackTime);
+          break;  // any later entries will be >= this time
         }
       }
     }
@@ -359,20 +377,8 @@ class Simulation {
     if (this.dynamicSchedule) {
       for (const entry of this.dynamicSchedule) {
         if (entry.time >= earliest) continue;
-        const armId = entry.sackId || entry.armId;
-        const armComp = this.componentsById.get(armId);
-        let sack = null;
-        if (armComp && armComp.type === 'sack') {
-          sack = armComp;
-        } else if (armComp && armComp.type === 'arm') {
-          const conn = this.level.connections.find(c => c.to === armId);
-          if (conn) sack = this.componentsById.get(conn.from);
-        }
-        if (sack && sack.params && sack.params.contents) {
-          const colorsWithMass = Object.values(sack.params.contents).filter(w => w > 0);
-          if (colorsWithMass.length > 1) {
-            earliest = Math.min(earliest, entry.time);
-          }
+        if (this.isRandomDraw(entry.sackId || entry.armId)) {
+          earliest = Math.min(earliest, entry.time);
         }
       }
     }
@@ -380,9 +386,9 @@ class Simulation {
     // (b) Splitters (and shufflers/duplicators) with pending balls
     for (const comp of this.components) {
       if (comp.type === 'splitter') {
-        // Multi-output check
+        // Multi-output check (zero-weight outputs can never be chosen)
         const outputs = comp.params?.sides
-          ? Object.values(comp.params.sides).filter(s => s.type === 'output').length
+          ? ComponentRegistry.get('splitter').behavior.getOutputWeights(comp.params).length
           : 0;
         if (outputs < 2) continue;
         if (!comp.pendingBalls) continue;
@@ -392,11 +398,42 @@ class Simulation {
       }
       // Shufflers aren't used in the Mallit branching path (they fire on
       // shuffle() which doesn't go through a Decision-style RNG call).
+
+      // (c) Components that predict their own decisions
+      const spec = ComponentRegistry.get(comp.type);
+      if (spec.nextDecisionTime) {
+        earliest = Math.min(earliest, spec.nextDecisionTime(comp, this));
+      }
     }
 
     return earliest;
   }
 
+  /**
+   * Does a scheduled draw through this arm (or sack) involve a random
+   * decision? True for sacks with more than one color and for arms with
+   * a random pickup delay.
+   */
+  isRandomDraw(armId) {
+    const armComp = this.componentsById.get(armId);
+    let sack = null;
+    if (armComp && armComp.type === 'sack') {
+      sack = armComp;
+    } else if (armComp && ComponentRegistry.baseType(armComp.type) === 'arm') {
+      const armSpec = ComponentRegistry.get(armComp.type);
+      if (armSpec.behavior?.hasRandomDelay?.(armComp.params)) {
+        return true;
+      }
+      const conn = this.level.connections.find(c => c.to === armId);
+      if (conn) sack = this.componentsById.get(conn.from);
+    }
+    if (sack && sack.params && sack.params.contents) {
+      const colorsWithMass = Object.values(sack.params.contents).filter(w => w > 0);
+      return colorsWithMass.length > 1;
+    }
+    return false;
+  }
+
   tick(deltaTime) {
     const lastTime = this.time;
     this.time += deltaTime;
@@ -467,7 +504,8 @@ class Simulation {
       }
     });
 
-    // 3. Check components for transfers
+    // 3. Check components for transfers (waiting balls first, so they keep their turn)
+    this.releaseQueuedBalls();
     this.components.forEach(comp => {
       // Support queued transfers (multiple balls exiting same component in one tick)
       if (comp.ballsToTransfer && comp.ballsToTransfer.length > 0) {
@@ -508,6 +546,9 @@ class Simulation {
       this.handleTrajectoryComplete(ball);
     });
 
+    // 4b. Balls that left a cell this tick make room for waiting balls
+    this.releaseQueuedBalls();
+
     // 5. Check if simulation is complete
     if (this.running) {
       const allBallsSpawned = this.ballsProduced >= this.config.ballsToSpawn;
@@ -583,8 +624,8 @@ class Simulation {
     // Find arm by ID
     const arm = this.componentsById.get(armId);
 
-    if (!arm || arm.type !== 'arm') {
-      throw new Error(`Invalid arm ID in sampling schedule: ${armId}. Available arms: ${this.components.filter(c => c.type === 'arm').map(c => c.id).join(', ')}`);
+    if (!arm || ComponentRegistry.baseType(arm.type) !== 'arm') {
+      throw new Error(`Invalid arm ID in sampling schedule: ${armId}. Available arms: ${this.arms.map(c => c.id).join(', ')}`);
     }
 
     // Find sack connected to this arm
@@ -601,12 +642,17 @@ class Simulation {
     const sackSpec = ComponentRegistry.get("sack");
 
     // Use pre-computed color for deterministic replay, fall back to main RNG
-    const color = (this._ballColors && this._ballColors[this.ballsProduced] != null)
+    let color = (this._ballColors && this._ballColors[this.ballsProduced] != null)
       ? this._ballColors[this.ballsProduced]
-      : sackSpec.behavior.draw(this.rng, sack.params);
+      : sackSpec.behavior.draw(this.rng.stream(sack.id), sack.params, this._finiteSackContents(sack, this._sackRemaining));
+
+    const ballId = `ball_${this.nextBallId++}`;
+    if (this.replay) {
+      color = this.replay.onSpawn(ballId, sack.id, armId, color, this.time);
+    }
 
     // Create ball
-    const ball = new Ball(`ball_${this.nextBallId++}`, color);
+    const ball = new Ball(ballId, color);
     ball.sourceId = sack.id;
     this.balls.push(ball);
     this.ballsProduced++;
@@ -636,12 +682,17 @@ class Simulation {
     const sackSpec = ComponentRegistry.get("sack");
 
     // Use pre-computed color for deterministic replay, fall back to main RNG
-    const color = (this._ballColors && this._ballColors[this.ballsProduced] != null)
+    let color = (this._ballColors && this._ballColors[this.ballsProduced] != null)
       ? this._ballColors[this.ballsProduced]
-      : sackSpec.behavior.draw(this.rng, sack.params);
+      : sackSpec.behavior.draw(this.rng.stream(sack.id), sack.params, this._finiteSackContents(sack, this._sackRemaining));
+
+    const ballId = `ball_${this.nextBallId++}`;
+    if (this.replay) {
+      color = this.replay.onSpawn(ballId, sack.id, null, color, this.time);
+    }
 
     // Create ball
-    const ball = new Ball(`ball_${this.nextBallId++}`, color);
+    const ball = new Ball(ballId, color);
     ball.sourceId = sack.id;
     this.balls.push(ball);
     this.ballsProduced++;
@@ -697,9 +748,9 @@ class Simulation {
       return true;
     }
 
-    // Check if any ball is currently in this arm's "traveling" state
+    // Check if any ball is currently held ("waiting", random-arm) or carried
     for (const ball of this.balls) {
-      if (ball.componentId === arm.id && ball.componentState === 'traveling') {
+      if (ball.componentId === arm.id && (ball.componentState === 'traveling' || ball.componentState === 'waiting')) {
         return true;
       }
     }
@@ -711,7 +762,7 @@ class Simulation {
    * Assign a ball to an arm (trigger pickup sequence)
    */
   assignBallToArm(ball, arm, time) {
-    const armSpec = ComponentRegistry.get("arm");
+    const armSpec = ComponentRegistry.get(arm.type);
     armSpec.transitions.onPickup(ball, arm, time, armSpec);
   }
 
@@ -759,8 +810,57 @@ class Simulation {
 
   /**
    * Transfer ball to next component
+   *
+   * @param {Ball} ball
+   * @param {Object} fromComponent - Component the ball is leaving
+   * @param {Object} [nextComponent] - Known target (a waiting ball that is
+   *   released); otherwise found from the level connections
+   */
+  transferBall(ball, fromComponent, nextComponent = null) {
+    if (!nextComponent) {
+      nextComponent = this.findNextComponent(ball, fromComponent);
+
+      // Queuing: wait at the exit while the next component is full
+      if (this.queuing && !this.canAccept(nextComponent, ball)) {
+        this.queueBall(ball, nextComponent);
+        return;
+      }
+    }
+
+    // Detect potential cycles
+    if (ball.lastTenComponents) {
+      ball.lastTenComponents.push(nextComponent.id);
+      if (ball.lastTenComponents.length > 10) {
+        ball.lastTenComponents.shift();
+      }
+
+      // Check if we're in a tight loop
+      const uniqueComponents = new Set(ball.lastTenComponents);
+      if (uniqueComponents.size <= 3 && ball.lastTenComponents.length === 10) {
+        console.error(`WARNING: Ball ${ball.id} appears to be in a loop! Last 10 components:`, ball.lastTenComponents);
+        console.error('From component:', fromComponent.id, fromComponent.position);
+        console.error('To component:', nextComponent.id, nextComponent.position);
+      }
+    } else {
+      ball.lastTenComponents = [nextComponent.id];
+    }
+
+    const nextSpec = ComponentRegistry.get(nextComponent.type);
+
+    // Compute input direction
+    ball.inputDirection = computeInputDirection(fromComponent, nextComponent);
+
+    // Transfer ownership
+    if (nextSpec.transitions.onArrival) {
+      nextSpec.transitions.onArrival(ball, nextComponent, this.time, nextSpec);
+    }
+
+  }
+
+  /**
+   * Find the component a ball moves to when it leaves fromComponent
    */
-  transferBall(ball, fromComponent) {
+  findNextComponent(ball, fromComponent) {
     // For components with multiple outputs, find the correct connection
     let connection;
 
@@ -870,35 +970,66 @@ class Simulation {
       throw new Error(`Next component ${connection.to} not found for connection from ${fromComponent.id}. This indicates invalid level configuration with broken references.`);
     }
 
-    // Detect potential cycles
-    if (ball.lastTenComponents) {
-      ball.lastTenComponents.push(nextComponent.id);
-      if (ball.lastTenComponents.length > 10) {
-        ball.lastTenComponents.shift();
-      }
+    return nextComponent;
+  }
 
-      // Check if we're in a tight loop
-      const uniqueComponents = new Set(ball.lastTenComponents);
-      if (uniqueComponents.size <= 3 && ball.lastTenComponents.length === 10) {
-        console.error(`WARNING: Ball ${ball.id} appears to be in a loop! Last 10 components:`, ball.lastTenComponents);
-        console.error('Current connection:', connection);
-        console.error('From component:', fromComponent.id, fromComponent.position);
-        console.error('To component:', nextComponent.id, nextComponent.position);
-      }
-    } else {
-      ball.lastTenComponents = [nextComponent.id];
-    }
+  /**
+   * Can the component take another ball? Only asked when queuing is on.
+   * Components without a canAccept spec method never fill up.
+   */
+  canAccept(component, ball) {
+    const spec = ComponentRegistry.get(component.type);
+    return spec.canAccept ? spec.canAccept(component, ball, this) : true;
+  }
 
-    const nextSpec = ComponentRegistry.get(nextComponent.type);
+  /**
+   * Hold a ball where it is until the next component has room
+   *
+   * The ball keeps its component and state; it gets a stationary trajectory
+   * that never completes, and ball.queuedFor names the component it waits
+   * for. releaseQueuedBalls() moves it on.
+   */
+  queueBall(ball, nextComponent) {
+    // End of the finished trajectory (some components clear it before the transfer)
+    const last = ball.trajectoryWaypoints?.[ball.trajectoryWaypoints.length - 1];
+    const pos = ball.trajectory ? ball.trajectory(1) : {...(last || ball.position)};
+    ball.position = {...pos};
+    ball.trajectory = () => ({...pos});
+    ball.trajectoryStartTime = this.time;
+    ball.trajectoryDuration = Infinity;
+    ball.trajectoryWaypoints = [pos, pos];
+    ball.queuedFor = nextComponent.id;
+    this.queuedBalls.push(ball);
+  }
 
-    // Compute input direction
-    ball.inputDirection = computeInputDirection(fromComponent, nextComponent);
+  /**
+   * Move waiting balls on as their next component frees up
+   *
+   * Balls waiting for the same component go in the order they started
+   * waiting. Repeats until nothing moves, so a whole line of waiting balls
+   * can advance in one tick. Balls that wait for each other in a loop stay
+   * stuck (the level then never completes).
+   */
+  releaseQueuedBalls() {
+    if (this.queuedBalls.length === 0) return;
+
+    let moved = true;
+    while (moved) {
+      moved = false;
+      const blocked = new Set();
+      for (const ball of [...this.queuedBalls]) {
+        const nextComponent = this.componentsById.get(ball.queuedFor);
+        if (blocked.has(nextComponent.id) || !this.canAccept(nextComponent, ball)) {
+          blocked.add(nextComponent.id);
+          continue;
+        }
 
-    // Transfer ownership
-    if (nextSpec.transitions.onArrival) {
-      nextSpec.transitions.onArrival(ball, nextComponent, this.time, nextSpec);
+        this.queuedBalls.splice(this.queuedBalls.indexOf(ball), 1);
+        ball.queuedFor = null;
+        this.transferBall(ball, this.componentsById.get(ball.componentId), nextComponent);
+        moved = true;
+      }
     }
-
   }
 
   /**
@@ -941,6 +1072,7 @@ class Simulation {
     this.balls = [];
     this.nextBallId = 0;
     this.rng = new RNG(this.config.seed);
+    this._sackRemaining = new Map();
     this._ballColors = this._precomputeBallColors();
 
     // Reset component states
@@ -953,12 +1085,16 @@ class Simulation {
       comp.committedBallCount = undefined;  // Reset switch visual counter
       comp.pendingMidpoints = null;  // Reset switch pending midpoints
       comp.pendingBalls = null;    // Reset splitter's pending balls
+      comp.jamUntil = null;        // Reset jamming conveyor
     });
+    this.queuedBalls = [];
 
     // Reset Bayesian tracker to uniform prior
     if (this.bayesianTracker) {
       this.bayesianTracker.reset();
     }
+    // A replay covers a single run; callers attach a fresh one after reset
+    this.replay = null;
   }
 }
 
@@ -0,0 +1,179 @@
+/**
+ * Statistics helpers
+ *
+ * Distribution functions for goodness-of-fit tests: chi-square, normal and
+ * exact binomial tail probabilities, plus Holm's multiple-comparison
+ * adjustment. Plain functions, usable from the browser (script tag)
+ * and from Node (require).
+ */
+
+/**
+ * Natural log of the gamma function (Lanczos approximation)
+ */
+function logGamma(x) {
+  const g = 7;
+  const c = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+    771.32342877765313, -176.61502916214059, 12.507343278686905,
+    -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+  ];
+  if (x < 0.5) {
+    // Reflection formula
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+  x -= 1;
+  let a = c[0];
+  const t = x + g + 0.5;
+  for (let i = 1; i < g + 2; i++) {
+    a += c[i] / (x + i);
+  }
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+/**
+ * Regularized upper incomplete gamma function Q(a, x) = 1 - P(a, x)
+ */
+function gammaQ(a, x) {
+  if (x <= 0) return 1;
+  if (x < a + 1) {
+    // Series for P(a, x)
+    let sum = 1 / a;
+    let term = sum;
+    for (let n = 1; n < 1000; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 1e-15) break;
+    }
+    return 1 - sum * Math.exp(-x + a * Math.log(x) - logGamma(a));
+  }
+
+  // Continued fraction for Q(a, x) (modified Lentz)
+  const tiny = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < 1000; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = b + an / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-15) break;
+  }
+  return Math.exp(-x + a * Math.log(x) - logGamma(a)) * h;
+}
+
+/**
+ * P(X >= statistic) for a chi-square variable with df degrees of freedom
+ */
+function chiSquarePValue(statistic, df) {
+  if (df <= 0) return 1;
+  return gammaQ(df / 2, statistic / 2);
+}
+
+/**
+ * Two-sided p-value of a standard normal z-score
+ */
+function normalTwoSidedPValue(z) {
+  // erfc via gammaQ: erfc(x) = Q(1/2, x^2) for x >= 0
+  const x = Math.abs(z) / Math.SQRT2;
+  return gammaQ(0.5, x * x);
+}
+
+/**
+ * Pearson chi-square goodness-of-fit test
+ *
+ * @param {Array<number>} observed - Observed counts
+ * @param {Array<number>} expected - Expected counts (same length)
+ * @param {number} ddof - Extra degrees of freedom to subtract (fitted parameters)
+ * @returns {{statistic: number, df: number, pValue: number}}
+ */
+function chiSquareTest(observed, expected, ddof = 0) {
+  if (observed.length !== expected.length) {
+    throw new Error('Observed and expected counts must have same length');
+  }
+  let statistic = 0;
+  let cells = 0;
+  for (let i = 0; i < observed.length; i++) {
+    if (expected[i] <= 0) {
+      if (observed[i] > 0) {
+        return {statistic: Infinity, df: observed.length - 1 - ddof, pValue: 0};
+      }
+      continue;
+    }
+    statistic += (observed[i] - expected[i]) ** 2 / expected[i];
+    cells++;
+  }
+  const df = cells - 1 - ddof;
+  return {statistic, df, pValue: chiSquarePValue(statistic, df)};
+}
+
+/**
+ * Exact two-sided binomial test
+ * Sums the probabilities of every count no more likely than the observed one.
+ *
+ * @param {number} successes - Observed successes
+ * @param {number} trials - Number of trials
+ * @param {number} p - Success probability under the null hypothesis
+ * @returns {number} p-value
+ */
+function binomialTestPValue(successes, trials, p) {
+  if (p <= 0) return successes === 0 ? 1 : 0;
+  if (p >= 1) return successes === trials ? 1 : 0;
+
+  const logPmf = (k) => logGamma(trials + 1) - logGamma(k + 1) - logGamma(trials - k + 1) +
+    k * Math.log(p) + (trials - k) * Math.log(1 - p);
+  // Relative tolerance so that counts tied with the observed one are included
+  const threshold = logPmf(successes) + 1e-7;
+  let pValue = 0;
+  for (let k = 0; k <= trials; k++) {
+    const lp = logPmf(k);
+    if (lp <= threshold) pValue += Math.exp(lp);
+  }
+  return Math.min(1, pValue);
+}
+
+/**
+ * Holm-Bonferroni adjusted p-values
+ * Rejecting every adjusted p-value below alpha keeps the family-wise
+ * error rate at alpha.
+ *
+ * @param {Array<number>} pValues - Raw p-values
+ * @returns {Array<number>} Adjusted p-values, in the input order
+ */
+function holmAdjust(pValues) {
+  const m = pValues.length;
+  const order = pValues.map((p, i) => i).sort((a, b) => pValues[a] - pValues[b]);
+  const adjusted = new Array(m);
+  let running = 0;
+  order.forEach((index, rank) => {
+    running = Math.max(running, Math.min(1, (m - rank) * pValues[index]));
+    adjusted[index] = running;
+  });
+  return adjusted;
+}
+
+const Statistics = {
+  logGamma,
+  gammaQ,
+  chiSquarePValue,
+  normalTwoSidedPValue,
+  chiSquareTest,
+  binomialTestPValue,
+  holmAdjust
+};
+
+// Export for browser
+if (typeof window !== 'undefined') {
+  window.Statistics = Statistics;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Statistics;
+}
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/**
+ * Headless factory simulation CLI
+ *
+ * Runs seeded Simulations of a level from the terminal and prints
+ * per-observation-point ball counts.
+ *
+ * Usage:
+ *   node probability-games-common/headless/cli.js <level.json> [options]
+ *
+ * Options:
+ *   --level <id>     Run only this level from an export file (default: all)
+ *   --runs <n>       Number of seeded runs per level (default: 100)
+ *   --seed <n>       Base seed; run i uses seed + i (default: 0)
+ *   --dgp <index>    Force this DGP alternative instead of seeded selection
+ *   --format <fmt>   json (default) or csv
+ *   --summary        JSON only: omit per-run rows, print totals
+ *   --verbose        Show console output from the game scripts
+ *
+ * Example:
+ *   node probability-games-common/headless/cli.js tehdas-paattely/levels/export.json \
+ *     --level level-1 --runs 1000 --format csv
+ */
+
+const fs = require('fs');
+const { createSandbox } = require('./sandbox.js');
+const { selectLevels, runLevel, formatCSV } = require('./level-runner.js');
+
+function parseArgs(argv) {
+  const args = {
+    file: null,
+    level: null,
+    runs: 100,
+    seed: 0,
+    dgp: null,
+    format: 'json',
+    summary: false,
+    verbose: false
+  };
+
+  const intOption = (name, value) => {
+    const n = parseInt(value, 10);
+    if (isNaN(n)) throw new Error(`--${name} expects an integer, got '${value}'`);
+    return n;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--level': args.level = argv[++i]; break;
+      case '--runs': args.runs = intOption('runs', argv[++i]); break;
+      case '--seed': args.seed = intOption('seed', argv[++i]); break;
+      case '--dgp': args.dgp = intOption('dgp', argv[++i]); break;
+      case '--format': args.format = argv[++i]; break;
+      case '--summary': args.summary = true; break;
+      case '--verbose': args.verbose = true; break;
+      case '--help':
+      case '-h':
+        args.help = true;
+        break;
+      default:
+        if (arg.startsWith('--')) throw new Error(`Unknown option: ${arg}`);
+        if (args.file) throw new Error(`Unexpected argument: ${arg}`);
+        args.file = arg;
+    }
+  }
+
+  if (!['json', 'csv'].includes(args.format)) {
+    throw new Error(`--format must be json or csv, got '${args.format}'`);
+  }
+  if (args.runs < 1) {
+    throw new Error('--runs must be at least 1');
+  }
+  return args;
+}
+
+function printUsage() {
+  process.stdout.write(
+    'Usage: node probability-games-common/headless/cli.js <level.json> ' +
+    '[--level id] [--runs n] [--seed n] [--dgp index] [--format json|csv] [--summary] [--verbose]\n'
+  );
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  if (args.help || !args.file) {
+    printUsage();
+    return args.help ? 0 : 1;
+  }
+
+  const data = JSON.parse(fs.readFileSync(args.file, 'utf8'));
+  const levels = selectLevels(data, args.level);
+  const sandbox = createSandbox({quiet: !args.verbose});
+
+  const results = levels.map(level => runLevel(sandbox, level, {
+    runs: args.runs,
+    seed: args.seed,
+    dgpIndex: args.dgp
+  }));
+
+  if (args.format === 'csv') {
+    process.stdout.write(formatCSV(results));
+  } else {
+    const output = args.summary
+      ? results.map(({runs, ...rest}) => ({...rest, numRuns: runs.length}))
+      : results;
+    process.stdout.write(JSON.stringify(output, null, 2) + '\n');
+  }
+  return 0;
+}
+
+if (require.main === module) {
+  try {
+    process.exitCode = main(process.argv.slice(2));
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { parseArgs, main };
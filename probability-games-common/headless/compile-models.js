@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+/**
+ * Reference model compiler CLI
+ *
+ * Compiles factory layouts into DSL models (tehdas-simulointi/core/layout-compiler.js)
+ * and checks each model against the level's stored correct distribution and
+ * its hand-written intended model. Exits non-zero if a layout doesn't
+ * compile or a model disagrees with either by more than the tolerance.
+ *
+ * Usage:
+ *   node probability-games-common/headless/compile-models.js <level.json> [options]
+ *
+ * Options:
+ *   --level <id>        Compile only this level from an export file (default: all)
+ *   --code              Print the compiled models instead of the JSON report
+ *   --tolerance <p>     Largest outcome difference counted as a match (default: 0.01);
+ *                       sampled models also get their 95% sampling margin
+ *   --verbose           Show console output from the game scripts
+ *
+ * Example:
+ *   node probability-games-common/headless/compile-models.js tehdas-simulointi/levels/export.json \
+ *     --level level-22 --code
+ */
+
+const fs = require('fs');
+const { createSandbox } = require('./sandbox.js');
+const { selectLevels } = require('./level-runner.js');
+
+const COMPILER_SCRIPTS = [
+  'probability-games-common/core/distribution.js',
+  'probability-games-common/core/dsl-parser.js',
+  'probability-games-common/core/dsl-evaluator.js',
+  'tehdas-simulointi/core/layout-compiler.js'
+];
+
+// Evaluator options: unlike the live editor, this can afford to carry every
+// joint state of a while loop, so models aren't cut to the likeliest states
+const MODEL_OPTIONS = {maxJointOutcomes: 5000};
+
+function parseArgs(argv) {
+  const args = {
+    file: null,
+    level: null,
+    code: false,
+    tolerance: 0.01,
+    verbose: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--level': args.level = argv[++i]; break;
+      case '--code': args.code = true; break;
+      case '--tolerance': args.tolerance = parseFloat(argv[++i]); break;
+      case '--verbose': args.verbose = true; break;
+      case '--help':
+      case '-h':
+        args.help = true;
+        break;
+      default:
+        if (arg.startsWith('--')) throw new Error(`Unknown option: ${arg}`);
+        if (args.file) throw new Error(`Unexpected argument: ${arg}`);
+        args.file = arg;
+    }
+  }
+
+  if (isNaN(args.tolerance) || args.tolerance < 0) {
+    throw new Error('--tolerance expects a non-negative number');
+  }
+  return args;
+}
+
+function printUsage() {
+  process.stdout.write(
+    'Usage: node probability-games-common/headless/compile-models.js <level.json> ' +
+    '[--level id] [--code] [--tolerance p] [--verbose]\n'
+  );
+}
+
+/**
+ * Whether two models' outcomes agree: every outcome within the tolerance,
+ * widened by the sampling margins of sampled models
+ *
+ * @param {{outcomes: Object, margins: Object}} a
+ * @param {{outcomes: Object, margins: Object}} b
+ * @param {number} tolerance
+ * @returns {boolean}
+ */
+function outcomesMatch(a, b, tolerance) {
+  for (const key of new Set([...Object.keys(a.outcomes), ...Object.keys(b.outcomes)])) {
+    const difference = Math.abs((a.outcomes[key] || 0) - (b.outcomes[key] || 0));
+    const margin = (a.margins[key] || 0) + (b.margins[key] || 0);
+    if (difference > tolerance + margin) return false;
+  }
+  return true;
+}
+
+/**
+ * Compile one level and compare the model's outcomes
+ *
+ * @param {Object} sandbox - Sandbox with COMPILER_SCRIPTS loaded
+ * @param {Object} level - Level JSON
+ * @param {number} tolerance - Largest difference counted as a match
+ * @returns {Object} Report row; includes the compiled code
+ */
+function checkLevel(sandbox, level, tolerance) {
+  const compileLayoutToDSL = sandbox.get('compileLayoutToDSL');
+  const modelOutcomes = sandbox.get('modelOutcomes');
+  const maxOutcomeDifference = sandbox.get('maxOutcomeDifference');
+
+  const what = level.dgpResult?.prediction?.what;
+  const { code, errors, warnings } = compileLayoutToDSL(level);
+  const row = {
+    levelId: level.meta?.id || null,
+    title: level.meta?.title || null,
+    errors: errors.map(e => e.message),
+    warnings,
+    code
+  };
+  if (errors.length > 0) return row;
+
+  let compiled;
+  try {
+    compiled = modelOutcomes(code, what, MODEL_OPTIONS);
+    row.outcomes = compiled.outcomes;
+    row.approximate = compiled.approximate;
+    if (level.correctDistribution) {
+      row.correctDifference = maxOutcomeDifference(compiled.outcomes, level.correctDistribution);
+      row.matches = outcomesMatch(compiled, {outcomes: level.correctDistribution, margins: {}}, tolerance);
+    }
+  } catch (e) {
+    row.errors.push(e.message);
+    return row;
+  }
+
+  if (level.intendedModel && level.intendedModel.trim()) {
+    try {
+      const intended = modelOutcomes(level.intendedModel, what, MODEL_OPTIONS);
+      row.intendedDifference = maxOutcomeDifference(row.outcomes, intended.outcomes);
+      row.intendedMatches = outcomesMatch(compiled, intended, tolerance);
+      row.intendedApproximate = intended.approximate;
+    } catch (e) {
+      row.intendedError = e.message;
+    }
+  }
+  return row;
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  if (args.help || !args.file) {
+    printUsage();
+    return args.help ? 0 : 1;
+  }
+
+  const data = JSON.parse(fs.readFileSync(args.file, 'utf8'));
+  const levels = selectLevels(data, args.level);
+  const sandbox = createSandbox({quiet: !args.verbose, extraScripts: COMPILER_SCRIPTS});
+
+  const results = levels.map(level => checkLevel(sandbox, level, args.tolerance));
+
+  if (args.code) {
+    for (const row of results) {
+      process.stdout.write(`# ${row.title || row.levelId}\n`);
+      for (const message of row.errors) process.stdout.write(`# Error: ${message}\n`);
+      for (const message of row.warnings) process.stdout.write(`# Warning: ${message}\n`);
+      process.stdout.write(row.code + '\n');
+    }
+  } else {
+    const output = results.map(({code, ...rest}) => rest);
+    process.stdout.write(JSON.stringify(output, null, 2) + '\n');
+  }
+  const failed = results.some(row =>
+    row.errors.length > 0 || row.intendedError || row.matches === false || row.intendedMatches === false);
+  return failed ? 1 : 0;
+}
+
+if (require.main === module) {
+  try {
+    process.exitCode = main(process.argv.slice(2));
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { parseArgs, outcomesMatch, checkLevel, main };
@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+/**
+ * DSL regression tests
+ *
+ * Evaluates small DSL programs with the shared parser and evaluator
+ * (probability-games-common/core) and checks the distribution each one
+ * returns. Covers the statements, operators and random primitives, plus the
+ * loops the paattely and simulointi evaluators disagreed on before they were
+ * merged. Exits non-zero if any case fails.
+ *
+ * Usage:
+ *   node probability-games-common/headless/dsl-regression.js [--verbose]
+ */
+
+const { createSandbox } = require('./sandbox.js');
+
+const DSL_SCRIPTS = [
+  'probability-games-common/core/distribution.js',
+  'probability-games-common/core/dsl-parser.js',
+  'probability-games-common/core/dsl-evaluator.js'
+];
+
+// Largest difference allowed between a float probability and its expected value
+const TOLERANCE = 1e-12;
+
+/**
+ * Each case lists the full distribution of the program's return value, keyed
+ * by JSON value. Strings are exact fractions, checked against the fractions
+ * of an execute(..., {exact: true}) pass; numbers are floats, for results
+ * with no exact form (truncated while loops, denominators over 2^64).
+ */
+const CASES = [
+  // split and weighted split
+  {
+    name: 'split',
+    code: 'a, b = split(1)\nreturn a',
+    expected: {0: '1/2', 1: '1/2'}
+  },
+  {
+    name: 'weighted split',
+    code: 'a, b = split(1, 0.3)\nreturn a',
+    expected: {0: '7/10', 1: '3/10'}
+  },
+  {
+    name: 'split routes the whole bundle',
+    code: 'a, b = split(3)\nreturn a',
+    expected: {0: '1/2', 3: '1/2'}
+  },
+
+  // Loops
+  {
+    name: 'for loop',
+    code: 'x = 0\nfor i in range(4):\n    a, b = split(1)\n    x = x + a\nreturn x',
+    expected: {0: '1/16', 1: '1/4', 2: '3/8', 3: '1/4', 4: '1/16'}
+  },
+  {
+    name: 'long for loop',
+    code: 'x = 0\nfor i in range(100):\n    a, b = split(1)\n    x = x + a\nreturn x',
+    expected: binomialPmf(100, 0.5)
+  },
+  {
+    name: 'while loop',
+    code: 'x = 0\nwhile x < 2:\n    y, z = split(1, 0.5)\n    x = x + y\nreturn x',
+    expected: {2: 1}
+  },
+
+  // Operators and conditionals
+  {
+    name: 'binary operators',
+    code: 'a, b = split(1)\nc, d = split(1)\nreturn (a + 2*c) % 3',
+    expected: {0: '1/2', 1: '1/4', 2: '1/4'}
+  },
+  {
+    name: 'boolean operators',
+    code: 'a, b = split(1)\nc, d = split(1)\nreturn 1 if a == 1 and not c == 1 else 0',
+    expected: {0: '3/4', 1: '1/4'}
+  },
+  {
+    name: 'if expression',
+    code: 'a, b = split(1)\nreturn 10 if a == 1 else 20',
+    expected: {10: '1/2', 20: '1/2'}
+  },
+  {
+    name: 'if statement',
+    code: 'a, b = split(1)\nif a == 1:\n    x = 5\nelse:\n    x = 7\nreturn x',
+    expected: {5: '1/2', 7: '1/2'}
+  },
+
+  // Evidence
+  {
+    name: 'observe',
+    code: 'a, b = split(1)\nc, d = split(1)\nobserve(a + c >= 1)\nreturn a',
+    expected: {0: '1/3', 1: '2/3'}
+  },
+  {
+    name: 'condition',
+    code: 'a, b = split(1)\nc, d = split(1)\ncondition(a == 1 or c == 1)\nreturn c',
+    expected: {0: '1/3', 1: '2/3'}
+  },
+  {
+    name: 'observe in a while loop',
+    code: 'x = 0\nn = 0\nwhile n < 2:\n    a, b = split(1)\n    observe(a == 1)\n    x = x + a\n    n = n + 1\nreturn x',
+    expected: {2: '1'}
+  },
+  {
+    name: 'observe on loop state',
+    code: 'x = 0\nn = 0\nwhile n < 2:\n    a, b = split(1)\n    observe(a == 1 or n > 0)\n    x = x + a\n    n = n + 1\nreturn x',
+    expected: {1: '1/2', 2: '1/2'}
+  },
+
+  // Random primitives
+  {
+    name: 'bernoulli',
+    code: 'return bernoulli(0.25)',
+    expected: {0: '3/4', 1: '1/4'}
+  },
+  {
+    name: 'categorical',
+    code: 'return categorical([1, 2, 1])',
+    expected: {0: '1/4', 1: '1/2', 2: '1/4'}
+  },
+  {
+    name: 'binomial',
+    code: 'return binomial(3, 0.5)',
+    expected: {0: '1/8', 1: '3/8', 2: '3/8', 3: '1/8'}
+  },
+  {
+    name: 'uniform_int',
+    code: 'return uniform_int(1, 3)',
+    expected: {1: '1/3', 2: '1/3', 3: '1/3'}
+  },
+  {
+    name: 'draw',
+    code: 'return draw([1, 1, 2], 2)',
+    expected: {'[1,1]': '1/3', '[1,2]': '1/3', '[2,1]': '1/3'}
+  },
+
+  // The paattely evaluator unrolled these loops without the fast paths and
+  // left mass on values the loop can't end in
+  {
+    name: 'drift: while until count reached',
+    code: 'x = 0\nwhile x < 3:\n    y, z = split(1, 0.25)\n    x = x + y\nreturn x',
+    expected: {3: 1}
+  },
+  {
+    name: 'drift: while with two exits',
+    code: 'x = 1\nwhile x > 0 and x < 3:\n    a, b = split(1)\n    x = x + a - b\nreturn x',
+    expected: {0: 2 / 3, 3: 1 / 3}
+  }
+];
+
+/**
+ * Binomial(n, p) probabilities keyed by outcome
+ */
+function binomialPmf(n, p) {
+  const pmf = {};
+  let coefficient = 1;  // C(n, k)
+  for (let k = 0; k <= n; k++) {
+    pmf[k] = coefficient * Math.pow(p, k) * Math.pow(1 - p, n - k);
+    coefficient = coefficient * (n - k) / (k + 1);
+  }
+  return pmf;
+}
+
+/**
+ * Compare one distribution with a case's expected values
+ *
+ * @returns {Array<string>} Mismatches, empty if the distribution matches
+ */
+function compareDistribution(distribution, expected) {
+  const mismatches = [];
+  const actualKeys = [...distribution.pmf.keys()];
+  const byKey = new Map(actualKeys.map(value => [JSON.stringify(value), value]));
+
+  for (const [key, want] of Object.entries(expected)) {
+    if (!byKey.has(key)) {
+      mismatches.push(`missing ${key}`);
+      continue;
+    }
+    const value = byKey.get(key);
+    const probability = distribution.pmf.get(value);
+    if (typeof want === 'string') {
+      const fraction = distribution.fraction(value);
+      const [num, den] = want.split('/').map(Number);
+      if (!fraction || fraction.toString() !== want) {
+        mismatches.push(`${key}: fraction ${fraction || 'none'}, expected ${want}`);
+      } else if (Math.abs(probability - num / den) > TOLERANCE) {
+        mismatches.push(`${key}: ${probability}, expected ${want}`);
+      }
+    } else if (Math.abs(probability - want) > TOLERANCE) {
+      mismatches.push(`${key}: ${probability}, expected ${want}`);
+    }
+  }
+
+  for (const key of byKey.keys()) {
+    if (!(key in expected)) mismatches.push(`unexpected ${key} (${distribution.pmf.get(byKey.get(key))})`);
+  }
+  return mismatches;
+}
+
+/**
+ * Every case in CASES, evaluated with exact fractions
+ */
+function testCases(dsl) {
+  return CASES.map(testCase => {
+    const result = new dsl.DSLInterpreter().execute(dsl.parseDSL(testCase.code), {exact: true});
+    if (result.errors.length > 0) {
+      return {name: testCase.name, pass: false, detail: result.errors[0].message};
+    }
+    if (result.approximate) {
+      return {name: testCase.name, pass: false, detail: 'result is approximate'};
+    }
+    const mismatches = compareDistribution(result.returnValue, testCase.expected);
+    return {name: testCase.name, pass: mismatches.length === 0, detail: mismatches.join('; ')};
+  });
+}
+
+/**
+ * Fractions are opt-in: without {exact: true} the same values come back as
+ * floats only
+ */
+function testExactOptIn(dsl) {
+  const code = 'a, b = split(1, 0.3)\nc, d = split(1)\nreturn a + c';
+  const floats = new dsl.DSLInterpreter().execute(dsl.parseDSL(code)).returnValue;
+  const exact = new dsl.DSLInterpreter().execute(dsl.parseDSL(code), {exact: true}).returnValue;
+
+  const sameValues = floats.pmf.size === exact.pmf.size &&
+    [...exact.pmf].every(([value, p]) => Math.abs(floats.pmf.get(value) - p) <= TOLERANCE);
+  return [
+    {name: 'fractions only in an exact pass', pass: !floats.fractions && !!exact.fractions},
+    {name: 'exact pass keeps the float values', pass: sameValues}
+  ];
+}
+
+/**
+ * The debugger's traced run ends in the same distributions as the live one,
+ * though it steps through loops the live run takes a fast path through
+ */
+function testTraceMatchesLive(dsl) {
+  return CASES.filter(testCase => /\b(for|while)\b/.test(testCase.code)).map(testCase => {
+    const live = new dsl.DSLInterpreter().execute(dsl.parseDSL(testCase.code)).returnValue;
+    const traced = new dsl.DSLInterpreter().execute(dsl.parseDSL(testCase.code), {trace: true}).returnValue;
+    const expected = Object.fromEntries([...live.pmf].map(([value, p]) => [JSON.stringify(value), p]));
+    const mismatches = compareDistribution(traced, expected);
+    return {name: `traced: ${testCase.name}`, pass: mismatches.length === 0, detail: mismatches.join('; ')};
+  });
+}
+
+function parseArgs(argv) {
+  const args = {verbose: false};
+  for (const arg of argv) {
+    if (arg === '--verbose') args.verbose = true;
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+  return args;
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const sandbox = createSandbox({quiet: !args.verbose, extraScripts: DSL_SCRIPTS});
+  const dsl = {parseDSL: sandbox.get('parseDSL'), DSLInterpreter: sandbox.get('DSLInterpreter')};
+
+  const results = [...testCases(dsl), ...testExactOptIn(dsl), ...testTraceMatchesLive(dsl)];
+
+  let failures = 0;
+  for (const r of results) {
+    if (!r.pass) failures++;
+    process.stdout.write(`${r.pass ? 'PASS' : 'FAIL'}  ${r.name.padEnd(36)} ${r.detail || ''}\n`);
+  }
+  process.stdout.write(`\n${results.length - failures}/${results.length} passed\n`);
+  return failures === 0 ? 0 : 1;
+}
+
+if (require.main === module) {
+  try {
+    process.exitCode = main(process.argv.slice(2));
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { main, CASES };
@@ -0,0 +1,246 @@
+/**
+ * Headless Level Runner
+ *
+ * Prepares a saved level the same way the play page does (DGP alternative
+ * selection, arm variable mapping, sampling schedule) and runs seeded
+ * Simulations to completion without rendering.
+ */
+
+const TICK_DELTA = 100;
+const MAX_TICKS = 10000;
+
+/**
+ * Pick the levels to run from a parsed JSON file
+ * Accepts either a single level object or an export file ({levels: [...]}).
+ *
+ * @param {Object} data - Parsed JSON
+ * @param {string|null} levelId - meta.id to select, or null for all levels
+ * @returns {Array<Object>} Levels
+ */
+function selectLevels(data, levelId) {
+  const levels = Array.isArray(data.levels) ? data.levels : [data];
+  if (!levelId) return levels;
+
+  const level = levels.find(l => l.meta?.id === levelId);
+  if (!level) {
+    const known = levels.map(l => l.meta?.id).filter(Boolean).join(', ');
+    throw new Error(`Level '${levelId}' not found. Available levels: ${known}`);
+  }
+  return [level];
+}
+
+/**
+ * Merge one DGP alternative into the level
+ * Mirrors PlayApp.loadLevel: seeded selection unless an index is forced.
+ *
+ * @param {Object} sandbox - Sandbox from createSandbox()
+ * @param {Object} level - Level JSON
+ * @param {number} seed - Seed for the alternative selection
+ * @param {number|null} dgpIndex - Force this alternative (0-based)
+ * @returns {Object} Merged level (a copy)
+ */
+function mergeDGPAlternative(sandbox, level, seed, dgpIndex) {
+  const RNG = sandbox.get('RNG');
+  const selectAndMergeDGP = sandbox.get('selectAndMergeDGP');
+  const alternatives = level.dgpAlternatives || [];
+
+  if (dgpIndex === null || dgpIndex === undefined || alternatives.length === 0) {
+    return selectAndMergeDGP(level, new RNG(seed));
+  }
+
+  if (dgpIndex < 0 || dgpIndex >= alternatives.length) {
+    throw new Error(`Level '${level.meta?.id}' has ${alternatives.length} DGP alternatives, cannot select index ${dgpIndex}`);
+  }
+  // An RNG whose first draw lands on the requested alternative
+  const fixedRng = {next: () => (dgpIndex + 0.5) / alternatives.length};
+  return selectAndMergeDGP(level, fixedRng);
+}
+
+/**
+ * Resolve arm variable names in the schedule to component IDs
+ * Mirrors PlayApp.mapDGPToComponents.
+ */
+function mapScheduleToComponents(sandbox, level) {
+  const ComponentRegistry = sandbox.get('ComponentRegistry');
+  const armComponents = level.components.filter(c => ComponentRegistry.baseType(c.type) === 'arm');
+  const varNameToComponentId = new Map();
+
+  if (level.dgpResult?.arms) {
+    const armVarNames = Object.keys(level.dgpResult.arms);
+    armVarNames.forEach(varName => {
+      const linkedComp = armComponents.find(c => c.params.linkedVariable === varName);
+      if (linkedComp) {
+        varNameToComponentId.set(varName, linkedComp.id);
+      }
+    });
+
+    const mappedIds = Array.from(varNameToComponentId.values());
+    const unmappedVarNames = armVarNames.filter(v => !varNameToComponentId.has(v));
+    const unmappedComponents = armComponents.filter(c => !mappedIds.includes(c.id));
+    unmappedVarNames.forEach((varName, index) => {
+      if (index < unmappedComponents.length) {
+        varNameToComponentId.set(varName, unmappedComponents[index].id);
+      }
+    });
+  }
+
+  const resolveArmId = (varName) => {
+    if (varNameToComponentId.has(varName)) return varNameToComponentId.get(varName);
+    if (armComponents.some(c => c.id === varName)) return varName;
+    throw new Error(`Cannot resolve arm variable '${varName}'. Arm components: ${armComponents.map(c => c.id).join(', ')}`);
+  };
+
+  const schedule = level.samplingSchedule || level.dgpResult?.schedule || [];
+  return schedule.map(entry => {
+    const componentId = resolveArmId(entry.armVarName || entry.armId || entry.sackId);
+    return {sackId: componentId, armId: componentId, time: entry.time};
+  });
+}
+
+/**
+ * Observation points labelled A, B, C... left to right (same as "dist" mode)
+ */
+function getObservationPoints(level) {
+  return level.components
+    .filter(c => c.type === 'observation')
+    .sort((a, b) => a.position.x - b.position.x || a.position.y - b.position.y)
+    .map((comp, index) => ({
+      id: comp.id,
+      label: comp.params?.label || String.fromCharCode(65 + index)
+    }));
+}
+
+/**
+ * Build a Simulation-ready level for one run
+ *
+ * @returns {{level: Object, dgpIndex: number|null, observationPoints: Array}}
+ */
+function prepareLevel(sandbox, level, seed, dgpIndex = null) {
+  const merged = mergeDGPAlternative(sandbox, level, seed, dgpIndex);
+  merged.samplingSchedule = mapScheduleToComponents(sandbox, merged);
+
+  return {
+    level: merged,
+    dgpIndex: merged._selectedDGP ? merged._selectedDGP.index : null,
+    observationPoints: getObservationPoints(merged)
+  };
+}
+
+/**
+ * Run one seeded simulation to completion
+ *
+ * @returns {{seed: number, dgpIndex: number|null, time: number, completed: boolean,
+ *            counts: Object<string, {total: number, colors: Object<string, number>}>}}
+ */
+function runOnce(sandbox, level, seed, options = {}) {
+  const Simulation = sandbox.get('Simulation');
+  const prepared = prepareLevel(sandbox, level, seed, options.dgpIndex);
+
+  const config = {
+    ...(prepared.level.simulation || {}),
+    ballsToSpawn: prepared.level.samplingSchedule.length,
+    seed: seed
+  };
+  const simulation = new Simulation(prepared.level, config);
+  simulation.resolveReferences();
+
+  const tickDelta = options.tickDelta || TICK_DELTA;
+  const maxTicks = options.maxTicks || MAX_TICKS;
+  for (let tick = 0; tick < maxTicks && simulation.running; tick++) {
+    simulation.tick(tickDelta);
+  }
+
+  const counts = {};
+  for (const obs of prepared.observationPoints) {
+    const comp = simulation.getComponent(obs.id);
+    const colors = {};
+    for (const observation of comp.observations || []) {
+      colors[observation.color] = (colors[observation.color] || 0) + 1;
+    }
+    counts[obs.label] = {total: (comp.observations || []).length, colors};
+  }
+
+  return {
+    seed,
+    dgpIndex: prepared.dgpIndex,
+    time: simulation.time,
+    completed: !simulation.running,
+    counts
+  };
+}
+
+/**
+ * Run N seeded simulations of a level
+ * Run i uses seed baseSeed + i, so baseSeed 0 matches SeedManager.getMonteCarloSeed.
+ *
+ * @param {Object} sandbox - Sandbox from createSandbox()
+ * @param {Object} level - Level JSON (may contain dgpAlternatives)
+ * @param {Object} options - {runs, seed, dgpIndex, tickDelta, maxTicks}
+ * @returns {{levelId: string, runs: Array, totals: Object}}
+ */
+function runLevel(sandbox, level, options = {}) {
+  const numRuns = options.runs || 100;
+  const baseSeed = options.seed || 0;
+
+  const runs = [];
+  const totals = {};
+  for (let i = 0; i < numRuns; i++) {
+    const run = runOnce(sandbox, level, baseSeed + i, options);
+    runs.push(run);
+
+    for (const [label, count] of Object.entries(run.counts)) {
+      if (!totals[label]) totals[label] = {total: 0, colors: {}};
+      totals[label].total += count.total;
+      for (const [color, n] of Object.entries(count.colors)) {
+        totals[label].colors[color] = (totals[label].colors[color] || 0) + n;
+      }
+    }
+  }
+
+  return {
+    levelId: level.meta?.id || null,
+    title: level.meta?.title || null,
+    runs,
+    totals
+  };
+}
+
+/**
+ * Format results as CSV: one row per (level, run, observation point)
+ */
+function formatCSV(results) {
+  const colors = new Set();
+  for (const result of results) {
+    for (const count of Object.values(result.totals)) {
+      Object.keys(count.colors).forEach(c => colors.add(c));
+    }
+  }
+  const colorList = Array.from(colors).sort();
+
+  const rows = [['level', 'seed', 'dgp', 'observation', 'total', ...colorList, 'completed'].join(',')];
+  for (const result of results) {
+    for (const run of result.runs) {
+      for (const [label, count] of Object.entries(run.counts)) {
+        rows.push([
+          result.levelId,
+          run.seed,
+          run.dgpIndex ?? '',
+          label,
+          count.total,
+          ...colorList.map(c => count.colors[c] || 0),
+          run.completed
+        ].join(','));
+      }
+    }
+  }
+  return rows.join('\n') + '\n';
+}
+
+module.exports = {
+  selectLevels,
+  prepareLevel,
+  getObservationPoints,
+  runOnce,
+  runLevel,
+  formatCSV
+};
@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+/**
+ * RNG statistical test harness
+ *
+ * Runs a battery of goodness-of-fit checks on core/rng.js and exits
+ * non-zero if any check fails. Seeds are fixed, so results are repeatable.
+ *
+ * Usage:
+ *   node probability-games-common/headless/rng-stats.js [--samples n] [--alpha a]
+ */
+
+const { RNG } = require('../core/rng.js');
+const { chiSquareTest, normalTwoSidedPValue } = require('../core/statistics.js');
+
+const SEEDS = [0, 1, 2, 42, 12345, 2147483646];
+
+/**
+ * Uniformity of next() over equal-width bins
+ */
+function testUniformity(samples) {
+  const bins = 100;
+  return SEEDS.map(seed => {
+    const rng = new RNG(seed);
+    const counts = new Array(bins).fill(0);
+    for (let i = 0; i < samples; i++) {
+      counts[Math.floor(rng.next() * bins)]++;
+    }
+    const expected = new Array(bins).fill(samples / bins);
+    return {name: `uniformity seed=${seed}`, ...chiSquareTest(counts, expected)};
+  });
+}
+
+/**
+ * Each of the low 8 output bits should be set half the time
+ * (the old LCG's lowest bit alternated 0, 1, 0, 1...)
+ */
+function testLowBits(samples) {
+  const rng = new RNG(7);
+  const ones = new Array(8).fill(0);
+  const alternations = new Array(8).fill(0);
+  let prev = rng.nextUint32();
+  for (let i = 0; i < samples; i++) {
+    const x = rng.nextUint32();
+    for (let b = 0; b < 8; b++) {
+      const bit = (x >>> b) & 1;
+      ones[b] += bit;
+      alternations[b] += bit !== ((prev >>> b) & 1) ? 1 : 0;
+    }
+    prev = x;
+  }
+
+  const results = [];
+  const sd = Math.sqrt(samples / 4);
+  for (let b = 0; b < 8; b++) {
+    results.push({
+      name: `bit ${b} frequency`,
+      statistic: (ones[b] - samples / 2) / sd,
+      pValue: normalTwoSidedPValue((ones[b] - samples / 2) / sd)
+    });
+    results.push({
+      name: `bit ${b} alternation`,
+      statistic: (alternations[b] - samples / 2) / sd,
+      pValue: normalTwoSidedPValue((alternations[b] - samples / 2) / sd)
+    });
+  }
+  return results;
+}
+
+/**
+ * nextInt(0, k) for small k, including non-powers of two
+ */
+function testNextInt(samples) {
+  return [2, 3, 6, 7, 10].map(k => {
+    const rng = new RNG(99);
+    const counts = new Array(k).fill(0);
+    for (let i = 0; i < samples; i++) {
+      counts[rng.nextInt(0, k)]++;
+    }
+    return {name: `nextInt(0, ${k})`, ...chiSquareTest(counts, new Array(k).fill(samples / k))};
+  });
+}
+
+/**
+ * Lag-1 serial correlation of next()
+ */
+function testSerialCorrelation(samples) {
+  const rng = new RNG(3);
+  let prev = rng.next();
+  let sum = 0;
+  for (let i = 0; i < samples; i++) {
+    const x = rng.next();
+    sum += (prev - 0.5) * (x - 0.5);
+    prev = x;
+  }
+  // Var((U-1/2)(V-1/2)) = 1/144 for independent uniforms
+  const z = sum / Math.sqrt(samples / 144);
+  return [{name: 'serial correlation lag 1', statistic: z, pValue: normalTwoSidedPValue(z)}];
+}
+
+/**
+ * First outputs of consecutive seeds must look independent
+ */
+function testAdjacentSeeds(samples) {
+  const bins = 50;
+  const n = Math.min(samples, 200000);
+  const counts = new Array(bins).fill(0);
+  const pairCounts = new Array(4).fill(0);
+  let prevFirst = null;
+  for (let seed = 0; seed < n; seed++) {
+    const first = new RNG(seed).next();
+    counts[Math.floor(first * bins)]++;
+    if (prevFirst !== null) {
+      pairCounts[(prevFirst < 0.5 ? 0 : 2) + (first < 0.5 ? 0 : 1)]++;
+    }
+    prevFirst = first;
+  }
+  return [
+    {name: 'first output across seeds', ...chiSquareTest(counts, new Array(bins).fill(n / bins))},
+    {name: 'adjacent seed pairs', ...chiSquareTest(pairCounts, new Array(4).fill((n - 1) / 4))}
+  ];
+}
+
+/**
+ * Substreams: independent of each other and of draws on other streams
+ */
+function testStreams(samples) {
+  const results = [];
+
+  // Independence: joint quadrant counts of two sibling streams
+  const rng = new RNG(11);
+  const a = rng.stream('comp1');
+  const b = rng.stream('comp2');
+  const quadrants = new Array(4).fill(0);
+  for (let i = 0; i < samples; i++) {
+    quadrants[(a.next() < 0.5 ? 0 : 2) + (b.next() < 0.5 ? 0 : 1)]++;
+  }
+  results.push({name: 'sibling streams joint', ...chiSquareTest(quadrants, new Array(4).fill(samples / 4))});
+
+  // Similar names must not give similar streams
+  const names = Array.from({length: 1000}, (_, i) => `comp${i}`);
+  const firstCounts = new Array(10).fill(0);
+  for (const name of names) {
+    firstCounts[Math.floor(new RNG(11).stream(name).next() * 10)]++;
+  }
+  results.push({name: 'first output across stream names', ...chiSquareTest(firstCounts, new Array(10).fill(names.length / 10))});
+
+  // Stability: a stream's sequence ignores other streams and the root stream
+  const reference = new RNG(5).stream('splitter');
+  const disturbed = new RNG(5);
+  for (let i = 0; i < 17; i++) disturbed.next();
+  disturbed.stream('shuffler').shuffle([1, 2, 3, 4, 5]);
+  const target = disturbed.stream('splitter');
+  let identical = true;
+  for (let i = 0; i < 1000; i++) {
+    if (reference.next() !== target.next()) identical = false;
+  }
+  results.push({name: 'stream stable under other draws', pass: identical});
+
+  // State round trip, including streams created after the snapshot
+  const saved = new RNG(8);
+  saved.stream('x').next();
+  const snapshot = saved.state;
+  const before = [saved.next(), saved.stream('x').next(), saved.stream('y').next()];
+  saved.state = snapshot;
+  const after = [saved.next(), saved.stream('x').next(), saved.stream('y').next()];
+  results.push({name: 'state save/restore', pass: before.every((v, i) => v === after[i])});
+
+  return results;
+}
+
+/**
+ * All 24 orderings of shuffle([0, 1, 2, 3]) equally likely
+ */
+function testShuffle(samples) {
+  const rng = new RNG(21);
+  const n = Math.min(samples, 240000);
+  const counts = new Map();
+  for (let i = 0; i < n; i++) {
+    const key = rng.shuffle([0, 1, 2, 3]).join('');
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  const observed = Array.from(counts.values());
+  while (observed.length < 24) observed.push(0);
+  return [{name: 'shuffle permutations', ...chiSquareTest(observed, new Array(24).fill(n / 24))}];
+}
+
+function parseArgs(argv) {
+  const args = {samples: 1000000, alpha: 1e-4};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--samples') args.samples = parseInt(argv[++i], 10);
+    else if (argv[i] === '--alpha') args.alpha = parseFloat(argv[++i]);
+    else throw new Error(`Unknown option: ${argv[i]}`);
+  }
+  if (!(args.samples > 0) || !(args.alpha > 0 && args.alpha < 1)) {
+    throw new Error('--samples must be positive and --alpha in (0, 1)');
+  }
+  return args;
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const suites = [testUniformity, testLowBits, testNextInt, testSerialCorrelation,
+    testAdjacentSeeds, testStreams, testShuffle];
+
+  const results = suites.flatMap(suite => suite(args.samples));
+  // Bonferroni: the whole battery fails with probability <= alpha for a good generator
+  const threshold = args.alpha / results.filter(r => r.pValue !== undefined).length;
+
+  let failures = 0;
+  for (const r of results) {
+    const pass = r.pValue !== undefined ? r.pValue >= threshold : r.pass;
+    if (!pass) failures++;
+    const detail = r.pValue !== undefined
+      ? `stat=${r.statistic.toFixed(3)}${r.df !== undefined ? ` df=${r.df}` : ''} p=${r.pValue.toExponential(3)}`
+      : '';
+    process.stdout.write(`${pass ? 'PASS' : 'FAIL'}  ${r.name.padEnd(36)} ${detail}\n`);
+  }
+  process.stdout.write(`\n${results.length - failures}/${results.length} passed (per-test threshold p >= ${threshold.toExponential(2)})\n`);
+  return failures === 0 ? 0 : 1;
+}
+
+if (require.main === module) {
+  try {
+    process.exitCode = main(process.argv.slice(2));
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { main };
@@ -0,0 +1,100 @@
+/**
+ * Headless Sandbox
+ *
+ * Loads the browser scripts of the factory games into a Node vm context,
+ * in the same order the game pages load them with script tags. Scripts
+ * share one global scope, so class and const declarations in one script
+ * are visible to the next, exactly like in the browser.
+ *
+ * Nothing here renders: canvas-only code paths are simply never called.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const COMMON_DIR = path.resolve(__dirname, '..');
+const REPO_DIR = path.resolve(COMMON_DIR, '..');
+
+// Same order as the script tags in tehdas-paattely/pelaa.html, plus the
+// DGP alternative merger and the Bayesian tracker that hypothesis levels
+// (tehdas-paivittaminen) construct inside Simulation
+const SIMULATION_SCRIPTS = [
+  'probability-games-common/config/colors.js',
+  'probability-games-common/core/rng.js',
+  'probability-games-common/core/trajectory.js',
+  'probability-games-common/core/ball.js',
+  'probability-games-common/core/component-registry.js',
+  'probability-games-common/core/seed-manager.js',
+  'probability-games-common/core/simulation.js',
+  'probability-games-common/core/replay.js',
+  'probability-games-common/components/sack.js',
+  'probability-games-common/components/conveyor.js',
+  'probability-games-common/components/conveyor-turn.js',
+  'probability-games-common/components/arm.js',
+  'probability-games-common/components/shuffler.js',
+  'probability-games-common/components/splitter.js',
+  'probability-games-common/components/observation.js',
+  'probability-games-common/components/black-pit.js',
+  'probability-games-common/components/duplicator.js',
+  'probability-games-common/components/filter.js',
+  'probability-games-common/components/merger.js',
+  'probability-games-common/components/button.js',
+  'probability-games-common/components/switch.js',
+  'probability-games-common/components/jamming-conveyor.js',
+  'probability-games-common/components/random-arm.js',
+  'tehdas-paattely/core/dgp-alternatives.js',
+  'tehdas-paivittaminen/bayesian/inference.js'
+];
+
+/**
+ * Create a sandbox with the simulation scripts loaded
+ *
+ * @param {Object} options
+ * @param {Array<string>} options.extraScripts - Additional repo-relative scripts to load
+ * @param {boolean} options.quiet - Silence console.log/warn from the game scripts
+ * @returns {{context: Object, get: Function, load: Function}}
+ */
+function createSandbox(options = {}) {
+  const quiet = options.quiet !== false;
+  const noop = () => {};
+  const sandboxConsole = quiet
+    ? {log: noop, info: noop, debug: noop, warn: noop, error: console.error.bind(console)}
+    : console;
+
+  const context = {
+    console: sandboxConsole,
+    setTimeout,
+    clearTimeout,
+    performance: {now: () => Date.now()},
+    // SeedManager.initialize() reads the URL; headless runs have none
+    location: {search: '', hostname: ''},
+    URLSearchParams
+  };
+  // Game scripts export their globals through window.*
+  context.window = context;
+  vm.createContext(context);
+
+  const load = (relativePath) => {
+    const file = path.join(REPO_DIR, relativePath);
+    const code = fs.readFileSync(file, 'utf8');
+    vm.runInContext(code, context, {filename: file});
+  };
+
+  for (const script of [...SIMULATION_SCRIPTS, ...(options.extraScripts || [])]) {
+    load(script);
+  }
+
+  return {
+    context,
+    load,
+    /**
+     * Look up a global declared by one of the loaded scripts
+     */
+    get(name) {
+      return vm.runInContext(name, context);
+    }
+  };
+}
+
+module.exports = { createSandbox, SIMULATION_SCRIPTS, REPO_DIR };
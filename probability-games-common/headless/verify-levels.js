@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+/**
+ * Batch level verifier
+ *
+ * Runs tehdas-paattely/core/level-verifier.js over every group and every
+ * DGP alternative of an export file and prints the JSON report. Exits
+ * non-zero if any check is rejected after Holm correction or fails to run.
+ *
+ * Usage:
+ *   node probability-games-common/headless/verify-levels.js <export.json> [options]
+ *
+ * Options:
+ *   --level <id>     Verify only this level (default: all)
+ *   --group <id>     Verify only the levels of this group, e.g. group3
+ *   --runs <n>       Simulations per level version (default: 1000)
+ *   --seed <n>       Base seed; run i uses seed + i (default: 0)
+ *   --alpha <a>      Family-wise significance level (default: 0.01)
+ *   --verbose        Show console output from the game scripts
+ *
+ * Example:
+ *   node probability-games-common/headless/verify-levels.js tehdas-paattely/levels/export.json \
+ *     --group group1 --runs 2000
+ */
+
+const fs = require('fs');
+const { createSandbox } = require('./sandbox.js');
+
+const VERIFIER_SCRIPTS = [
+  'probability-games-common/core/statistics.js',
+  'probability-games-common/core/distribution.js',
+  'probability-games-common/core/dsl-parser.js',
+  'probability-games-common/core/dsl-evaluator.js',
+  'tehdas-paattely/core/level-verifier.js'
+];
+
+function parseArgs(argv) {
+  const args = {
+    file: null,
+    level: null,
+    group: null,
+    runs: 1000,
+    seed: 0,
+    alpha: 0.01,
+    verbose: false
+  };
+
+  const intOption = (name, value) => {
+    const n = parseInt(value, 10);
+    if (isNaN(n)) throw new Error(`--${name} expects an integer, got '${value}'`);
+    return n;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--level': args.level = argv[++i]; break;
+      case '--group': args.group = argv[++i]; break;
+      case '--runs': args.runs = intOption('runs', argv[++i]); break;
+      case '--seed': args.seed = intOption('seed', argv[++i]); break;
+      case '--alpha': args.alpha = parseFloat(argv[++i]); break;
+      case '--verbose': args.verbose = true; break;
+      case '--help':
+      case '-h':
+        args.help = true;
+        break;
+      default:
+        if (arg.startsWith('--')) throw new Error(`Unknown option: ${arg}`);
+        if (args.file) throw new Error(`Unexpected argument: ${arg}`);
+        args.file = arg;
+    }
+  }
+
+  if (args.runs < 1) {
+    throw new Error('--runs must be at least 1');
+  }
+  if (!(args.alpha > 0 && args.alpha < 1)) {
+    throw new Error('--alpha must be in (0, 1)');
+  }
+  return args;
+}
+
+function printUsage() {
+  process.stdout.write(
+    'Usage: node probability-games-common/headless/verify-levels.js <export.json> ' +
+    '[--level id] [--group id] [--runs n] [--seed n] [--alpha a] [--verbose]\n'
+  );
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  if (args.help || !args.file) {
+    printUsage();
+    return args.help ? 0 : 1;
+  }
+
+  const data = JSON.parse(fs.readFileSync(args.file, 'utf8'));
+  const levels = Array.isArray(data.levels) ? data.levels : [data];
+  const sandbox = createSandbox({quiet: !args.verbose, extraScripts: VERIFIER_SCRIPTS});
+  const LevelVerifier = sandbox.get('LevelVerifier');
+  const verifier = new LevelVerifier({runs: args.runs, seed: args.seed, alpha: args.alpha});
+
+  let tasks = LevelVerifier.collectTasks(levels, data.groups || {});
+  if (args.group) {
+    if (!data.groups || !data.groups[args.group]) {
+      throw new Error(`Group '${args.group}' not found. Available groups: ${Object.keys(data.groups || {}).join(', ')}`);
+    }
+    tasks = tasks.filter(t => t.groupId === args.group);
+  }
+  if (args.level) {
+    tasks = tasks.filter(t => t.level.meta?.id === args.level);
+    if (tasks.length === 0) throw new Error(`Level '${args.level}' not found`);
+  }
+
+  const checks = [];
+  for (const task of tasks) {
+    for (const version of LevelVerifier.versionsOf(task.level)) {
+      for (const check of verifier.verifyVersion(task.level, version.dgpIndex)) {
+        checks.push({group: task.groupId, position: task.position, ...check});
+      }
+    }
+  }
+
+  const report = verifier.buildReport(checks);
+  process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+  return report.summary.rejected > 0 || report.summary.errors > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  try {
+    process.exitCode = main(process.argv.slice(2));
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { parseArgs, main };
@@ -3,6 +3,10 @@
  *
  * Orchestrates the define → permute → select → cleanup animation sequence
  * for hypothesis generation
+ *
+ * Every permute phase is recorded (swap batches and the final order of the
+ * distributions), so a run can be saved with its replay and shown again
+ * exactly: see getRecording() and setReplay().
  */
 
 class AnimationPlayer {
@@ -72,12 +76,40 @@ class AnimationPlayer {
     this.swapStartTime = 0;
     this.swapsPerSecond = 2;
 
+    // Replay: permutations recorded in this run, and the ones to play back
+    this.recording = {permutations: []};
+    this.replayPermutations = null;  // Array when in replay mode
+    this.currentPermutation = null;
+
     // Callbacks
     this.onComplete = null;
 
     this.groupInstructionsByList();
   }
 
+  /**
+   * Switch to replay mode: permute phases use the recorded swaps and
+   * distribution order instead of drawing new ones. Call before start().
+   *
+   * @param {Object} recording - Result of getRecording() from the recorded run
+   */
+  setReplay(recording) {
+    this.replayPermutations = [...(recording?.permutations || [])];
+  }
+
+  /**
+   * Permutations of this run, for saving with a replay
+   */
+  getRecording() {
+    return {
+      permutations: this.recording.permutations.map(p => ({
+        listId: p.listId,
+        batches: p.batches.map(b => ({swaps: b.swaps.map(s => [...s]), duration: b.duration})),
+        order: p.order ? [...p.order] : null
+      }))
+    };
+  }
+
   /**
    * Compute (x, y) positions for n sacks, using 1 or 2 rows.
    * Second row is centered. Returns array of {x, y}.
@@ -269,8 +301,36 @@ class AnimationPlayer {
     // Store distributions for shuffling after animation
     this.distributionsToShuffle = currentListSackIndices.map(idx => this.sacks[idx].distribution);
 
-    // Generate visual swap sequence (Fisher-Yates + random swaps)
-    this.generateVisualSwapSequence(currentListSackIndices);
+    // Generate visual swap sequence (Fisher-Yates + random swaps),
+    // or take it from the recording in replay mode. Recorded permutations are
+    // matched by position: list ids may be generated afresh on every page load.
+    const recorded = this.replayPermutations ? this.replayPermutations.shift() : null;
+    const usable = recorded && recorded.batches.every(b =>
+      b.swaps.every(([from, to]) => currentListSackIndices.includes(from) && currentListSackIndices.includes(to))
+    );
+    if (usable) {
+      this.swapBatches = recorded.batches.map(b => {
+        const batch = b.swaps.map(([from, to]) => ({from, to}));
+        batch.duration = b.duration;
+        return batch;
+      });
+      this.currentBatchIndex = 0;
+    } else {
+      if (this.replayPermutations) {
+        console.warn(`[Animation] Replay has no permutation for list ${instruction.listId}, generating a new one`);
+      }
+      this.generateVisualSwapSequence(currentListSackIndices);
+    }
+
+    this.currentPermutation = {
+      listId: instruction.listId,
+      batches: this.swapBatches.map(batch => ({
+        swaps: batch.map(swap => [swap.from, swap.to]),
+        duration: batch.duration
+      })),
+      order: usable ? recorded.order : null
+    };
+    this.recording.permutations.push(this.currentPermutation);
 
     // Permute phase completion is batch-driven, not time-driven
     this.phaseDuration = Infinity;
@@ -676,12 +736,20 @@ class AnimationPlayer {
     const n = this.distributionsToShuffle.length;
     if (n <= 1) return;
 
-    // Fisher-Yates shuffle of distributions
-    const shuffled = [...this.distributionsToShuffle];
-    for (let i = n - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    // Fisher-Yates shuffle of distribution indices (recorded order in replay mode)
+    let order = this.currentPermutation?.order;
+    if (!order || order.length !== n) {
+      order = Array.from({length: n}, (_, i) => i);
+      for (let i = n - 1; i > 0; i--) {
+        const randomValue = this.shuffleRng ? this.shuffleRng.next() : Math.random();
+        const j = Math.floor(randomValue * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+      }
+    }
+    if (this.currentPermutation) {
+      this.currentPermutation.order = order;
     }
+    const shuffled = order.map(i => this.distributionsToShuffle[i]);
 
     // Sort sacks by visual position (renderX) to determine left-to-right order
     const sortedIndices = [...this.currentListSackIndices].sort((a, b) => {
@@ -8,8 +8,15 @@
  *
  * The UI is a 10-row × N-column grid with click/drag to set a probability
  * per column, an optional normalize step (3+ columns), and a submit button.
- * After submit, the ground truth is shown as green lines and a max-per-bucket
- * error is computed for star scoring.
+ * Precise values can be typed into the number fields under the grid or set
+ * with the arrow keys, in steps of 10%, 5% or 1% (granularity).
+ *
+ * The grid is fully keyboard-operable (see handleKeyDown) and every change
+ * is announced through an ARIA live region, so the games can be played with
+ * a screen reader. Column names for announcements come from columnNames.
+ * After submit, the ground truth is shown as green lines, the answer is scored
+ * with the level's scoring rule (core/scoring-rules.js; default max-per-bucket
+ * error) and a short explanation of the score is shown under the grid.
  *
  * Game-specific concerns (sack visualisations vs colored boxes vs text labels,
  * binary mode for "reaches" predictions, localized strings) are exposed via
@@ -18,6 +25,16 @@
  * callback. No game should re-implement the grid drawing or click handling.
  */
 
+// Ball colors in column names read to screen-reader users
+const COLOR_NAMES_FI = {
+  red: 'punainen', blue: 'sininen', green: 'vihreä',
+  yellow: 'keltainen', purple: 'violetti', black: 'musta'
+};
+
+function formatPercent(p) {
+  return `${String(Math.round(p * 1000) / 10).replace('.', ',')} %`;
+}
+
 class BettingInterface {
   /**
    * @param {HTMLElement} container - container element
@@ -32,6 +49,8 @@ class BettingInterface {
    *   distributions        — Tehdas: array of {dist:{red,blue,...}, prob}.
    *                          Implies numColumns = distributions.length and a
    *                          default sack-visualization label renderer.
+   *                          prob is the prior, drawn on the grid when the
+   *                          priors are not all equal.
    * Or:
    *   numColumns + renderColumnLabel(ctx, colIdx, x, y, w, h)
    *                        — Mallit/Päättely: caller draws its own labels
@@ -41,14 +60,28 @@ class BettingInterface {
    *   binary               — true for single-column reaches mode (Kyllä/Ei).
    *                          binaryLabels: {top, bottom} are drawn above and
    *                          below the column instead of below-grid labels.
+   *   columnNames          — text name per column for screen readers and the
+   *                          number fields (the canvas labels are pictures).
+   *                          Default: binary top label, sack contents
+   *                          (distributions) or "Sarake N".
    *   labelHeight          — px reserved below the grid for column labels
    *                          (ignored if binary). Default: 60 (or 100/120 for
    *                          sack visualizations, see _defaultLabelHeight).
    *   cellHeight           — row height in px. Default: 40 (binary: 45).
+   *   granularity          — answer steps per 100%: 10, 20 or 100 (10%, 5%
+   *                          or 1%). Sets the finer grid marks and the step
+   *                          of the number fields and arrow keys; mouse
+   *                          input stays free. Default: 10.
    *   submitLabel          — submit button text. Default: 'Lähetä vastaus'.
    *   normalizeLabel       — normalize button text. Default: 'Tasaa 100 prosenttiin'.
-   *   starThresholds       — [3★,2★,1★] max-per-bucket-error thresholds.
-   *                          Default: [0.06, 0.11, 0.21].
+   *   scoringRule          — 'maxError' | 'log' | 'brier' | 'rps', see
+   *                          ScoringRules. Default: 'maxError'.
+   *   starThresholds       — [3★,2★,1★] score thresholds for the rule.
+   *                          Default: the rule's own (maxError: [0.06, 0.11, 0.21]).
+   *   game, levelId        — where the submission came from. With game set
+   *                          (and core/calibration.js loaded), every scored
+   *                          final submission is added to the shared
+   *                          calibration stats (see showResults' record).
    *   sackId               — Tehdas-only, kept for backwards compatibility.
    */
   constructor(container, config) {
@@ -57,6 +90,9 @@ class BettingInterface {
     // Tehdas-style: distributions array (also used by showResults Map fallback)
     this.distributions = config.distributions || null;
     this.sackId = config.sackId || null;
+    // Priors are drawn only when they differ: equal priors go without saying
+    const priors = (this.distributions || []).map(d => d.prob);
+    this.showPriors = priors.some(p => typeof p === 'number' && Math.abs(p - priors[0]) > 1e-9);
 
     this.numColumns = config.numColumns ?? this.distributions?.length;
     if (!this.numColumns) {
@@ -72,12 +108,19 @@ class BettingInterface {
 
     this.submitLabel = config.submitLabel || 'Lähetä vastaus';
     this.normalizeLabel = config.normalizeLabel || 'Tasaa 100 prosenttiin';
-    this.starThresholds = config.starThresholds || [0.06, 0.11, 0.21];
+    this.scoringRule = ScoringRules.get(config.scoringRule || 'maxError');
+    this.game = config.game || null;
+    this.levelId = config.levelId ?? null;
+    this.starThresholds = config.starThresholds || this.scoringRule.starThresholds;
 
     this.onComplete = null; // caller assigns after construction
 
     // Layout constants
-    this.granularity = 10; // always 10 rows (10% buckets)
+    this.gridRows = 10; // always 10 rows (10% per row)
+    this.granularity = config.granularity ?? 10;
+    if (!BettingInterface.GRANULARITIES.includes(this.granularity)) {
+      throw new Error(`BettingInterface: granularity must be one of ${BettingInterface.GRANULARITIES.join(', ')}, got ${this.granularity}`);
+    }
     this.cellHeight = config.cellHeight ?? (this.binary ? 45 : 40);
     this.labelWidth = 28;
     this.topMargin = this.binary ? 24 : 15;
@@ -86,6 +129,7 @@ class BettingInterface {
 
     // State
     this.groundTruth = null;       // array<number> indexed by colIdx
+    this.result = null;            // last showResults() return value
     this.enabled = false;
     this.gridSelections = new Map(); // colIdx -> { clickY, probability }
     this.isNormalized = false;
@@ -94,10 +138,28 @@ class BettingInterface {
     this.normalizeButton = null;
     this.isDragging = false;
     this.dragColumnIndex = null;
+    this.focusColumn = null;       // column moved by the arrow keys
+    this.numberInputs = [];
+    this.columnNames = config.columnNames || null;
+
+    // Screen-reader announcements. Kept across render() calls: a live region
+    // that is re-created is not reliably read out.
+    this.liveRegion = document.createElement('div');
+    this.liveRegion.className = 'betting-live-region';
+    this.liveRegion.setAttribute('role', 'status');
+    this.liveRegion.setAttribute('aria-live', 'polite');
+    Object.assign(this.liveRegion.style, {
+      position: 'absolute', width: '1px', height: '1px', margin: '-1px',
+      padding: '0', overflow: 'hidden', clip: 'rect(0 0 0 0)', border: '0',
+      whiteSpace: 'nowrap',
+    });
 
     this.render();
   }
 
+  /** Allowed granularity values (answer steps per 100%). */
+  static GRANULARITIES = [10, 20, 100];
+
   // ---------- public API ----------
 
   enable() { this.enabled = true; this.render(); }
@@ -105,6 +167,7 @@ class BettingInterface {
 
   reset() {
     this.groundTruth = null;
+    this.result = null;
     this.enabled = false;
     this.gridSelections.clear();
     this.isNormalized = false;
@@ -115,20 +178,49 @@ class BettingInterface {
   }
 
   /**
-   * Show ground truth and compute the max-per-bucket-error score.
+   * Show ground truth and score the answer with the level's scoring rule.
    *
    * @param {number[]|Map<string,number>} truth
    *   Either an array of probabilities indexed by column, OR (Tehdas-style)
    *   a Map<distKey, probability> that we look up via this.distributions.
-   * @returns {{loss: number, stars: number}}
+   * @param {Object} [options]
+   * @param {boolean} [options.record=true] - Add the answer to the calibration
+   *   stats. False for mid-run updates of a sequential bet, so that each
+   *   round counts once, with its final answer.
+   * @returns {{loss: number, stars: number, rule: string, maxError: number}}
+   *   loss is the rule's score (lower is better); maxError is always the
+   *   max-per-bucket error, for history displays.
    */
-  showResults(truth) {
+  showResults(truth, { record = true } = {}) {
     this.groundTruth = this._coerceTruth(truth);
     this.enabled = false;
+    const loss = this.calculateScore();
+    this.result = {
+      loss,
+      stars: this.getStarRating(loss),
+      rule: this.scoringRule.id,
+      maxError: this.calculateMaxError(),
+    };
+    if (record) this._recordCalibration();
+    this.render();
+    this.announce(this._describeResults());
+    return { ...this.result };
+  }
+
+  /**
+   * Hide the last result but keep the player's selections, so the same
+   * answer can be revised and submitted again (sequential betting). The
+   * grid and the submit button stay disabled until enable().
+   */
+  clearResults() {
+    this.groundTruth = null;
+    this.result = null;
+    this.enabled = false;
     this.render();
-    const maxError = this.calculateMaxError();
-    const stars = this.getStarRating(maxError);
-    return { loss: maxError, stars };
+    if (this.submitButton) {
+      this.submitButton.disabled = true;
+      this.submitButton.style.opacity = '0.5';
+    }
   }
 
   /** Update the green ground-truth lines without redrawing the buttons. */
@@ -192,9 +284,39 @@ class BettingInterface {
 
   render() {
     this.container.innerHTML = '';
+    this.container.appendChild(this.liveRegion);
     this.renderGrid();
   }
 
+  /** Read a message out to screen-reader users. */
+  announce(text) {
+    // Clear first so the same text twice in a row is announced again
+    this.liveRegion.textContent = '';
+    setTimeout(() => { this.liveRegion.textContent = text; }, 50);
+  }
+
+  /** Name of a column for announcements and field labels. */
+  getColumnName(colIndex) {
+    if (this.columnNames?.[colIndex]) return this.columnNames[colIndex];
+    if (this.binary) return this.binaryLabels.top || 'Todennäköisyys';
+    if (this.distributions) {
+      const dist = this.distributions[colIndex].dist;
+      const contents = Object.entries(dist)
+        .filter(([, count]) => count > 0)
+        .map(([color, count]) => `${COLOR_NAMES_FI[color] || color} ${count}`)
+        .join(', ');
+      const prior = this.showPriors ? `, ennakko ${formatPercent(this.distributions[colIndex].prob)}` : '';
+      return `Säkki ${colIndex + 1} (${contents}${prior})`;
+    }
+    return `Sarake ${colIndex + 1}`;
+  }
+
+  /** "<name>: 30 %" for one column ("ei valittu" when not set yet). */
+  describeColumn(colIndex) {
+    const sel = this.gridSelections.get(colIndex);
+    return `${this.getColumnName(colIndex)}: ${sel ? formatPercent(sel.probability) : 'ei valittu'}`;
+  }
+
   /**
    * Cell width: pick the largest "comfortable" width that still lets the canvas
    * fit in the container. We have a desired width per column-count (looks best
@@ -231,7 +353,7 @@ class BettingInterface {
     const cellW = this._computeCellWidth();
     const cellH = this.cellHeight;
     const gridW = this.numColumns * cellW;
-    const gridH = this.granularity * cellH;
+    const gridH = this.gridRows * cellH;
     const labelH = this.binary ? 0 : this.labelHeight;
     const rightPad = this.labelWidth; // visual balance with left labels
     const canvasWidth = this.labelWidth + gridW + rightPad + 2;
@@ -289,10 +411,22 @@ class BettingInterface {
     }
 
     this.drawGrid();
-    this.updateButtonStates();
 
     if (this.enabled) {
       canvas.style.cursor = 'pointer';
+      canvas.tabIndex = 0;
+      canvas.setAttribute('role', 'application');
+      canvas.setAttribute('aria-roledescription', 'vastausruudukko');
+      canvas.setAttribute('aria-label',
+        'Vastausruudukko. Valitse sarake nuolilla vasemmalle ja oikealle, muuta todennäköisyyttä ' +
+        'plus- ja miinusnäppäimillä tai nuolilla ylös ja alas, lähetä Enterillä.');
+      canvas.addEventListener('keydown', (e) => this.handleKeyDown(e));
+      canvas.addEventListener('focus', () => {
+        if (this.focusColumn === null) this.focusColumn = 0;
+        this.drawGrid();
+        this.announce(this.describeColumn(this.focusColumn));
+      });
+      canvas.addEventListener('blur', () => this.drawGrid());
       canvas.addEventListener('mousedown', (e) => {
         const r = this.getGridPositionFromEvent(e);
         if (r) {
@@ -307,12 +441,22 @@ class BettingInterface {
           if (r) this.updateSelectionAtPosition(this.dragColumnIndex, r.y, r.probability);
         }
       });
-      const stopDrag = () => { this.isDragging = false; this.dragColumnIndex = null; };
+      const stopDrag = () => {
+        if (this.isDragging) this._announceChange(this.dragColumnIndex);
+        this.isDragging = false;
+        this.dragColumnIndex = null;
+      };
       canvas.addEventListener('mouseup', stopDrag);
       canvas.addEventListener('mouseleave', stopDrag);
     }
 
     this.container.appendChild(canvas);
+    this.container.appendChild(this._renderNumberInputs());
+    this.updateButtonStates();
+
+    if (this.result) {
+      this.container.appendChild(this._renderScoreExplanation());
+    }
   }
 
   drawGrid() {
@@ -346,9 +490,35 @@ class BettingInterface {
       ctx.stroke();
     }
 
+    // Finer answer steps: 5% mode a dotted line mid-row, 1% mode short ticks
+    // at both edges (longer at 5%)
+    if (this.granularity > this.gridRows) {
+      const perRow = this.granularity / this.gridRows;
+      ctx.strokeStyle = '#888';
+      ctx.lineWidth = 0.5;
+      for (let step = 1; step < this.granularity; step++) {
+        if (step % perRow === 0) continue;  // row divider drawn below
+        const y = gridY + (step / this.granularity) * gridH;
+        ctx.beginPath();
+        if (perRow === 2) {
+          ctx.setLineDash([1, 3]);
+          ctx.moveTo(gridX, y);
+          ctx.lineTo(gridX + gridW, y);
+        } else {
+          ctx.setLineDash([]);
+          const tick = step % (perRow / 2) === 0 ? 10 : 5;
+          ctx.moveTo(gridX, y);
+          ctx.lineTo(gridX + tick, y);
+          ctx.moveTo(gridX + gridW - tick, y);
+          ctx.lineTo(gridX + gridW, y);
+        }
+        ctx.stroke();
+      }
+    }
+
     // Horizontal dividers — major (20% intervals) thicker/darker, minor lighter
     ctx.setLineDash([4, 4]);
-    for (let row = 1; row < this.granularity; row++) {
+    for (let row = 1; row < this.gridRows; row++) {
       const y = gridY + row * cellH;
       const isMajor = row % 2 === 0;
       ctx.strokeStyle = isMajor ? '#666' : '#888';
@@ -375,8 +545,8 @@ class BettingInterface {
     // Left percentage labels
     ctx.textAlign = 'right';
     ctx.textBaseline = 'middle';
-    for (let i = 0; i <= this.granularity; i++) {
-      const percent = ((this.granularity - i) / this.granularity) * 100;
+    for (let i = 0; i <= this.gridRows; i++) {
+      const percent = ((this.gridRows - i) / this.gridRows) * 100;
       const y = gridY + i * cellH;
       const isMajor = i % 2 === 0;
       ctx.fillStyle = isMajor ? '#333' : '#777';
@@ -384,6 +554,21 @@ class BettingInterface {
       ctx.fillText(`${percent}%`, this.labelWidth - 5, y);
     }
 
+    // Priors (dotted gray lines)
+    if (this.showPriors) {
+      ctx.strokeStyle = '#888';
+      ctx.lineWidth = 2;
+      ctx.setLineDash([2, 4]);
+      this.distributions.forEach((distObj, colIndex) => {
+        const y = gridY + (1 - distObj.prob) * gridH;
+        ctx.beginPath();
+        ctx.moveTo(gridX + colIndex * cellW, y);
+        ctx.lineTo(gridX + (colIndex + 1) * cellW, y);
+        ctx.stroke();
+      });
+      ctx.setLineDash([]);
+    }
+
     // User selections (blue lines at exact click position)
     ctx.strokeStyle = 'blue';
     ctx.lineWidth = 3;
@@ -397,6 +582,14 @@ class BettingInterface {
       ctx.stroke();
     });
 
+    // Column moved by the arrow keys (only while the grid has focus)
+    if (this.focusColumn !== null && document.activeElement === canvas) {
+      ctx.strokeStyle = '#2196F3';
+      ctx.lineWidth = 2;
+      ctx.setLineDash([]);
+      ctx.strokeRect(gridX + this.focusColumn * cellW + 2, gridY + 2, cellW - 4, gridH - 4);
+    }
+
     // Ground truth (green lines at exact probability position)
     if (this.groundTruth) {
       ctx.strokeStyle = 'green';
@@ -465,6 +658,110 @@ class BettingInterface {
     this.updateButtonStates();
   }
 
+  /**
+   * Set one column's probability (number fields, arrow keys). Same
+   * auto-fill rules as a click: 2 columns stay complementary.
+   */
+  setColumnProbability(colIndex, probability) {
+    const { gridY, gridH } = this._layout;
+    const p = Math.max(0, Math.min(1, probability));
+    this.updateSelectionAtPosition(colIndex, gridY + (1 - p) * gridH, p);
+  }
+
+  /** Round a probability to the nearest answer step. */
+  roundToStep(probability) {
+    return Math.round(probability * this.granularity) / this.granularity;
+  }
+
+  /**
+   * Keyboard model of the focused grid:
+   *   Left/Right     — previous/next column (announces its value)
+   *   + / Up         — raise the column one step (Shift: 10%)
+   *   - / Down       — lower the column one step (Shift: 10%)
+   *   Home / End     — set the column to 0% / 100%
+   *   Enter          — submit (or say what is still missing)
+   */
+  handleKeyDown(e) {
+    if (!this.enabled) return;
+    const col = this.focusColumn ?? 0;
+    const current = this.gridSelections.get(col)?.probability ?? 0;
+    const step = e.shiftKey ? 0.1 : 1 / this.granularity;
+
+    switch (e.key) {
+      case 'ArrowLeft':
+      case 'ArrowRight': {
+        const next = e.key === 'ArrowLeft'
+          ? Math.max(0, col - 1)
+          : Math.min(this.numColumns - 1, this.focusColumn === null ? 0 : col + 1);
+        this.focusColumn = next;
+        this.drawGrid();
+        this.announce(`${this.describeColumn(next)} (${next + 1}/${this.numColumns})`);
+        break;
+      }
+      case 'ArrowUp':
+      case '+':
+        this._setFromKeyboard(col, this.roundToStep(current + step));
+        break;
+      case 'ArrowDown':
+      case '-':
+        this._setFromKeyboard(col, this.roundToStep(current - step));
+        break;
+      case 'Home':
+        this._setFromKeyboard(col, 0);
+        break;
+      case 'End':
+        this._setFromKeyboard(col, 1);
+        break;
+      case 'Enter':
+        this._submitFromKeyboard();
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+  }
+
+  _setFromKeyboard(colIndex, probability) {
+    this.focusColumn = colIndex;
+    this.setColumnProbability(colIndex, probability);
+    this._announceChange(colIndex);
+  }
+
+  /** Announce a changed column (and its auto-filled partner in 2-column mode). */
+  _announceChange(colIndex) {
+    if (colIndex === null) return;
+    let text = this.describeColumn(colIndex);
+    if (this.numColumns === 2 && !this.binary) text += `, ${this.describeColumn(1 - colIndex)}`;
+    this.announce(text);
+  }
+
+  _submitFromKeyboard() {
+    if (this.isReadyToSubmit()) {
+      if (this.onComplete) this.onComplete();
+      return;
+    }
+    const missing = [];
+    for (let i = 0; i < this.numColumns; i++) {
+      if (!this.gridSelections.has(i)) missing.push(this.getColumnName(i));
+    }
+    if (missing.length > 0) {
+      this.announce(`Vastaus puuttuu: ${missing.join(', ')}.`);
+    } else {
+      const sum = this.getProbabilities().reduce((a, b) => a + b, 0);
+      this.announce(`Todennäköisyyksien summa on ${formatPercent(sum)}. Tasaa ne ensin 100 prosenttiin.`);
+    }
+  }
+
+  /** Screen-reader summary after submit: truth per column and the score. */
+  _describeResults() {
+    const columns = [];
+    for (let i = 0; i < this.numColumns; i++) {
+      columns.push(`${this.describeColumn(i)}, oikea ${formatPercent(this.groundTruth[i] || 0)}`);
+    }
+    const score = this.result.loss === Infinity ? '' : ` ${this.scoringRule.explain(this.result.loss)}`;
+    return `Tulokset. ${columns.join('. ')}. Tähtiä ${this.result.stars}/3.${score}`;
+  }
+
   normalizeSelections() {
     if (this.gridSelections.size !== this.numColumns) return;
     let sum = 0;
@@ -481,10 +778,13 @@ class BettingInterface {
     this.isNormalized = true;
     this.drawGrid();
     this.updateButtonStates();
+    this.announce(`Tasattu 100 prosenttiin. ${Array.from({ length: this.numColumns }, (_, i) => this.describeColumn(i)).join(', ')}.`);
   }
 
+  /** Refresh buttons and the number fields after the selections changed. */
   updateButtonStates() {
     const allSelected = this.gridSelections.size === this.numColumns;
+    this._syncNumberInputs();
 
     if (this.normalizeButton) {
       const enable = allSelected && !this.isNormalized;
@@ -515,12 +815,18 @@ class BettingInterface {
     return maxError;
   }
 
+  /**
+   * Score of the current selections under this.scoringRule (lower is better).
+   * Binary mode scores the column as the pair [P(top), P(bottom)].
+   */
+  calculateScore() {
+    if (!this.groundTruth || this.gridSelections.size !== this.numColumns) return Infinity;
+    const { forecast, truth } = this._outcomeDistributions();
+    return ScoringRules.score(this.scoringRule.id, forecast, truth);
+  }
+
   getStarRating(err) {
-    if (err === Infinity || isNaN(err)) return 0;
-    if (err <= this.starThresholds[0]) return 3;
-    if (err <= this.starThresholds[1]) return 2;
-    if (err <= this.starThresholds[2]) return 1;
-    return 0;
+    return ScoringRules.getStars(err, this.starThresholds);
   }
 
   getStarDisplay(stars) {
@@ -529,6 +835,117 @@ class BettingInterface {
 
   // ---------- internals ----------
 
+  /** Player and true probability per outcome (binary: [top, bottom]). */
+  _outcomeDistributions() {
+    let forecast = this.getProbabilities();
+    let truth = this.groundTruth.map(t => t || 0);
+    if (this.binary) {
+      forecast = [forecast[0], 1 - forecast[0]];
+      truth = [truth[0], 1 - truth[0]];
+    }
+    return { forecast, truth };
+  }
+
+  /** Add the scored submission to the shared calibration stats. */
+  _recordCalibration() {
+    if (!this.game || typeof Calibration === 'undefined' || this.result.loss === Infinity) return;
+    const { forecast, truth } = this._outcomeDistributions();
+    const sum = forecast.reduce((a, b) => a + b, 0);
+    if (sum <= 0) return;
+    try {
+      Calibration.record({
+        game: this.game,
+        levelId: this.levelId,
+        rule: this.scoringRule.id,
+        stated: forecast.map(p => p / sum),
+        truth,
+      });
+    } catch (e) {
+      // Stats must never break scoring (e.g. storage full or disabled)
+      console.warn('[BettingInterface] calibration not recorded:', e);
+    }
+  }
+
+  /** Rule name, score and what the number means (shown after submit). */
+  _renderScoreExplanation() {
+    const box = document.createElement('div');
+    box.className = 'score-explanation';
+    box.style.width = '100%';
+    box.style.fontSize = '12px';
+    box.style.lineHeight = '1.4';
+    box.style.color = '#333';
+    box.style.borderTop = '1px solid #ccc';
+    box.style.paddingTop = '6px';
+
+    const [t3, t2, t1] = this.starThresholds.map(t => this.scoringRule.format(t));
+    box.textContent = this.result.loss === Infinity
+      ? 'Vastaus puuttuu, joten pisteitä ei voitu laskea.'
+      : `${this.scoringRule.explain(this.result.loss)} ` +
+        `Tähdet: ★★★ kun enintään ${t3}, ★★ kun enintään ${t2}, ★ kun enintään ${t1}.`;
+    return box;
+  }
+
+  /**
+   * One percent field per column, aligned under the grid, for typing exact
+   * values. Typed values are rounded to the answer step.
+   */
+  _renderNumberInputs() {
+    const { cellW } = this._layout;
+    const row = document.createElement('div');
+    row.className = 'betting-number-inputs';
+    row.style.display = 'flex';
+    row.style.alignSelf = 'center';
+    row.style.paddingLeft = `${this.labelWidth}px`;
+    row.style.paddingRight = `${this.labelWidth}px`;
+
+    const stepPercent = 100 / this.granularity;
+    this.numberInputs = [];
+    for (let colIndex = 0; colIndex < this.numColumns; colIndex++) {
+      const cell = document.createElement('label');
+      cell.style.width = `${cellW}px`;
+      cell.style.display = 'flex';
+      cell.style.alignItems = 'center';
+      cell.style.justifyContent = 'center';
+      cell.style.fontSize = '11px';
+
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = '0';
+      input.max = '100';
+      input.step = String(stepPercent);
+      input.disabled = !this.enabled;
+      input.style.width = `${Math.max(16, Math.min(cellW - 14, 48))}px`;
+      input.style.fontSize = '11px';
+      input.style.fontFamily = 'inherit';
+      input.style.textAlign = 'right';
+      input.setAttribute('aria-label', `${this.getColumnName(colIndex)} (%)`);
+      input.addEventListener('change', () => {
+        const percent = parseFloat(input.value.replace(',', '.'));
+        if (isNaN(percent)) {
+          this._syncNumberInputs();
+          return;
+        }
+        this.setColumnProbability(colIndex, this.roundToStep(percent / 100));
+        if (this.numColumns === 2 && !this.binary) this._announceChange(colIndex);
+      });
+
+      cell.append(input, '%');
+      row.appendChild(cell);
+      this.numberInputs.push(input);
+    }
+    this._syncNumberInputs();
+    return row;
+  }
+
+  _syncNumberInputs() {
+    this.numberInputs.forEach((input, colIndex) => {
+      if (document.activeElement === input) return;  // don't fight the user's typing
+      const sel = this.gridSelections.get(colIndex);
+      // One decimal: mouse-set values are not rounded to the step
+      input.value = sel ? String(Math.round(sel.probability * 1000) / 10) : '';
+    });
+  }
+
   _needsNormalizeButton() {
     // 1-col binary auto-syncs; 2-col multi-col auto-syncs. 3+ needs explicit.
     return !this.binary && this.numColumns >= 3;
@@ -590,6 +1007,14 @@ class BettingInterface {
       ctx.stroke();
       ctx.fill();
     }
+
+    if (this.showPriors) {
+      ctx.fillStyle = '#666';
+      ctx.font = '11px sans-serif';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'top';
+      ctx.fillText(`ennakko ${formatPercent(this.distributions[colIdx].prob)}`, x + w / 2, y + sackHeight + 4);
+    }
   }
 }
 
@@ -0,0 +1,129 @@
+/**
+ * Reliability Diagram (shared)
+ *
+ * Draws calibration bins (see core/calibration.js) on a canvas: stated
+ * probability on the x axis, true probability on the y axis. A calibrated
+ * player's points lie on the dashed diagonal; points below it mean the
+ * stated probabilities were too high, points above too low. Point area is
+ * proportional to the number of answers in the bin, and a strip under the
+ * plot shows how the answers are spread over the bins.
+ *
+ *   const diagram = new ReliabilityDiagram(canvas);
+ *   diagram.draw(Calibration.computeBins(submissions));
+ */
+
+class ReliabilityDiagram {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {Object} config - {xLabel, yLabel}
+   */
+  constructor(canvas, config = {}) {
+    this.canvas = canvas;
+    this.xLabel = config.xLabel || 'Ilmoittamasi todennäköisyys';
+    this.yLabel = config.yLabel || 'Oikea todennäköisyys';
+
+    this.margin = {left: 56, right: 16, top: 16, bottom: 48};
+    this.histogramHeight = 40;
+  }
+
+  /**
+   * @param {Array<{lo, hi, count, meanStated, meanOutcome}>} bins
+   */
+  draw(bins) {
+    const ctx = this.canvas.getContext('2d');
+    const {left, right, top, bottom} = this.margin;
+    const plotW = this.canvas.width - left - right;
+    const plotH = this.canvas.height - top - bottom - this.histogramHeight;
+    const toX = (p) => left + p * plotW;
+    const toY = (p) => top + (1 - p) * plotH;
+
+    ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+    // Grid (10% steps) and axis labels
+    ctx.font = '10px sans-serif';
+    ctx.fillStyle = '#333';
+    for (let i = 0; i <= 10; i++) {
+      const p = i / 10;
+      ctx.strokeStyle = i % 5 === 0 ? '#999' : '#ddd';
+      ctx.lineWidth = 1;
+      ctx.setLineDash([]);
+      ctx.beginPath();
+      ctx.moveTo(toX(p), top);
+      ctx.lineTo(toX(p), top + plotH);
+      ctx.moveTo(left, toY(p));
+      ctx.lineTo(left + plotW, toY(p));
+      ctx.stroke();
+
+      if (i % 2 === 0) {
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillText(`${i * 10}%`, toX(p), top + plotH + this.histogramHeight + 4);
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(`${i * 10}%`, left - 6, toY(p));
+      }
+    }
+
+    ctx.font = 'bold 12px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(this.xLabel, left + plotW / 2, this.canvas.height - 2);
+    ctx.save();
+    ctx.translate(14, top + plotH / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.textBaseline = 'middle';
+    ctx.fillText(this.yLabel, 0, 0);
+    ctx.restore();
+
+    // Perfect calibration
+    ctx.strokeStyle = '#000';
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash([6, 4]);
+    ctx.beginPath();
+    ctx.moveTo(toX(0), toY(0));
+    ctx.lineTo(toX(1), toY(1));
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    const filled = bins.filter(b => b.count > 0);
+    const maxCount = Math.max(1, ...bins.map(b => b.count));
+
+    // Player's calibration curve
+    ctx.strokeStyle = 'blue';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    filled.forEach((b, i) => {
+      const x = toX(b.meanStated);
+      const y = toY(b.meanOutcome);
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+
+    ctx.fillStyle = 'rgba(0, 0, 255, 0.6)';
+    ctx.strokeStyle = '#000';
+    ctx.lineWidth = 1;
+    for (const b of filled) {
+      const r = 3 + 9 * Math.sqrt(b.count / maxCount);
+      ctx.beginPath();
+      ctx.arc(toX(b.meanStated), toY(b.meanOutcome), r, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+    }
+
+    // Answer counts per bin
+    const histTop = top + plotH + 4;
+    const histH = this.histogramHeight - 8;
+    ctx.fillStyle = '#bbb';
+    for (const b of bins) {
+      if (b.count === 0) continue;
+      const h = histH * b.count / maxCount;
+      ctx.fillRect(toX(b.lo) + 1, histTop + histH - h, toX(b.hi) - toX(b.lo) - 2, h);
+    }
+  }
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+  window.ReliabilityDiagram = ReliabilityDiagram;
+}
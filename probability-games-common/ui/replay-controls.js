@@ -0,0 +1,172 @@
+/**
+ * Replay Controls (shared)
+ *
+ * Small button row for saving, sharing and opening factory run replays
+ * (see core/replay.js). Used by the play pages of all three games:
+ *   - Tallenna ajo   — download the last run as a .json file
+ *   - Kopioi linkki  — copy a link that opens the page and plays the run
+ *   - Avaa ajo       — play a replay file
+ *
+ * The page decides what "the last run" is and how a replay is played:
+ *
+ *   const controls = new ReplayControls(container, {
+ *     game: 'tehdas-paattely',
+ *     getReplay: () => this.lastReplay,        // null disables save/share
+ *     onOpen: (replay) => this.playReplay(replay)
+ *   });
+ *   controls.update();  // after a run finishes
+ *
+ * ReplayControls.fromURL(game) reads a replay shared with ?replay=...
+ */
+
+class ReplayControls {
+  /**
+   * @param {HTMLElement} container - container element
+   * @param {Object} config - {game, getReplay, onOpen}
+   */
+  constructor(container, config) {
+    this.container = container;
+    this.game = config.game;
+    this.getReplay = config.getReplay;
+    this.onOpen = config.onOpen;
+
+    this.saveButton = null;
+    this.linkButton = null;
+    this.messageEl = null;
+    this.messageTimer = null;
+
+    this.render();
+  }
+
+  /**
+   * Replay passed in the page URL, or null. Invalid replays are reported
+   * through the returned error instead of thrown.
+   *
+   * @returns {{replay: Object|null, error: Error|null}}
+   */
+  static fromURL(game) {
+    const encoded = new URLSearchParams(window.location.search).get('replay');
+    if (!encoded) return {replay: null, error: null};
+    try {
+      return {replay: Replay.decode(encoded, game), error: null};
+    } catch (error) {
+      return {replay: null, error};
+    }
+  }
+
+  /**
+   * Refresh button states (call when a run finishes)
+   */
+  update() {
+    const available = !!this.getReplay();
+    for (const button of [this.saveButton, this.linkButton]) {
+      button.disabled = !available;
+      button.style.opacity = available ? '1' : '0.5';
+      button.style.cursor = available ? 'pointer' : 'not-allowed';
+    }
+  }
+
+  /**
+   * Show a short message under the buttons
+   */
+  showMessage(text, isError = false) {
+    this.messageEl.textContent = text;
+    this.messageEl.style.color = isError ? '#c62828' : '#555';
+    clearTimeout(this.messageTimer);
+    this.messageTimer = setTimeout(() => { this.messageEl.textContent = ''; }, 4000);
+  }
+
+  render() {
+    this.container.innerHTML = '';
+
+    const row = document.createElement('div');
+    row.style.display = 'flex';
+    row.style.gap = '6px';
+    row.style.width = '100%';
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    fileInput.style.display = 'none';
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files[0];
+      fileInput.value = '';
+      if (file) this.open(file);
+    });
+
+    this.saveButton = this._mkButton('Tallenna ajo', () => this.save());
+    this.linkButton = this._mkButton('Kopioi linkki', () => this.copyLink());
+    const openButton = this._mkButton('Avaa ajo', () => fileInput.click());
+
+    row.append(this.saveButton, this.linkButton, openButton, fileInput);
+
+    this.messageEl = document.createElement('div');
+    this.messageEl.style.fontSize = '11px';
+    this.messageEl.style.minHeight = '14px';
+    this.messageEl.style.marginTop = '4px';
+
+    this.container.append(row, this.messageEl);
+    this.update();
+  }
+
+  save() {
+    const replay = this.getReplay();
+    if (!replay) return;
+
+    const blob = new Blob([JSON.stringify(replay, null, 2)], {type: 'application/json'});
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `ajo-${replay.level?.taso || replay.level?.id || 'taso'}-${replay.seed}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  copyLink() {
+    const replay = this.getReplay();
+    if (!replay) return;
+
+    const link = Replay.buildLink(replay, window.location.href);
+    // Clipboard unavailable or blocked (e.g. plain http): let the user copy by hand
+    const copyByHand = () => window.prompt('Kopioi linkki:', link);
+    if (!navigator.clipboard) {
+      copyByHand();
+      return;
+    }
+    navigator.clipboard.writeText(link).then(
+      () => this.showMessage('Linkki kopioitu leikepöydälle'),
+      copyByHand
+    );
+  }
+
+  open(file) {
+    file.text().then(text => {
+      const replay = Replay.parse(text, this.game);
+      this.onOpen(replay);
+    }).catch(error => {
+      console.error('[Replay] Could not open replay:', error);
+      this.showMessage(`Ajoa ei voitu avata: ${error.message}`, true);
+    });
+  }
+
+  _mkButton(label, onClick) {
+    const b = document.createElement('button');
+    b.textContent = label;
+    b.style.padding = '6px 4px';
+    b.style.fontSize = '12px';
+    b.style.fontWeight = '500';
+    b.style.cursor = 'pointer';
+    b.style.border = '2px solid #000';
+    b.style.background = '#fff';
+    b.style.fontFamily = 'inherit';
+    b.style.flex = '1';
+    b.style.minWidth = '0';
+    b.addEventListener('click', onClick);
+    return b;
+  }
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+  window.ReplayControls = ReplayControls;
+}
@@ -8,7 +8,8 @@
 
 // Minimum probability before a world is auto-terminated
 const MIN_PROBABILITY_THRESHOLD = 1e-5;
-// Maximum number of active (non-terminated) worlds before refusing new splits
+// Maximum number of active (non-terminated) worlds before refusing new splits.
+// Merged worlds share one simulation and count once.
 const MAX_ACTIVE_WORLDS = 200;
 
 /**
@@ -31,6 +32,10 @@ class BranchingWorld {
     this.reachedObservationIndex = null;  // For "dist" prediction: which observation point (0=A, 1=B, etc.)
     this.targetBallCount = null;  // For "total" prediction: how many balls reached the target
 
+    // Set when merged into an equivalent world: this world keeps its own
+    // rectangle and probability but shows the leader's simulation
+    this.leader = null;
+
     // Split animation state
     this.splitStartRect = null;  // Starting rect (slightly offset toward split center)
     this.animationProgress = 1.0;  // 0 to 1, 1 = no animation
@@ -110,6 +115,7 @@ class AnimatedBranchingView {
     // State
     this.worlds = [];
     this.nextWorldId = 0;
+    this.mergeCount = 0;
     this.activeAnimations = [];
     this.completedSplitLines = [];
 
@@ -323,6 +329,7 @@ class AnimatedBranchingView {
     world.preTickState = serializeSimState(simulation);
 
     this.worlds = [world];
+    this.mergeCount = 0;
     this.activeAnimations = [];
     this.completedSplitLines = [];
 
@@ -438,8 +445,8 @@ class AnimatedBranchingView {
     const worldsToSplit = [];
 
     for (const world of this.worlds) {
-      // Skip terminated worlds
-      if (world.terminated) continue;
+      // Skip terminated worlds, and merged ones (their leader steps for them)
+      if (world.terminated || world.leader) continue;
 
       const sim = world.simulation;
       const rng = sim.rng;
@@ -468,6 +475,9 @@ class AnimatedBranchingView {
       // Check termination
       if (wasRunning && !sim.running) {
         this.handleWorldTermination(world);
+        for (const follower of this.followersOf(world)) {
+          this.handleWorldTermination(follower);
+        }
       }
     }
 
@@ -475,6 +485,53 @@ class AnimatedBranchingView {
     for (const { world, decision, preTickState, deltaTime: dt } of worldsToSplit) {
       this.splitWorld(world, decision, preTickState, dt, currentTime);
     }
+
+    if (worldsToSplit.length > 0) {
+      this.mergeEquivalentWorlds();
+    }
+  }
+
+  /**
+   * Worlds merged into the given one
+   */
+  followersOf(world) {
+    return this.worlds.filter(w => w.leader === world);
+  }
+
+  /**
+   * Merge active worlds whose states are equivalent
+   *
+   * Runs at decision points. States are compared by canonical hash: balls of
+   * the same colour are interchangeable and positions count to the grid cell
+   * (see hashSimulationState), so worlds that differ only in which ball went
+   * where go on as one. The most likely world keeps simulating; the others
+   * follow it with their own rectangles and probabilities.
+   */
+  mergeEquivalentWorlds() {
+    const groups = new Map();
+    for (const world of this.worlds) {
+      if (world.terminated || world.leader) continue;
+      const sim = world.simulation;
+      const hash = hashSimulationState(captureSnapshot(sim, sim.time), {canonical: true, quantize: true});
+      if (!groups.has(hash)) groups.set(hash, []);
+      groups.get(hash).push(world);
+    }
+
+    for (const group of groups.values()) {
+      if (group.length < 2) continue;
+
+      // The leader is the most likely member, so no follower can outlive it
+      // under MIN_PROBABILITY_THRESHOLD
+      const members = group.flatMap(w => [w, ...this.followersOf(w)]);
+      const leader = members.reduce((best, w) => w.probability > best.probability ? w : best);
+      for (const world of members) {
+        if (world === leader) continue;
+        world.leader = leader;
+        world.simulation = leader.simulation;
+      }
+      leader.leader = null;
+      this.mergeCount += group.length - 1;
+    }
   }
 
   /**
@@ -487,7 +544,7 @@ class AnimatedBranchingView {
     if (n < 2) return;
 
     // Refuse to split if too many active worlds already
-    const activeCount = this.worlds.filter(w => !w.terminated).length;
+    const activeCount = this.worlds.filter(w => !w.terminated && !w.leader).length;
     if (activeCount + n - 1 > MAX_ACTIVE_WORLDS) {
       // Just let the parent continue with the default outcome (no split)
       return;
@@ -556,6 +613,11 @@ class AnimatedBranchingView {
     );
     this.activeAnimations.push(animation);
 
+    // Worlds merged into the parent split the same way, following its children
+    for (const follower of this.followersOf(parentWorld)) {
+      this.splitFollower(follower, childWorlds, relativeProbabilities, currentTime);
+    }
+
     // Add children to world list
     this.worlds.push(...childWorlds);
 
@@ -566,6 +628,42 @@ class AnimatedBranchingView {
     }
   }
 
+  /**
+   * Split a merged world along with its leader
+   * Each child follows the leader's child for the same outcome.
+   */
+  splitFollower(follower, leaderChildren, relativeProbabilities, currentTime) {
+    const childRects = this.partitioner.partition(follower.rect, relativeProbabilities);
+    const splitLines = this.partitioner.getSplitLines(follower.rect, relativeProbabilities);
+    const startRects = this.computeSlideStartRects(follower.rect, childRects);
+
+    const childWorlds = leaderChildren.map((leaderChild, i) => {
+      const child = new BranchingWorld(
+        this.nextWorldId++,
+        follower.probability * relativeProbabilities[i],
+        childRects[i],
+        leaderChild.simulation,
+        follower.depth + 1
+      );
+      child.leader = leaderChild;
+      child.terminated = leaderChild.terminated;
+      child.terminatedByLowProbability = leaderChild.terminatedByLowProbability;
+      child.splitStartRect = startRects[i];
+      child.animationProgress = 0;
+      return child;
+    });
+
+    this.activeAnimations.push(new SplitAnimation(
+      follower,
+      childWorlds,
+      splitLines,
+      currentTime,
+      this.config.splitAnimationDuration
+    ));
+    this.worlds.push(...childWorlds);
+    this.worlds.splice(this.worlds.indexOf(follower), 1);
+  }
+
   /**
    * Compute starting rectangles for split animation.
    * All children start at the parent's exact position and size,
@@ -805,7 +903,7 @@ class AnimatedBranchingView {
 
     // Components
     for (const comp of this.level.components) {
-      if (comp.type === 'arm') continue;
+      if (ComponentRegistry.baseType(comp.type) === 'arm') continue;
       const spec = ComponentRegistry.get(comp.type);
       if (spec && spec.visual && spec.visual.render && !spec.isOverlay) {
         ctx.save();
@@ -921,9 +1019,9 @@ class AnimatedBranchingView {
 
     // Find arm components in the simulation
     for (const comp of sim.components) {
-      if (comp.type !== 'arm') continue;
+      if (ComponentRegistry.baseType(comp.type) !== 'arm') continue;
 
-      const spec = ComponentRegistry.get('arm');
+      const spec = ComponentRegistry.get(comp.type);
       if (!spec) continue;
 
       // Get pivot center (in grid coordinates, then convert to pixels)
@@ -79,7 +79,7 @@ function renderStaticFactoryBackground(gridWidth, gridHeight, components, option
 
   // Draw regular components first
   for (const comp of components) {
-    if (options.skipArms && comp.type === 'arm') continue;
+    if (options.skipArms && ComponentRegistry.baseType(comp.type) === 'arm') continue;
 
     const spec = ComponentRegistry.get(comp.type);
     if (spec && spec.visual && spec.visual.render && !spec.isOverlay) {
@@ -428,7 +428,7 @@ class BranchingRenderer {
     // Components (rendered at native 64px/cell, ctx.scale handles sizing)
     if (this.components) {
       for (const comp of this.components) {
-        if (comp.type === 'arm') continue;
+        if (ComponentRegistry.baseType(comp.type) === 'arm') continue;
         const spec = ComponentRegistry.get(comp.type);
         if (spec && spec.visual && spec.visual.render && !spec.isOverlay) {
           ctx.save();
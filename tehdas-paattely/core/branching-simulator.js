@@ -2,8 +2,9 @@
  * Branching Simulator
  *
  * Runs the factory simulation and builds a DAG of all possible world states.
- * At each random decision point (sack draw, splitter choice), creates branches
- * for each possible outcome weighted by probability.
+ * At each random decision point (sack draw, splitter choice, conveyor jam,
+ * arm delay), creates branches for each possible outcome weighted by
+ * probability.
  */
 
 /**
@@ -45,7 +46,16 @@ function captureSnapshot(simulation, time) {
       y: pos.y,
       componentId: ball.componentId,
       componentState: ball.componentState,
-      sourceId: ball.sourceId
+      sourceId: ball.sourceId,
+      // Where the ball is heading: siblings right after a split share a
+      // position and differ only here
+      heading: ball.trajectory && ball.trajectoryWaypoints.length > 0
+        ? ball.trajectoryWaypoints[ball.trajectoryWaypoints.length - 1]
+        : null,
+      // Held balls (jam, arm delay) look the same until they move again
+      releaseTime: ball.releaseTime ?? null,
+      // Queuing: component the ball waits for
+      queuedFor: ball.queuedFor ?? null
     });
   }
 
@@ -57,11 +67,26 @@ function captureSnapshot(simulation, time) {
     }
   }
 
+  // Timing state that ball positions don't show: a stopped belt delays
+  // balls that have not reached it yet
+  const componentStates = {};
+  for (const comp of simulation.components) {
+    if (comp.jamUntil != null && comp.jamUntil > time) {
+      componentStates[comp.id] = { jamUntil: Math.round(comp.jamUntil) };
+    }
+    // A switch routes by how many balls it has seen
+    if (comp.ballCount != null) {
+      componentStates[comp.id] = { ...componentStates[comp.id], ballCount: comp.ballCount };
+    }
+  }
+
   return {
     time: Math.round(time),
     balls,
     sackContents,
-    componentStates: {},
+    componentStates,
+    // Queuing: waiting balls in turn order (who moves first when a cell frees)
+    queue: (simulation.queuedBalls || []).map(b => b.id),
     running: simulation.running,
     ballsProduced: simulation.ballsProduced
   };
@@ -105,9 +130,14 @@ function serializeSimState(simulation) {
         // Filter output side (which exit the ball is taking)
         filterOutputSide: ball.filterOutputSide,
         // Switch output side (which exit the ball is taking)
-        switchOutputSide: ball.switchOutputSide
+        switchOutputSide: ball.switchOutputSide,
+        // Jammed conveyor / random-interval arm: when the held ball moves again
+        releaseTime: ball.releaseTime,
+        // Queuing: component the ball waits for
+        queuedFor: ball.queuedFor
       };
     }),
+    queuedBalls: (simulation.queuedBalls || []).map(b => b.id),
     componentStates: serializeComponentStates(simulation.components)
   };
 }
@@ -146,7 +176,9 @@ function serializeComponentStates(components) {
       // Switch component state
       ballCount: comp.ballCount,
       committedBallCount: comp.committedBallCount,
-      pendingMidpoints: comp.pendingMidpoints ? [...comp.pendingMidpoints] : null
+      pendingMidpoints: comp.pendingMidpoints ? [...comp.pendingMidpoints] : null,
+      // Jamming conveyor: belt stopped until this time
+      jamUntil: comp.jamUntil ?? null
     };
   }
   return states;
@@ -161,6 +193,16 @@ function recreateTrajectory(ball, components, savedStartTime, savedDuration) {
   // States that don't use trajectory functions (they use getPosition instead)
   const NO_TRAJECTORY_STATES = ['bouncing'];
 
+  // Queued balls stand still at their saved position (see Simulation.queueBall)
+  if (ball.queuedFor) {
+    const pos = { ...ball.position };
+    ball.trajectory = () => ({ ...pos });
+    ball.trajectoryStartTime = savedStartTime;
+    ball.trajectoryDuration = Infinity;
+    ball.trajectoryWaypoints = [pos, pos];
+    return;
+  }
+
   if (NO_TRAJECTORY_STATES.includes(ball.componentState)) {
     ball.trajectory = null;
     ball.trajectoryStartTime = savedStartTime;
@@ -238,6 +280,9 @@ function restoreSimState(simulation, saved) {
     ball.filterOutputSide = bs.filterOutputSide;
     // Switch output side
     ball.switchOutputSide = bs.switchOutputSide;
+    // Held ball release time (read by the jammed/waiting trajectories below)
+    ball.releaseTime = bs.releaseTime;
+    ball.queuedFor = bs.queuedFor;
 
     // Recreate trajectory based on component state
     // (we can't serialize trajectory functions, so we regenerate them)
@@ -250,6 +295,8 @@ function restoreSimState(simulation, saved) {
   const ballById = new Map();
   simulation.balls.forEach(b => ballById.set(b.id, b));
 
+  simulation.queuedBalls = (saved.queuedBalls || []).map(id => ballById.get(id)).filter(b => b);
+
   // Restore component states
   for (const comp of simulation.components) {
     const state = saved.componentStates[comp.id];
@@ -314,6 +361,9 @@ function restoreSimState(simulation, saved) {
       comp.ballCount = state.ballCount;
       comp.committedBallCount = state.committedBallCount;
       comp.pendingMidpoints = state.pendingMidpoints ? [...state.pendingMidpoints] : null;
+
+      // Restore jamming conveyor state
+      comp.jamUntil = state.jamUntil;
     }
   }
 }
@@ -332,6 +382,12 @@ class BranchingRNG {
   get state() { return this.realRng.state; }
   set state(v) { this.realRng.state = v; }
 
+  /**
+   * Substreams collapse into the wrapper: branching enumerates decisions
+   * instead of sampling them, so every component records into one queue.
+   */
+  stream(name) { return this; }
+
   next() { return this.realRng.next(); }
   nextInt(min, max) { return this.realRng.nextInt(min, max); }
   shuffle(array) { return this.realRng.shuffle(array); }
@@ -479,7 +535,7 @@ class BranchingSimulator {
       }
     }
 
-    console.log('[BranchingSimulator] Built DAG with', this.nodesCreated, 'nodes');
+    console.log('[BranchingSimulator] Built DAG with', this.nodesCreated, 'nodes,', this.dag.mergeCount, 'merges');
     return this.dag;
   }
 
@@ -547,11 +603,12 @@ class BranchingSimulator {
           parentNode,
           snapshot,
           outcome.probability,
-          description
+          description,
+          true
         );
 
-        if (childNode.timeStep === parentNode.timeStep + 1) {
-          // New node (not merged)
+        if (childNode.incomingEdges.length === 1) {
+          // New node (a merged one is already queued)
           this.nodesCreated++;
           childWork.push({
             node: childNode,
@@ -571,7 +628,7 @@ class BranchingSimulator {
           'advance'
         );
 
-        if (childNode.timeStep === parentNode.timeStep + 1) {
+        if (childNode.incomingEdges.length === 1) {
           this.nodesCreated++;
           childWork.push({
             node: childNode,
@@ -0,0 +1,456 @@
+/**
+ * Level Verifier
+ *
+ * Checks every version of every level: runs seeded Monte Carlo simulations
+ * of each DGP alternative and tests the observed outcome counts against the
+ * stored correct distribution (and the level's DSL model, when it has one)
+ * with a goodness-of-fit test. p-values are Holm-adjusted over the whole
+ * run, so a rejected check is a real discrepancy at the chosen alpha rather
+ * than one bad draw among hundreds of tests.
+ *
+ * No DOM access: js/verification.js shows the report in the browser and
+ * probability-games-common/headless/verify-levels.js runs it in batch mode.
+ *
+ * Requires (globals): Simulation, ComponentRegistry, selectAndMergeDGP,
+ * Statistics, and for DSL models parseDSL, DSLInterpreter.
+ */
+
+// Expected count below which chi-square cells are pooled
+const MIN_EXPECTED_COUNT = 5;
+
+class LevelVerifier {
+  /**
+   * @param {Object} options
+   * @param {number} options.runs - Simulations per level version (default 1000)
+   * @param {number} options.seed - Base seed; run i uses seed + i (default 0)
+   * @param {number} options.alpha - Family-wise significance level (default 0.01)
+   * @param {number} options.maxTicks - Tick limit per simulation (default 10000)
+   */
+  constructor(options = {}) {
+    this.runs = options.runs || 1000;
+    this.seed = options.seed || 0;
+    this.alpha = options.alpha || 0.01;
+    this.maxTicks = options.maxTicks || 10000;
+    this.tickDelta = 100;
+  }
+
+  /**
+   * List every level to verify: groups in their stored order, then levels
+   * that are not in any group
+   *
+   * @param {Array<Object>} levels - All levels
+   * @param {Object<string, Array<string>>} groups - Group id -> level ids
+   * @returns {Array<{level: Object, groupId: string|null, position: number|null}>}
+   */
+  static collectTasks(levels, groups = {}) {
+    const tasks = [];
+    const grouped = new Set();
+    for (const [groupId, levelIds] of Object.entries(groups)) {
+      (levelIds || []).forEach((levelId, index) => {
+        const level = levels.find(l => l.meta?.id === levelId);
+        if (!level) return;
+        grouped.add(levelId);
+        tasks.push({level, groupId, position: index + 1});
+      });
+    }
+    for (const level of levels) {
+      if (!grouped.has(level.meta?.id)) {
+        tasks.push({level, groupId: null, position: null});
+      }
+    }
+    return tasks;
+  }
+
+  /**
+   * The versions a player can be dealt: one per DGP alternative, or the
+   * level itself when it has none
+   *
+   * @returns {Array<{dgpIndex: number|null, dgpId: string|null, label: string|null}>}
+   */
+  static versionsOf(level) {
+    const alternatives = level.dgpAlternatives || [];
+    if (alternatives.length === 0) {
+      return [{dgpIndex: null, dgpId: null, label: null}];
+    }
+    return alternatives.map((alt, index) => ({
+      dgpIndex: index,
+      dgpId: alt.id || null,
+      label: alt.label || null
+    }));
+  }
+
+  /**
+   * The DSL model a version is checked against: the alternative's own
+   * intendedModel, else the level's, which the game shows for every version
+   * (like correctDistribution)
+   *
+   * @returns {string|null} null when there is no model
+   */
+  static modelOf(level, dgpIndex) {
+    const alternative = dgpIndex !== null ? level.dgpAlternatives[dgpIndex] : null;
+    const model = alternative?.intendedModel?.trim() ? alternative.intendedModel : level.intendedModel;
+    return model && model.trim() ? model : null;
+  }
+
+  /**
+   * Verify one version of a level
+   *
+   * @param {Object} level - Level JSON (may contain dgpAlternatives)
+   * @param {number|null} dgpIndex - Alternative to verify, null for none
+   * @returns {Array<Object>} Checks, not yet adjusted (see buildReport)
+   */
+  verifyVersion(level, dgpIndex) {
+    const version = LevelVerifier.versionsOf(level).find(v => v.dgpIndex === dgpIndex);
+    const base = {
+      levelId: level.meta?.id || null,
+      title: level.meta?.title || null,
+      dgpIndex,
+      dgpId: version?.dgpId || null,
+      dgpLabel: version?.label || null,
+      mode: level.dgpResult?.prediction?.what || 'unknown',
+      runs: this.runs
+    };
+
+    let prepared;
+    let counts;
+    try {
+      prepared = this.prepare(level, dgpIndex);
+      counts = this.sampleOutcomes(prepared);
+    } catch (e) {
+      return [{...base, reference: 'stored', error: e.message}];
+    }
+
+    const checks = [];
+    const stored = prepared.correctDistribution;
+    if (stored && Object.keys(stored).length > 0) {
+      checks.push({...base, reference: 'stored', ...this.compare(counts, stored, base.mode)});
+    } else {
+      checks.push({...base, reference: 'stored', observed: counts, error: 'No correctDistribution stored'});
+    }
+
+    const intendedModel = LevelVerifier.modelOf(level, dgpIndex);
+    if (intendedModel) {
+      try {
+        const model = LevelVerifier.modelDistribution(intendedModel, base.mode);
+        checks.push({...base, reference: 'model', ...this.compare(counts, model, base.mode)});
+      } catch (e) {
+        checks.push({...base, reference: 'model', observed: counts, error: e.message});
+      }
+    }
+    return checks;
+  }
+
+  /**
+   * Holm-adjust the p-values of all checks and summarise the run
+   *
+   * @param {Array<Object>} checks - Checks from verifyVersion
+   * @returns {{options: Object, summary: Object, checks: Array<Object>}}
+   */
+  buildReport(checks) {
+    const tested = checks.filter(c => typeof c.pValue === 'number');
+    const adjusted = Statistics.holmAdjust(tested.map(c => c.pValue));
+    tested.forEach((check, i) => {
+      check.adjustedPValue = adjusted[i];
+      check.rejected = adjusted[i] < this.alpha;
+    });
+
+    const versions = new Set(checks.map(c => `${c.levelId}#${c.dgpIndex}`));
+    return {
+      options: {runs: this.runs, seed: this.seed, alpha: this.alpha, correction: 'holm'},
+      summary: {
+        levels: new Set(checks.map(c => c.levelId)).size,
+        versions: versions.size,
+        checks: checks.length,
+        tested: tested.length,
+        rejected: tested.filter(c => c.rejected).length,
+        errors: checks.filter(c => c.error).length,
+        minAdjustedPValue: tested.length > 0 ? Math.min(...adjusted) : null
+      },
+      checks
+    };
+  }
+
+  /**
+   * Merge the alternative and resolve everything a Simulation needs
+   * Mirrors PlayApp.loadLevel and PlayApp.mapDGPToComponents.
+   */
+  prepare(level, dgpIndex) {
+    if (!level.dgpResult?.prediction) {
+      throw new Error('No DGP result or prediction defined');
+    }
+
+    let merged = level;
+    if (dgpIndex !== null) {
+      const count = level.dgpAlternatives.length;
+      // An RNG whose first draw lands on the requested alternative
+      merged = selectAndMergeDGP(level, {next: () => (dgpIndex + 0.5) / count});
+    }
+
+    const components = merged.components.map(comp => {
+      const copy = {...comp, position: {...comp.position}, params: {...comp.params}};
+      const dgpSack = merged.dgpResult.sacks?.[comp.params?.label];
+      if (comp.type === 'sack' && dgpSack) {
+        copy.params.contents = {...dgpSack.contents};
+      }
+      return copy;
+    });
+
+    const simLevel = {
+      grid: merged.grid || {width: 10, height: 8},
+      components,
+      connections: (merged.connections || []).map(conn => ({from: conn.from, to: conn.to})),
+      dgpResult: merged.dgpResult,
+      samplingSchedule: null
+    };
+    simLevel.samplingSchedule = LevelVerifier.mapSchedule(simLevel);
+
+    const prediction = merged.dgpResult.prediction;
+    let targetId = null;
+    let observationPoints = null;
+    if (prediction.what === 'dist') {
+      observationPoints = components
+        .filter(c => c.type === 'observation')
+        .sort((a, b) => a.position.x - b.position.x)
+        .map((comp, index) => ({id: comp.id, label: String.fromCharCode(65 + index)}));
+    } else {
+      const target = components.find(c =>
+        c.type === 'observation' &&
+        (c.params?.label === prediction.target || c.id === prediction.target)
+      );
+      if (!target) throw new Error(`Target "${prediction.target}" not found`);
+      targetId = target.id;
+    }
+
+    const selected = merged._selectedDGP?.correctDistribution;
+    return {
+      level: simLevel,
+      simulation: merged.simulation || {},
+      prediction,
+      targetId,
+      observationPoints,
+      correctDistribution: selected && Object.keys(selected).length > 0
+        ? selected
+        : merged.correctDistribution
+    };
+  }
+
+  /**
+   * Resolve DGP arm variables in the schedule to arm component ids
+   */
+  static mapSchedule(level) {
+    const armComponents = level.components.filter(c => ComponentRegistry.baseType(c.type) === 'arm');
+    const varNameToComponentId = new Map();
+    const armVarNames = Object.keys(level.dgpResult.arms || {});
+
+    armVarNames.forEach(varName => {
+      const linked = armComponents.find(c => c.params.linkedVariable === varName);
+      if (linked) varNameToComponentId.set(varName, linked.id);
+    });
+    const mappedIds = Array.from(varNameToComponentId.values());
+    const unmappedComponents = armComponents.filter(c => !mappedIds.includes(c.id));
+    armVarNames
+      .filter(v => !varNameToComponentId.has(v))
+      .forEach((varName, index) => {
+        if (index < unmappedComponents.length) {
+          varNameToComponentId.set(varName, unmappedComponents[index].id);
+        }
+      });
+
+    return (level.dgpResult.schedule || []).map(entry => {
+      const armId = varNameToComponentId.get(entry.armVarName);
+      if (!armId) throw new Error(`Cannot resolve arm variable '${entry.armVarName}'`);
+      return {sackId: armId, armId, time: entry.time};
+    });
+  }
+
+  /**
+   * Run the seeded simulations and count outcomes
+   *
+   * @returns {Object<string, number>} Outcome -> count
+   */
+  sampleOutcomes(prepared) {
+    const counts = {};
+    for (let i = 0; i < this.runs; i++) {
+      const outcome = String(this.runOnce(prepared, this.seed + i));
+      counts[outcome] = (counts[outcome] || 0) + 1;
+    }
+    return counts;
+  }
+
+  runOnce(prepared, seed) {
+    const config = {
+      ...prepared.simulation,
+      ballsToSpawn: prepared.level.samplingSchedule.length,
+      seed
+    };
+    const simulation = new Simulation(prepared.level, config);
+    simulation.resolveReferences();
+    for (let tick = 0; tick < this.maxTicks && simulation.running; tick++) {
+      simulation.tick(this.tickDelta);
+    }
+
+    const ballCount = (comp) => (comp.observedBalls?.length || 0) + (comp.observations?.length || 0);
+
+    if (prepared.prediction.what === 'dist') {
+      for (const obs of prepared.observationPoints) {
+        const comp = simulation.getComponent(obs.id);
+        if (comp && ballCount(comp) > 0) return obs.label;
+      }
+      return 'none';
+    }
+
+    const target = simulation.getComponent(prepared.targetId);
+    if (!target) return 0;
+    if (prepared.prediction.what === 'reaches') {
+      return ballCount(target) > 0 ? 'yes' : 'no';
+    }
+    if (prepared.prediction.what === 'total') {
+      return (target.observedBalls || target.observations || []).length;
+    }
+    const color = prepared.prediction.what;
+    const balls = target.observations || target.observedBalls || [];
+    return balls.filter(ball => ball.color === color).length;
+  }
+
+  /**
+   * Goodness-of-fit of observed counts to an expected distribution
+   */
+  compare(counts, distribution, mode) {
+    const expected = LevelVerifier.normalizeKeys(distribution, mode);
+    const n = Object.values(counts).reduce((a, b) => a + b, 0);
+
+    let maxDifference = 0;
+    for (const key of new Set([...Object.keys(counts), ...Object.keys(expected)])) {
+      maxDifference = Math.max(maxDifference, Math.abs((counts[key] || 0) / n - (expected[key] || 0)));
+    }
+
+    return {
+      observed: counts,
+      expected,
+      maxDifference,
+      ...LevelVerifier.goodnessOfFit(counts, expected)
+    };
+  }
+
+  /**
+   * Test observed counts against expected probabilities
+   *
+   * Outcomes the distribution calls impossible fail outright. Two outcomes
+   * use the exact binomial test; more use Pearson's chi-square, pooling
+   * cells whose expected count is below MIN_EXPECTED_COUNT (falling back to
+   * the binomial test if pooling leaves two cells).
+   *
+   * @param {Object<string, number>} counts - Outcome -> observed count
+   * @param {Object<string, number>} expected - Outcome -> probability
+   * @returns {{test: string, statistic: number|null, df: number|null, pValue: number}}
+   */
+  static goodnessOfFit(counts, expected) {
+    const n = Object.values(counts).reduce((a, b) => a + b, 0);
+    const total = Object.values(expected).reduce((a, b) => a + b, 0);
+
+    const impossible = Object.keys(counts).filter(k => counts[k] > 0 && !((expected[k] || 0) > 1e-12));
+    if (impossible.length > 0) {
+      return {test: 'impossible-outcome', statistic: null, df: null, pValue: 0, impossible};
+    }
+
+    let cells = Object.keys(expected)
+      .filter(k => expected[k] > 1e-12)
+      .map(k => ({keys: [k], observed: counts[k] || 0, expected: n * expected[k] / total}));
+    if (cells.length < 2) {
+      return {test: 'none', statistic: null, df: 0, pValue: 1};
+    }
+
+    if (cells.length > 2) {
+      const small = cells.filter(c => c.expected < MIN_EXPECTED_COUNT);
+      if (small.length > 0) {
+        cells = cells.filter(c => c.expected >= MIN_EXPECTED_COUNT);
+        let pooled = LevelVerifier.mergeCells(small);
+        // Still too small: absorb the smallest remaining cell
+        while (pooled.expected < MIN_EXPECTED_COUNT && cells.length > 1) {
+          cells.sort((a, b) => a.expected - b.expected);
+          pooled = LevelVerifier.mergeCells([pooled, cells.shift()]);
+        }
+        cells.push(pooled);
+      }
+    }
+
+    if (cells.length === 2) {
+      const first = cells[0];
+      return {
+        test: 'binomial',
+        statistic: first.observed,
+        df: null,
+        pValue: Statistics.binomialTestPValue(first.observed, n, first.expected / n)
+      };
+    }
+
+    const result = Statistics.chiSquareTest(cells.map(c => c.observed), cells.map(c => c.expected));
+    return {test: 'chi-square', statistic: result.statistic, df: result.df, pValue: result.pValue};
+  }
+
+  static mergeCells(cells) {
+    return {
+      keys: cells.flatMap(c => c.keys),
+      observed: cells.reduce((sum, c) => sum + c.observed, 0),
+      expected: cells.reduce((sum, c) => sum + c.expected, 0)
+    };
+  }
+
+  /**
+   * Bring distribution keys to the outcome names the simulation reports:
+   * yes/no for "reaches", letters for one-hot "dist" vectors
+   */
+  static normalizeKeys(distribution, mode) {
+    const result = {};
+    for (let [k, v] of Object.entries(distribution)) {
+      if (mode === 'reaches') {
+        if (k === '1' || k === 'true') k = 'yes';
+        else if (k === '0' || k === 'false') k = 'no';
+      }
+      if (mode === 'dist' && k.includes(',')) {
+        const parts = k.split(',').map(x => parseInt(x.trim()));
+        if (parts.filter(x => x === 1).length === 1) {
+          k = String.fromCharCode(65 + parts.indexOf(1));
+        }
+      }
+      result[k] = (result[k] || 0) + v;
+    }
+    return result;
+  }
+
+  /**
+   * Evaluate a DSL model into an outcome -> probability map
+   */
+  static modelDistribution(script, mode) {
+    const result = new DSLInterpreter().execute(parseDSL(script));
+    if (result.errors && result.errors.length > 0) {
+      throw new Error(`DSL error: ${result.errors[0].message}`);
+    }
+
+    const rv = result.returnValue;
+    const distribution = {};
+    if (rv && rv.pmf) {
+      for (const [value, prob] of rv.pmf.entries()) {
+        const key = typeof value === 'boolean' ? (value ? 'yes' : 'no') : String(value);
+        distribution[key] = (distribution[key] || 0) + prob;
+      }
+    } else if (typeof rv === 'number' && mode === 'reaches') {
+      // A constant is read as P(yes)
+      distribution.yes = rv;
+      distribution.no = 1 - rv;
+    } else {
+      throw new Error('Model script did not return a probability distribution');
+    }
+    return distribution;
+  }
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+  window.LevelVerifier = LevelVerifier;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { LevelVerifier };
+}
@@ -8,13 +8,46 @@
 /**
  * Hash a simulation state for merge detection
  * Two states hash the same if they would be indistinguishable going forward
+ *
+ * Position alone does not settle that for held balls: a ball stopped on a
+ * jammed conveyor or waiting in a random-interval arm looks the same whether
+ * it moves again in one second or in three. Their release time is hashed too.
+ *
+ * With queuing on, a waiting ball is hashed with the component it waits for,
+ * and the queue order is hashed because it decides who moves first.
+ *
+ * Options:
+ *   canonical - balls are interchangeable when they share a colour: ids are
+ *               left out, so worlds that differ only in which red ball went
+ *               where hash the same
+ *   quantize  - positions are reduced to grid cells (canonical hashes only).
+ *               Meant for decision points, where the deciding ball sits at the
+ *               same spot in every sibling world and balls elsewhere differ
+ *               only by sub-cell timing
+ *
+ * @param {Object} snapshot - From captureSnapshot()
+ * @param {Object} options - {canonical, quantize}
  */
-function hashSimulationState(snapshot) {
+function hashSimulationState(snapshot, options = {}) {
+  const canonical = !!options.canonical;
+  const quantize = canonical && !!options.quantize;
+
+  const ballKey = (b) => {
+    const position = quantize
+      ? `${Math.floor(b.x)},${Math.floor(b.y)}`
+      : `${Math.round(b.x * 100)},${Math.round(b.y * 100)}`;
+    const heading = b.heading
+      ? `>>${Math.round(b.heading.x * 100)},${Math.round(b.heading.y * 100)}`
+      : '';
+    const release = b.releaseTime != null ? `@${Math.round(b.releaseTime)}` : '';
+    const queued = b.queuedFor != null ? `>${b.queuedFor}` : '';
+    const key = `${position},${b.color},${b.componentId || ''},${b.componentState || ''}${heading}${release}${queued}`;
+    return canonical ? key : `${b.id}:${key}`;
+  };
+
   // Sort balls by position for consistent hashing
-  const ballsStr = snapshot.balls
-    .map(b => `${b.id}:${Math.round(b.x * 100)},${Math.round(b.y * 100)},${b.color},${b.componentId || ''},${b.componentState || ''}`)
-    .sort()
-    .join('|');
+  const keysById = new Map(snapshot.balls.map(b => [b.id, ballKey(b)]));
+  const ballsStr = Array.from(keysById.values()).sort().join('|');
 
   // Sack contents (sorted)
   const sacksStr = Object.entries(snapshot.sackContents || {})
@@ -22,14 +55,20 @@ function hashSimulationState(snapshot) {
     .sort()
     .join('|');
 
-  // Component states (for shufflers, splitters with pending balls)
+  // Component states (shufflers, splitters with pending balls, jammed conveyors)
   const componentsStr = Object.entries(snapshot.componentStates || {})
     .map(([id, state]) => `${id}:${JSON.stringify(state)}`)
     .sort()
     .join('|');
 
+  // Waiting balls in turn order (by description when ids don't count)
+  const queueStr = (snapshot.queue || [])
+    .map(id => canonical ? keysById.get(id) : id)
+    .join(',');
+
   // Combine and hash
-  const combined = `${snapshot.time}||${ballsStr}||${sacksStr}||${componentsStr}`;
+  const produced = canonical ? `||${snapshot.ballsProduced}` : '';
+  const combined = `${snapshot.time}||${ballsStr}||${sacksStr}||${componentsStr}||${queueStr}${produced}`;
   return simpleHash(combined);
 }
 
@@ -72,7 +111,7 @@ class WorldNode {
     this.timeStep = timeStep;           // Discrete time step (frame index)
     this.probability = probability;     // Total probability of reaching this state
     this.snapshot = snapshot;           // Simulation state snapshot
-    this.stateHash = stateHash;         // For merge detection
+    this.stateHash = stateHash;         // Canonical hash, for merge detection
 
     this.incomingEdges = [];            // Edges from parent(s)
     this.outgoingEdges = [];            // Edges to children (computed lazily)
@@ -139,7 +178,7 @@ class WorldDAG {
    * Create the root node from initial simulation state
    */
   createRoot(snapshot) {
-    const hash = hashSimulationState(snapshot);
+    const hash = hashSimulationState(snapshot, {canonical: true});
     const node = new WorldNode(
       `node_${this.nextNodeId++}`,
       0,                    // timeStep
@@ -174,21 +213,34 @@ class WorldDAG {
 
   /**
    * Create a child node or merge with existing
+   * A child merges into a node of the same time step whose canonical state
+   * hash matches: same-colour balls are interchangeable, and after a decision
+   * positions count only to the grid cell.
+   *
    * @param {WorldNode} parent - Parent node
    * @param {Object} snapshot - Child simulation state
    * @param {number} probability - P(this transition | parent)
    * @param {string} outcome - Description of what happened
-   * @returns {WorldNode} The child node (new or existing)
+   * @param {boolean} atDecision - The child follows a random decision
+   * @returns {WorldNode} The child node (new or existing; an existing one
+   *   has more than one incoming edge)
    */
-  createOrMergeChild(parent, snapshot, probability, outcome) {
+  createOrMergeChild(parent, snapshot, probability, outcome, atDecision = false) {
     const timeStep = parent.timeStep + 1;
-    const hash = hashSimulationState(snapshot);
+    const hash = hashSimulationState(snapshot, {canonical: true, quantize: atDecision});
 
     // Calculate flow probability
     const flowProbability = parent.probability * probability;
 
-    // Design decision: always create new nodes, no merging of identical states.
-    // This keeps the DAG a proper tree structure for simpler probability flow.
+    const existing = this.nodesByHash.get(hash);
+    if (existing && existing.timeStep === timeStep) {
+      const edge = new WorldEdge(parent, existing, probability, outcome);
+      edge.flowProbability = flowProbability;
+      parent.outgoingEdges.push(edge);
+      existing.addIncomingEdge(edge);
+      this.mergeCount++;
+      return existing;
+    }
 
     // Create new node
     const node = new WorldNode(
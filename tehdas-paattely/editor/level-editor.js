@@ -129,6 +129,7 @@ class LevelEditor {
 
     // Track loaded level for updates
     this.loadedLevelId = null;     // ID of level loaded from registry (null = new level)
+    this.loadedBettingConfig = {}; // meta.bettingConfig of the loaded level (scoring rule etc.) and the answer step set here
 
     // DGP Engine instance
     this.dgpEngine = new DGPEngine();
@@ -240,6 +241,9 @@ class LevelEditor {
     document.getElementById('remove-row-top').onclick = () => this.removeRow('top');
     document.getElementById('remove-row-bottom').onclick = () => this.removeRow('bottom');
 
+    // Answer step of the betting grid (meta.bettingConfig.granularity)
+    document.getElementById('granularity-select').onchange = (e) => this.setGranularity(parseInt(e.target.value));
+
     // Update grid size displays
     this.updateGridSizeDisplays();
 
@@ -291,7 +295,7 @@ class LevelEditor {
 
     // Reset placed arms tracking, then re-populate from existing components
     this.placedArms = new Set();
-    this.components.filter(c => c.type === 'arm' && c.params.varName).forEach(comp => {
+    this.components.filter(c => ComponentRegistry.baseType(c.type) === 'arm' && c.params.varName).forEach(comp => {
       if (this.dgpResult.arms?.[comp.params.varName]) {
         this.placedArms.add(comp.params.varName);
       }
@@ -369,7 +373,7 @@ class LevelEditor {
       // Count actual schedule entries for each arm by varName
       const schedule = this.dgpResult.schedule || [];
 
-      this.components.filter(c => c.type === 'arm').forEach(armComp => {
+      this.components.filter(c => ComponentRegistry.baseType(c.type) === 'arm').forEach(armComp => {
         const varName = armComp.params.varName;
         if (varName) {
           // Count schedule entries for this specific arm
@@ -679,7 +683,7 @@ class LevelEditor {
 
         if (armDef) {
           // Find the arm component by matching label (set to varName when placed via autoPlaceNextArm)
-          const armComponents = this.components.filter(c => c.type === 'arm');
+          const armComponents = this.components.filter(c => ComponentRegistry.baseType(c.type) === 'arm');
 
           // Match by label (should work for arms placed via 'A' hotkey with DSL tracking)
           let armComp = armComponents.find(c => c.params.label === armVarName);
@@ -712,7 +716,10 @@ class LevelEditor {
       components,
       connections,
       samplingSchedule,
-      hypothesisSpace: null  // Not needed for probability modeling
+      hypothesisSpace: null,  // Not needed for probability modeling
+      simulation: {
+        queuing: !!this.dgpResult?.queuing
+      }
     };
   }
 
@@ -1316,7 +1323,7 @@ class LevelEditor {
       this.components.splice(index, 1);
 
       // If this was a DSL-defined arm, mark it as unplaced
-      if (component.type === 'arm' && component.params.varName) {
+      if (ComponentRegistry.baseType(component.type) === 'arm' && component.params.varName) {
         this.placedArms.delete(component.params.varName);
       }
 
@@ -1345,7 +1352,7 @@ class LevelEditor {
       'right-to-up', 'up-to-left', 'left-to-down', 'down-to-right'
     ];
 
-    if (type === 'conveyor') {
+    if (ComponentRegistry.baseType(type) === 'conveyor') {
       const current = DIRECTIONS.indexOf(params.direction || 'right');
       params.direction = DIRECTIONS[(current + 1) % 4];
       return true;
@@ -1835,7 +1842,7 @@ class LevelEditor {
                   onchange="editor.updateComponentContents(this.value)">${JSON.stringify(component.params.contents, null, 2)}</textarea>
         <small style="color: #888; font-size: 10px;">Example: {"red": 7, "blue": 3}</small>
       </div>`;
-    } else if (component.type === 'conveyor') {
+    } else if (ComponentRegistry.baseType(component.type) === 'conveyor') {
       html += `<div class="property-item">
         <label>Direction</label>
         <select onchange="editor.updateComponentParam('direction', this.value)">
@@ -1857,6 +1864,7 @@ class LevelEditor {
           Plex Glass
         </label>
       </div>`;
+      html += this.renderJamProperties(component);
     } else if (component.type === 'conveyor-turn') {
       html += `<div class="property-item">
         <label>Turn Type</label>
@@ -1935,6 +1943,12 @@ class LevelEditor {
                onchange="editor.updateComponentParam('minBufferSize', parseInt(this.value))">
         <small style="color: #888; font-size: 10px;">Balls required before shuffle (default = numInputs)</small>
       </div>
+      <div class="property-item">
+        <label>Capacity</label>
+        <input type="number" min="0" max="20" value="${component.params.capacity || 0}"
+               onchange="editor.updateComponentParam('capacity', parseInt(this.value) || null)">
+        <small style="color: #888; font-size: 10px;">Max balls inside before inputs block (0 = unlimited, needs enable_queuing())</small>
+      </div>
       <div class="property-item">
         <label>Output Pattern</label>
         <button onclick="editor.editShufflerPattern()" style="width: 100%; padding: 6px;">
@@ -1967,6 +1981,11 @@ class LevelEditor {
         </div>
         <small style="color: #888; font-size: 10px;">Place adjacent conveyors to create channels</small>
       </div>
+      <div class="property-item">
+        <label>Output Weights</label>
+        ${ComponentRegistry.get('splitter').editor.renderWeightRows(component.params, 'editor.updateSplitterWeight')}
+        <small style="color: #888; font-size: 10px;">Relative weights, e.g. 7 and 3 for a 70/30 split</small>
+      </div>
       <div class="property-item">
         <label>Bounce Duration (ms)</label>
         <input type="number" step="100" min="100" value="${component.params.bounceDuration || 600}"
@@ -2010,7 +2029,7 @@ class LevelEditor {
           Plex Glass
         </label>
       </div>`;
-    } else if (component.type === 'arm') {
+    } else if (ComponentRegistry.baseType(component.type) === 'arm') {
       html += `<div class="property-item">
         <label>
           <input type="checkbox" ${component.params.plex ? 'checked' : ''}
@@ -2018,6 +2037,7 @@ class LevelEditor {
           Plex Glass
         </label>
       </div>`;
+      html += this.renderDelayProperties(component);
     } else if (component.type === 'switch') {
       html += `<div class="property-item">
         <label>N (first N balls to firstN output)</label>
@@ -2064,6 +2084,21 @@ class LevelEditor {
     panel.innerHTML = html;
   }
 
+  updateSplitterWeight(side, text) {
+    if (!this.selectedComponent || this.selectedComponent.type !== 'splitter') return;
+    const params = this.selectedComponent.params;
+    try {
+      params.weights = ComponentRegistry.get('splitter').editor.parseWeight(params, side, text);
+    } catch (e) {
+      this.setStatus(e.message, 'error');
+      this.updatePropertiesPanel();
+      return;
+    }
+    this.saveState();
+    this.updatePropertiesPanel();
+    this.render();
+  }
+
   updateComponentParam(key, value) {
     if (this.selectedComponent) {
       this.selectedComponent.params[key] = value;
@@ -2085,6 +2120,102 @@ class LevelEditor {
     }
   }
 
+  /**
+   * Switch the selected component between a base type and its random
+   * variant (conveyor <-> jamming-conveyor, arm <-> random-arm). Shared
+   * params such as direction and DSL links are kept; the variant's own
+   * params start from its defaults.
+   */
+  setComponentVariant(type) {
+    const component = this.selectedComponent;
+    if (!component || component.type === type) return;
+
+    const spec = ComponentRegistry.get(type);
+    for (const [key, value] of Object.entries(spec.defaultParams || {})) {
+      if (component.params[key] === undefined) {
+        component.params[key] = JSON.parse(JSON.stringify(value));
+      }
+    }
+    component.type = type;
+
+    this.updateAutomaticConnections();
+    this.saveState();
+    this.updatePropertiesPanel();
+    this.render();
+  }
+
+  /**
+   * Update a list-valued param from comma-separated numbers
+   * (empty input clears the param)
+   */
+  updateComponentNumberList(key, text) {
+    if (!this.selectedComponent) return;
+
+    const trimmed = text.trim();
+    const values = trimmed === '' ? null : trimmed.split(',').map(v => Number(v.trim()));
+    if (values && values.some(v => !isFinite(v))) {
+      this.setStatus(`${key}: enter numbers separated by commas`, 'error');
+      return;
+    }
+    this.updateComponentParam(key, values);
+  }
+
+  /**
+   * Jam settings for straight conveyors
+   */
+  renderJamProperties(component) {
+    const jamming = component.type === 'jamming-conveyor';
+    let html = `<div class="property-item">
+        <label>
+          <input type="checkbox" ${jamming ? 'checked' : ''}
+                 onchange="editor.setComponentVariant(this.checked ? 'jamming-conveyor' : 'conveyor')">
+          Jams randomly
+        </label>
+      </div>`;
+    if (jamming) {
+      html += `<div class="property-item">
+        <label>Jam probability (per ball)</label>
+        <input type="number" step="0.05" min="0" max="1" value="${component.params.jamProbability ?? 0.3}"
+               onchange="editor.updateComponentParam('jamProbability', parseFloat(this.value))">
+      </div>
+      <div class="property-item">
+        <label>Jam durations (ms)</label>
+        <input type="text" value="${(component.params.jamDurations || []).join(', ')}"
+               onchange="editor.updateComponentNumberList('jamDurations', this.value)">
+        <small style="color: #888; font-size: 10px;">One is chosen uniformly, e.g. 1000, 3000</small>
+      </div>`;
+    }
+    return html;
+  }
+
+  /**
+   * Pickup delay settings for arms
+   */
+  renderDelayProperties(component) {
+    const random = component.type === 'random-arm';
+    let html = `<div class="property-item">
+        <label>
+          <input type="checkbox" ${random ? 'checked' : ''}
+                 onchange="editor.setComponentVariant(this.checked ? 'random-arm' : 'arm')">
+          Random pickup delay
+        </label>
+      </div>`;
+    if (random) {
+      html += `<div class="property-item">
+        <label>Delays (ms)</label>
+        <input type="text" value="${(component.params.delays || []).join(', ')}"
+               onchange="editor.updateComponentNumberList('delays', this.value)">
+      </div>
+      <div class="property-item">
+        <label>Delay weights</label>
+        <input type="text" value="${(component.params.delayWeights || []).join(', ')}"
+               onchange="editor.updateComponentNumberList('delayWeights', this.value)">
+        <small style="color: #888; font-size: 10px;">One per delay; leave empty for uniform</small>
+      </div>`;
+    }
+    return html;
+  }
+
   formatOutputPattern(pattern) {
     // Format output pattern for display
     if (!pattern || !Array.isArray(pattern)) {
@@ -2221,6 +2352,8 @@ class LevelEditor {
 
     // Clear loaded level tracking
     this.loadedLevelId = null;
+    this.loadedBettingConfig = {};
+    this.updateGranularityDisplay();
 
     // Clear veil and DGP versions
     this.veiledTiles = new Set();
@@ -2355,6 +2488,8 @@ class LevelEditor {
 
     // Track loaded level for updates
     this.loadedLevelId = level.meta.id;
+    this.loadedBettingConfig = level.meta.bettingConfig || {};
+    this.updateGranularityDisplay();
 
     this.setStatus(`Ladattu: ${level.meta.title || level.meta.id}`, 'success');
   }
@@ -2421,7 +2556,8 @@ class LevelEditor {
         title: title,
         description: description,
         bettingConfig: {
-          granularity: 10  // Always 10 betting buckets
+          granularity: 10,  // Answer steps per 100% (10, 20 or 100)
+          ...this.loadedBettingConfig  // Keep granularity / scoringRule / starThresholds of a loaded level
         }
       },
       grid: {
@@ -2447,6 +2583,7 @@ class LevelEditor {
         showFullDistribution: this.dgpResult.showFullDistribution,
         fineGrainedDisplay: this.dgpResult.fineGrainedDisplay,
         disableBranching: this.dgpResult.disableBranching,
+        queuing: this.dgpResult.queuing,
         ballCount: ballCount
       },
       // Sampling schedule at top level (required by Simulation)
@@ -2456,7 +2593,8 @@ class LevelEditor {
       simulation: {
         ballProductionInterval: 3000,
         ballSpeed: 1.0,
-        ballsToSpawn: ballCount
+        ballsToSpawn: ballCount,
+        queuing: !!this.dgpResult.queuing
         // No seed - will use random via SeedManager when played
       }
     };
@@ -2553,6 +2691,8 @@ class LevelEditor {
 
     // Track loaded level for updates
     this.loadedLevelId = level.meta.id;
+    this.loadedBettingConfig = level.meta.bettingConfig || {};
+    this.updateGranularityDisplay();
 
     this.setStatus(`Loaded level: ${level.meta.title || levelId}`, 'success');
     return true;
@@ -2672,6 +2812,15 @@ class LevelEditor {
     this.render();
   }
 
+  setGranularity(granularity) {
+    this.loadedBettingConfig = {...this.loadedBettingConfig, granularity};
+    this.setStatus(`Answer step: ${100 / granularity}%`, 'info');
+  }
+
+  updateGranularityDisplay() {
+    document.getElementById('granularity-select').value = String(this.loadedBettingConfig.granularity || 10);
+  }
+
   updateGridSizeDisplays() {
     document.getElementById('grid-width-display').textContent = this.gridWidth;
     document.getElementById('grid-height-display').textContent = this.gridHeight;
@@ -2713,7 +2862,8 @@ class LevelEditor {
         title: this.loadedLevelId ? `Taso ${this.loadedLevelId.replace('level-', '')}` : "Test Level",
         description: this.dgpResult.questionText || "Testing from editor",
         bettingConfig: {
-          granularity: 10  // Always 10 betting buckets
+          granularity: 10,  // Answer steps per 100% (10, 20 or 100)
+          ...this.loadedBettingConfig  // Keep granularity / scoringRule / starThresholds of a loaded level
         }
       },
       grid: {
@@ -2739,6 +2889,7 @@ class LevelEditor {
         showFullDistribution: this.dgpResult.showFullDistribution,
         fineGrainedDisplay: this.dgpResult.fineGrainedDisplay,
         disableBranching: this.dgpResult.disableBranching,
+        queuing: this.dgpResult.queuing,
         ballCount: ballCount
       },
       // Sampling schedule at top level (required by Simulation)
@@ -2749,6 +2900,7 @@ class LevelEditor {
         ballProductionInterval: 3000,
         ballSpeed: 1.0,
         ballsToSpawn: ballCount,
+        queuing: !!this.dgpResult.queuing,
         seed: SeedManager.generateRandomSeed()  // Random seed for each test
       }
     };
@@ -3131,6 +3283,7 @@ class LevelEditor {
     // This centralizes the logic to avoid forgetting new components
     return [
       'conveyor',
+      'jamming-conveyor',
       'conveyor-turn',
       'observation',
       'black-pit',
@@ -3157,7 +3310,7 @@ class LevelEditor {
     }
 
     // For straight conveyors, check if arm is on the input side
-    if (target.type === 'conveyor') {
+    if (ComponentRegistry.baseType(target.type) === 'conveyor') {
       const direction = target.params.direction || 'right';
       const relX = armPos.x - target.position.x;
       const relY = armPos.y - target.position.y;
@@ -3342,7 +3495,7 @@ class LevelEditor {
 
       const oppositeSide = opposites[side];
 
-      if (neighbor.type === 'conveyor') {
+      if (ComponentRegistry.baseType(neighbor.type) === 'conveyor') {
         const neighborDir = neighbor.params?.direction;
         if (neighborDir === oppositeSide) {
           sides[side] = {type: 'input'};
@@ -3422,18 +3575,18 @@ class LevelEditor {
 
       if (comp.type === 'sack') {
         // Sack connects to ALL adjacent arms (can have multiple)
-        const arms = adjacent.filter(c => c.type === 'arm');
+        const arms = adjacent.filter(c => ComponentRegistry.baseType(c.type) === 'arm');
         arms.forEach(arm => {
           this.addConnection(comp.id, arm.id);
         });
-      } else if (comp.type === 'arm') {
+      } else if (ComponentRegistry.baseType(comp.type) === 'arm') {
         // Arm receives from sack (already handled above)
         // Arm outputs to component that can receive balls AND arm is on input side
         const output = adjacent.find(c => this.isValidArmOutput(comp.position, c));
         if (output) {
           this.addConnection(comp.id, output.id);
         }
-      } else if (comp.type === 'conveyor' || comp.type === 'conveyor-turn') {
+      } else if (ComponentRegistry.baseType(comp.type) === 'conveyor' || comp.type === 'conveyor-turn') {
         // Conveyor connects to adjacent conveyor/turn/observation/splitter/machine based on direction
         const nextComp = this.getComponentInDirection(comp);
         if (nextComp && this.canReceiveBalls(nextComp.type)) {
@@ -3633,7 +3786,7 @@ class LevelEditor {
     this.components.forEach(comp => {
       const spec = ComponentRegistry.get(comp.type);
       if (spec && spec.ports && spec.ports.outputs && spec.ports.outputs.length > 0) {
-        if (!handledTypes.includes(comp.type)) {
+        if (!handledTypes.includes(ComponentRegistry.baseType(comp.type))) {
           console.error(`ERROR: Component type "${comp.type}" has output ports but is not handled in updateAutomaticConnections()! Add it to the connection logic.`);
         }
       }
@@ -3660,7 +3813,7 @@ class LevelEditor {
   getComponentInDirection(comp) {
     let targetPos = null;
 
-    if (comp.type === 'conveyor') {
+    if (ComponentRegistry.baseType(comp.type) === 'conveyor') {
       const dir = comp.params.direction || 'right';
       switch (dir) {
         case 'right': targetPos = {x: comp.position.x + 1, y: comp.position.y}; break;
@@ -1,7 +1,12 @@
 /**
  * Hypothesis Builder
  *
- * Generates hypothesis space from structured specifications
+ * Generates hypothesis space from structured specifications.
+ * Every hypothesis gets a prior `probability`; specs may weight their
+ * alternatives (see the build methods), otherwise the prior is uniform.
+ *
+ * Requires (globals): BayesianTracker (inference.js) and HypothesisDSLCore
+ * (hypothesis-dsl-core.js).
  */
 
 class HypothesisBuilder {
@@ -13,33 +18,49 @@ class HypothesisBuilder {
    * Build hypothesis list from specification
    */
   build() {
+    let hypotheses;
     switch (this.spec.type) {
       case "independent":
-        return this.buildIndependent();
+        hypotheses = this.buildIndependent();
+        break;
       case "permutation":
         // New format: hypotheses are pre-generated from editor
+        // (with priors from the script's define/permute process)
         if (this.spec.hypotheses) {
-          return this.spec.hypotheses;
+          hypotheses = this.spec.hypotheses.map(h => ({...h}));
+          break;
         }
         // Old format: generate from components and distributions
-        return this.buildPermutation();
+        hypotheses = this.buildPermutation();
+        break;
       case "oddOneOut":
-        return this.buildOddOneOut();
+        hypotheses = this.buildOddOneOut();
+        break;
       default:
         throw new Error(`Unknown hypothesis spec type: ${this.spec.type}`);
     }
+    const priors = BayesianTracker.normalizePriors(hypotheses.map(h => h.probability));
+    hypotheses.forEach((h, i) => {
+      h.probability = priors[i];
+    });
+    return hypotheses;
   }
 
   /**
    * Build independent alternatives (Cartesian product)
+   * Optional components[id].weights give each alternative a prior weight.
    */
   buildIndependent() {
     const componentIds = Object.keys(this.spec.components);
     const alternatives = componentIds.map(id => this.spec.components[id].alternatives);
+    const weights = componentIds.map((id, i) =>
+      this.spec.components[id].weights || alternatives[i].map(() => 1)
+    );
 
     const hypotheses = [];
 
-    this.cartesianProduct(alternatives, [], (combination) => {
+    this.cartesianProduct(alternatives.map(alts => alts.map((_, j) => j)), [], (indices) => {
+      const combination = indices.map((j, i) => alternatives[i][j]);
       const params = {};
       componentIds.forEach((id, i) => {
         params[id] = {contents: combination[i]};
@@ -48,7 +69,8 @@ class HypothesisBuilder {
       hypotheses.push({
         id: `h${hypotheses.length}`,
         params: params,
-        label: this.generateLabel(componentIds, combination)
+        label: this.generateLabel(componentIds, combination),
+        probability: indices.reduce((p, j, i) => p * weights[i][j], 1)
       });
     });
 
@@ -57,14 +79,19 @@ class HypothesisBuilder {
 
   /**
    * Build permutation (assign distributions to components)
+   * Optional spec.weights: components are filled one at a time, each
+   * remaining distribution drawn with chance proportional to its weight.
    */
   buildPermutation() {
     const componentIds = this.spec.components;
     const distributions = this.spec.distributions;
+    const weights = this.spec.weights || distributions.map(() => 1);
+    const { orderedSelectionProbability } = window.HypothesisDSLCore;
 
     const hypotheses = [];
 
-    this.permute(distributions, (perm) => {
+    this.permute(distributions.map((_, i) => i), (order) => {
+      const perm = order.map(i => distributions[i]);
       const params = {};
       componentIds.forEach((id, i) => {
         params[id] = {contents: perm[i]};
@@ -73,7 +100,8 @@ class HypothesisBuilder {
       hypotheses.push({
         id: `h${hypotheses.length}`,
         params: params,
-        label: this.generatePermutationLabel(componentIds, perm)
+        label: this.generatePermutationLabel(componentIds, perm),
+        probability: orderedSelectionProbability(weights, order.slice(0, componentIds.length))
       });
     });
 
@@ -82,18 +110,21 @@ class HypothesisBuilder {
 
   /**
    * Build odd-one-out (N-1 components have uniform distribution, 1 is different)
+   * Optional spec.oddWeights give each odd alternative a prior weight; the odd
+   * position is uniform.
    */
   buildOddOneOut() {
     const componentIds = this.spec.components;
     const uniform = this.spec.uniformDistribution;
     const oddAlternatives = this.spec.oddAlternatives;
+    const oddWeights = this.spec.oddWeights || oddAlternatives.map(() => 1);
 
     const hypotheses = [];
 
     // For each position of the odd one
     componentIds.forEach((oddId, oddIndex) => {
       // For each alternative for the odd one
-      oddAlternatives.forEach(oddDist => {
+      oddAlternatives.forEach((oddDist, j) => {
         const params = {};
         componentIds.forEach((id, i) => {
           params[id] = {
@@ -104,7 +135,8 @@ class HypothesisBuilder {
         hypotheses.push({
           id: `h${hypotheses.length}`,
           params: params,
-          label: `${oddId} is odd (${this.distToString(oddDist)})`
+          label: `${oddId} is odd (${this.distToString(oddDist)})`,
+          probability: oddWeights[j]
         });
       });
     });
@@ -112,6 +144,25 @@ class HypothesisBuilder {
     return hypotheses;
   }
 
+  /**
+   * Prior over the distributions of one sack
+   * @param {Array<Object>} hypotheses - Hypotheses with componentAssignments
+   * @param {string} sackId - Component ID of the sack
+   * @returns {Map<string, number>} distribution JSON -> prior probability,
+   *   in order of first appearance
+   */
+  static sackPriors(hypotheses, sackId) {
+    const weighted = BayesianTracker.normalizePriors(hypotheses.map(h => h.probability));
+    const priors = new Map();
+    hypotheses.forEach((h, i) => {
+      const dist = h.componentAssignments[sackId];
+      if (!dist) return;
+      const key = JSON.stringify(dist);
+      priors.set(key, (priors.get(key) || 0) + weighted[i]);
+    });
+    return priors;
+  }
+
   /**
    * Cartesian product helper
    */
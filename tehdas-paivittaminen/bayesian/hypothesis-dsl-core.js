@@ -53,6 +53,8 @@ function createListClass(config) {
     constructor() {
       this.listId = generateListId();
       this.distributions = [];
+      this.weights = [];       // Prior weight of each distribution (used by permute)
+      this.mode = 'infinite';  // 'finite': selected sacks are drawn without replacement
       this.currentOrder = [];  // Indices after permutation (used by editor)
       this.templates = [];     // Templates array (used by playback)
       this.isPermuted = false;
@@ -63,13 +65,35 @@ function createListClass(config) {
     /**
      * Define distributions for this list
      * @param {Array<Object>} distributions - Array of distribution objects like {red: 70, blue: 30}
+     * @param {Object} options - Optional:
+     *   weights: [3, 1, ...] - permute() draws heavier distributions first more
+     *     often, which makes the prior non-uniform
+     *   mode: 'infinite' (default) or 'finite', as in the DGP's sack():
+     *     infinite sacks are drawn with replacement; finite counts are balls,
+     *     so sacks selected from this list are drawn without replacement and
+     *     can run out
      */
-    define(distributions) {
+    define(distributions, options = {}) {
 
       if (!Array.isArray(distributions)) {
         throw new Error('List.define() requires an array of distributions');
       }
 
+      const weights = options.weights || distributions.map(() => 1);
+      if (!Array.isArray(weights) || weights.length !== distributions.length) {
+        throw new Error(`List.define() weights must be an array with one weight per distribution (${distributions.length})`);
+      }
+      if (!weights.every(w => typeof w === 'number' && isFinite(w) && w > 0)) {
+        throw new Error('List.define() weights must be positive numbers');
+      }
+      this.weights = [...weights];
+
+      const mode = options.mode || 'infinite';
+      if (mode !== 'finite' && mode !== 'infinite') {
+        throw new Error('List.define() mode must be "finite" or "infinite"');
+      }
+      this.mode = mode;
+
       // Store distributions (deep copy for editor, reference for playback)
       this.distributions = JSON.parse(JSON.stringify(distributions));
       this.templates = distributions; // Also store as templates for playback compatibility
@@ -79,8 +103,12 @@ function createListClass(config) {
       const defineInstruction = {
         phase: 'define',
         listId: this.listId,
-        distributions: distributions
+        distributions: distributions,
+        mode: this.mode
       };
+      if (options.weights) {
+        defineInstruction.weights = this.weights;
+      }
       animationInstructions.push(defineInstruction);
 
       // Call optional callback
@@ -92,7 +120,9 @@ function createListClass(config) {
     }
 
     /**
-     * Permute the list (Fisher-Yates shuffle)
+     * Permute the list
+     * Positions are filled one at a time, each remaining distribution drawn with
+     * chance proportional to its weight (equal weights: a uniform shuffle).
      */
     permute() {
 
@@ -100,10 +130,20 @@ function createListClass(config) {
         throw new Error('List.permute() called before define()');
       }
 
-      // Fisher-Yates shuffle of indices
-      for (let i = this.currentOrder.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [this.currentOrder[i], this.currentOrder[j]] = [this.currentOrder[j], this.currentOrder[i]];
+      const remaining = [...this.currentOrder];
+      this.currentOrder = [];
+      while (remaining.length > 0) {
+        const total = remaining.reduce((sum, i) => sum + this.weights[i], 0);
+        let r = Math.random() * total;
+        let pick = remaining.length - 1;
+        for (let j = 0; j < remaining.length; j++) {
+          r -= this.weights[remaining[j]];
+          if (r < 0) {
+            pick = j;
+            break;
+          }
+        }
+        this.currentOrder.push(remaining.splice(pick, 1)[0]);
       }
 
       this.isPermuted = true;
@@ -198,6 +238,22 @@ function createRandomListIdGenerator() {
   };
 }
 
+/**
+ * Helper function: Prior probability of an ordering drawn by permute()
+ * @param {Array<number>} weights - List weights (one per distribution)
+ * @param {Array<number>} order - Distribution indices drawn for positions 0, 1, ...
+ *   (a prefix is enough: the rest of the order is summed out)
+ */
+function orderedSelectionProbability(weights, order) {
+  let remaining = weights.reduce((sum, w) => sum + w, 0);
+  let probability = 1;
+  for (const i of order) {
+    probability *= weights[i] / remaining;
+    remaining -= weights[i];
+  }
+  return probability;
+}
+
 /**
  * Helper function: Update a select instruction's templateId
  * This should be called by the wrapper's export handler after the sack is named
@@ -219,6 +275,7 @@ if (typeof window !== 'undefined') {
     createListClass,
     createSequentialListIdGenerator,
     createRandomListIdGenerator,
+    orderedSelectionProbability,
     updateSelectInstructionTemplateId
   };
 }
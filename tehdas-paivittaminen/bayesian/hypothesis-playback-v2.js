@@ -250,6 +250,8 @@ function executeHypothesisScript(scriptCode) {
         lists.set(list.listId, {
           id: list.listId,
           templates: list.templates,
+          weights: list.weights,
+          mode: list.mode,
           isPermuted: list.isPermuted
         });
       }
@@ -362,7 +364,10 @@ function generatePermutationHypotheses(lists, selections) {
   });
 
 
+  const { orderedSelectionProbability } = window.HypothesisDSLCore;
+
   // For each list that needs permutation, generate k-permutations
+  // with their prior probabilities: {templates, probability}
   const listPermutations = new Map();
 
   lists.forEach((list, listId) => {
@@ -370,18 +375,22 @@ function generatePermutationHypotheses(lists, selections) {
       // Only generate k-permutations where k = number of selections from this list
       // This reduces n! to n!/(n-k)!
       const k = selectionsPerList.get(listId) || list.templates.length;
-      const perms = generateKPermutations(list.templates, k);
+      const weights = list.weights || list.templates.map(() => 1);
+      const perms = generateKPermutations(list.templates.map((_, i) => i), k).map(order => ({
+        templates: order.map(i => list.templates[i]),
+        probability: orderedSelectionProbability(weights, order)
+      }));
       listPermutations.set(listId, perms);
     } else {
       // Single ordering (identity)
-      listPermutations.set(listId, [list.templates]);
+      listPermutations.set(listId, [{templates: list.templates, probability: 1.0}]);
     }
   });
 
   // Generate Cartesian product of all list permutations
   const listIds = Array.from(lists.keys());
 
-  function generateHypothesesRecursive(listIndex, currentPermutations) {
+  function generateHypothesesRecursive(listIndex, currentPermutations, probability) {
     if (listIndex === listIds.length) {
       // Complete hypothesis - assign sacks based on selections
       const componentAssignments = {};
@@ -396,7 +405,7 @@ function generatePermutationHypotheses(lists, selections) {
       hypotheses.push({
         id: `h${nextId++}`,
         componentAssignments: componentAssignments,
-        probability: 1.0 // Uniform prior (will be normalized)
+        probability: probability // Prior from the define/permute process (normalized below)
       });
       return;
     }
@@ -407,18 +416,18 @@ function generatePermutationHypotheses(lists, selections) {
     // Try each permutation for this list
     permutations.forEach(perm => {
       const newPermutations = new Map(currentPermutations);
-      newPermutations.set(listId, perm);
-      generateHypothesesRecursive(listIndex + 1, newPermutations);
+      newPermutations.set(listId, perm.templates);
+      generateHypothesesRecursive(listIndex + 1, newPermutations, probability * perm.probability);
     });
   }
 
-  generateHypothesesRecursive(0, new Map());
+  generateHypothesesRecursive(0, new Map(), 1.0);
 
 
   // Normalize probabilities
-  const totalProb = hypotheses.length;
+  const totalProb = hypotheses.reduce((sum, h) => sum + h.probability, 0);
   hypotheses.forEach(h => {
-    h.probability = 1.0 / totalProb;
+    h.probability = h.probability / totalProb;
   });
 
   return hypotheses;
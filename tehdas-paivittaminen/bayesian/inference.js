@@ -6,10 +6,15 @@
  * where balls within a group have joint distributions, but groups are independent.
  *
  * Key operations:
- * - Sample: Create new singleton group from sack
- * - Shuffle: Merge groups and apply permutation
+ * - Sample: Create new singleton group from sack (infinite sacks), or join the
+ *   group holding a finite sack's remaining contents (drawing without replacement)
+ * - Shuffle: Merge groups and replace the shuffled balls by an exchangeable
+ *   block of color counts (no permutation enumeration)
  * - Observe: Condition on observed color and update hypothesis posteriors
  * - Collect: Marginalize out collected ball
+ *
+ * Every event that can move belief is recorded on a timeline with the
+ * posteriors after it and the likelihood ratio it contributed (getTimeline).
  */
 
 /**
@@ -27,7 +32,11 @@ class IndependenceGroup {
     // Joint distribution per hypothesis
     // Map: hypothesisId -> Map<colorTuple, probability>
     // colorTuple format: "red,blue,green" for 3 balls
+    // A shuffled ball is '?' until revealed; its block member holds counts
     this.distributions = new Map();
+
+    // ballId -> id of the exchangeable block it was shuffled into
+    this.blockOf = new Map();
   }
 
   /**
@@ -87,12 +96,15 @@ class IndependenceGroup {
 
   /**
    * Marginalize out a ball from the group
+   * An unrevealed shuffled ball must be revealed first so its block loses it.
    * @param {number} ballIndex - Index within this group to remove
    * @returns {IndependenceGroup} New group without that ball
    */
   marginalize(ballIndex) {
     const newBallIds = this.ballIds.filter((_, i) => i !== ballIndex);
     const newGroup = new IndependenceGroup(newBallIds, this.colors);
+    newGroup.blockOf = new Map(this.blockOf);
+    newGroup.blockOf.delete(this.ballIds[ballIndex]);
 
     for (const [hypothesisId, dist] of this.distributions.entries()) {
       const newDist = new Map();
@@ -118,6 +130,7 @@ class IndependenceGroup {
   static merge(group1, group2, colors) {
     const mergedBallIds = [...group1.ballIds, ...group2.ballIds];
     const merged = new IndependenceGroup(mergedBallIds, colors);
+    merged.blockOf = new Map([...group1.blockOf, ...group2.blockOf]);
 
     // Get all hypotheses
     const hypotheses = new Set([...group1.distributions.keys(), ...group2.distributions.keys()]);
@@ -145,93 +158,169 @@ class IndependenceGroup {
   }
 
   /**
-   * Apply shuffler operation to two balls in this group
-   * Assumes uniform shuffling: each output permutation equally likely
+   * Shuffle balls uniformly (all N! orders equally likely)
    *
-   * @param {string} hypothesisId
-   * @param {number} ball1Index - Index of first ball to shuffle
-   * @param {number} ball2Index - Index of second ball to shuffle
+   * After a uniform shuffle only the color counts of the shuffled balls
+   * matter: each of them is an exchangeable draw without replacement from
+   * that multiset. So instead of enumerating permutations, the balls become
+   * unrevealed ('?') and a new member blockId holds the block's counts in
+   * this.colors order ("3|2"). Shuffled balls that were already in a block
+   * take a hypergeometric share of that block's counts with them.
+   *
+   * @param {Array<number>} ballIndices - Indices of balls to shuffle
+   * @param {string} blockId - ID for the new exchangeable block
    */
-  applyShuffle(hypothesisId, ball1Index, ball2Index) {
-    const dist = this.distributions.get(hypothesisId);
-    if (!dist) return;
+  shuffle(ballIndices, blockId) {
+    // How many balls each existing block gives up to the new one
+    const taken = new Map();
+    for (const i of ballIndices) {
+      const block = this.blockOf.get(this.ballIds[i]);
+      if (block) taken.set(block, (taken.get(block) || 0) + 1);
+    }
+    const sources = [...taken.entries()].map(([block, k]) => ({index: this.ballIds.indexOf(block), k}));
+    const drawCache = new Map(); // "counts/k" -> draws; tuples share few distinct counts
 
-    const newDist = new Map();
+    for (const [hypothesisId, dist] of this.distributions.entries()) {
+      const newDist = new Map();
 
-    for (const [colorTuple, prob] of dist.entries()) {
-      const colors = colorTuple.split(',');
+      for (const [colorTuple, prob] of dist.entries()) {
+        const values = colorTuple.split(',');
+        const counts = this.colors.map(() => 0);
+        for (const i of ballIndices) {
+          if (values[i] !== '?') {
+            const c = this.colors.indexOf(values[i]);
+            if (c < 0) {
+              throw new Error(`[Bayesian ERROR] Cannot shuffle ball of unknown color "${values[i]}". Known colors: ${this.colors.join(', ')}`);
+            }
+            counts[c]++;
+          }
+          values[i] = '?';
+        }
 
-      // Outcome 1: balls stay in same order (probability 0.5)
-      const outcome1 = [...colors];
-      const tuple1 = outcome1.join(',');
-      newDist.set(tuple1, (newDist.get(tuple1) || 0) + prob * 0.5);
+        let outcomes = [{values, counts, prob}];
+        for (const {index, k} of sources) {
+          outcomes = outcomes.flatMap(o => {
+            const cacheKey = `${o.values[index]}/${k}`;
+            const available = o.values[index].split('|').map(Number);
+            if (!drawCache.has(cacheKey)) {
+              drawCache.set(cacheKey, IndependenceGroup.hypergeometricDraws(available, k));
+            }
+            return drawCache.get(cacheKey).map(({drawn, p}) => {
+              const newValues = [...o.values];
+              newValues[index] = available.map((n, c) => n - drawn[c]).join('|');
+              return {values: newValues, counts: o.counts.map((n, c) => n + drawn[c]), prob: o.prob * p};
+            });
+          });
+        }
 
-      // Outcome 2: balls swap positions (probability 0.5)
-      const outcome2 = [...colors];
-      [outcome2[ball1Index], outcome2[ball2Index]] = [outcome2[ball2Index], outcome2[ball1Index]];
-      const tuple2 = outcome2.join(',');
-      newDist.set(tuple2, (newDist.get(tuple2) || 0) + prob * 0.5);
+        for (const o of outcomes) {
+          const tuple = [...o.values, o.counts.join('|')].join(',');
+          newDist.set(tuple, (newDist.get(tuple) || 0) + o.prob);
+        }
+      }
+
+      this.distributions.set(hypothesisId, newDist);
     }
 
-    this.distributions.set(hypothesisId, newDist);
+    this.ballIds = [...this.ballIds, blockId];
+    for (const i of ballIndices) {
+      this.blockOf.set(this.ballIds[i], blockId);
+    }
+
+    // Blocks whose balls were all reshuffled are left empty
+    for (const block of taken.keys()) {
+      if (!this.hasBlockMembers(block)) {
+        this.dropMember(this.ballIds.indexOf(block));
+      }
+    }
   }
 
   /**
-   * Apply shuffler operation to N balls in this group
-   * Assumes uniform shuffling: all N! permutations equally likely
+   * Give an unrevealed shuffled ball an explicit color by drawing it
+   * without replacement from its block's counts. Exact by exchangeability.
    *
-   * @param {string} hypothesisId
-   * @param {Array<number>} ballIndices - Indices of balls to shuffle
+   * @param {number} ballIndex - Index within this group
+   * @returns {boolean} True if ball indices in this group changed
    */
-  applyShuffleMultiple(hypothesisId, ballIndices) {
-    const dist = this.distributions.get(hypothesisId);
-    if (!dist) return;
-
-    // Generate all permutations of the ball indices
-    const permutations = this.generatePermutations(ballIndices);
-    const numPermutations = permutations.length;
-    const probPerPermutation = 1 / numPermutations;
+  reveal(ballIndex) {
+    const ballId = this.ballIds[ballIndex];
+    const block = this.blockOf.get(ballId);
+    if (!block) return false;
+    const blockIndex = this.ballIds.indexOf(block);
 
-    const newDist = new Map();
-
-    for (const [colorTuple, prob] of dist.entries()) {
-      const colors = colorTuple.split(',');
+    for (const [hypothesisId, dist] of this.distributions.entries()) {
+      const newDist = new Map();
 
-      // For each possible permutation of the shuffled balls
-      for (const perm of permutations) {
-        const outcome = [...colors];
+      for (const [colorTuple, prob] of dist.entries()) {
+        const values = colorTuple.split(',');
+        const counts = values[blockIndex].split('|').map(Number);
+        const total = counts.reduce((a, b) => a + b, 0);
+
+        counts.forEach((count, c) => {
+          if (count <= 0) return;
+          const left = [...counts];
+          left[c]--;
+          const newValues = [...values];
+          newValues[ballIndex] = this.colors[c];
+          newValues[blockIndex] = left.join('|');
+          const newTuple = newValues.join(',');
+          newDist.set(newTuple, (newDist.get(newTuple) || 0) + prob * count / total);
+        });
+      }
 
-        // Apply this permutation to the ball positions
-        for (let i = 0; i < ballIndices.length; i++) {
-          outcome[ballIndices[i]] = colors[perm[i]];
-        }
+      this.distributions.set(hypothesisId, newDist);
+    }
 
-        const tuple = outcome.join(',');
-        newDist.set(tuple, (newDist.get(tuple) || 0) + prob * probPerPermutation);
-      }
+    this.blockOf.delete(ballId);
+    if (!this.hasBlockMembers(block)) {
+      this.dropMember(blockIndex);
     }
+    return true;
+  }
 
-    this.distributions.set(hypothesisId, newDist);
+  hasBlockMembers(blockId) {
+    for (const block of this.blockOf.values()) {
+      if (block === blockId) return true;
+    }
+    return false;
   }
 
   /**
-   * Generate all permutations of an array
+   * Marginalize out a member in place
    */
-  generatePermutations(arr) {
-    if (arr.length === 0) return [[]];
-    if (arr.length === 1) return [[arr[0]]];
-
-    const result = [];
-    for (let i = 0; i < arr.length; i++) {
-      const current = arr[i];
-      const remaining = arr.slice(0, i).concat(arr.slice(i + 1));
-      const remainingPerms = this.generatePermutations(remaining);
+  dropMember(index) {
+    const reduced = this.marginalize(index);
+    this.ballIds = reduced.ballIds;
+    this.distributions = reduced.distributions;
+  }
 
-      for (const perm of remainingPerms) {
-        result.push([current, ...perm]);
+  /**
+   * All ways to draw k balls without replacement from the given counts
+   * @param {Array<number>} counts - Count per color
+   * @param {number} k - Number of balls drawn
+   * @returns {Array<{drawn: Array<number>, p: number}>} Drawn count per color and its probability
+   */
+  static hypergeometricDraws(counts, k) {
+    const total = counts.reduce((a, b) => a + b, 0);
+    const binomial = (n, r) => {
+      let result = 1;
+      for (let i = 1; i <= r; i++) result = result * (n - r + i) / i;
+      return result;
+    };
+    const denominator = binomial(total, k);
+
+    const draws = [];
+    const extend = (c, remaining, drawn, ways) => {
+      if (c === counts.length) {
+        if (remaining === 0) draws.push({drawn, p: ways / denominator});
+        return;
       }
-    }
-    return result;
+      for (let d = 0; d <= Math.min(counts[c], remaining); d++) {
+        extend(c + 1, remaining - d, [...drawn, d], ways * binomial(counts[c], d));
+      }
+    };
+    extend(0, k, [], 1);
+    return draws;
   }
 }
 
@@ -241,20 +330,25 @@ class IndependenceGroup {
 class BayesianTracker {
   /**
    * @param {Array<Object>} hypotheses - List of hypothesis objects
-   *   Each: {id, sackAssignments: Map<sackPosition, distribution>}
-   *   where distribution is {color: count, ...}
+   *   Each: {id, sackAssignments: Map<sackPosition, distribution>, prior?}
+   *   where distribution is {color: count, ...} and prior is an unnormalized
+   *   prior weight (uniform prior if no hypothesis has one)
    * @param {Array<string>} colors - Possible ball colors (e.g., ['red', 'blue', 'green'])
+   * @param {Object} options - {finiteSacks, clock}
+   *   finiteSacks: ids of sacks drawn without replacement
+   *   clock: function returning the current simulation time, stamped on
+   *   timeline events
    */
-  constructor(hypotheses, colors) {
+  constructor(hypotheses, colors, options = {}) {
 
     this.hypotheses = hypotheses;
     this.colors = colors;
+    this.finiteSacks = new Set(options.finiteSacks || []);
+    this.clock = options.clock || null;
 
-    // Uniform prior over hypotheses
-    this.posteriors = new Map();
-    for (const h of hypotheses) {
-      this.posteriors.set(h.id, 1.0 / hypotheses.length);
-    }
+    const priors = BayesianTracker.normalizePriors(hypotheses.map(h => h.prior));
+    this.priors = new Map(hypotheses.map((h, i) => [h.id, priors[i]]));
+    this.posteriors = new Map(this.priors);
 
 
     // Log hypothesis structure
@@ -270,6 +364,31 @@ class BayesianTracker {
     this.ballToGroup = new Map(); // ballId -> {groupIndex, ballIndex}
     this.ballOrigins = new Map(); // ballId -> sackPosition
     this.ballToSack = new Map();  // ballId -> sackId
+
+    this.nextBlockId = 0; // Exchangeable blocks created by shuffles
+
+    // Posteriors after each event, see recordEvent()
+    this.timeline = [];
+  }
+
+  /**
+   * Prior probabilities from prior weights. A missing weight counts as 0;
+   * when no hypothesis has one, the prior is uniform.
+   * Also used by HypothesisBuilder for the level's hypothesis `probability`.
+   * @param {Array<number|null|undefined>} weights - One per hypothesis
+   * @returns {Array<number>} Prior probabilities, summing to 1
+   */
+  static normalizePriors(weights) {
+    const hasPriors = weights.some(w => w != null);
+    const values = weights.map(w => hasPriors ? (w ?? 0) : 1);
+    if (!values.every(w => typeof w === 'number' && isFinite(w) && w >= 0)) {
+      throw new Error(`[Bayesian ERROR] Hypothesis priors must be non-negative numbers, got: ${values.join(', ')}`);
+    }
+    const total = values.reduce((a, b) => a + b, 0);
+    if (total <= 0) {
+      throw new Error('[Bayesian ERROR] Hypothesis priors sum to zero. At least one hypothesis needs a positive prior.');
+    }
+    return values.map(w => w / total);
   }
 
   /**
@@ -277,6 +396,10 @@ class BayesianTracker {
    * Creates a new singleton independence group
    */
   onBallSpawned(ballId, sackPosition) {
+    if (this.finiteSacks.has(sackPosition)) {
+      this.drawFromFiniteSack(ballId, sackPosition);
+      return;
+    }
 
     // Create new singleton independence group
     const group = new IndependenceGroup([ballId], this.colors);
@@ -313,6 +436,79 @@ class BayesianTracker {
     this.ballToSack.set(ballId, sackPosition); // sackPosition is actually sackId from simulation
   }
 
+  /**
+   * Draw a ball without replacement from a finite sack
+   *
+   * The sack's remaining counts are tracked like a ball: a member "sack:<id>"
+   * whose value is the counts in this.colors order ("6|3"). Each drawn ball
+   * joins that member's group, so successive draws share one joint,
+   * depleting distribution, and the counts outlive collected balls.
+   */
+  drawFromFiniteSack(ballId, sackId) {
+    const stateId = `sack:${sackId}`;
+
+    if (!this.ballToGroup.has(stateId)) {
+      const group = new IndependenceGroup([stateId], this.colors);
+      for (const hypothesis of this.hypotheses) {
+        const contents = hypothesis.sackAssignments.get(sackId);
+        if (!contents) {
+          throw new Error(`[Bayesian ERROR] No distribution for finite sack "${sackId}" in hypothesis ${hypothesis.id}. Available sack IDs: ${Array.from(hypothesis.sackAssignments.keys()).join(', ')}`);
+        }
+        const counts = this.colors.map(color => contents[color] || 0).join('|');
+        group.setDistribution(hypothesis.id, new Map([[counts, 1]]));
+      }
+      this.ballToGroup.set(stateId, {groupIndex: this.groups.length, ballIndex: 0});
+      this.groups.push(group);
+    }
+
+    const location = this.ballToGroup.get(stateId);
+    const group = this.groups[location.groupIndex];
+
+    // P(sack not empty | hypothesis): a draw from an empty sack rules the hypothesis out
+    const priorsBefore = new Map(this.posteriors);
+    const likelihoods = new Map();
+    for (const hypothesis of this.hypotheses) {
+      const dist = group.distributions.get(hypothesis.id);
+      const newDist = new Map();
+      let drawable = 0;
+
+      for (const [colorTuple, prob] of dist.entries()) {
+        const values = colorTuple.split(',');
+        const counts = values[location.ballIndex].split('|').map(Number);
+        const total = counts.reduce((a, b) => a + b, 0);
+        if (total <= 0) continue;
+        drawable += prob;
+
+        counts.forEach((count, c) => {
+          if (count <= 0) return;
+          const left = [...counts];
+          left[c]--;
+          const newValues = [...values];
+          newValues[location.ballIndex] = left.join('|');
+          newValues.push(this.colors[c]);
+          const newTuple = newValues.join(',');
+          newDist.set(newTuple, (newDist.get(newTuple) || 0) + prob * count / total);
+        });
+      }
+
+      if (drawable > 0) {
+        for (const [colorTuple, prob] of newDist.entries()) {
+          newDist.set(colorTuple, prob / drawable);
+        }
+      }
+      group.distributions.set(hypothesis.id, newDist);
+      likelihoods.set(hypothesis.id, drawable);
+      this.posteriors.set(hypothesis.id, this.posteriors.get(hypothesis.id) * drawable);
+    }
+    this.normalizePosteriors();
+    this.recordEvent('draw', {ballIds: [ballId], sackId}, priorsBefore, likelihoods);
+
+    group.ballIds.push(ballId);
+    this.ballToGroup.set(ballId, {groupIndex: location.groupIndex, ballIndex: group.ballIds.length - 1});
+    this.ballOrigins.set(ballId, sackId);
+    this.ballToSack.set(ballId, sackId);
+  }
+
   /**
    * Called when a ball is observed
    * Conditions all distributions and updates hypothesis posteriors
@@ -325,7 +521,7 @@ class BayesianTracker {
     }
 
 
-    const location = this.ballToGroup.get(ballId);
+    const location = this.revealBall(ballId);
     if (!location) {
       throw new Error(`[Bayesian ERROR] Ball ${ballId} not tracked for observation. This indicates ball creation outside normal flow or observation before spawn tracking. Tracked balls: ${Array.from(this.ballToGroup.keys()).join(', ')}`);
     }
@@ -336,7 +532,7 @@ class BayesianTracker {
     const priorsBefore = new Map(this.posteriors);
 
     // Condition each hypothesis's distribution and collect likelihoods
-    const likelihoods = [];
+    const likelihoods = new Map();
     for (const hypothesis of this.hypotheses) {
       const dist = group.distributions.get(hypothesis.id);
       if (!dist) {
@@ -353,7 +549,7 @@ class BayesianTracker {
         observedColor
       );
 
-      likelihoods.push({id: hypothesis.id, likelihood: obsProb});
+      likelihoods.set(hypothesis.id, obsProb);
 
       // Bayes update: P(h | obs) ∝ P(obs | h) * P(h)
       const prior = this.posteriors.get(hypothesis.id);
@@ -363,6 +559,7 @@ class BayesianTracker {
 
     // Normalize posteriors
     this.normalizePosteriors();
+    this.recordEvent('observation', {ballIds: [ballId], color: observedColor}, priorsBefore, likelihoods);
 
 
     // Debug: Check if posteriors actually changed
@@ -388,7 +585,7 @@ class BayesianTracker {
    */
   onFilterExclusion(ballId, excludedColor) {
 
-    const location = this.ballToGroup.get(ballId);
+    const location = this.revealBall(ballId);
     if (!location) {
       throw new Error(`[Bayesian ERROR] Ball ${ballId} not tracked for filter exclusion. Tracked balls: ${Array.from(this.ballToGroup.keys()).join(', ')}`);
     }
@@ -399,6 +596,7 @@ class BayesianTracker {
     const priorsBefore = new Map(this.posteriors);
 
     // For each hypothesis, condition on "color ≠ excludedColor"
+    const likelihoods = new Map();
     for (const hypothesis of this.hypotheses) {
       const dist = group.distributions.get(hypothesis.id);
       if (!dist) {
@@ -435,6 +633,7 @@ class BayesianTracker {
 
 
       // Bayes update: P(h | observation) ∝ P(observation | h) * P(h)
+      likelihoods.set(hypothesis.id, probNotExcluded);
       const prior = this.posteriors.get(hypothesis.id);
       const unnormalized = probNotExcluded * prior;
       this.posteriors.set(hypothesis.id, unnormalized);
@@ -442,6 +641,7 @@ class BayesianTracker {
 
     // Normalize posteriors
     this.normalizePosteriors();
+    this.recordEvent('filter', {ballIds: [ballId], color: excludedColor}, priorsBefore, likelihoods);
 
   }
 
@@ -450,55 +650,16 @@ class BayesianTracker {
    * Merges their independence groups and applies shuffle operation
    */
   onShuffle(ball1Id, ball2Id) {
-
-    const loc1 = this.ballToGroup.get(ball1Id);
-    const loc2 = this.ballToGroup.get(ball2Id);
-
-    if (!loc1 || !loc2) {
+    if (!this.ballToGroup.has(ball1Id) || !this.ballToGroup.has(ball2Id)) {
       return;
     }
-
-
-    // If balls are in different groups, merge first
-    if (loc1.groupIndex !== loc2.groupIndex) {
-      const group1 = this.groups[loc1.groupIndex];
-      const group2 = this.groups[loc2.groupIndex];
-
-      const mergedGroup = IndependenceGroup.merge(group1, group2, this.colors);
-
-      // Add merged group
-      const newGroupIndex = this.groups.length;
-      this.groups.push(mergedGroup);
-
-      // Update ball locations
-      for (let i = 0; i < group1.ballIds.length; i++) {
-        this.ballToGroup.set(group1.ballIds[i], {groupIndex: newGroupIndex, ballIndex: i});
-      }
-      for (let i = 0; i < group2.ballIds.length; i++) {
-        this.ballToGroup.set(group2.ballIds[i], {
-          groupIndex: newGroupIndex,
-          ballIndex: group1.ballIds.length + i
-        });
-      }
-
-      // Update locations for subsequent shuffle
-      loc1.groupIndex = newGroupIndex;
-      loc1.ballIndex = loc1.ballIndex; // stays same
-      loc2.groupIndex = newGroupIndex;
-      loc2.ballIndex = group1.ballIds.length + loc2.ballIndex;
-    }
-
-    // Apply shuffle operation to the group
-    const group = this.groups[loc1.groupIndex];
-
-    for (const hypothesis of this.hypotheses) {
-      group.applyShuffle(hypothesis.id, loc1.ballIndex, loc2.ballIndex);
-    }
+    this.onShuffleMultiple([ball1Id, ball2Id]);
   }
 
   /**
    * Called when N balls go through a shuffler
-   * Merges their independence groups and applies N-way shuffle operation
+   * Merges their independence groups and turns the balls into one
+   * exchangeable block (see IndependenceGroup.shuffle)
    */
   onShuffleMultiple(ballIds) {
     if (ballIds.length < 2) {
@@ -518,45 +679,52 @@ class BayesianTracker {
     // Find all unique group indices
     const uniqueGroupIndices = [...new Set(locations.map(loc => loc.groupIndex))];
 
-    // If balls are in different groups, merge them all
-    let targetGroupIndex;
-    if (uniqueGroupIndices.length > 1) {
-
-      // Start with first group
-      let mergedGroup = this.groups[uniqueGroupIndices[0]];
-
-      // Merge in each additional group
-      for (let i = 1; i < uniqueGroupIndices.length; i++) {
-        const groupToMerge = this.groups[uniqueGroupIndices[i]];
-        mergedGroup = IndependenceGroup.merge(mergedGroup, groupToMerge, this.colors);
-      }
+    // Merge the groups one at a time, shuffling the balls gathered so far
+    // after each merge. A uniform shuffle of a subset followed by one of the
+    // whole set is still uniform, and collapsing early into color counts
+    // keeps the merged state small instead of a full Cartesian product.
+    const shuffled = new Set(ballIds);
+    let mergedGroup = null;
+    for (const groupIndex of uniqueGroupIndices) {
+      const group = this.groups[groupIndex];
+      mergedGroup = mergedGroup ? IndependenceGroup.merge(mergedGroup, group, this.colors) : group;
 
+      const ballIndices = [];
+      mergedGroup.ballIds.forEach((id, i) => {
+        if (shuffled.has(id)) ballIndices.push(i);
+      });
+      mergedGroup.shuffle(ballIndices, `block:${this.nextBlockId++}`);
+    }
 
-      // Add merged group
+    let targetGroupIndex = uniqueGroupIndices[0];
+    if (uniqueGroupIndices.length > 1) {
       targetGroupIndex = this.groups.length;
       this.groups.push(mergedGroup);
+    }
+    this.reindexGroup(targetGroupIndex);
+    this.recordEvent('shuffle', {ballIds: [...ballIds]}, this.posteriors);
+  }
 
-      // Update all ball locations to point to new merged group
-      for (let i = 0; i < mergedGroup.ballIds.length; i++) {
-        this.ballToGroup.set(mergedGroup.ballIds[i], {groupIndex: targetGroupIndex, ballIndex: i});
-      }
-    } else {
-      // All balls already in same group
-      targetGroupIndex = uniqueGroupIndices[0];
+  /**
+   * Give a shuffled ball an explicit color before anything depends on it
+   * @returns {Object|undefined} The ball's (possibly updated) location
+   */
+  revealBall(ballId) {
+    const location = this.ballToGroup.get(ballId);
+    if (location && this.groups[location.groupIndex].reveal(location.ballIndex)) {
+      this.reindexGroup(location.groupIndex);
+      return this.ballToGroup.get(ballId);
     }
+    return location;
+  }
 
-    // Get updated locations after potential merge
-    const ballIndices = ballIds.map(ballId => {
-      const loc = this.ballToGroup.get(ballId);
-      return loc.ballIndex;
+  /**
+   * Refresh ball locations after a group's members changed
+   */
+  reindexGroup(groupIndex) {
+    this.groups[groupIndex].ballIds.forEach((id, ballIndex) => {
+      this.ballToGroup.set(id, {groupIndex, ballIndex});
     });
-
-    // Apply N-way shuffle operation to the group
-    const group = this.groups[targetGroupIndex];
-
-    for (const hypothesis of this.hypotheses) {
-      group.applyShuffleMultiple(hypothesis.id, ballIndices);
-    }
   }
 
   /**
@@ -564,7 +732,7 @@ class BayesianTracker {
    * Marginalizes it out from its independence group
    */
   onBallCollected(ballId) {
-    const location = this.ballToGroup.get(ballId);
+    const location = this.revealBall(ballId);
     if (!location) return;
 
     const group = this.groups[location.groupIndex];
@@ -614,6 +782,76 @@ class BayesianTracker {
     }
   }
 
+  /**
+   * Record an event on the posterior timeline (call after the update)
+   *
+   * The likelihood ratio of hypothesis h is P(event | h) / P(event), the
+   * factor this event multiplied its probability by. Events without
+   * evidence (shuffles, duplicates) have ratio 1 for every hypothesis.
+   *
+   * @param {string} type - 'observation' | 'filter' | 'shuffle' | 'duplicate' | 'draw'
+   * @param {Object} details - {ballIds, color?, sackId?}
+   * @param {Map<string, number>} priorsBefore - Posteriors before the event
+   * @param {Map<string, number>} likelihoods - hypothesisId -> P(event | h), null if no evidence
+   */
+  recordEvent(type, details, priorsBefore, likelihoods = null) {
+    let evidence = 1;
+    if (likelihoods) {
+      evidence = 0;
+      for (const [id, prior] of priorsBefore.entries()) {
+        evidence += prior * likelihoods.get(id);
+      }
+    }
+
+    const likelihoodRatios = new Map();
+    for (const hypothesis of this.hypotheses) {
+      likelihoodRatios.set(hypothesis.id, likelihoods ? likelihoods.get(hypothesis.id) / evidence : 1);
+    }
+
+    this.timeline.push({
+      index: this.timeline.length,
+      type,
+      time: this.clock ? this.clock() : null,
+      ...details,
+      posteriors: new Map(this.posteriors),
+      likelihoodRatios
+    });
+  }
+
+  /**
+   * Events so far, oldest first: {index, type, time, ballIds, color?, sackId?,
+   * posteriors, likelihoodRatios}. The start of the timeline is getPriors().
+   */
+  getTimeline() {
+    return [...this.timeline];
+  }
+
+  /**
+   * The timeline marginalized to one sack
+   *
+   * posteriors and likelihoodRatios are keyed by the sack's distribution (as
+   * in getSackPosteriors); a distribution's ratio is its posterior after the
+   * event over its posterior before. shift is the total variation distance
+   * between the two, i.e. how far the event moved belief about this sack.
+   *
+   * @param {string} sackId
+   */
+  getSackTimeline(sackId) {
+    let before = this.sackMarginals(this.priors).get(sackId);
+    return this.timeline.map(entry => {
+      const after = this.sackMarginals(entry.posteriors).get(sackId);
+      const likelihoodRatios = new Map();
+      let shift = 0;
+      for (const [key, probability] of after.entries()) {
+        const previous = before.get(key);
+        likelihoodRatios.set(key, previous > 0 ? probability / previous : 1);
+        shift += Math.abs(probability - previous) / 2;
+      }
+      before = after;
+      return {...entry, posteriors: after, likelihoodRatios, shift};
+    });
+  }
+
   /**
    * Get current posterior probabilities over hypotheses
    */
@@ -621,11 +859,34 @@ class BayesianTracker {
     return new Map(this.posteriors);
   }
 
+  /**
+   * Get prior probabilities over hypotheses
+   */
+  getPriors() {
+    return new Map(this.priors);
+  }
+
+  /**
+   * Get marginal priors for each sack position (before any observation)
+   * Returns: Map<sackPosition, Map<distributionKey, probability>>
+   */
+  getSackPriors() {
+    return this.sackMarginals(this.priors);
+  }
+
   /**
    * Get marginal posteriors for each sack position
    * Returns: Map<sackPosition, Map<distributionKey, probability>>
    */
   getSackPosteriors() {
+    return this.sackMarginals(this.posteriors);
+  }
+
+  /**
+   * Sum hypothesis probabilities per sack distribution
+   * @param {Map<string, number>} probabilities - hypothesisId -> probability
+   */
+  sackMarginals(probabilities) {
 
     const sackPositions = new Set();
     for (const h of this.hypotheses) {
@@ -644,10 +905,10 @@ class BayesianTracker {
       for (const hypothesis of this.hypotheses) {
         const dist = hypothesis.sackAssignments.get(pos);
         const distKey = JSON.stringify(dist);
-        const posterior = this.posteriors.get(hypothesis.id);
+        const probability = probabilities.get(hypothesis.id);
 
         const currentProb = distProbs.get(distKey) || 0;
-        distProbs.set(distKey, currentProb + posterior);
+        distProbs.set(distKey, currentProb + probability);
 
       }
 
@@ -674,7 +935,7 @@ class BayesianTracker {
    * @param {string} duplicatedBallId - ID of newly created duplicate ball
    */
   onBallDuplicated(originalBallId, duplicatedBallId) {
-    const loc = this.ballToGroup.get(originalBallId);
+    const loc = this.revealBall(originalBallId);
     if (!loc) {
       console.error(`Cannot duplicate ball ${originalBallId}: not tracked`);
       return;
@@ -721,17 +982,15 @@ class BayesianTracker {
 
       group.distributions.set(hypothesisId, newDistribution);
     }
+
+    this.recordEvent('duplicate', {ballIds: [originalBallId, duplicatedBallId]}, this.posteriors);
   }
 
   /**
-   * Reset tracker to uniform prior (for reset/new game)
+   * Reset tracker to the prior (for reset/new game)
    */
   reset() {
-    // Reset to uniform prior over hypotheses
-    this.posteriors.clear();
-    for (const h of this.hypotheses) {
-      this.posteriors.set(h.id, 1.0 / this.hypotheses.length);
-    }
+    this.posteriors = new Map(this.priors);
 
     // Clear all independence groups
     this.groups = [];
@@ -739,5 +998,7 @@ class BayesianTracker {
     // Clear ball tracking
     this.ballToGroup.clear();
     this.ballToSack.clear();
+    this.nextBlockId = 0;
+    this.timeline = [];
   }
 }
@@ -0,0 +1,354 @@
+/**
+ * Posterior Timeline
+ *
+ * Stacked-area chart of the betting sack's posterior over the factory run,
+ * one layer per possible distribution (same order as the betting grid
+ * columns, bottom to top). Built from BayesianTracker.getSackTimeline():
+ * each event is a step, and the chart shows what the event was and the
+ * likelihood ratio it contributed to each distribution.
+ *
+ *   const timeline = new PosteriorTimeline(container, {
+ *     distributions,                       // betting grid columns [{dist, prob}]
+ *     onSelect: (event) => this.seekTo(event.time)
+ *   });
+ *   timeline.setEvents(tracker.getSackTimeline(sackId), runEndTime);
+ *   timeline.setCursor(simulation.getTime());
+ *
+ * Clicking the chart (or the arrow keys while it has focus) selects the
+ * nearest event and calls onSelect. The event that moved belief the most
+ * is marked with a triangle above the chart.
+ */
+
+// Layer colors: not the ball colors, so areas are not read as balls
+const TIMELINE_COLORS = ['#D4A574', '#F15BB5', '#22D3EE', '#FFE066', '#9B8AFB', '#A3E635', '#FB923C', '#94A3B8'];
+
+const TIMELINE_COLOR_NAMES_FI = {
+  red: 'punainen', blue: 'sininen', green: 'vihreä',
+  yellow: 'keltainen', purple: 'violetti', black: 'musta'
+};
+
+class PosteriorTimeline {
+  /**
+   * @param {HTMLElement} container - container element
+   * @param {Object} config - {distributions, onSelect, width?, height?}
+   */
+  constructor(container, config) {
+    this.container = container;
+    this.distributions = config.distributions;
+    this.keys = this.distributions.map(d => JSON.stringify(d.dist));
+    this.onSelect = config.onSelect || null;
+    this.width = config.width || 240;
+    this.height = config.height || 120;
+    this.padding = {top: 12, right: 4, bottom: 16, left: 28};
+
+    this.events = [];
+    this.end = null;       // run end time; defaults to the last event
+    this.cursor = null;
+    this.selected = null;  // index into this.events
+
+    this.canvas = null;
+    this.detailsEl = null;
+    this.render();
+  }
+
+  /**
+   * Replace the events (from BayesianTracker.getSackTimeline)
+   * @param {Array<Object>} events
+   * @param {number} endTime - simulation time the run ended at (optional)
+   */
+  setEvents(events, endTime = null) {
+    this.events = events;
+    this.end = endTime;
+    if (this.selected !== null && this.selected >= events.length) {
+      this.selected = null;
+    }
+    this.draw();
+    this.updateDetails();
+  }
+
+  /**
+   * Current simulation time, drawn as a vertical line (null hides it)
+   */
+  setCursor(time) {
+    if (time === this.cursor) return;
+    this.cursor = time;
+    this.draw();
+  }
+
+  /**
+   * Index of the event that moved belief the most, or null
+   */
+  strongestEvent() {
+    let best = null;
+    this.events.forEach((event, i) => {
+      if (event.shift > 1e-9 && (best === null || event.shift > this.events[best].shift)) best = i;
+    });
+    return best;
+  }
+
+  render() {
+    this.container.innerHTML = '';
+
+    const title = document.createElement('div');
+    title.textContent = 'Uskomus ajan myötä';
+    title.style.fontSize = '13px';
+    title.style.fontWeight = '600';
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = this.width;
+    this.canvas.height = this.height;
+    this.canvas.style.cursor = 'pointer';
+    this.canvas.tabIndex = 0;
+    this.canvas.setAttribute('role', 'img');
+    this.canvas.setAttribute('aria-label',
+      'Säkin todennäköisyydet ajan myötä. Nuolinäppäimet siirtyvät tapahtumasta toiseen.');
+    this.canvas.addEventListener('click', (e) => this.handleClick(e));
+    this.canvas.addEventListener('keydown', (e) => this.handleKeyDown(e));
+    this.canvas.addEventListener('focus', () => this.draw());
+    this.canvas.addEventListener('blur', () => this.draw());
+
+    this.legend = document.createElement('canvas');
+    this.legendSize = {w: 30, h: 32, gap: 6};
+    this.legend.width = this.width;
+    this.legend.height = this.legendSize.h + 4;
+
+    this.detailsEl = document.createElement('div');
+    this.detailsEl.setAttribute('aria-live', 'polite');
+    this.detailsEl.style.fontSize = '11px';
+    this.detailsEl.style.lineHeight = '1.4';
+    this.detailsEl.style.minHeight = '44px';
+    this.detailsEl.style.color = '#333';
+
+    this.container.append(title, this.canvas, this.legend, this.detailsEl);
+    this.drawLegend();
+    this.draw();
+    this.updateDetails();
+  }
+
+  // ---------- layout ----------
+
+  endTime() {
+    const last = this.events.length > 0 ? this.eventTime(this.events.length - 1) : 0;
+    return Math.max(this.end ?? last, last, 1);
+  }
+
+  /** Event time, or its index when the tracker had no clock */
+  eventTime(i) {
+    const time = this.events[i].time;
+    return time === null || time === undefined ? i + 1 : time;
+  }
+
+  xOf(time) {
+    const { left, right } = this.padding;
+    return left + (time / this.endTime()) * (this.width - left - right);
+  }
+
+  yOf(probability) {
+    const { top, bottom } = this.padding;
+    return top + (1 - probability) * (this.height - top - bottom);
+  }
+
+  // ---------- drawing ----------
+
+  draw() {
+    if (!this.canvas) return;
+    const ctx = this.canvas.getContext('2d');
+    const { top, bottom, left, right } = this.padding;
+    const plotBottom = this.height - bottom;
+    ctx.clearRect(0, 0, this.width, this.height);
+
+    // Steps: the prior at time 0, then the posterior after each event
+    const steps = [{time: 0, posteriors: new Map(this.distributions.map((d, i) => [this.keys[i], d.prob]))}];
+    this.events.forEach((event, i) => steps.push({time: this.eventTime(i), posteriors: event.posteriors}));
+    const end = this.endTime();
+
+    // Stacked areas, drawn top layer first: layer j fills up to the sum of layers 0..j
+    for (let j = this.keys.length - 1; j >= 0; j--) {
+      const cumulative = steps.map(step => this.keys.slice(0, j + 1).reduce((sum, key) => sum + (step.posteriors.get(key) || 0), 0));
+      ctx.fillStyle = TIMELINE_COLORS[j % TIMELINE_COLORS.length];
+      ctx.beginPath();
+      ctx.moveTo(this.xOf(0), plotBottom);
+      steps.forEach((step, k) => {
+        const nextTime = k + 1 < steps.length ? steps[k + 1].time : end;
+        ctx.lineTo(this.xOf(step.time), this.yOf(cumulative[k]));
+        ctx.lineTo(this.xOf(nextTime), this.yOf(cumulative[k]));
+      });
+      ctx.lineTo(this.xOf(end), plotBottom);
+      ctx.closePath();
+      ctx.fill();
+    }
+
+    // Frame and percentage labels
+    ctx.strokeStyle = '#000';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(left, top, this.width - left - right, plotBottom - top);
+    ctx.fillStyle = '#333';
+    ctx.font = '10px sans-serif';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (const p of [0, 0.5, 1]) {
+      ctx.fillText(`${p * 100}%`, left - 3, this.yOf(p));
+    }
+
+    // Time axis: seconds at both ends
+    ctx.textBaseline = 'top';
+    ctx.textAlign = 'left';
+    ctx.fillText('0 s', left, plotBottom + 3);
+    ctx.textAlign = 'right';
+    ctx.fillText(`${this.formatSeconds(end)} s`, this.width - right, plotBottom + 3);
+
+    // Event that moved belief the most
+    const strongest = this.strongestEvent();
+    if (strongest !== null) {
+      const x = this.xOf(this.eventTime(strongest));
+      ctx.fillStyle = '#000';
+      ctx.beginPath();
+      ctx.moveTo(x - 5, 1);
+      ctx.lineTo(x + 5, 1);
+      ctx.lineTo(x, top - 2);
+      ctx.closePath();
+      ctx.fill();
+    }
+
+    // Selected event (dashed) and current time (solid)
+    if (this.selected !== null) {
+      this.drawVertical(ctx, this.eventTime(this.selected), '#000', [3, 3]);
+    }
+    if (this.cursor !== null) {
+      this.drawVertical(ctx, Math.min(this.cursor, end), '#c62828', []);
+    }
+
+    if (document.activeElement === this.canvas) {
+      ctx.strokeStyle = '#2196F3';
+      ctx.lineWidth = 2;
+      ctx.setLineDash([]);
+      ctx.strokeRect(1, 1, this.width - 2, this.height - 2);
+    }
+  }
+
+  drawVertical(ctx, time, color, dash) {
+    const x = this.xOf(time);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.setLineDash(dash);
+    ctx.beginPath();
+    ctx.moveTo(x, this.padding.top);
+    ctx.lineTo(x, this.height - this.padding.bottom);
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+
+  /** One small sack per layer, filled with the layer's color */
+  drawLegend() {
+    const ctx = this.legend.getContext('2d');
+    const { w, h, gap } = this.legendSize;
+    ctx.clearRect(0, 0, this.legend.width, this.legend.height);
+    this.distributions.forEach((distObj, i) => {
+      const x = this.padding.left + i * (w + gap);
+      const fillColor = TIMELINE_COLORS[i % TIMELINE_COLORS.length];
+      if (window.SackRenderer) {
+        window.SackRenderer.renderSack(ctx, x, 2, w, h, {fillColor, contents: distObj.dist, showContents: true});
+      } else {
+        ctx.fillStyle = fillColor;
+        ctx.fillRect(x, 2, w, h);
+      }
+    });
+  }
+
+  // ---------- selection ----------
+
+  handleClick(e) {
+    if (this.events.length === 0) return;
+    const rect = this.canvas.getBoundingClientRect();
+    const x = (e.clientX - rect.left) * (this.canvas.width / rect.width);
+
+    // Nearest event by time; of events at the same moment, the last one
+    let nearest = 0;
+    this.events.forEach((_, i) => {
+      const distance = Math.abs(this.xOf(this.eventTime(i)) - x);
+      if (distance <= Math.abs(this.xOf(this.eventTime(nearest)) - x)) nearest = i;
+    });
+    this.select(nearest);
+  }
+
+  /** Arrow keys step between events that moved belief */
+  handleKeyDown(e) {
+    if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+    e.preventDefault();
+    const step = e.key === 'ArrowRight' ? 1 : -1;
+    let i = this.selected === null ? (step > 0 ? -1 : this.events.length) : this.selected;
+    for (i += step; i >= 0 && i < this.events.length; i += step) {
+      if (this.events[i].shift > 1e-9) {
+        this.select(i);
+        return;
+      }
+    }
+  }
+
+  select(index) {
+    this.selected = index;
+    this.draw();
+    this.updateDetails();
+    if (this.onSelect) this.onSelect(this.events[index]);
+  }
+
+  // ---------- text ----------
+
+  formatSeconds(ms) {
+    return String(Math.round(ms / 100) / 10).replace('.', ',');
+  }
+
+  formatRatio(ratio) {
+    return `×${ratio.toFixed(2).replace('.', ',')}`;
+  }
+
+  colorName(color) {
+    return TIMELINE_COLOR_NAMES_FI[color] || color;
+  }
+
+  describeEvent(event) {
+    switch (event.type) {
+      case 'observation': return `Havainto: ${this.colorName(event.color)} pallo`;
+      case 'filter': return `Suodatin: pallo ei ole ${this.colorName(event.color)}`;
+      case 'shuffle': return `Sekoitin: ${event.ballIds.length} palloa`;
+      case 'duplicate': return 'Monistin: kopio pallosta';
+      case 'draw': return 'Nosto säkistä, josta pallot loppuvat';
+      default: return event.type;
+    }
+  }
+
+  /** "Säkki 2 ×2,50, Säkki 1 ×0,40" for the distributions this event moved */
+  describeRatios(event) {
+    const moved = this.keys
+      .map((key, i) => ({name: `Säkki ${i + 1}`, ratio: event.likelihoodRatios.get(key)}))
+      .filter(r => r.ratio !== undefined && Math.abs(r.ratio - 1) > 1e-9);
+    if (moved.length === 0) return 'ei uutta tietoa säkistä';
+    return moved.map(r => `${r.name} ${this.formatRatio(r.ratio)}`).join(', ');
+  }
+
+  updateDetails() {
+    if (!this.detailsEl) return;
+    const lines = [];
+
+    if (this.selected !== null) {
+      const event = this.events[this.selected];
+      lines.push(`<b>${this.formatSeconds(this.eventTime(this.selected))} s — ${this.describeEvent(event)}</b>`);
+      lines.push(this.describeRatios(event));
+    }
+
+    const strongest = this.strongestEvent();
+    if (strongest !== null && strongest !== this.selected) {
+      const event = this.events[strongest];
+      lines.push(`▼ Eniten vaikutti (${this.formatSeconds(this.eventTime(strongest))} s): ${this.describeEvent(event)}, ${this.describeRatios(event)}`);
+    } else if (this.events.length > 0 && strongest === null) {
+      lines.push('Mikään tapahtuma ei vielä muuttanut uskomusta.');
+    }
+
+    this.detailsEl.innerHTML = lines.join('<br>');
+  }
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+  window.PosteriorTimeline = PosteriorTimeline;
+}
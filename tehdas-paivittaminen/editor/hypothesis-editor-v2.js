@@ -156,6 +156,8 @@ class HypothesisEngine {
         }
         // Update distributions
         self.lists[list.listId].distributions = list.distributions;
+        self.lists[list.listId].weights = list.weights;
+        self.lists[list.listId].mode = list.mode;
       },
 
       // Editor-specific: Update isPermuted flag
@@ -383,7 +385,7 @@ class HypothesisEngine {
 
     // For each process, generate all permutations
     const processPermutations = processes.map(process =>
-      this.generateOrderedSelections(process.templates, process.selections)
+      this.generateOrderedSelections(process.templates, process.selections, process.weights)
     );
 
     // Cartesian product of all process permutations
@@ -392,30 +394,38 @@ class HypothesisEngine {
     // Convert to hypothesis format
     const hypotheses = allCombinations.map((combination, index) => {
       const assignments = {};
+      let probability = 1.0;
 
-      combination.forEach(processAssignment => {
-        Object.entries(processAssignment).forEach(([templateId, distribution]) => {
+      combination.forEach(processSelection => {
+        Object.entries(processSelection.assignment).forEach(([templateId, distribution]) => {
           assignments[templateId] = distribution;
         });
+        probability *= processSelection.probability;
       });
 
       return {
         id: `h${index}`,
         assignments,
-        probability: 1.0 / allCombinations.length // Uniform prior
+        probability // Prior from the define/permute process (normalized below)
       };
     });
 
+    const total = hypotheses.reduce((sum, h) => sum + h.probability, 0);
+    hypotheses.forEach(h => {
+      h.probability /= total;
+    });
+
     return hypotheses;
   }
 
   /**
    * Generate all ordered selections from n templates selecting k positions
-   * Returns n!/(n-k)! possible assignments
+   * Returns {assignment, probability} for every permutation; probabilities
+   * follow the list weights (uniform without weights)
    */
-  generateOrderedSelections(templates, selections) {
+  generateOrderedSelections(templates, selections, weights = templates.map(() => 1)) {
     const n = templates.length;
-    const k = selections.length;
+    const { orderedSelectionProbability } = window.HypothesisDSLCore;
 
     // Generate all permutations of indices
     const allPermutations = this.generatePermutations([...Array(n).keys()]);
@@ -427,10 +437,44 @@ class HypothesisEngine {
         const templateIndex = perm[sel.index];
         assignment[sel.templateId] = templates[templateIndex];
       });
-      return assignment;
+      return {assignment, probability: orderedSelectionProbability(weights, perm)};
     });
   }
 
+  /**
+   * Prior over the distributions a template can get
+   * Marginal of the permute() draw at the template's position.
+   * @param {string} templateId - Exported template name
+   * @returns {Array<{distribution, probability}>} One entry per list distribution
+   */
+  templatePrior(templateId) {
+    const template = this.templates[templateId];
+    const list = template && this.lists[template.process.listId];
+    if (!list) return [];
+
+    const { distributions, weights, isPermuted } = list;
+    const position = template.process.selectedIndex;
+    const prior = distributions.map(distribution => ({distribution, probability: 0}));
+    if (!isPermuted) {
+      prior[position].probability = 1;
+      return prior;
+    }
+
+    // Sum over the orders of the first position + 1 draws
+    const { orderedSelectionProbability } = window.HypothesisDSLCore;
+    const visit = (order) => {
+      if (order.length === position + 1) {
+        prior[order[position]].probability += orderedSelectionProbability(weights, order);
+        return;
+      }
+      for (let i = 0; i < distributions.length; i++) {
+        if (!order.includes(i)) visit([...order, i]);
+      }
+    };
+    visit([]);
+    return prior;
+  }
+
   /**
    * Generate all permutations of an array
    */
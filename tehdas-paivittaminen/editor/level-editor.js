@@ -108,6 +108,10 @@ class LevelEditor {
     this.placedSacks = new Set(); // Track which sacks have been placed
     this.placedArms = new Set(); // Track which arms have been placed
 
+    // Sequential betting: pause for a bet update after this many observed balls
+    this.pausePoints = [];
+    this.loadedBettingConfig = {}; // meta.bettingConfig of the loaded level (scoring rule etc.) and the answer step set here
+
     // History for undo/redo
     this.history = [];
     this.historyIndex = -1;
@@ -196,6 +200,9 @@ class LevelEditor {
     document.getElementById('increase-height').onclick = () => this.changeGridSize('height', 1);
     document.getElementById('decrease-height').onclick = () => this.changeGridSize('height', -1);
 
+    // Answer step of the betting grid (meta.bettingConfig.granularity)
+    document.getElementById('granularity-select').onchange = (e) => this.setGranularity(parseInt(e.target.value));
+
     // Update grid size displays
     this.updateGridSizeDisplays();
 
@@ -1299,6 +1306,11 @@ class LevelEditor {
         <input type="number" step="0.1" value="${component.params.speed || 1.0}"
                onchange="editor.updateComponentParam('speed', parseFloat(this.value))">
       </div>
+      <div class="property-item">
+        <label>Output Weights</label>
+        ${ComponentRegistry.get('splitter').editor.renderWeightRows(component.params, 'editor.updateSplitterWeight')}
+        <small style="color: #888; font-size: 10px;">Relative weights, e.g. 7 and 3 for a 70/30 split</small>
+      </div>
       <div class="property-item">
         <label>
           <input type="checkbox" ${component.params.plex ? 'checked' : ''}
@@ -1350,6 +1362,21 @@ class LevelEditor {
     panel.innerHTML = html;
   }
 
+  updateSplitterWeight(side, text) {
+    if (!this.selectedComponent || this.selectedComponent.type !== 'splitter') return;
+    const params = this.selectedComponent.params;
+    try {
+      params.weights = ComponentRegistry.get('splitter').editor.parseWeight(params, side, text);
+    } catch (e) {
+      this.setStatus(e.message, 'error');
+      this.updatePropertiesPanel();
+      return;
+    }
+    this.saveState();
+    this.updatePropertiesPanel();
+    this.render();
+  }
+
   updateComponentParam(key, value) {
     if (this.selectedComponent) {
       this.selectedComponent.params[key] = value;
@@ -1539,7 +1566,11 @@ class LevelEditor {
     this.history = [];
     this.historyIndex = -1;
     this.nextComponentId = 1;
+    this.pausePoints = [];
+    this.loadedBettingConfig = {};
+    this.updateGranularityDisplay();
     this.updatePropertiesPanel();
+    this.updatePausePalette();
     this.saveState();
     this.render();
     this.setStatus('Level cleared', 'success');
@@ -1599,6 +1630,10 @@ class LevelEditor {
       });
     }
 
+    this.pausePoints = [...(level.meta?.bettingConfig?.pauseAfter || [])];
+    this.loadedBettingConfig = level.meta?.bettingConfig || {};
+    this.updateGranularityDisplay();
+
     // Load hypothesis script if present
     if (level.hypothesisScript) {
       this.hypothesisScript = level.hypothesisScript;
@@ -1644,6 +1679,7 @@ class LevelEditor {
     this.updateCanvasSize();
     this.updateGridSizeDisplays();
     this.updatePropertiesPanel();
+    this.updatePausePalette();
     this.updateAutomaticConnections();
     this.saveState();
     this.render();
@@ -1692,9 +1728,7 @@ class LevelEditor {
         id: levelId,
         title: title,
         description: description,
-        bettingConfig: {
-          granularity: 10  // Always 10 betting buckets
-        }
+        bettingConfig: this.buildBettingConfig()
       },
       grid: {
         width: this.gridWidth,
@@ -1731,6 +1765,20 @@ class LevelEditor {
     alert(`Tallennettu tasolle ${levelNumber}!`);
   }
 
+  buildBettingConfig() {
+    // Pause points come from the editor state, not from the loaded level
+    const {pauseAfter, ...loaded} = this.loadedBettingConfig;
+    const config = {
+      granularity: 10,  // Answer steps per 100% (10, 20 or 100)
+      ...loaded  // Keep granularity / scoringRule / starThresholds of a loaded level
+    };
+    if (this.pausePoints.length > 0) {
+      // Observed-ball counts after which the player updates their bet
+      config.pauseAfter = [...this.pausePoints].sort((a, b) => a - b);
+    }
+    return config;
+  }
+
   getSavedLevels() {
     return LevelRegistry.getAllLevels();
   }
@@ -1769,6 +1817,10 @@ class LevelEditor {
       });
     }
 
+    this.pausePoints = [...(level.meta?.bettingConfig?.pauseAfter || [])];
+    this.loadedBettingConfig = level.meta?.bettingConfig || {};
+    this.updateGranularityDisplay();
+
     // Load hypothesis script if present
     if (level.hypothesisScript) {
       this.hypothesisScript = level.hypothesisScript;
@@ -1807,6 +1859,7 @@ class LevelEditor {
     this.updateCanvasSize();
     this.updateAutomaticConnections();
     this.updatePropertiesPanel();
+    this.updatePausePalette();
     this.saveState();
     this.render();
     this.setStatus(`Loaded level: ${level.meta.title || levelId}`, 'success');
@@ -1831,6 +1884,15 @@ class LevelEditor {
     this.render();
   }
 
+  setGranularity(granularity) {
+    this.loadedBettingConfig = {...this.loadedBettingConfig, granularity};
+    this.setStatus(`Answer step: ${100 / granularity}%`, 'info');
+  }
+
+  updateGranularityDisplay() {
+    document.getElementById('granularity-select').value = String(this.loadedBettingConfig.granularity || 10);
+  }
+
   updateGridSizeDisplays() {
     document.getElementById('grid-width-display').textContent = this.gridWidth;
     document.getElementById('grid-height-display').textContent = this.gridHeight;
@@ -1861,9 +1923,7 @@ class LevelEditor {
         id: "test-level",
         title: "Test Level",
         description: "Testing from editor",
-        bettingConfig: {
-          granularity: 10  // Always 10 betting buckets
-        }
+        bettingConfig: this.buildBettingConfig()
       },
       grid: {
         width: this.gridWidth,
@@ -1953,6 +2013,7 @@ class LevelEditor {
         processes.push({
           listId: listId,
           templates: listInfo.templates,
+          weights: listInfo.weights,
           selections: group.sacks.map(s => ({
             componentId: s.componentId,
             templateId: s.templateId,
@@ -2560,6 +2621,10 @@ class LevelEditor {
     // Update template palette
     this.updateTemplatePalette();
 
+    // Pause points past the last ball can't be reached; the final bet covers it
+    this.pausePoints = this.pausePoints.filter(n => n < this.samplingSchedule.length);
+    this.updatePausePalette();
+
     // Update sack/arm palettes
     this.updateSackArmPalettes();
 
@@ -2584,9 +2649,16 @@ class LevelEditor {
         item.classList.add('active');
       }
 
-      // Don't show distribution - it represents uncertainty over hypothesis space
+      // Don't show one distribution - it represents uncertainty over hypothesis space.
+      // Show the prior over the possible ones instead.
+      const list = this.hypothesisEngine.lists[template.process?.listId];
+      const prior = this.hypothesisEngine.templatePrior(template.templateId)
+        .filter(p => p.probability > 0)
+        .map(p => `${this.formatDistribution(p.distribution)} ${(p.probability * 100).toFixed(1)}%`)
+        .join('<br>');
       item.innerHTML = `
         <div class="template-name">${template.templateId}</div>
+        ${prior ? `<div class="template-distribution">Prior${list?.mode === 'finite' ? ' (finite sack)' : ''}:<br>${prior}</div>` : ''}
       `;
 
       item.onclick = () => this.selectTemplate(template.templateId);
@@ -2595,6 +2667,46 @@ class LevelEditor {
     });
   }
 
+  updatePausePalette() {
+    const palette = document.getElementById('pause-palette');
+    palette.innerHTML = '';
+
+    const ballCount = this.samplingSchedule?.length || 0;
+    if (ballCount < 2) {
+      palette.innerHTML = '<p class="help-text">Execute a script with a schedule to mark pause points</p>';
+      return;
+    }
+
+    // One chip per observed ball except the last, which gets the final bet
+    for (let n = 1; n < ballCount; n++) {
+      const chip = document.createElement('button');
+      chip.className = 'pause-chip';
+      chip.textContent = n;
+      chip.title = `Pause for a bet update after ${n} observed ball(s)`;
+      chip.classList.toggle('active', this.pausePoints.includes(n));
+      chip.onclick = () => this.togglePausePoint(n);
+      palette.appendChild(chip);
+    }
+  }
+
+  togglePausePoint(n) {
+    if (this.pausePoints.includes(n)) {
+      this.pausePoints = this.pausePoints.filter(p => p !== n);
+    } else {
+      this.pausePoints = [...this.pausePoints, n].sort((a, b) => a - b);
+    }
+    this.updatePausePalette();
+    this.setStatus(this.pausePoints.length > 0
+      ? `Bet updates after ball(s) ${this.pausePoints.join(', ')}`
+      : 'No pause points: single bet after the run', 'info');
+  }
+
+  formatDistribution(dist) {
+    return Object.entries(dist)
+      .map(([color, count]) => `${color[0].toUpperCase()}:${count}`)
+      .join(',');
+  }
+
   selectTemplate(templateId) {
     this.selectedTemplate = templateId;
     this.currentTool = 'place';
@@ -924,7 +924,7 @@ class AnimatedBranchingView {
       }
 
       for (const comp of this.level.components) {
-        if (comp.type === 'arm') continue;
+        if (ComponentRegistry.baseType(comp.type) === 'arm') continue;
         const spec = ComponentRegistry.get(comp.type);
         if (spec && spec.visual && spec.visual.render && !spec.isOverlay) {
           ctx.save();
@@ -1042,9 +1042,9 @@ class AnimatedBranchingView {
 
     // Find arm components in the simulation
     for (const comp of sim.components) {
-      if (comp.type !== 'arm') continue;
+      if (ComponentRegistry.baseType(comp.type) !== 'arm') continue;
 
-      const spec = ComponentRegistry.get('arm');
+      const spec = ComponentRegistry.get(comp.type);
       if (!spec) continue;
 
       // Get pivot center (in grid coordinates, then convert to pixels)
@@ -91,6 +91,7 @@ class DGPEngine {
     this.showFullDist = false;  // show fine-grained distribution below betting UI (legacy)
     this.fineGrainedDisplay = null;  // {min, max} for fine-grained distribution chart
     this.disableBranching = false;  // skip branching animation for high ball counts
+    this.queuing = false;  // balls wait for a free cell instead of overlapping
     this.errors = [];
   }
 
@@ -136,6 +137,7 @@ class DGPEngine {
       showFullDistribution: this.showFullDist,
       fineGrainedDisplay: this.fineGrainedDisplay,
       disableBranching: this.disableBranching,
+      queuing: this.queuing,
       errors: this.errors
     };
   }
@@ -346,6 +348,12 @@ class DGPEngine {
         self.disableBranching = true;
       },
 
+      // enable_queuing() - balls wait while the next conveyor cell is taken,
+      // and shufflers with a capacity block their inputs when full
+      enable_queuing: function() {
+        self.queuing = true;
+      },
+
       // linear(count, start, delay) - generate array of times: [start, start+delay, start+2*delay, ...]
       // Usage in schedule: arm1: linear(100, 0, 1) generates [0, 1, 2, ..., 99]
       linear: function(count, start = 0, delay = 1) {
@@ -0,0 +1,1009 @@
+/**
+ * Layout Compiler - factory layout to DSL model
+ *
+ * Compiles a level's components, connections and DGP result (sacks,
+ * schedule, prediction) into a DSL program (see
+ * probability-games-common/core/dsl-evaluator.js) that computes the same
+ * prediction as the factory. The output reads like a hand-written model:
+ *
+ * - Cells where something happens to a ball (splitter, duplicator, filter,
+ *   switch, observation point, black pit) get a counter named after the grid
+ *   label the player sees (A1, B2, ...). Conveyors and mergers only move
+ *   balls along, so they get no variables; balls from an arm start in the
+ *   counter of the first cell they reach.
+ * - Counters are handled in flow order. split() sends all of a counter one
+ *   way, so a counter that can hold more than one ball is emptied one ball
+ *   at a time in a while loop.
+ * - A loop in the layout becomes a while loop that runs until no ball is
+ *   left in it.
+ * - Colours are tracked only when a filter or the prediction needs them.
+ *   Sacks draw with replacement, so a ball's colour is drawn where it first
+ *   matters: a filter becomes a split weighted by the sack contents.
+ * - Merge temporaries follow the player's naming convention: C5v and C5o
+ *   are balls entering C5 from the left and from the right.
+ *
+ * Shufflers and buttons depend on ball timing and are not supported, nor
+ * are "ratio:" predictions. Switches count balls: when balls of several
+ * colour classes reach one switch, which of them arrive first depends on
+ * timing, and the compiler warns.
+ *
+ *   const { code, errors, warnings } = compileLayoutToDSL(level);
+ *   const { outcomes } = modelOutcomes(code, level.dgpResult.prediction.what);
+ *   maxOutcomeDifference(outcomes, level.correctDistribution);
+ */
+
+// Components that only carry balls to the next cell
+const LAYOUT_PASS_THROUGH_TYPES = new Set(['conveyor', 'conveyor-turn', 'merger']);
+
+const LAYOUT_UNSUPPORTED_TYPES = {
+  shuffler: 'shufflers are not supported: their output depends on ball timing',
+  button: 'buttons are not supported: the balls they trigger depend on ball timing'
+};
+
+// Suffix of a merge temporary: the half of the cell the balls enter from
+// (vasen, oikea, ylä, ala; see parseVarToGridCell in pelaa.html)
+const ENTRY_SUFFIX = {left: 'v', right: 'o', up: 'y', down: 'a'};
+
+// A per-round ball count above this is treated as unbounded
+const MAX_BALL_BOUND = 1e6;
+
+/**
+ * Is `to` on the given side of `from`? Same test as Simulation.findNextComponent.
+ */
+function isOnSide(from, to, side) {
+  switch (side) {
+    case 'up': return to.position.y < from.position.y;
+    case 'down': return to.position.y > from.position.y;
+    case 'left': return to.position.x < from.position.x;
+    case 'right': return to.position.x > from.position.x;
+    default: return false;
+  }
+}
+
+/**
+ * Side of `cell` that a ball coming from `from` enters through
+ */
+function entrySide(from, cell) {
+  const dx = from.position.x - cell.position.x;
+  const dy = from.position.y - cell.position.y;
+  if (Math.abs(dx) >= Math.abs(dy)) return dx < 0 ? 'left' : 'right';
+  return dy < 0 ? 'up' : 'down';
+}
+
+/**
+ * Colour distribution of the balls in one stream
+ *
+ * @param {Object|null} weights - {color: weight}; null when colours are not tracked
+ * @returns {{weights: Object|null, key: string, colors: Array<string>}}
+ */
+function colorClass(weights) {
+  if (!weights) return {weights: null, key: '', colors: []};
+  const colors = Object.keys(weights).filter(c => weights[c] > 0).sort();
+  const total = colors.reduce((sum, c) => sum + weights[c], 0);
+  const kept = {};
+  for (const c of colors) kept[c] = weights[c];
+  return {
+    weights: kept,
+    key: colors.map(c => `${c}:${(weights[c] / total).toFixed(12)}`).join(','),
+    colors
+  };
+}
+
+class LayoutCompiler {
+  /**
+   * @param {Object} level - Level JSON: components, connections, dgpResult
+   */
+  constructor(level) {
+    this.level = level;
+    this.components = level.components || [];
+    this.connections = level.connections || [];
+    this.dgp = level.dgpResult || {};
+    this.componentsById = new Map(this.components.map(c => [c.id, c]));
+    this.warnings = [];
+  }
+
+  /**
+   * @returns {{code: string|null, errors: Array<{message}>, warnings: Array<string>}}
+   */
+  compile() {
+    try {
+      this.checkSupported();
+      this.computeLabels();
+      this.buildGraph();
+      this.propagateClasses();
+      this.orderNodes();
+      this.markLive();
+      this.computeBounds();
+      return {code: this.emit(), errors: [], warnings: this.warnings};
+    } catch (error) {
+      return {code: null, errors: [{message: error.message}], warnings: this.warnings};
+    }
+  }
+
+  checkSupported() {
+    for (const comp of this.components) {
+      const reason = LAYOUT_UNSUPPORTED_TYPES[comp.type];
+      if (reason) throw new Error(`Cannot compile ${comp.id}: ${reason}`);
+    }
+    const what = this.dgp.prediction?.what;
+    if (!what) throw new Error('The level has no prediction (execute the DGP script first)');
+    if (what.startsWith('ratio:')) throw new Error(`Prediction "${what}" is not supported`);
+  }
+
+  /**
+   * Grid labels relative to the components' bounding box, as drawn on the board
+   */
+  computeLabels() {
+    const minX = Math.min(...this.components.map(c => c.position.x));
+    const minY = Math.min(...this.components.map(c => c.position.y));
+    this.labels = new Map(this.components.map(c => [
+      c.id,
+      `${String.fromCharCode(65 + c.position.x - minX)}${c.position.y - minY + 1}`
+    ]));
+  }
+
+  baseType(comp) {
+    return ComponentRegistry.baseType(comp.type);
+  }
+
+  outgoing(comp) {
+    return this.connections
+      .filter(c => c.from === comp.id)
+      .map(c => this.componentsById.get(c.to))
+      .filter(Boolean);
+  }
+
+  /**
+   * Component next to `comp` on one of its output sides
+   */
+  neighborOnSide(comp, side) {
+    const next = this.outgoing(comp).find(target => isOnSide(comp, target, side));
+    if (!next) throw new Error(`${this.labels.get(comp.id)} (${comp.id}): nothing is connected to its ${side} output`);
+    return next;
+  }
+
+  /**
+   * Component a single-output component passes its balls to
+   */
+  onlyNeighbor(comp) {
+    const next = this.outgoing(comp);
+    if (next.length !== 1) {
+      throw new Error(`${this.labels.get(comp.id)} (${comp.id}) should have one outgoing connection, has ${next.length}`);
+    }
+    return next[0];
+  }
+
+  /**
+   * Follow conveyors and mergers from `first` to the next component that
+   * does something to the ball
+   *
+   * @returns {{target: Object, entry: string}} entry: name a temporary for
+   *   balls on this route gets (see ENTRY_SUFFIX)
+   */
+  followRoute(from, first) {
+    let prev = from;
+    let cell = first;
+    let entry = null;
+    const seen = new Set();
+    while (LAYOUT_PASS_THROUGH_TYPES.has(this.baseType(cell))) {
+      if (seen.has(cell.id)) throw new Error(`Conveyors around ${this.labels.get(cell.id)} form a loop with no way out`);
+      seen.add(cell.id);
+      // The first cell names the route; a merger cell has several entries
+      if (!entry) {
+        entry = cell.type === 'merger'
+          ? this.labels.get(cell.id) + ENTRY_SUFFIX[entrySide(prev, cell)]
+          : this.labels.get(cell.id);
+      }
+      prev = cell;
+      cell = this.onlyNeighbor(cell);
+    }
+    if (!entry) entry = this.labels.get(cell.id) + ENTRY_SUFFIX[entrySide(from, cell)];
+    return {target: cell, entry};
+  }
+
+  /**
+   * Active nodes (everything but conveyors and mergers) and the routes
+   * between them; arms become initial ball counts
+   */
+  buildGraph() {
+    this.nodes = new Map();
+    this.edges = [];
+    this.trackColors = this.components.some(c => c.type === 'filter') ||
+      !['total', 'reaches', 'dist'].includes(this.dgp.prediction.what);
+
+    const nodeFor = (comp) => {
+      if (!this.nodes.has(comp.id)) {
+        const kind = this.baseType(comp);
+        if (!['splitter', 'duplicator', 'filter', 'switch', 'observation', 'black-pit'].includes(kind)) {
+          throw new Error(`${this.labels.get(comp.id)} (${comp.id}): cannot route balls into a ${comp.type}`);
+        }
+        this.nodes.set(comp.id, {
+          comp, kind, label: this.labels.get(comp.id),
+          ins: [], outs: [], initial: new Map(), classes: new Map(), streams: new Map()
+        });
+      }
+      return this.nodes.get(comp.id);
+    };
+    const addEdge = (from, first, props) => {
+      const {target, entry} = this.followRoute(from.comp, first);
+      const edge = {from, to: nodeFor(target), entry, copies: 1, ...props};
+      from.outs.push(edge);
+      edge.to.ins.push(edge);
+      this.edges.push(edge);
+      return edge;
+    };
+
+    // Sources: every scheduled arm starts its balls in the first active cell.
+    // Balls do not affect each other's routes (except at switches, which
+    // keep their count), so when every arm draws equally often the model
+    // takes one ball from each arm per round, like hand-written models do.
+    const draws = this.scheduledDraws();
+    const counts = [...draws.values()];
+    this.rounds = counts.every(count => count === counts[0]) ? counts[0] : 1;
+    for (const [armId, count] of draws) {
+      const arm = this.componentsById.get(armId);
+      const {target} = this.followRoute(arm, this.onlyNeighbor(arm));
+      const node = nodeFor(target);
+      const cls = colorClass(this.trackColors ? this.sackContents(arm) : null);
+      const initial = node.initial.get(cls.key) || {cls, count: 0, arms: []};
+      initial.count += count / this.rounds;
+      initial.arms.push({label: this.labels.get(arm.id), count: count / this.rounds});
+      node.initial.set(cls.key, initial);
+    }
+
+    // Routes out of every reachable node
+    const queue = [...this.nodes.values()];
+    const expanded = new Set();
+    while (queue.length > 0) {
+      const node = queue.shift();
+      if (expanded.has(node)) continue;
+      expanded.add(node);
+      const comp = node.comp;
+      const before = this.nodes.size;
+
+      if (node.kind === 'splitter') {
+        const spec = ComponentRegistry.get('splitter');
+        for (const {side, weight} of spec.behavior.getOutputWeights(comp.params)) {
+          addEdge(node, this.neighborOnSide(comp, side), {weight});
+        }
+      } else if (node.kind === 'duplicator') {
+        const spec = ComponentRegistry.get('duplicator');
+        for (const {side, count} of spec.behavior.getOutputPattern(comp)) {
+          addEdge(node, this.neighborOnSide(comp, side), {copies: count});
+        }
+      } else if (node.kind === 'filter') {
+        addEdge(node, this.neighborOnSide(comp, comp.params.matchOutputSide), {match: true});
+        addEdge(node, this.neighborOnSide(comp, comp.params.nonMatchOutputSide), {match: false});
+      } else if (node.kind === 'switch') {
+        addEdge(node, this.neighborOnSide(comp, comp.params.firstNOutputSide), {firstN: true});
+        addEdge(node, this.neighborOnSide(comp, comp.params.restOutputSide), {firstN: false});
+      }
+
+      if (this.nodes.size > before) queue.push(...[...this.nodes.values()].slice(before));
+    }
+
+    // Observation points the balls never reach still count zero balls
+    for (const comp of this.components) {
+      if (comp.type === 'observation') nodeFor(comp);
+    }
+  }
+
+  /**
+   * Balls each arm draws: schedule entries resolved to arm components the
+   * way PlayApp.mapDGPToComponents does it
+   *
+   * @returns {Map<string, number>} arm component id -> ball count
+   */
+  scheduledDraws() {
+    const arms = this.components.filter(c => this.baseType(c) === 'arm');
+    const armVarNames = Object.keys(this.dgp.arms || {});
+    const armByVarName = new Map();
+    for (const varName of armVarNames) {
+      const linked = arms.find(c => c.params.linkedVariable === varName);
+      if (linked) armByVarName.set(varName, linked);
+    }
+    const unmappedArms = arms.filter(c => ![...armByVarName.values()].includes(c));
+    armVarNames.filter(v => !armByVarName.has(v)).forEach((varName, index) => {
+      if (index < unmappedArms.length) armByVarName.set(varName, unmappedArms[index]);
+    });
+
+    const draws = new Map();
+    for (const entry of this.dgp.schedule || []) {
+      const name = entry.armVarName || entry.armId;
+      const arm = armByVarName.get(name) || arms.find(c => c.id === name);
+      if (!arm) throw new Error(`Cannot resolve arm "${name}" of the schedule`);
+      draws.set(arm.id, (draws.get(arm.id) || 0) + 1);
+    }
+    if (draws.size === 0) throw new Error('The schedule draws no balls');
+    return draws;
+  }
+
+  /**
+   * Contents of the sack an arm draws from (DGP contents override the layout's)
+   */
+  sackContents(arm) {
+    const sack = this.connections
+      .filter(c => c.to === arm.id)
+      .map(c => this.componentsById.get(c.from))
+      .find(c => c && c.type === 'sack');
+    if (!sack) throw new Error(`Arm ${this.labels.get(arm.id)} (${arm.id}) is not connected to a sack`);
+    const contents = this.dgp.sacks?.[sack.params.label]?.contents || sack.params.contents;
+    if (!contents || Object.keys(contents).length === 0) {
+      throw new Error(`Sack ${sack.params.label || sack.id} has no contents`);
+    }
+    return contents;
+  }
+
+  /**
+   * Colour classes on every edge and at every node, until nothing changes
+   */
+  propagateClasses() {
+    const addClass = (node, cls) => {
+      if (node.classes.has(cls.key)) return false;
+      node.classes.set(cls.key, cls);
+      return true;
+    };
+    for (const node of this.nodes.values()) {
+      for (const {cls} of node.initial.values()) addClass(node, cls);
+    }
+
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const node of this.nodes.values()) {
+        for (const cls of [...node.classes.values()]) {
+          for (const {edge, cls: out} of this.routeClasses(node, cls)) {
+            if (addClass(edge.to, out)) changed = true;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Where a node sends the balls of one class, and with what weight
+   *
+   * @returns {Array<{edge, cls, weight: number|undefined}>} weight is set
+   *   when the choice between the returned routes is random
+   */
+  routeClasses(node, cls) {
+    switch (node.kind) {
+      case 'splitter':
+        return node.outs.map(edge => ({edge, cls, weight: node.outs.length > 1 ? edge.weight : undefined}));
+
+      case 'duplicator':
+        // Copies share their ball's colour, so it is drawn before copying
+        if (cls.colors.length > 1) {
+          return cls.colors.flatMap(color => node.outs.map(edge => ({
+            edge, cls: colorClass({[color]: 1}), weight: cls.weights[color], color
+          })));
+        }
+        return node.outs.map(edge => ({edge, cls}));
+
+      case 'filter': {
+        const target = node.comp.params.targetColor;
+        const matchWeight = cls.weights[target] || 0;
+        const rest = {...cls.weights};
+        delete rest[target];
+        const restWeight = Object.values(rest).reduce((sum, w) => sum + w, 0);
+        const routes = [];
+        for (const edge of node.outs) {
+          const weight = edge.match ? matchWeight : restWeight;
+          if (weight <= 0) continue;
+          routes.push({edge, cls: colorClass(edge.match ? {[target]: matchWeight} : rest), weight});
+        }
+        if (routes.length === 1) delete routes[0].weight;
+        return routes;
+      }
+
+      case 'switch':
+        return node.outs.map(edge => ({edge, cls}));
+
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Flow order: strongly connected components (loops in the layout) in
+   * topological order, each loop's nodes in the order balls first reach them
+   */
+  orderNodes() {
+    // Tarjan's algorithm; components come out in reverse topological order
+    const nodes = [...this.nodes.values()];
+    const index = new Map();
+    const low = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const sccs = [];
+    let counter = 0;
+
+    const connect = (node) => {
+      index.set(node, counter);
+      low.set(node, counter);
+      counter++;
+      stack.push(node);
+      onStack.add(node);
+      for (const edge of node.outs) {
+        if (!index.has(edge.to)) {
+          connect(edge.to);
+          low.set(node, Math.min(low.get(node), low.get(edge.to)));
+        } else if (onStack.has(edge.to)) {
+          low.set(node, Math.min(low.get(node), index.get(edge.to)));
+        }
+      }
+      if (low.get(node) === index.get(node)) {
+        const scc = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          scc.push(member);
+        } while (member !== node);
+        sccs.push(scc);
+      }
+    };
+    for (const node of nodes) {
+      if (!index.has(node)) connect(node);
+    }
+    sccs.reverse();
+
+    this.groups = sccs.map(scc => {
+      const members = new Set(scc);
+      const isLoop = scc.length > 1 || scc[0].outs.some(edge => edge.to === scc[0]);
+      const ordered = isLoop ? this.orderLoop(scc, members) : scc;
+      const group = {nodes: ordered, isLoop, head: null};
+      for (const node of ordered) {
+        node.group = members;
+        node.loop = isLoop ? group : null;
+        node.inLoop = isLoop;
+      }
+      return group;
+    });
+
+    const position = new Map();
+    this.groups.flatMap(g => g.nodes).forEach((node, i) => position.set(node, i));
+    for (const edge of this.edges) {
+      edge.back = position.get(edge.to) <= position.get(edge.from);
+    }
+  }
+
+  /**
+   * Order a loop's nodes depth first from where balls enter it
+   */
+  orderLoop(scc, members) {
+    const entries = scc.filter(node => node.initial.size > 0 || node.ins.some(edge => !members.has(edge.from)));
+    const visited = new Set();
+    const postorder = [];
+    const visit = (node) => {
+      visited.add(node);
+      for (const edge of node.outs) {
+        if (members.has(edge.to) && !visited.has(edge.to)) visit(edge.to);
+      }
+      postorder.push(node);
+    };
+    for (const node of [...entries, ...scc]) {
+      if (!visited.has(node)) visit(node);
+    }
+    return postorder.reverse();
+  }
+
+  /**
+   * Nodes whose balls can still reach an observation point the prediction
+   * reads; balls on other routes need no counters
+   */
+  markLive() {
+    const {what, target} = this.dgp.prediction;
+    const observed = (node) => node.kind === 'observation' &&
+      (what === 'dist' || node.comp.params?.label === target || node.comp.id === target);
+    const nodes = [...this.nodes.values()];
+    for (const node of nodes) node.live = observed(node);
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const node of nodes) {
+        if (!node.live && node.outs.some(edge => edge.to.live)) {
+          node.live = true;
+          changed = true;
+        }
+      }
+    }
+  }
+
+  /**
+   * Most balls a node can hold when it is handled (per round inside a loop).
+   * A node that never holds more than one ball is split directly instead of
+   * one ball at a time.
+   */
+  computeBounds() {
+    const ordered = this.groups.flatMap(g => g.nodes);
+    const initialCount = (node) => [...node.initial.values()].reduce((sum, i) => sum + i.count, 0);
+    const boundOf = (node) => {
+      let external = initialCount(node);
+      let back = 0;
+      let internal = 0;
+      for (const edge of node.ins) {
+        // Balls leave a loop on any of its passes
+        const leavesLoop = edge.from.inLoop && edge.from.group !== node.group;
+        const inflow = leavesLoop ? Infinity : this.bounds.get(edge.from) * edge.copies;
+        if (edge.back) back += inflow;
+        else if (node.inLoop && edge.from.group === node.group) internal += inflow;
+        else external += inflow;
+      }
+      const bound = Math.max(external, back) + internal;
+      return bound > MAX_BALL_BOUND ? Infinity : bound;
+    };
+
+    this.bounds = new Map(ordered.map(node => [node, 0]));
+    let changed = true;
+    for (let round = 0; changed && round < 2 * ordered.length + 4; round++) {
+      changed = false;
+      for (const node of ordered) {
+        const bound = boundOf(node);
+        if (bound !== this.bounds.get(node)) {
+          this.bounds.set(node, bound);
+          changed = true;
+        }
+      }
+    }
+    if (changed) {
+      // The counts grow round after round: no bound inside loops or downstream
+      for (const node of ordered) {
+        this.bounds.set(node, node.inLoop ? Infinity : boundOf(node));
+      }
+    }
+
+    // Only duplicators add balls, so no counter holds more balls than can
+    // be in the factory at once. Width: most balls one ball entering a
+    // node can turn into at the same time.
+    const width = new Map();
+    for (const group of [...this.groups].reverse()) {
+      const members = new Set(group.nodes);
+      const copies = (node) => node.outs.reduce((sum, edge) => sum + edge.copies, 0);
+      const multiplies = group.isLoop && group.nodes.some(node => node.kind === 'duplicator' && copies(node) > 1);
+      let groupWidth = 1;
+      for (const node of group.nodes) {
+        // A ball that stays in the loop is still one ball; the group's
+        // width covers wherever it leaves
+        const widths = node.outs.map(edge => edge.copies * (members.has(edge.to) ? 1 : width.get(edge.to)));
+        const nodeWidth = node.kind === 'duplicator'
+          ? widths.reduce((sum, w) => sum + w, 0)
+          : Math.max(1, ...widths);
+        groupWidth = Math.max(groupWidth, nodeWidth);
+      }
+      for (const node of group.nodes) width.set(node, multiplies ? Infinity : groupWidth);
+    }
+    const inFactory = ordered
+      .filter(node => node.initial.size > 0)
+      .reduce((sum, node) => sum + initialCount(node) * width.get(node), 0);
+    for (const node of ordered) {
+      this.bounds.set(node, Math.min(this.bounds.get(node), inFactory));
+    }
+
+    // A loop that balls enter through one cell only is run like a stack:
+    // each pass takes one ball from that cell and follows it around the
+    // loop, and balls that come back wait there for a later pass. Pass
+    // bounds: most balls a node holds during one pass.
+    this.passBounds = new Map(this.bounds);
+    for (const group of this.groups) {
+      if (!group.isLoop) continue;
+      const [head, ...rest] = group.nodes;
+      const entersElsewhere = rest.some(node => node.initial.size > 0 ||
+        node.ins.some(edge => edge.back || edge.from.loop !== group));
+      if (entersElsewhere || head.classes.size > 1) continue;
+      group.head = head;
+      for (const node of group.nodes) node.pass = group;
+
+      // Cells fed only from the pass are handled in it too, like the
+      // branches hand-written models follow inside the loop
+      for (const later of this.groups.slice(this.groups.indexOf(group) + 1)) {
+        const [node] = later.nodes;
+        if (later.isLoop || node.kind === 'observation' || node.initial.size > 0) continue;
+        if (node.ins.every(edge => edge.from.pass === group)) {
+          node.pass = group;
+          group.nodes.push(node);
+          later.nodes = [];
+        }
+      }
+
+      this.passBounds.set(head, 1);
+      for (const node of group.nodes.slice(1)) {
+        const bound = node.ins.reduce((sum, edge) => sum + this.passBounds.get(edge.from) * edge.copies, 0);
+        this.passBounds.set(node, Math.min(bound, inFactory));
+      }
+    }
+    this.groups = this.groups.filter(group => group.nodes.length > 0);
+  }
+
+  // ---------------------------------------------------------------------
+  // Code generation
+  // ---------------------------------------------------------------------
+
+  /**
+   * Counter names of every node's colour classes, and which of them can be
+   * assigned directly (one producer, no loop) instead of summed into
+   */
+  nameStreams() {
+    this.usedNames = new Set();
+    const classSuffix = (node, cls) => {
+      if (cls.colors.length === 1) return cls.colors[0];
+      const mixed = [...node.classes.values()].filter(c => c.colors.length > 1);
+      return String(mixed.indexOf(cls) + 1);
+    };
+    for (const node of this.nodes.values()) {
+      for (const cls of node.classes.values()) {
+        const name = node.classes.size > 1 ? `${node.label}_${classSuffix(node, cls)}` : node.label;
+        node.streams.set(cls.key, {cls, name, producers: 0, direct: false});
+        this.usedNames.add(name);
+      }
+      if (node.classes.size === 0 && node.kind === 'observation') {
+        node.streams.set('', {cls: colorClass(null), name: node.label, producers: 0, direct: false});
+        this.usedNames.add(node.label);
+      }
+    }
+
+    for (const node of this.nodes.values()) {
+      for (const cls of node.classes.values()) {
+        for (const {edge, cls: out} of this.routeClasses(node, cls)) {
+          edge.to.streams.get(out.key).producers++;
+        }
+      }
+    }
+    // Direct assignment: a single producer that handles its balls in one go
+    for (const node of this.nodes.values()) {
+      for (const stream of node.streams.values()) {
+        const producer = node.ins.find(edge =>
+          [...edge.from.classes.values()].some(cls =>
+            this.routeClasses(edge.from, cls).some(r => r.edge === edge && r.cls.key === stream.cls.key)));
+        // Observation points add up balls over all rounds
+        const accumulates = node.kind === 'observation' && this.rounds > 1;
+        // In a stack loop, nodes after the head are filled anew every pass
+        const sameRun = node.pass
+          ? node !== node.pass.head && producer?.from.pass === node.pass
+          : !node.inLoop && producer && !producer.from.inLoop && !producer.from.pass;
+        stream.direct = node.live && !accumulates && stream.producers === 1 &&
+          !node.initial.has(stream.cls.key) && sameRun &&
+          producer && producer.from.kind !== 'switch' &&
+          this.passBounds.get(producer.from) <= 1;
+      }
+    }
+  }
+
+  /**
+   * A fresh temporary name, the route's entry name when it is free
+   */
+  tempName(base) {
+    let name = base;
+    for (let i = 2; this.usedNames.has(name); i++) name = `${base}${i}`;
+    this.usedNames.add(name);
+    return name;
+  }
+
+  emit() {
+    this.nameStreams();
+    const lines = ['# Malli on koottu automaattisesti tehtaan osista', ''];
+    const ordered = this.groups.flatMap(g => g.nodes).filter(node => node.live);
+    const isSink = (node) => node.kind === 'observation';
+
+    // Counts that last over all rounds
+    for (const node of ordered) {
+      if (isSink(node)) {
+        for (const stream of node.streams.values()) {
+          if (!stream.direct) lines.push(`${stream.name} = 0`);
+        }
+      }
+      if (node.kind === 'switch') lines.push(`${this.switchCounter(node)} = 0`);
+    }
+
+    // One round: balls are drawn, counters start empty
+    const body = [];
+    for (const node of ordered) {
+      if (isSink(node)) continue;
+      for (const stream of node.streams.values()) {
+        const initial = node.initial.get(stream.cls.key);
+        if (initial) {
+          for (const arm of initial.arms) {
+            body.push(arm.count === 1
+              ? `# Yksi pallo nostetaan ruutuun ${node.label} (nostaja ${arm.label})`
+              : `# ${arm.count} palloa nostetaan ruutuun ${node.label} (nostaja ${arm.label})`);
+          }
+          body.push(`${stream.name} = ${initial.count}`);
+        } else if (!stream.direct) {
+          body.push(`${stream.name} = 0`);
+        }
+      }
+    }
+
+    for (const group of this.groups) {
+      const depth = group.isLoop ? 1 : 0;
+      const blocks = group.nodes.map(node => this.emitNode(node, depth)).filter(b => b.length > 0);
+      if (blocks.length === 0) continue;
+      body.push('');
+      if (group.head) {
+        const waiting = [...group.head.streams.values()][0].name;
+        body.push(`# Pallot kiertävät silmukassa: ruudun ${group.head.label} pallot käsitellään yksi kerrallaan`);
+        body.push(`while ${waiting} >= 1:`, `    ${waiting} -= 1`);
+      } else if (group.isLoop) {
+        const counters = group.nodes.filter(node => node.live)
+          .flatMap(node => [...node.streams.values()].map(s => s.name));
+        body.push('# Pallot kiertävät, kunnes yksikään ei ole enää silmukassa');
+        body.push(`while ${counters.join(' + ')} >= 1:`);
+      }
+      blocks.forEach((block, i) => {
+        if (i > 0) body.push('');
+        body.push(...block);
+      });
+    }
+
+    if (this.rounds > 1) {
+      const drawn = ordered.flatMap(node => [...node.initial.values()]).flatMap(i => i.arms);
+      if (lines.length > 2) lines.push('');
+      lines.push(drawn.length === 1
+        ? `# Pallot nostetaan yksi kerrallaan, ${this.rounds} kertaa`
+        : `# Jokainen nostaja nostaa pallon vuorollaan, ${this.rounds} kertaa`);
+      lines.push(`for i in range(${this.rounds}):`);
+      lines.push(...body.map(line => line ? '    ' + line : line));
+    } else {
+      if (lines.length > 2) lines.push('');
+      lines.push(...body);
+    }
+
+    lines.push('', ...this.emitReturn());
+    return lines.join('\n').replace(/\n{3,}/g, '\n\n') + '\n';
+  }
+
+  switchCounter(node) {
+    return `${node.label}_laskuri`;
+  }
+
+  /**
+   * Code that empties one node's counters into the next nodes
+   *
+   * @returns {Array<string>} Lines
+   */
+  emitNode(node, depth) {
+    if (!node.live || node.kind === 'observation') return [];
+    const pad = '    '.repeat(depth);
+    const lines = [];
+    const bound = this.passBounds.get(node);
+    // The head of a stack loop handles the one ball taken for this pass
+    const isHead = node.loop?.head === node;
+
+    for (const stream of node.streams.values()) {
+      const source = isHead ? '1' : stream.name;
+      const routes = this.routeClasses(node, stream.cls);
+      const block = [];
+      if (node.kind === 'switch') {
+        this.emitSwitch(node, stream, routes, bound, block, source);
+      } else if (routes.some(r => r.weight !== undefined)) {
+        this.emitRandom(node, stream, routes, bound, block, source);
+      } else {
+        for (const route of routes) {
+          if (route.edge.to.live) block.push(this.sendTo(route, source, route.edge.copies));
+        }
+        if ((node.inLoop || node.pass) && !isHead && !stream.direct) block.push(`${stream.name} = 0`);
+      }
+      lines.push(...this.describe(node, stream, bound), ...block);
+    }
+    return lines.map(line => pad + line);
+  }
+
+  /**
+   * Comment line(s) above a node's code
+   */
+  describe(node, stream, bound) {
+    const oneAtATime = bound > 1 ? ', yksi pallo kerrallaan' : '';
+    const colors = node.streams.size > 1 ? ` (${stream.name})` : '';
+    switch (node.kind) {
+      case 'splitter':
+        return [`# Jako ruudussa ${node.label}${colors}${oneAtATime}`];
+      case 'duplicator':
+        return [stream.cls.colors.length > 1
+          ? `# Monistus ruudussa ${node.label}${colors}: pallon väri arvotaan ennen monistusta`
+          : `# Monistus ruudussa ${node.label}${colors}`];
+      case 'filter':
+        return [`# Lajittelu värin ${node.comp.params.targetColor} mukaan ruudussa ${node.label}${colors}`];
+      case 'switch': {
+        const n = node.comp.params.n || 1;
+        return [n === 1
+          ? `# Ruudun ${node.label} ensimmäinen pallo menee eri suuntaan kuin loput${colors}`
+          : `# Ruudun ${node.label} ${n} ensimmäistä palloa menevät eri suuntaan kuin loput${colors}`];
+      }
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Statement that adds `amount` balls (times `copies`) to a route's target
+   */
+  sendTo(route, amount, copies = 1) {
+    const stream = route.edge.to.streams.get(route.cls.key);
+    const value = copies === 1 ? amount : amount === '1' ? String(copies) : `${amount} * ${copies}`;
+    return `${stream.name} ${stream.direct ? '=' : '+='} ${value}`;
+  }
+
+  /**
+   * Random routes: one split of the counter when it holds at most one ball,
+   * otherwise a while loop that splits one ball at a time. A duplicator's
+   * routes are grouped by colour: the colour is drawn, then copied.
+   */
+  emitRandom(node, stream, routes, bound, lines, source) {
+    const choices = [];
+    for (const route of routes) {
+      const key = route.color || route.edge;
+      let choice = choices.find(c => c.key === key);
+      if (!choice) {
+        choice = {key, weight: route.weight, routes: []};
+        choices.push(choice);
+      }
+      choice.routes.push(route);
+    }
+
+    const perBall = bound > 1;
+    const names = choices.map(choice => {
+      const only = choice.routes.length === 1 && choice.routes[0];
+      if (only && !perBall && only.edge.to.live && only.edge.copies === 1 &&
+          only.edge.to.streams.get(only.cls.key).direct) {
+        choice.direct = true;
+        return only.edge.to.streams.get(only.cls.key).name;
+      }
+      const base = node.kind === 'duplicator'
+        ? `${stream.name}_${choice.key}`
+        : choice.routes[0].edge.entry + (node.streams.size > 1 ? `_${stream.name.split('_').pop()}` : '');
+      return this.tempName(base);
+    });
+    const weights = choices.map(c => c.weight);
+    const uniform = weights.every(w => w === weights[0]);
+    const weightArg = uniform ? '' : `, [${weights.map(w => +w.toPrecision(12)).join(', ')}]`;
+
+    const body = [];
+    choices.forEach((choice, i) => {
+      if (choice.direct) return;
+      for (const route of choice.routes) {
+        if (route.edge.to.live) body.push(this.sendTo(route, names[i], route.edge.copies));
+      }
+    });
+
+    if (perBall) {
+      lines.push(`while ${stream.name} >= 1:`);
+      lines.push(`    ${stream.name} -= 1`);
+      lines.push(`    ${names.join(', ')} = split(1${weightArg})`);
+      lines.push(...body.map(line => '    ' + line));
+    } else {
+      lines.push(`${names.join(', ')} = split(${source}${weightArg})`);
+      lines.push(...body);
+    }
+  }
+
+  /**
+   * The first n balls a switch sees take one route, the rest the other
+   */
+  emitSwitch(node, stream, routes, bound, lines, source) {
+    if (node.streams.size > 1) {
+      this.warnings.push(`Balls of several colour classes reach the switch at ${node.label}; ` +
+        'the model assumes they arrive one class after another');
+    }
+    const counter = this.switchCounter(node);
+    const n = node.comp.params.n || 1;
+    const first = routes.find(r => r.edge.firstN);
+    const rest = routes.find(r => !r.edge.firstN);
+    const perBall = bound > 1;
+    const amount = perBall ? '1' : source;
+    const body = [`if ${counter} < ${n}:`, `    ${counter} += ${amount}`];
+    if (first.edge.to.live) body.push(`    ${this.sendTo(first, amount)}`);
+    if (rest.edge.to.live) body.push('else:', `    ${this.sendTo(rest, amount)}`);
+    if (perBall) {
+      lines.push(`while ${stream.name} >= 1:`, `    ${stream.name} -= 1`, ...body.map(line => '    ' + line));
+    } else {
+      lines.push(...body);
+      if ((node.inLoop || node.pass) && source !== '1' && !stream.direct) lines.push(`${stream.name} = 0`);
+    }
+  }
+
+  emitReturn() {
+    const {what, target} = this.dgp.prediction;
+    const total = (node) => [...node.streams.values()].map(s => s.name).join(' + ');
+
+    if (what === 'dist') {
+      const points = [...this.nodes.values()]
+        .filter(node => node.kind === 'observation')
+        .sort((a, b) => a.comp.position.x - b.comp.position.x || a.comp.position.y - b.comp.position.y);
+      return [`return [${points.map(total).join(', ')}]`];
+    }
+
+    const node = [...this.nodes.values()].find(n =>
+      n.kind === 'observation' && (n.comp.params?.label === target || n.comp.id === target));
+    if (!node) throw new Error(`Target "${target}" not found`);
+
+    if (what === 'total') return [`return ${total(node)}`];
+    if (what === 'reaches') {
+      return [this.rounds === 1 && this.bounds.get(node) <= 1 && node.streams.size === 1
+        ? `return ${total(node)}`
+        : `return ${total(node)} >= 1`];
+    }
+
+    // Balls of one colour: pure classes count directly, mixed ones draw it
+    const lines = [`# Värin ${what} pallot ruudussa ${node.label}`, 'tulos = 0'];
+    for (const stream of node.streams.values()) {
+      const weight = stream.cls.weights?.[what] || 0;
+      if (weight === 0) continue;
+      if (stream.cls.colors.length === 1) {
+        lines.push(`tulos += ${stream.name}`);
+        continue;
+      }
+      const rest = Object.values(stream.cls.weights).reduce((sum, w) => sum + w, 0) - weight;
+      lines.push(
+        `while ${stream.name} >= 1:`,
+        `    ${stream.name} -= 1`,
+        `    vari, muu = split(1, [${+weight.toPrecision(12)}, ${+rest.toPrecision(12)}])`,
+        '    tulos += vari'
+      );
+    }
+    lines.push('return tulos');
+    return lines;
+  }
+}
+
+/**
+ * Compile a level's layout into a DSL model
+ *
+ * @param {Object} level - Level JSON with components, connections and dgpResult
+ * @returns {{code: string|null, errors: Array<{message}>, warnings: Array<string>}}
+ */
+function compileLayoutToDSL(level) {
+  return new LayoutCompiler(level).compile();
+}
+
+/**
+ * Run a DSL model and key its distribution like a level's
+ * correctDistribution: yes/no for "reaches", A, B, C... for "dist", counts
+ * otherwise
+ *
+ * @param {string} code - DSL model
+ * @param {string} what - Prediction type (dgpResult.prediction.what)
+ * @param {Object} options - DSLInterpreter.execute options
+ * @returns {{outcomes: Object, margins: Object, approximate: boolean}}
+ *   outcomes: {outcome: probability}; margins: {outcome: 95% margin} of
+ *   sampled outcomes; approximate: the evaluator sampled or cut a loop short
+ */
+function modelOutcomes(code, what, options = {}) {
+  const result = new DSLInterpreter().execute(parseDSL(code), options);
+  if (result.errors.length > 0) throw new Error(result.errors[0].message);
+  if (!result.returnValue) throw new Error('The model returns nothing');
+
+  const outcomes = {};
+  const margins = {};
+  const sampled = result.returnValue.diagnostics?.margins || new Map();
+  for (const [value, prob] of result.returnValue.entries()) {
+    let key = String(value);
+    if (what === 'reaches') {
+      key = (value === true || value >= 1) ? 'yes' : 'no';
+    } else if (what === 'dist' && Array.isArray(value)) {
+      const first = value.findIndex(count => count >= 1);
+      key = first === -1 ? 'none' : String.fromCharCode(65 + first);
+    }
+    outcomes[key] = (outcomes[key] || 0) + prob;
+    if (sampled.has(value)) margins[key] = (margins[key] || 0) + sampled.get(value);
+  }
+  return {outcomes, margins, approximate: result.approximate || result.truncated};
+}
+
+/**
+ * Largest difference in any outcome's probability
+ */
+function maxOutcomeDifference(a, b) {
+  let max = 0;
+  for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    max = Math.max(max, Math.abs((a[key] || 0) - (b[key] || 0)));
+  }
+  return max;
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+  window.LayoutCompiler = LayoutCompiler;
+  window.compileLayoutToDSL = compileLayoutToDSL;
+  window.modelOutcomes = modelOutcomes;
+  window.maxOutcomeDifference = maxOutcomeDifference;
+}
@@ -8,11 +8,22 @@
 /**
  * Hash a simulation state for merge detection
  * Two states hash the same if they would be indistinguishable going forward
+ *
+ * Position alone does not settle that for held balls: a ball stopped on a
+ * jammed conveyor or waiting in a random-interval arm looks the same whether
+ * it moves again in one second or in three. Their release time is hashed too.
+ *
+ * With queuing on, a waiting ball is hashed with the component it waits for,
+ * and the queue order is hashed because it decides who moves first.
  */
 function hashSimulationState(snapshot) {
   // Sort balls by position for consistent hashing
   const ballsStr = snapshot.balls
-    .map(b => `${b.id}:${Math.round(b.x * 100)},${Math.round(b.y * 100)},${b.color},${b.componentId || ''},${b.componentState || ''}`)
+    .map(b => {
+      const release = b.releaseTime != null ? `@${Math.round(b.releaseTime)}` : '';
+      const queued = b.queuedFor != null ? `>${b.queuedFor}` : '';
+      return `${b.id}:${Math.round(b.x * 100)},${Math.round(b.y * 100)},${b.color},${b.componentId || ''},${b.componentState || ''}${release}${queued}`;
+    })
     .sort()
     .join('|');
 
@@ -22,14 +33,17 @@ function hashSimulationState(snapshot) {
     .sort()
     .join('|');
 
-  // Component states (for shufflers, splitters with pending balls)
+  // Component states (shufflers, splitters with pending balls, jammed conveyors)
   const componentsStr = Object.entries(snapshot.componentStates || {})
     .map(([id, state]) => `${id}:${JSON.stringify(state)}`)
     .sort()
     .join('|');
 
+  // Waiting balls in turn order
+  const queueStr = (snapshot.queue || []).join(',');
+
   // Combine and hash
-  const combined = `${snapshot.time}||${ballsStr}||${sacksStr}||${componentsStr}`;
+  const combined = `${snapshot.time}||${ballsStr}||${sacksStr}||${componentsStr}||${queueStr}`;
   return simpleHash(combined);
 }
 
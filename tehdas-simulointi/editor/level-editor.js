@@ -127,6 +127,7 @@ class LevelEditor {
 
     // Track loaded level for updates
     this.loadedLevelId = null;     // ID of level loaded from registry (null = new level)
+    this.loadedBettingConfig = {}; // meta.bettingConfig of the loaded level (scoring rule etc.) and the answer step set here
 
     // DGP Engine instance
     this.dgpEngine = new DGPEngine();
@@ -237,6 +238,9 @@ class LevelEditor {
     document.getElementById('remove-row-top').onclick = () => this.removeRow('top');
     document.getElementById('remove-row-bottom').onclick = () => this.removeRow('bottom');
 
+    // Answer step of the betting grid (meta.bettingConfig.granularity)
+    document.getElementById('granularity-select').onchange = (e) => this.setGranularity(parseInt(e.target.value));
+
     // Update grid size displays
     this.updateGridSizeDisplays();
 
@@ -271,6 +275,12 @@ class LevelEditor {
         this.modelScript = e.target.value;
       });
     }
+
+    // Generate the intended model from the factory layout
+    const generateBtn = document.getElementById('generate-model');
+    if (generateBtn) {
+      generateBtn.onclick = () => this.generateModel();
+    }
   }
 
   /**
@@ -288,7 +298,7 @@ class LevelEditor {
 
     // Reset placed arms tracking, then re-populate from existing components
     this.placedArms = new Set();
-    this.components.filter(c => c.type === 'arm' && c.params.varName).forEach(comp => {
+    this.components.filter(c => ComponentRegistry.baseType(c.type) === 'arm' && c.params.varName).forEach(comp => {
       if (this.dgpResult.arms?.[comp.params.varName]) {
         this.placedArms.add(comp.params.varName);
       }
@@ -366,7 +376,7 @@ class LevelEditor {
       // Count actual schedule entries for each arm by varName
       const schedule = this.dgpResult.schedule || [];
 
-      this.components.filter(c => c.type === 'arm').forEach(armComp => {
+      this.components.filter(c => ComponentRegistry.baseType(c.type) === 'arm').forEach(armComp => {
         const varName = armComp.params.varName;
         if (varName) {
           // Count schedule entries for this specific arm
@@ -410,6 +420,97 @@ class LevelEditor {
     resultDiv.innerHTML = html;
   }
 
+  /**
+   * Compile the factory layout into a reference DSL model.
+   * An empty model textarea is filled directly; otherwise the generated
+   * model is shown next to the current one with the option to replace it.
+   */
+  generateModel() {
+    const resultDiv = document.getElementById('model-result');
+    if (!resultDiv) return;
+    resultDiv.style.display = 'block';
+
+    if (!this.dgpResult || this.dgpResult.errors.length > 0) {
+      resultDiv.innerHTML = `<div class="error">❌ Execute the DGP first</div>`;
+      return;
+    }
+
+    const level = {
+      components: this.components,
+      connections: this.connections,
+      dgpResult: this.dgpResult,
+      correctDistribution: this.computedDistribution
+    };
+    const { code, errors, warnings } = compileLayoutToDSL(level);
+
+    let html = '';
+    errors.forEach(err => {
+      html += `<div class="error">❌ ${err.message}</div>`;
+    });
+    warnings.forEach(warning => {
+      html += `<div class="info">⚠ ${warning}</div>`;
+    });
+    if (errors.length > 0) {
+      resultDiv.innerHTML = html;
+      this.setStatus('Could not generate a model from this layout', 'error');
+      return;
+    }
+
+    // Compare against the simulated distribution and the current model
+    const what = this.dgpResult.prediction?.what;
+    try {
+      const generated = modelOutcomes(code, what);
+      if (generated.approximate) {
+        html += `<div class="info">⚠ The generated model could only be evaluated approximately</div>`;
+      }
+      if (Object.keys(this.computedDistribution).length > 0) {
+        const diff = maxOutcomeDifference(generated.outcomes, this.computedDistribution);
+        html += `<div class="info">Max difference to computed distribution: ${(diff * 100).toFixed(2)}%</div>`;
+      }
+      if (this.modelScript.trim()) {
+        const current = modelOutcomes(this.modelScript, what);
+        const diff = maxOutcomeDifference(generated.outcomes, current.outcomes);
+        html += `<div class="info">Max difference to current model: ${(diff * 100).toFixed(2)}%</div>`;
+      }
+    } catch (e) {
+      html += `<div class="error">❌ ${e.message}</div>`;
+    }
+
+    if (!this.modelScript.trim()) {
+      this.setModelScript(code);
+      html = `<div class="success">✓ Model generated from layout</div>` + html;
+      resultDiv.innerHTML = html;
+      this.setStatus('Intended model generated', 'success');
+      return;
+    }
+
+    html = `<div class="success">✓ Model generated from layout (current model kept)</div>` + html;
+    resultDiv.innerHTML = html;
+
+    const pre = document.createElement('pre');
+    pre.textContent = code;
+    resultDiv.appendChild(pre);
+
+    const replaceBtn = document.createElement('button');
+    replaceBtn.className = 'execute-btn';
+    replaceBtn.textContent = 'Replace Intended Model';
+    replaceBtn.onclick = () => {
+      this.setModelScript(code);
+      resultDiv.style.display = 'none';
+      this.setStatus('Intended model replaced', 'success');
+    };
+    resultDiv.appendChild(replaceBtn);
+  }
+
+  /**
+   * Set the intended model and its textarea
+   */
+  setModelScript(code) {
+    this.modelScript = code;
+    const modelScriptEl = document.getElementById('model-script');
+    if (modelScriptEl) modelScriptEl.value = code;
+  }
+
   /**
    * Compute the correct distribution via Monte Carlo simulation
    * Uses the Simulation class from probability-games-common
@@ -689,7 +790,7 @@ class LevelEditor {
 
         if (armDef) {
           // Find the arm component by matching label (set to varName when placed via autoPlaceNextArm)
-          const armComponents = this.components.filter(c => c.type === 'arm');
+          const armComponents = this.components.filter(c => ComponentRegistry.baseType(c.type) === 'arm');
 
           // Match by label (should work for arms placed via 'A' hotkey with DSL tracking)
           let armComp = armComponents.find(c => c.params.label === armVarName);
@@ -722,7 +823,10 @@ class LevelEditor {
       components,
       connections,
       samplingSchedule,
-      hypothesisSpace: null  // Not needed for probability modeling
+      hypothesisSpace: null,  // Not needed for probability modeling
+      simulation: {
+        queuing: !!this.dgpResult?.queuing
+      }
     };
   }
 
@@ -1309,7 +1413,7 @@ class LevelEditor {
       this.components.splice(index, 1);
 
       // If this was a DSL-defined arm, mark it as unplaced
-      if (component.type === 'arm' && component.params.varName) {
+      if (ComponentRegistry.baseType(component.type) === 'arm' && component.params.varName) {
         this.placedArms.delete(component.params.varName);
       }
 
@@ -1338,7 +1442,7 @@ class LevelEditor {
       'right-to-up', 'up-to-left', 'left-to-down', 'down-to-right'
     ];
 
-    if (type === 'conveyor') {
+    if (ComponentRegistry.baseType(type) === 'conveyor') {
       const current = DIRECTIONS.indexOf(params.direction || 'right');
       params.direction = DIRECTIONS[(current + 1) % 4];
       return true;
@@ -1826,7 +1930,7 @@ class LevelEditor {
                   onchange="editor.updateComponentContents(this.value)">${JSON.stringify(component.params.contents, null, 2)}</textarea>
         <small style="color: #888; font-size: 10px;">Example: {"red": 7, "blue": 3}</small>
       </div>`;
-    } else if (component.type === 'conveyor') {
+    } else if (ComponentRegistry.baseType(component.type) === 'conveyor') {
       html += `<div class="property-item">
         <label>Direction</label>
         <select onchange="editor.updateComponentParam('direction', this.value)">
@@ -1848,6 +1952,7 @@ class LevelEditor {
           Plex Glass
         </label>
       </div>`;
+      html += this.renderJamProperties(component);
     } else if (component.type === 'conveyor-turn') {
       html += `<div class="property-item">
         <label>Turn Type</label>
@@ -1926,6 +2031,12 @@ class LevelEditor {
                onchange="editor.updateComponentParam('minBufferSize', parseInt(this.value))">
         <small style="color: #888; font-size: 10px;">Balls required before shuffle (default = numInputs)</small>
       </div>
+      <div class="property-item">
+        <label>Capacity</label>
+        <input type="number" min="0" max="20" value="${component.params.capacity || 0}"
+               onchange="editor.updateComponentParam('capacity', parseInt(this.value) || null)">
+        <small style="color: #888; font-size: 10px;">Max balls inside before inputs block (0 = unlimited, needs enable_queuing())</small>
+      </div>
       <div class="property-item">
         <label>Output Pattern</label>
         <button onclick="editor.editShufflerPattern()" style="width: 100%; padding: 6px;">
@@ -1958,6 +2069,11 @@ class LevelEditor {
         </div>
         <small style="color: #888; font-size: 10px;">Place adjacent conveyors to create channels</small>
       </div>
+      <div class="property-item">
+        <label>Output Weights</label>
+        ${ComponentRegistry.get('splitter').editor.renderWeightRows(component.params, 'editor.updateSplitterWeight')}
+        <small style="color: #888; font-size: 10px;">Relative weights, e.g. 7 and 3 for a 70/30 split</small>
+      </div>
       <div class="property-item">
         <label>Bounce Duration (ms)</label>
         <input type="number" step="100" min="100" value="${component.params.bounceDuration || 600}"
@@ -2001,7 +2117,7 @@ class LevelEditor {
           Plex Glass
         </label>
       </div>`;
-    } else if (component.type === 'arm') {
+    } else if (ComponentRegistry.baseType(component.type) === 'arm') {
       html += `<div class="property-item">
         <label>
           <input type="checkbox" ${component.params.plex ? 'checked' : ''}
@@ -2009,6 +2125,7 @@ class LevelEditor {
           Plex Glass
         </label>
       </div>`;
+      html += this.renderDelayProperties(component);
     } else if (component.type === 'switch') {
       html += `<div class="property-item">
         <label>N (first N balls to firstN output)</label>
@@ -2055,6 +2172,21 @@ class LevelEditor {
     panel.innerHTML = html;
   }
 
+  updateSplitterWeight(side, text) {
+    if (!this.selectedComponent || this.selectedComponent.type !== 'splitter') return;
+    const params = this.selectedComponent.params;
+    try {
+      params.weights = ComponentRegistry.get('splitter').editor.parseWeight(params, side, text);
+    } catch (e) {
+      this.setStatus(e.message, 'error');
+      this.updatePropertiesPanel();
+      return;
+    }
+    this.saveState();
+    this.updatePropertiesPanel();
+    this.render();
+  }
+
   updateComponentParam(key, value) {
     if (this.selectedComponent) {
       this.selectedComponent.params[key] = value;
@@ -2076,6 +2208,102 @@ class LevelEditor {
     }
   }
 
+  /**
+   * Switch the selected component between a base type and its random
+   * variant (conveyor <-> jamming-conveyor, arm <-> random-arm). Shared
+   * params such as direction and DSL links are kept; the variant's own
+   * params start from its defaults.
+   */
+  setComponentVariant(type) {
+    const component = this.selectedComponent;
+    if (!component || component.type === type) return;
+
+    const spec = ComponentRegistry.get(type);
+    for (const [key, value] of Object.entries(spec.defaultParams || {})) {
+      if (component.params[key] === undefined) {
+        component.params[key] = JSON.parse(JSON.stringify(value));
+      }
+    }
+    component.type = type;
+
+    this.updateAutomaticConnections();
+    this.saveState();
+    this.updatePropertiesPanel();
+    this.render();
+  }
+
+  /**
+   * Update a list-valued param from comma-separated numbers
+   * (empty input clears the param)
+   */
+  updateComponentNumberList(key, text) {
+    if (!this.selectedComponent) return;
+
+    const trimmed = text.trim();
+    const values = trimmed === '' ? null : trimmed.split(',').map(v => Number(v.trim()));
+    if (values && values.some(v => !isFinite(v))) {
+      this.setStatus(`${key}: enter numbers separated by commas`, 'error');
+      return;
+    }
+    this.updateComponentParam(key, values);
+  }
+
+  /**
+   * Jam settings for straight conveyors
+   */
+  renderJamProperties(component) {
+    const jamming = component.type === 'jamming-conveyor';
+    let html = `<div class="property-item">
+        <label>
+          <input type="checkbox" ${jamming ? 'checked' : ''}
+                 onchange="editor.setComponentVariant(this.checked ? 'jamming-conveyor' : 'conveyor')">
+          Jams randomly
+        </label>
+      </div>`;
+    if (jamming) {
+      html += `<div class="property-item">
+        <label>Jam probability (per ball)</label>
+        <input type="number" step="0.05" min="0" max="1" value="${component.params.jamProbability ?? 0.3}"
+               onchange="editor.updateComponentParam('jamProbability', parseFloat(this.value))">
+      </div>
+      <div class="property-item">
+        <label>Jam durations (ms)</label>
+        <input type="text" value="${(component.params.jamDurations || []).join(', ')}"
+               onchange="editor.updateComponentNumberList('jamDurations', this.value)">
+        <small style="color: #888; font-size: 10px;">One is chosen uniformly, e.g. 1000, 3000</small>
+      </div>`;
+    }
+    return html;
+  }
+
+  /**
+   * Pickup delay settings for arms
+   */
+  renderDelayProperties(component) {
+    const random = component.type === 'random-arm';
+    let html = `<div class="property-item">
+        <label>
+          <input type="checkbox" ${random ? 'checked' : ''}
+                 onchange="editor.setComponentVariant(this.checked ? 'random-arm' : 'arm')">
+          Random pickup delay
+        </label>
+      </div>`;
+    if (random) {
+      html += `<div class="property-item">
+        <label>Delays (ms)</label>
+        <input type="text" value="${(component.params.delays || []).join(', ')}"
+               onchange="editor.updateComponentNumberList('delays', this.value)">
+      </div>
+      <div class="property-item">
+        <label>Delay weights</label>
+        <input type="text" value="${(component.params.delayWeights || []).join(', ')}"
+               onchange="editor.updateComponentNumberList('delayWeights', this.value)">
+        <small style="color: #888; font-size: 10px;">One per delay; leave empty for uniform</small>
+      </div>`;
+    }
+    return html;
+  }
+
   formatOutputPattern(pattern) {
     // Format output pattern for display
     if (!pattern || !Array.isArray(pattern)) {
@@ -2212,6 +2440,8 @@ class LevelEditor {
 
     // Clear loaded level tracking
     this.loadedLevelId = null;
+    this.loadedBettingConfig = {};
+    this.updateGranularityDisplay();
 
     // Clear DGP configuration
     this.dgpScript = '';
@@ -2327,6 +2557,8 @@ class LevelEditor {
 
     // Track loaded level for updates
     this.loadedLevelId = level.meta.id;
+    this.loadedBettingConfig = level.meta.bettingConfig || {};
+    this.updateGranularityDisplay();
 
     this.setStatus(`Ladattu: ${level.meta.title || level.meta.id}`, 'success');
   }
@@ -2376,7 +2608,8 @@ class LevelEditor {
         title: title,
         description: description,
         bettingConfig: {
-          granularity: 10  // Always 10 betting buckets
+          granularity: 10,  // Answer steps per 100% (10, 20 or 100)
+          ...this.loadedBettingConfig  // Keep granularity / scoringRule / starThresholds of a loaded level
         }
       },
       grid: {
@@ -2397,6 +2630,7 @@ class LevelEditor {
         showFullDistribution: this.dgpResult.showFullDistribution,
         fineGrainedDisplay: this.dgpResult.fineGrainedDisplay,
         disableBranching: this.dgpResult.disableBranching,
+        queuing: this.dgpResult.queuing,
         ballCount: ballCount
       },
       // Sampling schedule at top level (required by Simulation)
@@ -2406,7 +2640,8 @@ class LevelEditor {
       simulation: {
         ballProductionInterval: 3000,
         ballSpeed: 1.0,
-        ballsToSpawn: ballCount
+        ballsToSpawn: ballCount,
+        queuing: !!this.dgpResult.queuing
         // No seed - will use random via SeedManager when played
       }
     };
@@ -2490,6 +2725,8 @@ class LevelEditor {
 
     // Track loaded level for updates
     this.loadedLevelId = level.meta.id;
+    this.loadedBettingConfig = level.meta.bettingConfig || {};
+    this.updateGranularityDisplay();
 
     this.setStatus(`Loaded level: ${level.meta.title || levelId}`, 'success');
     return true;
@@ -2575,6 +2812,15 @@ class LevelEditor {
     this.render();
   }
 
+  setGranularity(granularity) {
+    this.loadedBettingConfig = {...this.loadedBettingConfig, granularity};
+    this.setStatus(`Answer step: ${100 / granularity}%`, 'info');
+  }
+
+  updateGranularityDisplay() {
+    document.getElementById('granularity-select').value = String(this.loadedBettingConfig.granularity || 10);
+  }
+
   updateGridSizeDisplays() {
     document.getElementById('grid-width-display').textContent = this.gridWidth;
     document.getElementById('grid-height-display').textContent = this.gridHeight;
@@ -2606,7 +2852,8 @@ class LevelEditor {
         title: this.loadedLevelId ? `Taso ${this.loadedLevelId.replace('level-', '')}` : "Test Level",
         description: this.dgpResult.questionText || "Testing from editor",
         bettingConfig: {
-          granularity: 10  // Always 10 betting buckets
+          granularity: 10,  // Answer steps per 100% (10, 20 or 100)
+          ...this.loadedBettingConfig  // Keep granularity / scoringRule / starThresholds of a loaded level
         }
       },
       grid: {
@@ -2627,6 +2874,7 @@ class LevelEditor {
         showFullDistribution: this.dgpResult.showFullDistribution,
         fineGrainedDisplay: this.dgpResult.fineGrainedDisplay,
         disableBranching: this.dgpResult.disableBranching,
+        queuing: this.dgpResult.queuing,
         ballCount: ballCount
       },
       // Sampling schedule at top level (required by Simulation)
@@ -2637,6 +2885,7 @@ class LevelEditor {
         ballProductionInterval: 3000,
         ballSpeed: 1.0,
         ballsToSpawn: ballCount,
+        queuing: !!this.dgpResult.queuing,
         seed: SeedManager.generateRandomSeed()  // Random seed for each test
       }
     };
@@ -3003,6 +3252,7 @@ class LevelEditor {
     // This centralizes the logic to avoid forgetting new components
     return [
       'conveyor',
+      'jamming-conveyor',
       'conveyor-turn',
       'observation',
       'black-pit',
@@ -3029,7 +3279,7 @@ class LevelEditor {
     }
 
     // For straight conveyors, check if arm is on the input side
-    if (target.type === 'conveyor') {
+    if (ComponentRegistry.baseType(target.type) === 'conveyor') {
       const direction = target.params.direction || 'right';
       const relX = armPos.x - target.position.x;
       const relY = armPos.y - target.position.y;
@@ -3214,7 +3464,7 @@ class LevelEditor {
 
       const oppositeSide = opposites[side];
 
-      if (neighbor.type === 'conveyor') {
+      if (ComponentRegistry.baseType(neighbor.type) === 'conveyor') {
         const neighborDir = neighbor.params?.direction;
         if (neighborDir === oppositeSide) {
           sides[side] = {type: 'input'};
@@ -3294,18 +3544,18 @@ class LevelEditor {
 
       if (comp.type === 'sack') {
         // Sack connects to ALL adjacent arms (can have multiple)
-        const arms = adjacent.filter(c => c.type === 'arm');
+        const arms = adjacent.filter(c => ComponentRegistry.baseType(c.type) === 'arm');
         arms.forEach(arm => {
           this.addConnection(comp.id, arm.id);
         });
-      } else if (comp.type === 'arm') {
+      } else if (ComponentRegistry.baseType(comp.type) === 'arm') {
         // Arm receives from sack (already handled above)
         // Arm outputs to component that can receive balls AND arm is on input side
         const output = adjacent.find(c => this.isValidArmOutput(comp.position, c));
         if (output) {
           this.addConnection(comp.id, output.id);
         }
-      } else if (comp.type === 'conveyor' || comp.type === 'conveyor-turn') {
+      } else if (ComponentRegistry.baseType(comp.type) === 'conveyor' || comp.type === 'conveyor-turn') {
         // Conveyor connects to adjacent conveyor/turn/observation/splitter/machine based on direction
         const nextComp = this.getComponentInDirection(comp);
         if (nextComp && this.canReceiveBalls(nextComp.type)) {
@@ -3505,7 +3755,7 @@ class LevelEditor {
     this.components.forEach(comp => {
       const spec = ComponentRegistry.get(comp.type);
       if (spec && spec.ports && spec.ports.outputs && spec.ports.outputs.length > 0) {
-        if (!handledTypes.includes(comp.type)) {
+        if (!handledTypes.includes(ComponentRegistry.baseType(comp.type))) {
           console.error(`ERROR: Component type "${comp.type}" has output ports but is not handled in updateAutomaticConnections()! Add it to the connection logic.`);
         }
       }
@@ -3532,7 +3782,7 @@ class LevelEditor {
   getComponentInDirection(comp) {
     let targetPos = null;
 
-    if (comp.type === 'conveyor') {
+    if (ComponentRegistry.baseType(comp.type) === 'conveyor') {
       const dir = comp.params.direction || 'right';
       switch (dir) {
         case 'right': targetPos = {x: comp.position.x + 1, y: comp.position.y}; break;
@@ -0,0 +1,375 @@
+/**
+ * DSL Step Debugger
+ *
+ * Debugger panel under a DSLEditor. "Debuggaa" runs the program once with a
+ * step trace (DSLInterpreter.execute(ast, {trace: true}), see "Step Trace"
+ * in dsl-evaluator.js) and then moves through the recorded steps:
+ * - Askel sisään: the next step, into loop rounds and function calls
+ * - Askel yli: the next step that isn't inside a loop or call started here
+ * - Askel ulos: the first step after the enclosing loop or function call
+ * - Jatka: the next breakpoint (click a line number to set one)
+ * - Sliders scrub the whole run and the rounds of the innermost loop
+ *
+ * The panel lists every variable's distribution after the current step, so
+ * a count's distribution can be watched growing round by round. Steps are
+ * replayed from the trace, so moving backwards costs nothing; editing the
+ * code ends the session.
+ */
+
+// Math constants the interpreter predefines; not worth listing
+const DEBUGGER_HIDDEN_VARIABLES = new Set(['pi', 'PI', 'e', 'E']);
+
+// Outcomes shown per variable; the rest are summed into one line
+const DEBUGGER_MAX_OUTCOMES = 6;
+
+class DSLDebugger {
+  /**
+   * @param {DSLEditor} editor - Host editor: code, line gutter, formatting
+   */
+  constructor(editor) {
+    this.editor = editor;
+    this.interpreter = new DSLInterpreter();
+    this.breakpoints = new Set();  // 1-based line numbers
+    this.trace = null;             // Steps of the running session, null when stopped
+    this.position = 0;             // Index of the current step
+    this.errorMessage = null;      // Runtime error that ended the traced run
+
+    this.createDOM();
+    this.render();
+  }
+
+  /**
+   * Create the panel (appended to the editor container)
+   */
+  createDOM() {
+    this.panel = document.createElement('div');
+    this.panel.className = 'dsl-debugger';
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'debug-toolbar';
+    this.startButton = this._mkButton('Debuggaa', 'Suorita ohjelma askel kerrallaan', () => this.start());
+    this.intoButton = this._mkButton('Askel sisään', 'Seuraava askel, myös silmukan tai funktion sisälle', () => this.stepInto());
+    this.overButton = this._mkButton('Askel yli', 'Seuraava askel tällä tasolla', () => this.stepOver());
+    this.outButton = this._mkButton('Askel ulos', 'Ensimmäinen askel silmukan tai funktion jälkeen', () => this.stepOut());
+    this.continueButton = this._mkButton('Jatka', 'Seuraavaan keskeytyskohtaan', () => this.continueToBreakpoint());
+    this.stopButton = this._mkButton('Lopeta', 'Lopeta debuggaus', () => this.stop());
+    toolbar.append(this.startButton, this.intoButton, this.overButton, this.outButton,
+      this.continueButton, this.stopButton);
+
+    this.status = document.createElement('div');
+    this.status.className = 'debug-status';
+
+    const sliders = document.createElement('div');
+    sliders.className = 'debug-sliders';
+    this.stepSlider = this._mkSlider('Askel', (value) => this.goTo(value));
+    this.roundSlider = this._mkSlider('Kierros', (value) => this.goToRound(value));
+    sliders.append(this.stepSlider.label, this.roundSlider.label);
+    this.sliders = sliders;
+
+    this.variablesView = document.createElement('div');
+    this.variablesView.className = 'debug-variables';
+
+    this.panel.append(toolbar, this.status, sliders, this.variablesView);
+    this.editor.container.appendChild(this.panel);
+    if (this.editor.lineNumbers) {
+      this.editor.lineNumbers.classList.add('debug-gutter');
+    }
+  }
+
+  _mkButton(label, title, onClick) {
+    const button = document.createElement('button');
+    button.className = 'debug-button';
+    button.textContent = label;
+    button.title = title;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  _mkSlider(text, onInput) {
+    const label = document.createElement('label');
+    label.className = 'debug-slider';
+    const caption = document.createElement('span');
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = '0';
+    input.step = '1';
+    input.addEventListener('input', () => onInput(Number(input.value)));
+    label.append(caption, input);
+    return { label, caption, input, text };
+  }
+
+  isActive() {
+    return this.trace !== null;
+  }
+
+  /**
+   * Line of the current step (marked in the editor gutter), or null
+   */
+  currentLine() {
+    return this.isActive() && this.trace.length > 0 ? this.trace[this.position].line : null;
+  }
+
+  toggleBreakpoint(line) {
+    if (this.breakpoints.has(line)) {
+      this.breakpoints.delete(line);
+    } else {
+      this.breakpoints.add(line);
+    }
+  }
+
+  /**
+   * Run the editor's program with a step trace and stop at its first step
+   */
+  start() {
+    // Only trailing whitespace is trimmed, so trace lines match the editor's
+    const code = this.editor.getCode().trimEnd();
+    if (!code.trim()) return;
+
+    let result;
+    try {
+      result = this.interpreter.execute(parseDSL(code), { trace: true, exact: true });
+    } catch (error) {
+      this.editor.showError(error.message, error.line);
+      return;
+    }
+
+    this.trace = result.trace;
+    this.traceTruncated = result.traceTruncated;
+    this.errorMessage = result.errors.length > 0 ? result.errors[0].message : null;
+    this.position = 0;
+    this.refresh();
+  }
+
+  /**
+   * End the session (also called when the code is edited)
+   */
+  stop() {
+    if (!this.isActive()) return;
+    this.trace = null;
+    this.errorMessage = null;
+    this.refresh();
+  }
+
+  goTo(index) {
+    if (!this.isActive() || this.trace.length === 0) return;
+    this.position = Math.max(0, Math.min(this.trace.length - 1, index));
+    this.refresh();
+  }
+
+  stepInto() {
+    this.goTo(this.position + 1);
+  }
+
+  stepOver() {
+    const depth = this.trace[this.position].depth;
+    this.goTo(this._nextStep(step => step.depth <= depth || this.breakpoints.has(step.line)));
+  }
+
+  stepOut() {
+    const depth = this.trace[this.position].depth;
+    if (depth === 0) {
+      this.stepOver();
+      return;
+    }
+    this.goTo(this._nextStep(step => step.depth < depth || this.breakpoints.has(step.line)));
+  }
+
+  continueToBreakpoint() {
+    this.goTo(this._nextStep(step => this.breakpoints.has(step.line)));
+  }
+
+  /**
+   * Index of the first step after the current one that matches, or the last
+   * step when none does (the run ran to its end)
+   */
+  _nextStep(matches) {
+    for (let i = this.position + 1; i < this.trace.length; i++) {
+      if (matches(this.trace[i])) return i;
+    }
+    return this.trace.length - 1;
+  }
+
+  /**
+   * Round headers (indices of 'iteration' steps) of the loop the step is
+   * directly inside, or [] when it isn't in a loop. A nested loop restarted
+   * by its outer loop is a new frame, so only this run's rounds count.
+   */
+  _roundsOf(step) {
+    const frame = step.frames[step.frames.length - 1];
+    if (!frame || frame.kind === 'function') return [];
+    const rounds = [];
+    for (const other of this.trace) {
+      if (other.event === 'iteration' && other.frames[other.frames.length - 1].id === frame.id) {
+        rounds.push(other.index);
+      }
+    }
+    return rounds;
+  }
+
+  /**
+   * Jump to the same statement in another round of the innermost loop, or
+   * to the round's start when that round didn't run it
+   */
+  goToRound(round) {
+    const step = this.trace[this.position];
+    const rounds = this._roundsOf(step);
+    const header = rounds[round - 1];
+    if (header === undefined) return;
+
+    const end = round < rounds.length ? rounds[round] : this.trace.length;
+    let target = header;
+    for (let i = header; i < end; i++) {
+      const other = this.trace[i];
+      if (other.depth < step.depth) break;  // left the loop
+      if (other.line === step.line && other.event === step.event && other.depth === step.depth) {
+        target = i;
+        break;
+      }
+    }
+    this.goTo(target);
+  }
+
+  /**
+   * Re-render the panel and the editor's gutter markers
+   */
+  refresh() {
+    this.render();
+    this.editor.updateLineNumbers();
+  }
+
+  render() {
+    const active = this.isActive() && this.trace.length > 0;
+    this.startButton.textContent = this.isActive() ? 'Alusta' : 'Debuggaa';
+    for (const button of [this.intoButton, this.overButton, this.outButton, this.continueButton]) {
+      button.disabled = !active || this.position >= this.trace.length - 1;
+    }
+    this.stopButton.disabled = !this.isActive();
+    this.sliders.style.display = active ? '' : 'none';
+    this.variablesView.style.display = active ? '' : 'none';
+
+    if (!this.isActive()) {
+      this.status.textContent = 'Klikkaa rivinumeroa asettaaksesi keskeytyskohdan.';
+      return;
+    }
+    if (!active) {
+      this.status.textContent = this.errorMessage
+        ? `Virhe: ${this.errorMessage}`
+        : 'Ohjelmassa ei ole suoritettavia rivejä.';
+      return;
+    }
+
+    const step = this.trace[this.position];
+    this.status.innerHTML = this.formatStatus(step);
+
+    this.stepSlider.input.max = String(this.trace.length - 1);
+    this.stepSlider.input.value = String(this.position);
+    this.stepSlider.caption.textContent = `${this.stepSlider.text} ${this.position + 1}/${this.trace.length}`;
+
+    const rounds = this._roundsOf(step);
+    if (rounds.length > 0) {
+      const frame = step.frames[step.frames.length - 1];
+      this.roundSlider.label.style.display = '';
+      this.roundSlider.input.min = '1';
+      this.roundSlider.input.max = String(rounds.length);
+      this.roundSlider.input.value = String(frame.iteration);
+      this.roundSlider.caption.textContent = `${this.roundSlider.text} ${frame.iteration}/${rounds.length}`;
+    } else {
+      this.roundSlider.label.style.display = 'none';
+    }
+
+    this.variablesView.innerHTML = this.formatVariables(step);
+  }
+
+  /**
+   * "Rivi 4 suoritettu · for i: kierros 2 › f()"
+   */
+  formatStatus(step) {
+    const what = {
+      statement: `Rivi ${step.line} suoritettu`,
+      iteration: `Rivi ${step.line}: kierros alkaa`,
+      call: `Rivi ${step.line}: funktiokutsu`
+    }[step.event];
+    const where = step.frames.map(frame => {
+      if (frame.kind === 'function') return `${frame.label}()`;
+      const name = frame.label ? `${frame.kind} ${frame.label}` : frame.kind;
+      return `${name}: kierros ${frame.iteration}`;
+    });
+
+    let html = `<span class="debug-where">${what}</span>`;
+    if (where.length > 0) html += ` · ${where.join(' › ')}`;
+    if (this.position === this.trace.length - 1 && this.errorMessage) {
+      html += ` <span class="debug-error">Virhe: ${this.errorMessage}</span>`;
+    }
+    if (this.traceTruncated) {
+      html += ` <span class="mc-note">(vain ${this.trace.length} ensimmäistä askelta)</span>`;
+    }
+    return html;
+  }
+
+  /**
+   * Distribution of every variable after the step; variables the step
+   * changed are marked
+   */
+  formatVariables(step) {
+    const previous = this.position > 0 ? this.trace[this.position - 1].variables : {};
+    const names = Object.keys(step.variables).filter(name => {
+      if (name.startsWith('__') || DEBUGGER_HIDDEN_VARIABLES.has(name)) return false;
+      const pv = step.variables[name];
+      const value = pv.isConstant() ? pv.getConstantValue() : null;
+      return !(value && (value.type === 'function' || value.type === 'lambda'));
+    });
+    if (names.length === 0) {
+      return '<div class="debug-empty">Ei muuttujia vielä.</div>';
+    }
+
+    let html = '';
+    for (const name of names) {
+      const changed = previous[name] !== step.variables[name];
+      html += `<div class="debug-variable${changed ? ' debug-changed' : ''}">`;
+      html += `<div class="debug-variable-name">${name}</div>`;
+      html += this.formatDistribution(step, name);
+      html += '</div>';
+    }
+    return html;
+  }
+
+  formatDistribution(step, name) {
+    let distribution;
+    try {
+      distribution = this.interpreter.getStepDistribution(step, name);
+    } catch (error) {
+      return `<div class="debug-empty">Jakaumaa ei voitu laskea: ${error.message}</div>`;
+    }
+    if (!distribution) return '<div class="debug-empty">?</div>';
+
+    const entries = distribution.entries();
+    const maxProb = Math.max(...entries.map(([, p]) => p));
+    let html = '<div class="tooltip-bars">';
+    for (const [value, prob] of entries.slice(0, DEBUGGER_MAX_OUTCOMES)) {
+      const probPercent = (prob * 100).toFixed(1);
+      const approxPrefix = (probPercent === '0.0' && prob > 0) || (probPercent === '100.0' && prob < 1) ? '~' : '';
+      html += `
+        <div class="tooltip-bar-row">
+          <span class="tooltip-value">${this.editor.formatValue(value)}</span>
+          <div class="tooltip-bar-container">
+            <div class="tooltip-bar" style="width: ${(prob / maxProb) * 100}%"></div>
+          </div>
+          <span class="tooltip-prob">${approxPrefix}${probPercent}%</span>
+          ${this.editor.formatFraction(distribution, value, 'tooltip-fraction')}
+        </div>
+      `;
+    }
+    if (entries.length > DEBUGGER_MAX_OUTCOMES) {
+      let rest = 0;
+      for (const [, p] of entries.slice(DEBUGGER_MAX_OUTCOMES)) rest += p;
+      html += `<div class="tooltip-more">... ja ${entries.length - DEBUGGER_MAX_OUTCOMES} muuta (yht. ${(rest * 100).toFixed(1)}%)</div>`;
+    }
+    html += '</div>';
+    return html;
+  }
+}
+
+// Export for use in browser and Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { DSLDebugger };
+}
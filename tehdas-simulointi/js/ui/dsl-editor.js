@@ -4,10 +4,17 @@
  * A simple code editor for the probabilistic DSL that provides:
  * - Live syntax highlighting
  * - Hover tooltips showing variable distributions
+ * - Exact probabilities as fractions next to the percentages
+ * - Exact / approximate marking, with covered mass, sample count and
+ *   confidence bands for sampled distributions
+ * - Step debugger with breakpoints (see dsl-debugger.js, when loaded)
  * - Error display
  * - Live evaluation
  */
 
+// Longest float evaluation (ms) still followed by an exact pass for fractions
+const EXACT_PASS_MAX_MS = 200;
+
 class DSLEditor {
   /**
    * @param {HTMLElement} container - Container element for the editor
@@ -23,6 +30,7 @@ class DSLEditor {
       onCopyPrediction: null,  // Callback when user clicks "copy to prediction" button
       copyButtonLabel: 'Kopioi ennustukseksesi',
       onHighlightedVarChange: null,  // Callback when hovered variable changes
+      showDebugger: true,  // Step debugger panel, if DSLDebugger is loaded
       ...options
     };
 
@@ -30,11 +38,16 @@ class DSLEditor {
     this.lastParsedAST = null;
     this.lastResult = null;
     this.debounceTimer = null;
+    this.exactTimer = null;
     this.highlightedVar = null;  // Variable name to highlight on hover
     this.lastTokens = [];  // Cache tokens for hover detection
 
     this.createDOM();
     this.setupEventListeners();
+
+    this.debugger = (this.options.showDebugger && typeof DSLDebugger !== 'undefined')
+      ? new DSLDebugger(this)
+      : null;
   }
 
   /**
@@ -118,6 +131,16 @@ class DSLEditor {
       }
     });
 
+    // Line number click toggles a debugger breakpoint
+    if (this.lineNumbers) {
+      this.lineNumbers.addEventListener('click', (e) => {
+        const line = Number(e.target.dataset && e.target.dataset.line);
+        if (!this.debugger || !line) return;
+        this.debugger.toggleBreakpoint(line);
+        this.updateLineNumbers();
+      });
+    }
+
     // Hover for tooltips
     this.textarea.addEventListener('mousemove', (e) => {
       this.onMouseMove(e);
@@ -239,11 +262,15 @@ class DSLEditor {
    * Handle input changes
    */
   onInput() {
+    // A debugger session replays the old code; end it
+    if (this.debugger) this.debugger.stop();
+
     // Update highlighting immediately
     this.updateHighlighting();
     this.updateLineNumbers();
 
     // Debounce evaluation
+    clearTimeout(this.exactTimer);
     clearTimeout(this.debounceTimer);
     this.debounceTimer = setTimeout(() => {
       this.evaluate();
@@ -266,11 +293,16 @@ class DSLEditor {
     if (!this.lineNumbers) return;
 
     const lines = this.textarea.value.split('\n').length;
+    const currentLine = this.debugger ? this.debugger.currentLine() : null;
     let html = '';
     for (let i = 1; i <= lines; i++) {
-      html += `<div class="line-number">${i}</div>`;
+      let className = 'line-number';
+      if (this.debugger && this.debugger.breakpoints.has(i)) className += ' breakpoint';
+      if (i === currentLine) className += ' debug-current';
+      html += `<div class="${className}" data-line="${i}">${i}</div>`;
     }
     this.lineNumbers.innerHTML = html;
+    this.lineNumbers.scrollTop = this.textarea.scrollTop;
   }
 
   /**
@@ -288,7 +320,10 @@ class DSLEditor {
   tokenize(code) {
     const tokens = [];
     const keywords = new Set(['for', 'in', 'if', 'else', 'elif', 'return', 'and', 'or', 'not']);
-    const builtins = new Set(['split', 'range', 'max', 'min']);
+    const builtins = new Set([
+      'split', 'range', 'max', 'min', 'observe', 'condition',
+      'bernoulli', 'categorical', 'binomial', 'uniform_int', 'draw'
+    ]);
 
     let i = 0;
     while (i < code.length) {
@@ -437,6 +472,7 @@ class DSLEditor {
    * Evaluate the code
    */
   evaluate() {
+    clearTimeout(this.exactTimer);
     const code = this.textarea.value.trim();
 
     if (!code) {
@@ -453,6 +489,7 @@ class DSLEditor {
       this.lastParsedAST = ast;
 
       // Evaluate
+      const started = performance.now();
       const result = this.interpreter.execute(ast);
       this.lastResult = result;
 
@@ -470,6 +507,7 @@ class DSLEditor {
         this.clearResult();
       }
 
+      this.scheduleExactPass(ast, result, performance.now() - started);
       return result.returnValue;
 
     } catch (error) {
@@ -480,6 +518,33 @@ class DSLEditor {
     }
   }
 
+  /**
+   * Fractions cost several times the float evaluation, so the live pass runs
+   * without them and a second, exact pass fills them in once the result is
+   * on screen. Skipped for approximate results (no fractions to find) and
+   * for models whose float pass was already slow. The exact pass gives up
+   * on fractions after EXACT_PASS_MAX_MS, so it blocks the editor for at
+   * most that plus another float pass, and a pass that ran out of time
+   * leaves the live result on screen.
+   */
+  scheduleExactPass(ast, result, elapsedMs) {
+    if (result.approximate || elapsedMs > EXACT_PASS_MAX_MS) return;
+
+    this.exactTimer = setTimeout(() => {
+      let exactResult;
+      try {
+        exactResult = this.interpreter.execute(ast, { exact: true, exactTimeLimit: EXACT_PASS_MAX_MS });
+      } catch (error) {
+        return;  // The live pass already succeeded; keep its result
+      }
+      if (exactResult.errors.length > 0) return;
+      if (exactResult.returnValue && !exactResult.returnValue.fractions) return;
+
+      this.lastResult = exactResult;
+      if (exactResult.returnValue) this.showResult(exactResult.returnValue);
+    }, 0);
+  }
+
   /**
    * Show error message
    */
@@ -525,6 +590,53 @@ class DSLEditor {
     return String(value);
   }
 
+  /**
+   * Exact probability of a value as a fraction ("1/8"), shown next to the
+   * percentage when the evaluator found one (see Distribution.fraction) and
+   * it is simple enough to read
+   */
+  formatFraction(distribution, value, className) {
+    const fraction = distribution.fraction(value);
+    if (!fraction || fraction.den === 1n || fraction.den > 10000n) return '';
+    return `<span class="${className}">= ${fraction}</span>`;
+  }
+
+  /**
+   * Note telling whether a distribution is exact or approximate
+   * (see approximationDiagnostics in dsl-evaluator.js). Distributions
+   * without diagnostics (constants) are exact.
+   *
+   * @param {Distribution} distribution
+   * @param {boolean} compact - Short form for tooltips
+   */
+  formatDiagnosticsNote(distribution, compact = false) {
+    const diagnostics = distribution.diagnostics;
+    if (!diagnostics || diagnostics.exact) {
+      return ' <span class="exact-note">(tarkka)</span>';
+    }
+
+    const parts = [];
+    if (diagnostics.sampleCount > 0) {
+      parts.push(compact ? `${diagnostics.sampleCount} ajoa` : `${diagnostics.sampleCount} ajon perusteella`);
+    }
+    const covered = diagnostics.coveredMass * 100;
+    if (covered < 99.995) {
+      parts.push(compact ? `kattaa ${covered.toFixed(2)}%` : `laskettu ${covered.toFixed(2)}% todennäköisyydestä`);
+    }
+    const title = 'Jakauma on likiarvo: malli on liian suuri laskettavaksi tarkasti. ' +
+      'Ero tason vastaukseen voi johtua satunnaisuudesta, jos se mahtuu ±-virherajoihin.';
+    return ` <span class="mc-note" title="${title}">(likiarvo${parts.length ? ': ' + parts.join(', ') : ''})</span>`;
+  }
+
+  /**
+   * 95% confidence margin of one probability, or 0 if none is known
+   */
+  getMargin(distribution, value) {
+    const diagnostics = distribution.diagnostics;
+    if (!diagnostics || !diagnostics.margins) return 0;
+    return diagnostics.margins.get(value) || 0;
+  }
+
   /**
    * Show result distribution
    */
@@ -541,14 +653,15 @@ class DSLEditor {
     for (const [, p] of allEntries) if (p < MIN_VISIBLE_PROB) hiddenSum += p;
     const maxProb = entries.length > 0 ? Math.max(...entries.map(([_, p]) => p)) : 1;
 
-    // Check if this is from Monte Carlo simulation
-    const sampleCount = distribution._sampleCount;
-    const mcNote = sampleCount ? ` <span class="mc-note">(${sampleCount} ajon perusteella)</span>` : '';
+    // Exact, or sampled / truncated (with sample count and covered mass)
+    const mcNote = this.formatDiagnosticsNote(distribution);
 
     // Format all values and find the longest one to size the value column
     const formattedEntries = entries.map(([value, prob]) => ({
+      value,
       formatted: this.formatValue(value),
-      prob
+      prob,
+      margin: this.getMargin(distribution, value)
     }));
     const maxValueLength = Math.max(...formattedEntries.map(e => e.formatted.length));
     // Estimate width: ~7px per character, minimum 40px
@@ -557,19 +670,25 @@ class DSLEditor {
     let html = `<div class="result-title">Palautettu jakauma:${mcNote}</div>`;
     html += '<div class="result-bars">';
 
-    for (const { formatted, prob } of formattedEntries) {
+    for (const { value, formatted, prob, margin } of formattedEntries) {
       const widthPercent = (prob / maxProb) * 100;
       const probPercent = (prob * 100).toFixed(1);
       // Show ~ for rounded 0% or 100% that aren't exact
       const approxPrefix = (probPercent === '0.0' && prob > 0) || (probPercent === '100.0' && prob < 1) ? '~' : '';
+      // Confidence band of a sampled probability, drawn over the bar
+      const band = margin > 0 ? this.formatBand(prob, margin, maxProb, 'result-band') : '';
+      const marginText = margin > 0 ? `<span class="result-margin">±${(margin * 100).toFixed(1)}%</span>` : '';
 
       html += `
         <div class="result-bar-row">
           <span class="result-value" style="width: ${valueWidth}px">${formatted}</span>
           <div class="result-bar-container">
             <div class="result-bar" style="width: ${widthPercent}%"></div>
+            ${band}
           </div>
           <span class="result-prob">${approxPrefix}${probPercent}%</span>
+          ${this.formatFraction(distribution, value, 'result-fraction')}
+          ${marginText}
         </div>
       `;
     }
@@ -609,6 +728,15 @@ class DSLEditor {
     this.resultDisplay.innerHTML = '';
   }
 
+  /**
+   * Confidence band element spanning prob ± margin on a bar scaled to maxProb
+   */
+  formatBand(prob, margin, maxProb, className) {
+    const low = Math.max(0, prob - margin) / maxProb * 100;
+    const high = Math.min(1, prob + margin) / maxProb * 100;
+    return `<div class="${className}" style="left: ${low}%; width: ${Math.min(100, high) - low}%"></div>`;
+  }
+
   /**
    * Handle mouse movement for tooltips and variable highlighting
    */
@@ -721,9 +849,8 @@ class DSLEditor {
     for (const [, p] of allEntries) if (p < MIN_VISIBLE_PROB) hiddenSum += p;
     const entries = visibleEntries;
 
-    // Check if this is from Monte Carlo simulation
-    const sampleCount = distribution._sampleCount;
-    const mcNote = sampleCount ? ` <span class="mc-note">(${sampleCount} ajoa)</span>` : '';
+    // Exact, or sampled / truncated (with sample count and covered mass)
+    const mcNote = this.formatDiagnosticsNote(distribution, true);
 
     let html = `<div class="tooltip-var">${varName}${mcNote}</div>`;
     html += '<div class="tooltip-bars">';
@@ -735,14 +862,20 @@ class DSLEditor {
       const probPercent = (prob * 100).toFixed(1);
       // Show ~ for rounded 0% or 100% that aren't exact
       const approxPrefix = (probPercent === '0.0' && prob > 0) || (probPercent === '100.0' && prob < 1) ? '~' : '';
+      const margin = this.getMargin(distribution, value);
+      const band = margin > 0 ? this.formatBand(prob, margin, maxProb, 'tooltip-band') : '';
+      const marginText = margin > 0 ? `<span class="tooltip-margin">±${(margin * 100).toFixed(1)}%</span>` : '';
 
       html += `
         <div class="tooltip-bar-row">
           <span class="tooltip-value">${value}</span>
           <div class="tooltip-bar-container">
             <div class="tooltip-bar" style="width: ${widthPercent}%"></div>
+            ${band}
           </div>
           <span class="tooltip-prob">${approxPrefix}${probPercent}%</span>
+          ${this.formatFraction(distribution, value, 'tooltip-fraction')}
+          ${marginText}
         </div>
       `;
     }
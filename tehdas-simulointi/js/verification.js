@@ -258,7 +258,7 @@ function buildSimulationLevel(level, dgpSacks, dgpSchedule) {
       const armVarName = entry.armVarName;
       const armDef = level.dgpResult.arms[armVarName];
       if (armDef) {
-        const armComponents = components.filter(c => c.type === 'arm');
+        const armComponents = components.filter(c => ComponentRegistry.baseType(c.type) === 'arm');
         let armComp = armComponents.find(c => c.params?.label === armVarName);
         if (!armComp) {
           const armIndex = parseInt(armVarName.replace(/\D/g, '')) - 1;